@@ -4,6 +4,7 @@ SuperSettings::Engine.routes.draw do
   controller :settings do
     if SuperSettings.configuration.controller.web_ui_enabled?
       get "/", action: :root, as: :root
+      get "/widget.js", action: :widget_js
     end
     get "/settings", action: :index
     post "/settings", action: :update
@@ -11,7 +12,16 @@ SuperSettings::Engine.routes.draw do
     get "/setting/history", action: :history
     get "/settings/last_updated_at", action: :last_updated_at
     get "/settings/updated_since", action: :updated_since
+    get "/scheduled_changes", action: :scheduled_changes
+    post "/scheduled_changes/cancel", action: :cancel_scheduled_change
+    get "/change_requests", action: :change_requests
+    post "/change_requests", action: :create_change_request
+    post "/change_requests/approve", action: :approve_change_request
+    post "/change_requests/reject", action: :reject_change_request
+    post "/change_requests/withdraw", action: :withdraw_change_request
     get "/authorized", action: :authorized
     get "/api.js", action: :api_js
+    get "/client.js", action: :client_js
+    get "/client.mjs", action: :client_mjs
   end
 end
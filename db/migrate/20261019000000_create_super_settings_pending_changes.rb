@@ -0,0 +1,15 @@
+# frozen_string_literal: true
+
+class CreateSuperSettingsPendingChanges < ActiveRecord::Migration[5.0]
+  def up
+    create_table :super_settings_pending_changes do |t|
+      t.string :change_id, null: false, limit: 36, index: {unique: true}
+      t.text :payload, null: false
+      t.datetime :created_at, null: false
+    end
+  end
+
+  def down
+    drop_table :super_settings_pending_changes
+  end
+end
@@ -0,0 +1,11 @@
+# frozen_string_literal: true
+
+class AddScheduledToSuperSettingsHistories < ActiveRecord::Migration[5.0]
+  def up
+    add_column :super_settings_histories, :scheduled, :boolean, default: false
+  end
+
+  def down
+    remove_column :super_settings_histories, :scheduled
+  end
+end
@@ -0,0 +1,11 @@
+# frozen_string_literal: true
+
+class AddApprovedByToSuperSettingsHistories < ActiveRecord::Migration[5.0]
+  def up
+    add_column :super_settings_histories, :approved_by, :string, limit: 150, null: true
+  end
+
+  def down
+    remove_column :super_settings_histories, :approved_by
+  end
+end
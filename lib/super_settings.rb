@@ -6,6 +6,7 @@ require "json"
 module SuperSettings
   autoload :Application, File.join(__dir__, "super_settings/application")
   autoload :Attributes, File.join(__dir__, "super_settings/attributes")
+  autoload :ChangeRequest, File.join(__dir__, "super_settings/change_request")
   autoload :Coerce, File.join(__dir__, "super_settings/coerce")
   autoload :Configuration, File.join(__dir__, "super_settings/configuration")
   autoload :Context, File.join(__dir__, "super_settings/context")
@@ -16,6 +17,7 @@ module SuperSettings
   autoload :MiniI18n, File.join(__dir__, "super_settings/mini_i18n")
   autoload :RackApplication, File.join(__dir__, "super_settings/rack_application")
   autoload :RestAPI, File.join(__dir__, "super_settings/rest_api")
+  autoload :ScheduledChange, File.join(__dir__, "super_settings/scheduled_change")
   autoload :Setting, File.join(__dir__, "super_settings/setting")
   autoload :Storage, File.join(__dir__, "super_settings/storage")
   autoload :TimePrecision, File.join(__dir__, "super_settings/time_precision")
@@ -110,6 +112,25 @@ module SuperSettings
       Array(val).collect { |v| v&.to_s }
     end
 
+    # Get a setting value parsed as JSON. Settings with the json value type will return a Hash
+    # or an Array. String values will be parsed as JSON and the default will be returned if
+    # they are not valid JSON.
+    #
+    # @param key [String, Symbol]
+    # @param default [Hash, Array] value to return if the setting value is nil or not valid JSON
+    # @return [Hash, Array]
+    def json(key, default = nil)
+      val = context_setting(key)
+      val = default if val.nil?
+      return val unless val.is_a?(String)
+
+      begin
+        JSON.parse(val)
+      rescue JSON::ParserError
+        default
+      end
+    end
+
     # Get a pseudo random number. This method works the same as Kernel.rand. However, if you are
     # inside a context block, then the random number will be the same each time you call this method.
     # This is useful when you need to generate a random number for a setting that you want to remain
@@ -7,6 +7,44 @@ module SuperSettings
   class Application
     include Helper
 
+    class << self
+      # Return the JavaScript for the browser REST API client that defines +window.SuperSettingsAPI+.
+      # This is the environment neutral client from client.js followed by the browser wrapper in api.js.
+      #
+      # @return [String]
+      def api_javascript
+        "#{client_source}\n#{File.read(File.expand_path(File.join("application", "api.js"), __dir__))}"
+      end
+
+      # Return the JavaScript for the REST API client that can be used outside of the browser. The
+      # CommonJS version can also be loaded with a script tag to define the +SuperSettingsClient+ global.
+      #
+      # @param format [Symbol] +:commonjs+ or +:esm+ for an ES module.
+      # @return [String]
+      def client_javascript(format = :commonjs)
+        case format.to_sym
+        when :commonjs
+          client_source
+        when :esm
+          <<~JAVASCRIPT
+            const module = {exports: {}};
+            #{client_source}
+            const {createAPI, APIError, LocalCache} = module.exports;
+            export {createAPI, APIError, LocalCache};
+            export default module.exports;
+          JAVASCRIPT
+        else
+          raise ArgumentError.new("Unknown JavaScript module format: #{format.inspect}")
+        end
+      end
+
+      private
+
+      def client_source
+        File.read(File.expand_path(File.join("application", "client.js"), __dir__))
+      end
+    end
+
     # @param layout [String, Symbol] path to an ERB template to use as the layout around the application UI. You can
     #   pass the symbol +:default+ to use the default layout that ships with the gem.
     # @param add_to_head [String] HTML code to add to the <head> element on the page.
@@ -16,9 +54,13 @@ module SuperSettings
     # @param dark_mode_selector [String] a CSS selector that sets dark mode when it matches an element in the page.
     #   This is an alternative to using the color_scheme option.
     # @param read_only [Boolean] whether to render the application in read-only mode (edit controls hidden).
+    # @param propose_only [Boolean] whether to render the application in propose-only mode where changes are
+    #   submitted as change requests for approval instead of being saved.
     # @param locale [String] the locale code for translations (default: "en").
-    def initialize(layout: nil, add_to_head: nil, api_base_url: nil, color_scheme: nil, dark_mode_selector: nil, read_only: false, locale: nil)
-      if layout
+    # @param embedded [Boolean] whether the application is rendered as a widget embedded in another application.
+    #   Embedded applications are rendered without a layout or the JavaScript for the page.
+    def initialize(layout: nil, add_to_head: nil, api_base_url: nil, color_scheme: nil, dark_mode_selector: nil, read_only: false, propose_only: false, locale: nil, embedded: false)
+      if layout && !embedded
         layout = File.expand_path(File.join("application", "layout.html.erb"), __dir__) if layout == :default
         @layout = ERB.new(File.read(layout)) if layout
         @add_to_head = add_to_head
@@ -31,7 +73,9 @@ module SuperSettings
       @color_scheme = color_scheme&.to_sym
       @dark_mode_selector = dark_mode_selector
       @read_only = !!read_only
+      @propose_only = !!propose_only && !@read_only
       @locale = locale || SuperSettings::MiniI18n::DEFAULT_LOCALE
+      @embedded = !!embedded
     end
 
     # Render the web UI application HTML.
@@ -56,6 +100,15 @@ module SuperSettings
       html
     end
 
+    # Render the JavaScript for embedding the web UI in another application. The script defines
+    # the +SuperSettingsUI.mount+ function along with the markup for the widgets it mounts. The
+    # application should be initialized with +embedded: true+.
+    #
+    # @return [String] the rendered JavaScript
+    def render_widget_javascript
+      "window.__superSettingsWidgetHTML = #{JSON.generate(render.to_str)};\n#{javascript_source}"
+    end
+
     private
 
     def render_layout
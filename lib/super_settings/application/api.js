@@ -5,124 +5,69 @@
 // You can set the `baseUrl` property on this object to specify the API endpoint.
 // If not set, it will fall back to using `window.location.pathname`.
 //
+// If you need to call more than one API endpoint on the same page, you can create
+// a client with its own base URL with `SuperSettingsAPI.client({baseUrl: url})`.
+// The client has the same API functions and shares the headers and query string
+// parameters set on `window.SuperSettingsAPI`. A client can also have its own
+// `headers` and `queryParams` that are added to the shared ones.
+//
 // You can add custom headers or query string parameters to the API requests
 // by adding key/values to the `headers` and `queryParams` hashes on this object.
 // You can use these to add authorization credentials or access tokens to the
 // requests so they will be accepted by the back end.
+//
+// If your access tokens expire, you can set `getAccessToken` to a function that
+// returns the current token (or a Promise that resolves with it). The function is
+// called with `{refresh: true}` when a request is rejected with a 401 status so it
+// can get a new token, and then the request is retried once with the new token.
+// Other requests wait while the token is being refreshed.
+//
+// Requests time out after `timeout` seconds. GET requests that fail with a network
+// error, a timeout, or a 5xx response are retried `retries` times with an exponential
+// backoff starting at `retryDelay` seconds. POST requests are only retried if they are
+// sent with an `idempotencyKey` option so that changes are not applied twice.
+//
+// Every API function accepts an options object after its other arguments with these
+// per-request options: `signal` (an AbortSignal to cancel the request), `timeout`,
+// `retries`, `retryDelay`, and `idempotencyKey` (sent in the Idempotency-Key header).
+//
+// Interceptors can be added with `onRequest`, `onResponse`, and `onError` to customize
+// every request made by the API functions (see addInterceptor in client.js).
+//
+// The client is defined in client.js, which does not depend on the browser so that it
+// can also be used in Node.js. This file must be loaded after it and connects the client
+// to the page: requests use `window.fetch`, the access token from the URL is read from
+// session storage, the CSRF token is read from the page meta tags, and the browser is
+// redirected to the `authenticationUrl` if a request is not authorized.
 (function() {
-  // Get the URL for making an API call to the specified action and id.
-  function apiURL(action, params) {
-    let url = SuperSettingsAPI.baseUrl || window.location.pathname;
-    if (url.endsWith("/")) {
-      url = url.substring(0, url.length - 1);
-    }
-    if (action) {
-      url += action;
-    }
-    if (params) {
-      const queryString = Object.keys(params).map(function(key) {
-        return encodeURIComponent(key) + '=' + encodeURIComponent(params[key]);
-      }).join('&');
-      if (queryString.length > 0) {
-        url += "?" + queryString
-      }
+  // Get the CSRF token from the meta tags on the page so it can be added to POST requests.
+  function pageCsrfToken() {
+    const csrfParam = document.querySelector("meta[name=csrf-param]");
+    const csrfToken = document.querySelector("meta[name=csrf-token]");
+    if (csrfParam && csrfToken) {
+      return {param: csrfParam.content, token: csrfToken.content};
     }
-    return url;
+    return null;
   }
 
-  function callAPI(path, options, callback, errorCallback) {
-    if (!options) {
-      options = {};
-    }
-    method = (options.method || "get");
-
-    params = options.params
-    let queryParams = null;
-    const headers = new Headers();
-    const fetchOptions = {credentials: "same-origin", headers: headers};
-    const accessToken = window.sessionStorage.getItem("super_settings_access_token");
-
-    headers.set("Accept", "application/json");
-    if (accessToken) {
-      headers.set("Authorization", "Bearer " + accessToken);
-    }
-    Object.entries(SuperSettingsAPI.headers).forEach(function(entry) {
-      const [key, value] = entry;
-      headers.set(key, value);
-    });
-
-    if (method === "POST") {
-      queryParams = Object.assign({}, SuperSettingsAPI.queryParams);
-      csrfParam = document.querySelector("meta[name=csrf-param]");
-      csrfToken = document.querySelector("meta[name=csrf-token]");
-      if (csrfParam && csrfToken) {
-        params = Object.assign({}, params || {});
-        params[csrfParam.content] = csrfToken.content;
-      }
-      fetchOptions["method"] = "POST";
-      fetchOptions["body"] = JSON.stringify(params);
-      headers.set("Content-Type", "application/json");
+  // Show an error that was not handled by an errorCallback. The error is shown in the web UI
+  // notifications if the web UI is on the page; otherwise a settings:error event is dispatched
+  // on the document so that the page can report it.
+  function showError(error) {
+    if (window.SuperSettingsUI && typeof window.SuperSettingsUI.showError === "function") {
+      window.SuperSettingsUI.showError(error);
     } else {
-      queryParams = Object.assign({}, SuperSettingsAPI.queryParams, params);
+      document.dispatchEvent(new CustomEvent("settings:error", {detail: {error: error}}));
     }
-    const url = apiURL(path, queryParams);
-
-    fetch(url, fetchOptions)
-    .then(
-      function(response) {
-        if (response.ok) {
-          return response.json();
-        } else if ((response.status === 401 || response.status === 403) && SuperSettingsAPI.authenticationUrl) {
-          window.location = SuperSettingsAPI.authenticationUrl;
-        } else if (errorCallback) {
-          errorCallback(response.status + " " + response.statusText);
-          return null;
-        } else {
-          throw(response.status + " " + response.statusText)
-        }
-      }
-    ).then(
-      function(data) {
-        if (data !== null && data !== undefined && callback) {
-          callback(data);
-        }
-      }
-    ).catch(
-      function(error) {
-        if (errorCallback) {
-          errorCallback(error);
-        } else {
-          showError(error);
-        }
-      }
-    );
   }
 
-  // Show an error message in an alert.
-  function showError(error) {
-    console.error('Error:', error)
-    const _i18n = window.__superSettingsI18n || {};
-    alert(_i18n["error.generic"] || "Sorry, an error occurred. Refresh the page and try again.")
-  }
-
-  window.SuperSettingsAPI = {
-    baseUrl: null,
-    queryParams: {},
-    headers: {},
-    authorized: function(callback, errorCallback) {
-      callAPI("/authorized", {}, function(data) { callback(data.permission); }, function(error) {
-        if (typeof error === "string" && (error.startsWith("401") || error.startsWith("403"))) {
-          callback("none");
-        } else if (errorCallback) {
-          errorCallback(error);
-        } else {
-          showError(error);
-        }
-      });
-    },
-    fetchSettings: function(callback, errorCallback) { callAPI("/settings", {}, callback, errorCallback) },
-    fetchHistory: function(params, callback, errorCallback) { callAPI("/setting/history", {params: params}, callback, errorCallback) },
-    updateSettings: function(params, callback, errorCallback) { callAPI("/settings", {method: "POST", params: params}, callback, errorCallback) },
-    fetchSetting: function(key, callback, errorCallback) { callAPI("/setting", {params: {key: key}}, callback, errorCallback) }
-  }
+  window.SuperSettingsAPI = window.SuperSettingsClient.createAPI({
+    // Look up fetch when each request is made so that it can be wrapped by the page.
+    fetch: function(url, options) { return window.fetch(url, options); },
+    storage: {getItem: function(key) { return window.sessionStorage.getItem(key); }},
+    csrfToken: pageCsrfToken,
+    redirect: function(url) { window.location = url; },
+    showError: showError,
+    defaultBaseUrl: function() { return window.location.pathname; }
+  });
 })();
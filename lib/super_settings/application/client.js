@@ -0,0 +1,1002 @@
+// Client for the Super Settings REST API that does not depend on a browser. The same client
+// is used by api.js to define `window.SuperSettingsAPI` in the browser, but it can also be used
+// in Node.js services and server rendered pages.
+//
+// The file can be loaded as a CommonJS module or with a script tag, which defines the
+// `SuperSettingsClient` global. An ES module version is served from the `/client.mjs` endpoint.
+//
+// @example
+//   const {createAPI} = require("./super_settings_client");
+//   const api = createAPI({baseUrl: "https://example.com/settings", headers: {"Authorization": "Bearer " + token}});
+//   const {settings} = await api.fetchSettings();
+(function(root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SuperSettingsClient = factory();
+  }
+})(typeof globalThis !== "undefined" ? globalThis : this, function() {
+  // Key for the access token in the storage passed to createAPI.
+  const ACCESS_TOKEN_STORAGE_KEY = "super_settings_access_token";
+
+  // Error raised when an API request fails. HTTP errors will have the response status,
+  // status text, and parsed response body set. Network errors will have a status of 0
+  // and the underlying error set as the cause. Requests that time out have `timedOut` set
+  // and requests cancelled with an AbortSignal have `aborted` set. The endpoint is set to the
+  // method and URL of the request that failed.
+  class APIError extends Error {
+    constructor(message, status, statusText, body, cause) {
+      super(message);
+      this.name = "SuperSettingsAPIError";
+      this.status = status;
+      this.statusText = statusText;
+      this.body = body;
+      this.timedOut = false;
+      this.aborted = false;
+      this.endpoint = null;
+      if (cause) {
+        this.cause = cause;
+      }
+    }
+  }
+
+  // Create the error for a request that failed without a response.
+  function networkError(error) {
+    return new APIError(error.message || ("" + error), 0, "", null, error);
+  }
+
+  // Parse the body of an error response. JSON bodies are returned as objects and anything
+  // else is returned as text.
+  function parseErrorBody(response) {
+    return response.text().then(function(text) {
+      try {
+        return JSON.parse(text);
+      } catch (e) {
+        return text;
+      }
+    }).catch(function() {
+      return null;
+    });
+  }
+
+  // Convert an APIError into the value that has always been passed to error callbacks:
+  // a "status statusText" string for HTTP errors or the original error for network errors.
+  function callbackError(error) {
+    if (error instanceof APIError) {
+      if (error.status > 0) {
+        return error.status + " " + error.statusText;
+      } else if (error.cause) {
+        return error.cause;
+      }
+    }
+    return error;
+  }
+
+  // Set a header on a plain object of headers. Header names are case insensitive so any existing
+  // header with the same name is replaced.
+  function setHeader(headers, name, value) {
+    const lowerName = name.toLowerCase();
+    Object.keys(headers).forEach(function(key) {
+      if (key.toLowerCase() === lowerName) {
+        delete headers[key];
+      }
+    });
+    headers[name] = value;
+  }
+
+  // Return true if a request can be safely sent again. POST requests are only retried if they
+  // have an idempotency key so the server can recognize duplicates.
+  function retryable(options) {
+    return options.method !== "POST" || !!options.idempotencyKey;
+  }
+
+  // Return a Promise that resolves after a number of seconds or rejects if the signal is aborted.
+  function delay(seconds, signal) {
+    return new Promise(function(resolve, reject) {
+      if (signal && signal.aborted) {
+        reject(abortedError(signal.reason));
+        return;
+      }
+      const abort = function() {
+        clearTimeout(timer);
+        reject(abortedError(signal.reason));
+      };
+      const timer = setTimeout(function() {
+        if (signal) {
+          signal.removeEventListener("abort", abort);
+        }
+        resolve();
+      }, seconds * 1000);
+      if (signal) {
+        signal.addEventListener("abort", abort, {once: true});
+      }
+    });
+  }
+
+  function abortedError(cause) {
+    const error = new APIError("Request aborted", 0, "", null, cause);
+    error.aborted = true;
+    return error;
+  }
+
+  function timeoutError(cause) {
+    const error = new APIError("Request timed out", 0, "", null, cause);
+    error.timedOut = true;
+    return error;
+  }
+
+  // Split the trailing arguments to an API function into the request options and the callback
+  // functions. The options object can come before or after the callbacks.
+  function splitArguments(args) {
+    let options = {};
+    const callbacks = [];
+    args.forEach(function(arg) {
+      if (arg && typeof arg === "object") {
+        options = arg;
+      } else {
+        callbacks.push(arg);
+      }
+    });
+    return {options: requestOptions(options), callback: callbacks[0], errorCallback: callbacks[1]};
+  }
+
+  // Return the query parameters for the keyPrefix option of the functions that fetch settings.
+  function keyPrefixParams(args) {
+    const options = args.find(function(arg) { return arg && typeof arg === "object" });
+    return (options && options.keyPrefix ? {key_prefix: options.keyPrefix} : {});
+  }
+
+  // Return only the per-request options that callers are allowed to set.
+  function requestOptions(options) {
+    const allowed = {};
+    ["signal", "timeout", "retries", "retryDelay", "idempotencyKey"].forEach(function(name) {
+      if (options[name] !== undefined) {
+        allowed[name] = options[name];
+      }
+    });
+    return allowed;
+  }
+
+  // Values that are considered false when casting a setting to a boolean.
+  const FALSE_VALUES = ["0", "f", "false", "off"];
+
+  function isBlank(value) {
+    return value === null || value === undefined || ((typeof value === "string" || Array.isArray(value)) && value.length === 0);
+  }
+
+  // Cache of setting values in the browser that works like SuperSettings::LocalCache in Ruby.
+  // All of the settings are loaded once and then the API is polled on an interval to check
+  // if anything changed. Only the settings that have changed are reloaded.
+  //
+  // The typed getter functions cast values the same way as the Ruby methods on SuperSettings
+  // and return the default value until the cache has been loaded.
+  //
+  // Listeners can be added with `on` for these events:
+  //
+  // * change - called once for each key with a changed value, value type, or description with {key, value, previousValue, setting}
+  // * load - called when the cache has been loaded with all the settings
+  // * error - called with the error when loading or refreshing the settings fails
+  //
+  // @example
+  //   const cache = new api.LocalCache({refreshInterval: 10});
+  //   cache.on("change", function(event) { console.log(event.key, event.value) });
+  //   await cache.start();
+  //   cache.integer("max_items", 25);
+  class LocalCache {
+    // Options:
+    // * refreshInterval - number of seconds between checks for changed settings (default 5)
+    // * client - API client to use for requests (the LocalCache on an API object uses that API by default)
+    // * keyPrefix - only load settings with keys that start with this prefix
+    constructor(options) {
+      options = options || {};
+      this.refreshInterval = (options.refreshInterval === undefined ? 5 : options.refreshInterval);
+      this.client = options.client || null;
+      this.keyPrefix = options.keyPrefix || null;
+      this.settings = {};
+      this.lastUpdatedAt = null;
+      this.loaded = false;
+      this.listeners = {};
+      this.refreshPromise = null;
+      this.timer = null;
+    }
+
+    // Load all the settings into the cache. Returns a Promise that resolves when the settings are loaded.
+    load() {
+      const cache = this;
+      return cache.loadAll().catch(function(error) {
+        cache.emit("error", error);
+        throw error;
+      });
+    }
+
+    // Check if any settings have changed and load just the ones that have. Returns a Promise
+    // that resolves when the cache is up to date. Concurrent calls share the same request.
+    refresh() {
+      if (!this.loaded) {
+        return this.load();
+      }
+      if (this.refreshPromise) {
+        return this.refreshPromise;
+      }
+
+      const cache = this;
+      const api = cache.api();
+      cache.refreshPromise = api.fetchLastUpdatedAt().then(function(payload) {
+        const lastUpdatedAt = payload.last_updated_at;
+        if (!lastUpdatedAt || (cache.lastUpdatedAt && Date.parse(lastUpdatedAt) <= Date.parse(cache.lastUpdatedAt))) {
+          return cache;
+        }
+
+        // Use a one second buffer like the Ruby cache so changes saved at nearly the same time are not missed.
+        const since = (cache.lastUpdatedAt ? new Date(Date.parse(cache.lastUpdatedAt) - 1000) : new Date(0));
+        return api.fetchUpdatedSince(since, {keyPrefix: cache.keyPrefix}).then(function(updated) {
+          let latest = null;
+          const changed = Object.assign({}, cache.settings);
+          updated.settings.forEach(function(setting) {
+            changed[setting.key] = setting;
+            if (!latest || Date.parse(setting.updated_at) > Date.parse(latest)) {
+              latest = setting.updated_at;
+            }
+          });
+
+          // Deleted settings are not returned by updated_since, so if the most recent change
+          // is not accounted for then a setting was deleted and everything needs to be reloaded.
+          // With a key prefix, this also happens when a setting outside the prefix was changed.
+          if (!latest || Date.parse(latest) < Date.parse(lastUpdatedAt)) {
+            return cache.loadAll().then(function() {
+              cache.trackUpdatedAt(lastUpdatedAt);
+              return cache;
+            });
+          }
+
+          const previous = cache.settings;
+          cache.settings = changed;
+          cache.trackUpdatedAt(lastUpdatedAt);
+          cache.emitChanges(previous, changed);
+          return cache;
+        });
+      }).catch(function(error) {
+        cache.emit("error", error);
+        throw error;
+      }).finally(function() {
+        cache.refreshPromise = null;
+      });
+
+      return cache.refreshPromise;
+    }
+
+    // Load the cache and start polling for changes on the refresh interval. Returns a Promise
+    // that resolves when the initial load is complete.
+    start() {
+      const cache = this;
+      cache.stop();
+      cache.timer = setInterval(function() {
+        cache.refresh().catch(function() {
+          // Errors are reported to the error event listeners.
+        });
+      }, cache.refreshInterval * 1000);
+      return (cache.loaded ? Promise.resolve(cache) : cache.load());
+    }
+
+    // Stop polling for changes.
+    stop() {
+      if (this.timer) {
+        clearInterval(this.timer);
+        this.timer = null;
+      }
+    }
+
+    // Add a listener for an event (change, load, or error).
+    on(event, listener) {
+      if (!this.listeners[event]) {
+        this.listeners[event] = [];
+      }
+      this.listeners[event].push(listener);
+      return this;
+    }
+
+    // Remove a listener that was added with `on`.
+    off(event, listener) {
+      if (this.listeners[event]) {
+        this.listeners[event] = this.listeners[event].filter(function(l) { return l !== listener });
+      }
+      return this;
+    }
+
+    // Return true if the cache has a value for the key.
+    has(key) {
+      return Object.prototype.hasOwnProperty.call(this.settings, "" + key);
+    }
+
+    // Return the raw value for a setting as it was returned by the API.
+    value(key) {
+      const setting = this.settings["" + key];
+      return (setting ? setting.value : null);
+    }
+
+    // Return the cached settings as an object of key/value pairs.
+    toObject() {
+      const values = {};
+      Object.keys(this.settings).forEach((key) => { values[key] = this.settings[key].value; });
+      return values;
+    }
+
+    // Get a setting value cast to a string. Arrays of values are joined with newlines and objects,
+    // or arrays that contain objects or arrays, are returned as JSON like SuperSettings.get in Ruby.
+    get(key, defaultValue) {
+      const value = this.value(key);
+      if (typeof value === "string") {
+        return value;
+      } else if (isBlank(value)) {
+        return (defaultValue === undefined ? null : defaultValue);
+      } else if (Array.isArray(value) && !value.some(function(v) { return v !== null && typeof v === "object" })) {
+        return value.join("\n");
+      } else if (typeof value === "object") {
+        return JSON.stringify(value);
+      } else {
+        return "" + value;
+      }
+    }
+
+    // Alias for `get`.
+    string(key, defaultValue) {
+      return this.get(key, defaultValue);
+    }
+
+    // Get a setting value cast to an integer.
+    integer(key, defaultValue) {
+      const value = this.valueOrDefault(key, defaultValue);
+      if (value === null) {
+        return null;
+      }
+      const number = (typeof value === "number" ? Math.trunc(value) : parseInt("" + value, 10));
+      return (isNaN(number) ? 0 : number);
+    }
+
+    // Get a setting value cast to a float.
+    float(key, defaultValue) {
+      const value = this.valueOrDefault(key, defaultValue);
+      if (value === null) {
+        return null;
+      }
+      const number = (typeof value === "number" ? value : parseFloat("" + value));
+      return (isNaN(number) ? 0.0 : number);
+    }
+
+    // Get a setting value cast to a boolean.
+    enabled(key, defaultValue) {
+      const value = this.valueOrDefault(key, (defaultValue === undefined ? false : defaultValue));
+      if (value === false) {
+        return false;
+      } else if (isBlank(value)) {
+        return null;
+      } else {
+        return !FALSE_VALUES.includes(("" + value).toLowerCase());
+      }
+    }
+
+    // Return true if a setting cast as a boolean evaluates to false.
+    disabled(key, defaultValue) {
+      return !this.enabled(key, !(defaultValue === undefined ? true : defaultValue));
+    }
+
+    // Get a setting value cast to a Date. Numbers are treated as seconds since the epoch.
+    datetime(key, defaultValue) {
+      const value = this.valueOrDefault(key, defaultValue);
+      if (isBlank(value)) {
+        return null;
+      }
+      let date = null;
+      if (value instanceof Date) {
+        date = value;
+      } else if (typeof value === "number") {
+        date = new Date(value * 1000);
+      } else {
+        date = new Date(Date.parse("" + value));
+      }
+      return (isNaN(date.getTime()) ? null : date);
+    }
+
+    // Get a setting value cast to an array of strings.
+    array(key, defaultValue) {
+      const value = this.valueOrDefault(key, defaultValue);
+      if (value === null) {
+        return null;
+      }
+      return (Array.isArray(value) ? value : [value]).map(function(v) {
+        return (v === null || v === undefined ? v : "" + v);
+      });
+    }
+
+    // Get a setting value parsed as JSON. String values will be parsed and objects and arrays will
+    // be returned as is. Returns the default value if a string value is not valid JSON.
+    json(key, defaultValue) {
+      const value = this.valueOrDefault(key, defaultValue);
+      if (typeof value !== "string") {
+        return value;
+      }
+      try {
+        return JSON.parse(value);
+      } catch (e) {
+        return (defaultValue === undefined ? null : defaultValue);
+      }
+    }
+
+    // Internal helper functions.
+
+    loadAll() {
+      const cache = this;
+      return cache.api().fetchSettings({keyPrefix: cache.keyPrefix}).then(function(payload) {
+        const previous = cache.settings;
+        cache.settings = {};
+        payload.settings.forEach(function(setting) {
+          cache.settings[setting.key] = setting;
+          cache.trackUpdatedAt(setting.updated_at);
+        });
+        const wasLoaded = cache.loaded;
+        cache.loaded = true;
+        if (wasLoaded) {
+          cache.emitChanges(previous, cache.settings);
+        }
+        cache.emit("load", cache);
+        return cache;
+      });
+    }
+
+    valueOrDefault(key, defaultValue) {
+      const value = this.value(key);
+      if (value === null || value === undefined) {
+        return (defaultValue === undefined ? null : defaultValue);
+      }
+      return value;
+    }
+
+    api() {
+      if (!this.client) {
+        throw new Error("A client is required to load the settings");
+      }
+      return this.client;
+    }
+
+    trackUpdatedAt(time) {
+      if (time && (!this.lastUpdatedAt || Date.parse(time) > Date.parse(this.lastUpdatedAt))) {
+        this.lastUpdatedAt = time;
+      }
+    }
+
+    // Emit a change event for every key that differs between two sets of settings.
+    emitChanges(previous, current) {
+      const keys = new Set(Object.keys(previous).concat(Object.keys(current)));
+      keys.forEach((key) => {
+        const previousValue = (previous[key] ? previous[key].value : null);
+        const value = (current[key] ? current[key].value : null);
+        const previousType = (previous[key] ? previous[key].value_type : null);
+        const valueType = (current[key] ? current[key].value_type : null);
+        const previousDescription = (previous[key] ? previous[key].description || null : null);
+        const description = (current[key] ? current[key].description || null : null);
+        if (JSON.stringify(previousValue) !== JSON.stringify(value) || previousType !== valueType || previousDescription !== description) {
+          this.emit("change", {key: key, value: value, previousValue: previousValue, setting: current[key] || null});
+        }
+      });
+    }
+
+    // Call the listeners for an event. An error thrown by a listener does not stop the other
+    // listeners from being called; it is rethrown asynchronously so that it is reported as an
+    // uncaught error.
+    emit(event, detail) {
+      (this.listeners[event] || []).forEach(function(listener) {
+        try {
+          listener(detail);
+        } catch (e) {
+          setTimeout(function() { throw e; });
+        }
+      });
+    }
+  }
+
+  // Create an API object with the functions for calling each endpoint of the REST API. The
+  // object has the same properties and functions as `window.SuperSettingsAPI` in the browser.
+  // The properties can be changed after the object is created.
+  //
+  // Options:
+  // * baseUrl - the URL where the REST API is mounted
+  // * headers - headers to add to every request
+  // * queryParams - query string parameters to add to every request
+  // * getAccessToken - function to get the access token to send with requests (see api.js)
+  // * timeout - number of seconds before a request times out (default 30)
+  // * retries - number of times to retry a failed request that is safe to send again (default 2)
+  // * retryDelay - number of seconds to wait before the first retry (default 0.5)
+  // * authenticationUrl - URL to send the user to if a request is not authorized (requires redirect)
+  //
+  // These options connect the client to the environment it is running in:
+  // * fetch - the fetch function to use for requests (default globalThis.fetch)
+  // * AbortController - the AbortController class to use to cancel requests (default globalThis.AbortController)
+  // * storage - an object with a getItem function (i.e. sessionStorage) to read a stored access token
+  // * csrfToken - function that returns {param, token} to add to the body of POST requests
+  // * redirect - function that is called with the authenticationUrl to navigate to it
+  // * showError - function that is called with errors that are not handled by an errorCallback
+  // * defaultBaseUrl - function that returns the base URL to use if the baseUrl is not set
+  function createAPI(options) {
+    options = options || {};
+    const environment = {
+      fetch: options.fetch || null,
+      AbortController: options.AbortController || null,
+      storage: options.storage || null,
+      csrfToken: options.csrfToken || function() { return null; },
+      redirect: options.redirect || null,
+      showError: options.showError || null,
+      defaultBaseUrl: options.defaultBaseUrl || function() { return ""; }
+    };
+
+    // Get the URL for making an API call to the specified action and id.
+    function apiURL(action, params, baseUrl) {
+      let url = baseUrl || api.baseUrl || environment.defaultBaseUrl();
+      if (url.endsWith("/")) {
+        url = url.substring(0, url.length - 1);
+      }
+      if (action) {
+        url += action;
+      }
+      if (params) {
+        const queryString = Object.keys(params).map(function(key) {
+          return encodeURIComponent(key) + '=' + encodeURIComponent(params[key]);
+        }).join('&');
+        if (queryString.length > 0) {
+          url += "?" + queryString
+        }
+      }
+      return url;
+    }
+
+    // Make a request to the API. Returns a Promise that resolves with the parsed JSON response
+    // or rejects with an APIError. The callbacks are optional; see addCallbacks.
+    function callAPI(path, options, callback, errorCallback) {
+      options = options || {};
+      return addCallbacks(interceptErrors(request(path, options), path, options), callback, errorCallback);
+    }
+
+    // Functions added with onRequest, onResponse, and onError. These are shared by all clients
+    // created from the API object.
+    const interceptors = {request: [], response: [], error: []};
+
+    // Add an interceptor function and return a function that removes it. Interceptors are called
+    // in the order they were added and can return a value (or a Promise) to replace the one they
+    // were called with. Returning nothing keeps the current value.
+    //
+    // * onRequest(request) - called before each request is sent (including retries) with an object
+    //   with the `url`, `method`, `headers` (a plain object), and `body` for the request along
+    //   with the API `path` and `params`. The properties can be changed to rewrite the request.
+    // * onResponse(response, request) - called with each fetch Response. The request has a
+    //   `startTime` property with the time in milliseconds when it was sent.
+    // * onError(error, request) - called when an API function fails with the error it will be
+    //   rejected with. Return a different error to replace it. The request has the API `path`,
+    //   `method`, and `params`.
+    function addInterceptor(type, fn) {
+      if (typeof fn !== "function") {
+        throw new TypeError("An interceptor must be a function");
+      }
+      interceptors[type].push(fn);
+      return function() {
+        const index = interceptors[type].indexOf(fn);
+        if (index >= 0) {
+          interceptors[type].splice(index, 1);
+        }
+      };
+    }
+
+    // Pass a value through the interceptors of a type. Returns a Promise that resolves with the
+    // value returned by the last interceptor.
+    function runInterceptors(type, value, ...args) {
+      return interceptors[type].reduce(function(promise, fn) {
+        return promise.then(function(current) {
+          return Promise.resolve(fn(current, ...args)).then(function(result) {
+            return (result === undefined ? current : result);
+          });
+        });
+      }, Promise.resolve(value));
+    }
+
+    // Let the error interceptors map the error from a failed request.
+    function interceptErrors(promise, path, options) {
+      return promise.catch(function(error) {
+        const requestInfo = {path: path, method: (options.method || "GET"), params: options.params};
+        if (error instanceof APIError && !error.endpoint) {
+          error.endpoint = requestInfo.method + " " + apiURL(path, null, options.baseUrl);
+        }
+        return runInterceptors("error", error, requestInfo).then(function(mappedError) {
+          throw mappedError;
+        });
+      });
+    }
+
+    // Attach the traditional callback functions to a request promise. Errors that are not
+    // handled by an errorCallback will be shown with showError when callbacks are being used.
+    // Callers using the returned Promise directly are responsible for handling errors.
+    //
+    // The callbacks are not chained onto the returned Promise, so an error thrown by a callback
+    // is reported with showError instead of rejecting the Promise or going unhandled.
+    function addCallbacks(promise, callback, errorCallback) {
+      if (callback || errorCallback) {
+        promise.then(
+          function(data) {
+            if (data !== null && data !== undefined && callback) {
+              callback(data);
+            }
+          },
+          function(error) {
+            if (errorCallback) {
+              errorCallback(callbackError(error));
+            } else if (!error.aborted) {
+              showError(error);
+            }
+          }
+        ).catch(showError);
+      }
+      return promise;
+    }
+
+    // State for refreshing the access token from each getAccessToken function. Requests made while
+    // a token is being refreshed wait for the refresh to finish. The generation is incremented each
+    // time the token is refreshed so that requests sent with an older token can just be retried.
+    const tokenRefreshes = new WeakMap();
+
+    function tokenRefreshState(getAccessToken) {
+      let state = tokenRefreshes.get(getAccessToken);
+      if (!state) {
+        state = {promise: null, generation: 0};
+        tokenRefreshes.set(getAccessToken, state);
+      }
+      return state;
+    }
+
+    // Get the access token to send with a request. If there is a getAccessToken function it is
+    // called to get the token (it can return a Promise); otherwise the token stored in session
+    // storage from the URL is used. Returns a Promise that resolves with the token and the refresh
+    // generation it came from.
+    function accessToken(getAccessToken) {
+      const storedToken = (environment.storage ? environment.storage.getItem(ACCESS_TOKEN_STORAGE_KEY) : null);
+      if (!getAccessToken) {
+        return Promise.resolve({token: storedToken, generation: 0});
+      }
+
+      const state = tokenRefreshState(getAccessToken);
+      return Promise.resolve(state.promise).then(function() {
+        const generation = state.generation;
+        return Promise.resolve(getAccessToken({refresh: false})).then(function(token) {
+          return {token: token || storedToken, generation: generation};
+        });
+      }).catch(function(error) {
+        throw networkError(error);
+      });
+    }
+
+    // Ask the getAccessToken function for a new token after a request was rejected with a 401 status.
+    // Concurrent requests share a single refresh. Returns a Promise that resolves when the request
+    // can be retried with a new token or rejects with the error from getAccessToken.
+    function refreshAccessToken(getAccessToken, generation) {
+      const state = tokenRefreshState(getAccessToken);
+      if (state.generation !== generation) {
+        // The token has already been refreshed since the request was sent.
+        return Promise.resolve();
+      }
+      if (!state.promise) {
+        state.promise = Promise.resolve().then(function() {
+          return getAccessToken({refresh: true});
+        }).then(function() {
+          state.generation++;
+        }).finally(function() {
+          state.promise = null;
+        });
+      }
+      return state.promise;
+    }
+
+    // Send a request to the API with the shared headers, query parameters, and credentials. If the
+    // request is rejected with a 401 status and there is a getAccessToken function, the access token
+    // is refreshed and the request is retried once. If the token can't be refreshed, the request
+    // fails with the 401 error and the error from getAccessToken as its cause.
+    function request(path, options) {
+      const getAccessToken = options.getAccessToken || api.getAccessToken;
+      return accessToken(getAccessToken).then(function(auth) {
+        return sendWithRetries(path, options, auth.token).then(function(response) {
+          if (response.status === 401 && getAccessToken && !options.tokenRefreshed) {
+            return refreshAccessToken(getAccessToken, auth.generation).then(
+              function() {
+                return request(path, Object.assign({}, options, {tokenRefreshed: true}));
+              },
+              function(refreshError) {
+                return handleResponse(response).catch(function(error) {
+                  if (error instanceof APIError && !error.cause) {
+                    error.cause = refreshError;
+                  }
+                  throw error;
+                });
+              }
+            );
+          }
+          return handleResponse(response);
+        });
+      });
+    }
+
+    // Get a request option or the default value for it from the API object.
+    function requestOption(options, name) {
+      return (options[name] === undefined || options[name] === null ? api[name] : options[name]);
+    }
+
+    // Send a request and retry it with an exponential backoff if it fails with a network error, a
+    // timeout, or a 5xx response. Requests that can't be safely sent again are not retried.
+    // Returns a Promise that resolves with the last response.
+    function sendWithRetries(path, options, token) {
+      const retries = (retryable(options) ? requestOption(options, "retries") : 0);
+      const retryDelay = requestOption(options, "retryDelay");
+
+      const attempt = function(count) {
+        const retry = function() {
+          return delay(retryDelay * Math.pow(2, count), options.signal).then(function() {
+            return attempt(count + 1);
+          });
+        };
+
+        return sendRequest(path, options, token).then(
+          function(response) {
+            return (response.status >= 500 && count < retries ? retry() : response);
+          },
+          function(error) {
+            if (error instanceof APIError && !error.aborted && count < retries) {
+              return retry();
+            }
+            throw error;
+          }
+        );
+      };
+
+      return attempt(0);
+    }
+
+    // Make the HTTP request after running the request interceptors. Returns a Promise that resolves
+    // with the response or rejects with an APIError if there was a network error, the request timed
+    // out, or it was aborted.
+    function sendRequest(path, options, token) {
+      const method = (options.method || "get");
+
+      let params = options.params
+      let queryParams = null;
+      const headers = {};
+      const fetchOptions = {credentials: "same-origin", headers: headers};
+
+      setHeader(headers, "Accept", "application/json");
+      if (token) {
+        setHeader(headers, "Authorization", "Bearer " + token);
+      }
+      if (options.idempotencyKey) {
+        setHeader(headers, "Idempotency-Key", options.idempotencyKey);
+      }
+      Object.entries(Object.assign({}, api.headers, options.headers)).forEach(function(entry) {
+        const [key, value] = entry;
+        setHeader(headers, key, value);
+      });
+
+      if (method === "POST") {
+        queryParams = Object.assign({}, api.queryParams, options.queryParams);
+        const csrf = environment.csrfToken();
+        if (csrf) {
+          params = Object.assign({}, params || {});
+          params[csrf.param] = csrf.token;
+        }
+        fetchOptions["method"] = "POST";
+        fetchOptions["body"] = JSON.stringify(params);
+        setHeader(headers, "Content-Type", "application/json");
+      } else {
+        queryParams = Object.assign({}, api.queryParams, options.queryParams, params);
+      }
+
+      const requestInfo = {
+        url: apiURL(path, queryParams, options.baseUrl),
+        method: (fetchOptions.method || "GET"),
+        headers: headers,
+        body: fetchOptions.body,
+        path: path,
+        params: options.params
+      };
+
+      return runInterceptors("request", requestInfo).then(function(requestInfo) {
+        fetchOptions.method = requestInfo.method;
+        fetchOptions.headers = requestInfo.headers;
+        if (requestInfo.body === undefined) {
+          delete fetchOptions.body;
+        } else {
+          fetchOptions.body = requestInfo.body;
+        }
+        requestInfo.startTime = Date.now();
+        return fetchWithTimeout(requestInfo.url, fetchOptions, options).then(function(response) {
+          return runInterceptors("response", response, requestInfo);
+        });
+      });
+    }
+
+    // Call fetch with the request options. The request fails if it takes longer than the timeout
+    // or if the caller's signal is aborted. The request itself is only cancelled if an
+    // AbortController is available; otherwise it is left to finish and its response is ignored.
+    function fetchWithTimeout(url, fetchOptions, options) {
+      const AbortControllerClass = environment.AbortController || globalThis.AbortController;
+      const controller = (AbortControllerClass ? new AbortControllerClass() : null);
+      const signal = options.signal;
+      const timeout = requestOption(options, "timeout");
+      let timer = null;
+      let cancel = null;
+      const abort = function() { cancel(abortedError(signal.reason)) };
+      if (controller) {
+        fetchOptions.signal = controller.signal;
+      }
+
+      return new Promise(function(resolve, reject) {
+        cancel = function(error) {
+          reject(error);
+          if (controller) {
+            controller.abort();
+          }
+        };
+        if (signal) {
+          if (signal.aborted) {
+            abort();
+            return;
+          }
+          signal.addEventListener("abort", abort, {once: true});
+        }
+        if (timeout > 0) {
+          timer = setTimeout(function() { cancel(timeoutError()) }, timeout * 1000);
+        }
+
+        const fetchFunction = environment.fetch || globalThis.fetch;
+        fetchFunction(url, fetchOptions).then(resolve, function(error) {
+          reject(networkError(error));
+        });
+      }).finally(function() {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener("abort", abort);
+        }
+      });
+    }
+
+    // Parse the response from the API. Returns a Promise that resolves with the parsed JSON or
+    // rejects with an APIError.
+    function handleResponse(response) {
+      if (response.ok) {
+        return response.json().catch(function(error) {
+          throw new APIError("Invalid JSON response", response.status, response.statusText, null, error);
+        });
+      } else if ((response.status === 401 || response.status === 403) && api.authenticationUrl && environment.redirect) {
+        environment.redirect(api.authenticationUrl);
+        // The page is navigating away so the promise is intentionally never settled.
+        return new Promise(function() {});
+      } else {
+        return parseErrorBody(response).then(function(body) {
+          throw new APIError(response.status + " " + response.statusText, response.status, response.statusText, body);
+        });
+      }
+    }
+
+    // Report an error that was not handled by an errorCallback. Without a showError option the
+    // error is rethrown asynchronously so that it is reported as an uncaught error.
+    function showError(error) {
+      if (environment.showError) {
+        environment.showError(error);
+      } else {
+        setTimeout(function() { throw error; });
+      }
+    }
+
+    // Build the API functions for a client. The clientOptions function returns the base URL,
+    // headers, and query parameters to use for each request so that changes to the client
+    // properties are picked up.
+    //
+    // All of the API functions return a Promise that resolves with the parsed JSON response and
+    // rejects with an error that has `status`, `statusText`, and `body` properties. The optional
+    // callback and errorCallback arguments are still supported for callers that don't use Promises.
+    function apiFunctions(clientOptions) {
+      function call(path, options, args) {
+        const split = splitArguments(args);
+        return callAPI(path, Object.assign(clientOptions(), split.options, options), split.callback, split.errorCallback);
+      }
+
+      return {
+        authorized: function(...args) {
+          const split = splitArguments(args);
+          const options = Object.assign(clientOptions(), split.options);
+          const promise = request("/authorized", options).then(
+            function(data) { return data.permission; },
+            function(error) {
+              if (error.status === 401 || error.status === 403) {
+                return "none";
+              }
+              throw error;
+            }
+          );
+          return addCallbacks(interceptErrors(promise, "/authorized", options), split.callback, split.errorCallback);
+        },
+        fetchSettings: function(...args) { return call("/settings", {params: keyPrefixParams(args)}, args) },
+        fetchHistory: function(params, ...args) { return call("/setting/history", {params: params}, args) },
+        updateSettings: function(params, ...args) { return call("/settings", {method: "POST", params: params}, args) },
+        fetchSetting: function(key, ...args) { return call("/setting", {params: {key: key}}, args) },
+        fetchLastUpdatedAt: function(...args) { return call("/settings/last_updated_at", {}, args) },
+        fetchUpdatedSince: function(time, ...args) {
+          if (time instanceof Date) {
+            time = time.toISOString();
+          }
+          return call("/settings/updated_since", {params: Object.assign({time: time}, keyPrefixParams(args))}, args);
+        },
+        fetchScheduledChanges: function(...args) { return call("/scheduled_changes", {}, args) },
+        cancelScheduledChange: function(id, ...args) { return call("/scheduled_changes/cancel", {method: "POST", params: {id: id}}, args) },
+        fetchChangeRequests: function(...args) { return call("/change_requests", {}, args) },
+        createChangeRequest: function(params, ...args) { return call("/change_requests", {method: "POST", params: params}, args) },
+        approveChangeRequest: function(id, ...args) { return call("/change_requests/approve", {method: "POST", params: {id: id}}, args) },
+        rejectChangeRequest: function(id, comment, ...args) { return call("/change_requests/reject", {method: "POST", params: {id: id, comment: comment}}, args) },
+        withdrawChangeRequest: function(id, ...args) { return call("/change_requests/withdraw", {method: "POST", params: {id: id}}, args) }
+      };
+    }
+
+    // Create an API client with its own base URL. Headers and query parameters are shared with
+    // the API object. If the base URL is not set, the one on the API object is used.
+    //
+    // Options:
+    // * baseUrl - the URL where the REST API is mounted
+    // * headers - headers to add to the requests from this client (i.e. credentials for another environment)
+    // * queryParams - query string parameters to add to the requests from this client
+    // * getAccessToken - function to get the access token for this client instead of the shared one
+    function client(options) {
+      options = options || {};
+      const apiClient = {
+        baseUrl: options.baseUrl || null,
+        headers: Object.assign({}, options.headers),
+        queryParams: Object.assign({}, options.queryParams),
+        getAccessToken: options.getAccessToken || null,
+        APIError: APIError,
+        LocalCache: null
+      };
+
+      // LocalCache that uses this client unless another client is passed to it.
+      apiClient.LocalCache = class extends LocalCache {
+        constructor(cacheOptions) {
+          super(Object.assign({client: apiClient}, cacheOptions));
+        }
+      };
+
+      return Object.assign(apiClient, apiFunctions(function() {
+        return {baseUrl: apiClient.baseUrl, headers: apiClient.headers, queryParams: apiClient.queryParams, getAccessToken: apiClient.getAccessToken};
+      }));
+    }
+
+    const api = {
+      baseUrl: options.baseUrl || null,
+      queryParams: Object.assign({}, options.queryParams),
+      headers: Object.assign({}, options.headers),
+      getAccessToken: options.getAccessToken || null,
+      timeout: (options.timeout === undefined ? 30 : options.timeout),
+      retries: (options.retries === undefined ? 2 : options.retries),
+      retryDelay: (options.retryDelay === undefined ? 0.5 : options.retryDelay),
+      APIError: APIError,
+      LocalCache: null,
+      client: client,
+      onRequest: function(fn) { return addInterceptor("request", fn); },
+      onResponse: function(fn) { return addInterceptor("response", fn); },
+      onError: function(fn) { return addInterceptor("error", fn); }
+    };
+    if (options.authenticationUrl) {
+      api.authenticationUrl = options.authenticationUrl;
+    }
+
+    // LocalCache that uses this API object unless another client is passed to it.
+    class BoundLocalCache extends LocalCache {
+      constructor(cacheOptions) {
+        super(Object.assign({client: api}, cacheOptions));
+      }
+    }
+    api.LocalCache = BoundLocalCache;
+
+    return Object.assign(api, apiFunctions(function() { return {}; }));
+  }
+
+  return {createAPI: createAPI, APIError: APIError, LocalCache: LocalCache};
+});
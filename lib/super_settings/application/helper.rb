@@ -42,26 +42,38 @@ module SuperSettings
       SuperSettings::MiniI18n.text_direction(@locale || SuperSettings::MiniI18n::DEFAULT_LOCALE)
     end
 
-    # Return the full translations hash as JSON for inlining into the page.
+    # Return the full translations hash as JSON for inlining into the page. Keys missing
+    # from the current locale fall back to the default locale.
     #
     # @return [String] JSON string
     def translations_json
-      SuperSettings::MiniI18n.translations_for(@locale || SuperSettings::MiniI18n::DEFAULT_LOCALE).to_json
+      default_translations = SuperSettings::MiniI18n.translations_for(SuperSettings::MiniI18n::DEFAULT_LOCALE)
+      default_translations.merge(SuperSettings::MiniI18n.translations_for(@locale || SuperSettings::MiniI18n::DEFAULT_LOCALE)).to_json
     end
 
     # Render the scripts.js file as an inline <script> tag.
     def javascript_tag
       <<~HTML
         <script>
-          window.__superSettingsI18n = #{translations_json};
-          #{File.read(File.join(__dir__, "scripts.js"))}
-          #{File.read(File.join(__dir__, "api.js"))}
-          #{"SuperSettingsAPI.authenticationUrl = '#{SuperSettings.authentication_url.gsub("'", "\\'")}';" if SuperSettings.authentication_url}
-          #{SuperSettings.web_ui_javascript}
+          #{javascript_source}
         </script>
       HTML
     end
 
+    # Return the JavaScript for the web UI including the translations, the REST API client,
+    # and any custom JavaScript defined with SuperSettings.web_ui_javascript.
+    #
+    # @return [String]
+    def javascript_source
+      <<~JAVASCRIPT
+        window.__superSettingsI18n = #{translations_json};
+        #{File.read(File.join(__dir__, "scripts.js"))}
+        #{Application.api_javascript}
+        #{"SuperSettingsAPI.authenticationUrl = '#{SuperSettings.authentication_url.gsub("'", "\\'")}';" if SuperSettings.authentication_url}
+        #{SuperSettings.web_ui_javascript}
+      JAVASCRIPT
+    end
+
     # Render the styles.css as an inline <style> tag.
     def style_tag
       <<~HTML
@@ -230,11 +242,34 @@ module SuperSettings
       @dark_mode_selector if defined?(@dark_mode_selector)
     end
 
-    # Whether the application is in read-only mode.
+    # Whether the application is in read-only mode. Users who can only propose changes are
+    # read-only if the storage engine does not support change requests.
     #
     # @return [Boolean]
     def read_only?
-      !!@read_only
+      !!@read_only || (!!@propose_only && !pending_changes?)
+    end
+
+    # Whether the application is in propose-only mode where changes are submitted as change
+    # requests instead of being saved.
+    #
+    # @return [Boolean]
+    def propose_only?
+      !!@propose_only && pending_changes?
+    end
+
+    # Whether the storage engine supports scheduled changes and change requests.
+    #
+    # @return [Boolean]
+    def pending_changes?
+      Setting.storage.supports_pending_changes?
+    end
+
+    # Whether the application is being rendered as a widget embedded in another application.
+    #
+    # @return [Boolean]
+    def embedded?
+      !!@embedded
     end
   end
 end
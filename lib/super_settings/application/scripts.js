@@ -3,943 +3,4176 @@
   const _i18n = window.__superSettingsI18n || {};
   const t = (key) => _i18n[key] || key;
 
-  // Return the card element for a setting.
-  function findSettingCard(id) {
-    if (id) {
-      return document.querySelector('#settings-container .super-settings-card[data-id="' + id + '"]');
+  // Custom value editors registered with SuperSettingsUI.registerValueEditor.
+  const valueEditors = [];
+
+  // Register a custom editor for setting values. The editor must define a `render` function that
+  // is called with the setting and returns the element for editing the value, and a `read` function
+  // that is called with that element and returns the value to save. It can also define a `display`
+  // function that returns a string or element for showing the value on the setting card.
+  //
+  // By default the editor is used for settings with a value type that matches the name, so
+  // registering an editor for a built in value type will replace the default editor. A `match`
+  // function can be defined to choose which settings use the editor instead (i.e. by key).
+  function registerValueEditor(name, editor) {
+    if (!name || !editor || typeof editor.render !== "function" || typeof editor.read !== "function") {
+      throw new TypeError("A value editor must have a name and define render and read functions");
+    }
+    const index = valueEditors.findIndex(function(registered) { return registered.name === name; });
+    if (index >= 0) {
+      valueEditors.splice(index, 1);
+    }
+    valueEditors.unshift(Object.assign({name: name}, editor));
+    instances.forEach(function(instance) { instance.rerender(); });
+  }
+
+  // Return the custom value editor for a setting or null if it uses a built in editor. Editors
+  // registered later take precedence.
+  function findValueEditor(setting) {
+    return valueEditors.find(function(editor) {
+      if (typeof editor.match === "function") {
+        return editor.match(Object.assign({}, setting));
+      } else {
+        return editor.name === setting.value_type;
+      }
+    }) || null;
+  }
+
+  // Run the supplied function when the document has been marked ready.
+  function docReady(fn) {
+    if (document.readyState === "complete" || document.readyState === "interactive") {
+      setTimeout(fn, 1);
     } else {
-      return null;
+      document.addEventListener("DOMContentLoaded", fn);
     }
   }
 
-  // Return the number of settings that have been edited.
-  function changesCount() {
-    return document.querySelectorAll("#settings-container .super-settings-card[data-edited=true]").length;
+  // Web UI instances running on the page.
+  const instances = [];
+
+  // Counter used to generate element ids that are unique on the page.
+  let elementIdCounter = 0;
+
+  // Give the elements marked with data-element-id unique ids and point the labels and ARIA
+  // attributes that reference them at those ids. The markup can't use static ids since several
+  // widgets can be mounted on the same page.
+  function assignElementIds(parent) {
+    const ids = {};
+    parent.querySelectorAll("[data-element-id]").forEach(function(element) {
+      elementIdCounter += 1;
+      element.id = `super-settings-${element.dataset.elementId}-${elementIdCounter}`;
+      ids[element.dataset.elementId] = element.id;
+    });
+    parent.querySelectorAll("[data-label-for]").forEach(function(label) {
+      if (ids[label.dataset.labelFor]) {
+        label.htmlFor = ids[label.dataset.labelFor];
+      }
+    });
+    parent.querySelectorAll("[data-aria-controls]").forEach(function(element) {
+      if (ids[element.dataset.ariaControls]) {
+        element.setAttribute("aria-controls", ids[element.dataset.ariaControls]);
+      }
+    });
   }
 
-  // Set the enabled status of the save button for submitting the form.
-  function enableSaveButton() {
-    const saveButton = document.querySelector("#super-settings-save-settings");
-    const discardButton = document.querySelector("#super-settings-discard-changes");
-    if (saveButton) {
-      const count = changesCount();
-      const countSpan = saveButton.querySelector(".count");
-      if (count === 0) {
-        saveButton.disabled = true;
-        countSpan.innerHTML = "";
-        discardButton.disabled = true;
+  // Create a web UI instance for the settings markup inside the scope element. The full page
+  // application uses the document as the scope while embedded widgets use the element they were
+  // mounted in so that each widget has its own state and event listeners.
+  //
+  // Options:
+  // * baseUrl - base URL for the REST API used by an embedded widget
+  // * keyPrefix - only show settings with keys that start with this prefix
+  // * compareEnvironment - another environment to compare the settings with (see compareEnvironment)
+  function createSettingsUI(scope, options) {
+    options = options || {};
+    const embedded = (scope !== document);
+    const keyPrefix = options.keyPrefix || "";
+    const api = (embedded ? SuperSettingsAPI.client({baseUrl: options.baseUrl}) : SuperSettingsAPI);
+
+    // Query parameters for the view state. Embedded widgets keep these in memory instead of
+    // changing the URL of the host page.
+    const viewParams = new URLSearchParams(embedded ? "" : window.location.search);
+    // Return the card element for a setting.
+    function findSettingCard(id) {
+      if (id) {
+        return scope.querySelector('.js-settings-container .super-settings-card[data-id="' + id + '"]');
       } else {
-        saveButton.disabled = false;
-        countSpan.innerHTML = count;
-        discardButton.disabled = false;
+        return null;
       }
-      // Force repaint to prevent Safari box-shadow artifact when button width changes
-      void saveButton.offsetWidth;
     }
-  }
 
-  // Set the display value for a setting.
-  function setSettingDisplayValue(element, setting) {
-    if (setting.value === null || setting.value === undefined) {
-      element.innerText = "";
-    } else if (Array.isArray(setting.value)) {
-      let arrayHTML = "";
-      setting.value.map(function(val) {
-        arrayHTML += `<div>${escapeHTML(val)}</div>`;
-      });
-      element.innerHTML = arrayHTML;
-    } else if (setting.value_type === "datetime") {
+    // Return the number of settings that have been edited.
+    function changesCount() {
+      return scope.querySelectorAll(".js-settings-container .super-settings-card[data-edited=true]").length;
+    }
+
+    // Set the enabled status of the save button for submitting the form.
+    function enableSaveButton() {
+      const saveButton = scope.querySelector(".js-save-settings");
+      const discardButton = scope.querySelector(".js-discard-changes");
+      if (saveButton) {
+        const count = changesCount();
+        const countSpan = saveButton.querySelector(".count");
+        if (count === 0) {
+          saveButton.disabled = true;
+          countSpan.innerHTML = "";
+          discardButton.disabled = true;
+        } else {
+          saveButton.disabled = false;
+          countSpan.innerHTML = count;
+          discardButton.disabled = false;
+        }
+        // Force repaint to prevent Safari box-shadow artifact when button width changes
+        void saveButton.offsetWidth;
+      }
+      scheduleSaveDrafts();
+    }
+
+    // Render a JSON value as HTML with collapsible objects and arrays.
+    function jsonTreeHTML(value) {
+      if (value === null || value === undefined) {
+        return '<span class="super-settings-json-null">null</span>';
+      } else if (typeof value === "object") {
+        const isArray = Array.isArray(value);
+        const keys = (isArray ? null : Object.keys(value));
+        const size = (isArray ? value.length : keys.length);
+        const open = (isArray ? "[" : "{");
+        const close = (isArray ? "]" : "}");
+        if (size === 0) {
+          return `<span>${open}${close}</span>`;
+        }
+
+        const count = `${size} ${isArray ? t("json.items") : t("json.keys")}`;
+        let html = `<details class="super-settings-json-node" open><summary>${open}<span class="super-settings-json-count">${escapeHTML(count)}</span></summary>`;
+        html += '<div class="super-settings-json-children">';
+        for (let i = 0; i < size; i++) {
+          html += "<div>";
+          if (!isArray) {
+            html += `<span class="super-settings-json-key">${escapeHTML(JSON.stringify(keys[i]))}</span>: `;
+          }
+          html += jsonTreeHTML(isArray ? value[i] : value[keys[i]]);
+          html += (i < size - 1 ? "," : "") + "</div>";
+        }
+        html += `</div>${close}</details>`;
+        return html;
+      } else if (typeof value === "string") {
+        return `<span class="super-settings-json-string">${escapeHTML(JSON.stringify(value))}</span>`;
+      } else {
+        return `<span class="super-settings-json-${typeof value}">${escapeHTML("" + value)}</span>`;
+      }
+    }
+
+    // Parse a value for a json setting. String values will be parsed as JSON. Returns undefined
+    // if the value is not valid JSON.
+    function parseJSONValue(value) {
+      if (typeof value !== "string") {
+        return value;
+      }
       try {
-        const datetime = new Date(Date.parse(setting.value));
-        element.innerText = dateFormatter().format(datetime);
+        return JSON.parse(value);
       } catch (e) {
+        return undefined;
+      }
+    }
+
+    // Return the custom value editor used by an element created with customValueInputElement.
+    function valueEditorForElement(element) {
+      const name = element.dataset.editor;
+      return valueEditors.find(function(editor) { return editor.name === name; }) || null;
+    }
+
+    // Create the element for editing a value with a custom editor. The element rendered by the
+    // editor is wrapped in an element with the js-setting-value class so it is treated like the
+    // built in inputs.
+    function customValueInputElement(editor, setting) {
+      const wrapper = document.createElement("span");
+      wrapper.className = "super-settings-custom-editor js-setting-value js-custom-editor";
+      wrapper.dataset.editor = editor.name;
+      wrapper.appendChild(editor.render(Object.assign({}, setting)));
+      return wrapper;
+    }
+
+    // Set the display value for a setting.
+    function setSettingDisplayValue(element, setting) {
+      const editor = findValueEditor(setting);
+      if (editor && typeof editor.display === "function" && setting.value !== null && setting.value !== undefined) {
+        const display = editor.display(Object.assign({}, setting));
+        if (display instanceof Node) {
+          element.innerHTML = "";
+          element.appendChild(display);
+        } else {
+          element.innerText = (display === null || display === undefined ? "" : "" + display);
+        }
+      } else if (setting.value === null || setting.value === undefined) {
+        element.innerText = "";
+      } else if (setting.value_type === "json") {
+        const value = parseJSONValue(setting.value);
+        if (value === undefined) {
+          element.innerText = "" + setting.value;
+        } else {
+          element.innerHTML = `<div class="super-settings-json">${jsonTreeHTML(value)}</div>`;
+        }
+      } else if (Array.isArray(setting.value)) {
+        let arrayHTML = "";
+        setting.value.map(function(val) {
+          arrayHTML += `<div>${escapeHTML(val)}</div>`;
+        });
+        element.innerHTML = arrayHTML;
+      } else if (setting.value_type === "datetime") {
+        try {
+          const datetime = new Date(Date.parse(setting.value));
+          element.innerText = dateFormatter().format(datetime);
+        } catch (e) {
+          element.innerText = "" + setting.value
+        }
+      } else {
         element.innerText = "" + setting.value
       }
-    } else {
-      element.innerText = "" + setting.value
     }
-  }
 
-  // Get the value of a setting from the edit form field.
-  function getSettingEditValue(card) {
-    if (card.querySelector(".super-settings-card-value input.js-setting-value[type=checkbox]")) {
-      return card.querySelector(".super-settings-card-value input.js-setting-value[type=checkbox]").checked;
-    } else {
-      return card.querySelector(".super-settings-card-value .js-setting-value").value;
+    // Get the value of a setting from the edit form field.
+    function getSettingEditValue(card) {
+      const customEditor = card.querySelector(".super-settings-card-value .js-custom-editor");
+      if (customEditor) {
+        const editor = valueEditorForElement(customEditor);
+        if (editor) {
+          return editor.read(customEditor.firstElementChild);
+        }
+      }
+      if (card.querySelector(".super-settings-card-value input.js-setting-value[type=checkbox]")) {
+        return card.querySelector(".super-settings-card-value input.js-setting-value[type=checkbox]").checked;
+      } else {
+        return card.querySelector(".super-settings-card-value .js-setting-value").value;
+      }
     }
-  }
 
-  // Helper function to pad time values with a zero for making ISO-8601 date and time formats.
-  function padTimeVal(val) {
-    return ("" + val).padStart(2, "0");
-  }
+    // Return the line number for a JSON parse error in the text. Browsers report either the line
+    // and column or the character position in the error message.
+    function jsonErrorLine(text, error) {
+      const lineMatch = ("" + error.message).match(/line (\d+)/);
+      if (lineMatch) {
+        return parseInt(lineMatch[1], 10);
+      }
+      const positionMatch = ("" + error.message).match(/position (\d+)/);
+      if (positionMatch) {
+        return text.slice(0, parseInt(positionMatch[1], 10)).split("\n").length;
+      }
+      return null;
+    }
+
+    // Validate the JSON in a json setting input and show any errors. Returns the parsed value
+    // or undefined if the JSON is not valid. A blank value is valid and returns null.
+    function validateJSONInput(input) {
+      const errorElement = input.closest(".super-settings-json-editor").querySelector(".js-json-error");
+      const text = input.value;
+      let value = null;
+      let message = null;
+      if (text.trim() !== "") {
+        try {
+          value = JSON.parse(text);
+          if (value === null || typeof value !== "object") {
+            message = t("json.object_required");
+          }
+        } catch (e) {
+          const line = jsonErrorLine(text, e);
+          message = (line ? `${t("json.invalid_line")} ${line}` : t("json.invalid"));
+        }
+      }
 
-  // Escape special HTML characters in text.
-  function escapeHTML(text) {
-    if (text === null || text === undefined) {
-      return "";
+      if (message) {
+        errorElement.innerText = message;
+        input.setAttribute("aria-invalid", "true");
+        return undefined;
+      } else {
+        errorElement.innerText = "";
+        input.removeAttribute("aria-invalid");
+        return value;
+      }
     }
-    const htmlEscapes = {'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#x27;', '/': '&#x2F;'};
-    const htmlEscaper = /[&<>"'\/]/g;
-    return ('' + text).replace(htmlEscaper, function(match) {
-      return htmlEscapes[match];
-    });
-  }
 
-  // Helper function for use with templates to replace the text {{id}} with a setting's id value.
-  function mustacheSubstitute(html, setting) {
-    return html.replaceAll("{{id}}", escapeHTML(setting.id));
-  }
+    // Helper function to pad time values with a zero for making ISO-8601 date and time formats.
+    function padTimeVal(val) {
+      return ("" + val).padStart(2, "0");
+    }
 
-  // Extract a new DOM element from a <template> element on the page.
-  function elementFromSettingTemplate(setting, templateSelector) {
-    let html = document.querySelector(templateSelector).innerHTML;
-    html = mustacheSubstitute(html, setting);
-    const template = document.createElement('template');
-    template.innerHTML = html.trim();
-    return template.content.firstChild;
-  }
+    // Escape special HTML characters in text.
+    function escapeHTML(text) {
+      if (text === null || text === undefined) {
+        return "";
+      }
+      const htmlEscapes = {'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#x27;', '/': '&#x2F;'};
+      const htmlEscaper = /[&<>"'\/]/g;
+      return ('' + text).replace(htmlEscaper, function(match) {
+        return htmlEscapes[match];
+      });
+    }
+
+    // Helper function for use with templates to replace the text {{id}} with a setting's id value.
+    function mustacheSubstitute(html, setting) {
+      return html.replaceAll("{{id}}", escapeHTML(setting.id));
+    }
+
+    // Return the HTML for one of the <template> elements in the settings markup. Templates are
+    // found by their data-template attribute since several widgets can be on the same page.
+    function templateHTML(name) {
+      return scope.querySelector(`template[data-template="${name}"]`).innerHTML.trim();
+    }
+
+    // Extract a new DOM element from a <template> element on the page.
+    function elementFromSettingTemplate(setting, templateName) {
+      let html = templateHTML(templateName);
+      html = mustacheSubstitute(html, setting);
+      const template = document.createElement('template');
+      template.innerHTML = html.trim();
+      return template.content.firstChild;
+    }
+
+    // Create a card element for displaying a setting.
+    function settingCard(setting) {
+      const card = elementFromSettingTemplate(setting, "setting-card");
+      card.dataset.id = setting.id
+      card.dataset.key = setting.key
+      card.dataset.updatedAt = setting.updated_at || "";
+      card.querySelector(".js-setting-key").value = setting.key;
+      if (setting.deleted) {
+        card.dataset.edited = true
+        card.dataset.deleted = true
+        card.querySelector(".js-setting-deleted").value = "1";
+      }
+      if (setting.key !== null && setting.key !== undefined) {
+        card.querySelector(".super-settings-card-key .js-value-placeholder").innerText = setting.key;
+      }
+      if (setting.value !== null && setting.value !== undefined) {
+        setSettingDisplayValue(card.querySelector(".super-settings-card-value .js-value-placeholder"), setting);
+      }
+      if (setting.value_type !== null && setting.value_type !== undefined) {
+        card.querySelector(".super-settings-card-type .js-value-placeholder").innerText = setting.value_type;
+      }
+      if (setting.description !== null && setting.description !== undefined) {
+        card.querySelector(".super-settings-card-description .js-value-placeholder").innerHTML = escapeHTML(setting.description).replaceAll("\n", "<br>");
+      }
+      if (setting.updated_at !== null && setting.updated_at !== undefined) {
+        const lastModified = new Date(Date.parse(setting.updated_at));
+        const lastModifiedFormatter = new Intl.DateTimeFormat(navigator.language, {month: "short", day: "numeric",  year: "numeric"});
+        const lastModifiedString = lastModifiedFormatter.format(lastModified);
+        const lastModifiedElement = card.querySelector(".super-settings-card-modified .js-value-placeholder")
+        lastModifiedElement.innerText = lastModifiedString;
+        lastModifiedElement.title = dateFormatter().format(lastModified);
+      }
+      renderScheduledChangeBadges(card);
+
+      return card
+    }
+
+    // Return the list of allowed values for a setting or null if the value is not restricted to
+    // a list of choices.
+    function settingChoices(setting) {
+      const constraints = setting.constraints;
+      if (constraints && Array.isArray(constraints.choices) && ["string", "integer", "float"].includes(setting.value_type)) {
+        return constraints.choices.map(function(choice) { return "" + choice; });
+      }
+      return null;
+    }
+
+    // Check a setting value against the constraints defined for the setting and return a list
+    // of error messages. The same constraints are enforced on the server when the setting is saved.
+    function constraintErrors(setting) {
+      const constraints = setting.constraints;
+      const value = (setting.value === null || setting.value === undefined ? "" : "" + setting.value);
+      const errors = [];
+      if (!constraints || value.trim() === "") {
+        return errors;
+      }
+
+      const valueType = setting.value_type;
+      if (valueType === "integer" || valueType === "float" || valueType === "datetime") {
+        const parse = function(val) { return (valueType === "datetime" ? Date.parse(val) : parseFloat(val)); };
+        const number = parse(value);
+        if (!isNaN(number)) {
+          if (constraints.min !== undefined && constraints.min !== null && number < parse(constraints.min)) {
+            errors.push(`${t("constraint.min")} ${constraints.min}`);
+          }
+          if (constraints.max !== undefined && constraints.max !== null && number > parse(constraints.max)) {
+            errors.push(`${t("constraint.max")} ${constraints.max}`);
+          }
+        }
+      }
+
+      const choices = settingChoices(setting);
+      if (choices) {
+        const matches = choices.some(function(choice) {
+          return (valueType === "string" ? choice === value : parseFloat(choice) === parseFloat(value));
+        });
+        if (!matches) {
+          errors.push(`${t("constraint.choices")} ${choices.join(", ")}`);
+        }
+      }
+
+      if (constraints.pattern && valueType === "string") {
+        try {
+          if (!new RegExp(constraints.pattern).test(value)) {
+            errors.push(`${t("constraint.pattern")} /${constraints.pattern}/`);
+          }
+        } catch (e) {
+          // Patterns that are not valid in JavaScript are only checked on the server.
+        }
+      }
+
+      if (constraints.max_items && valueType === "array") {
+        const items = value.split(/[\n\r]+/).filter(function(item) { return item.trim() !== ""; });
+        if (items.length > constraints.max_items) {
+          errors.push(`${t("constraint.max_items")} ${constraints.max_items}`);
+        }
+      }
+
+      return errors;
+    }
+
+    // Validate the value on an edit card against the setting constraints and show any errors
+    // inline on the card. Returns true if the value is valid.
+    function validateCardConstraints(card) {
+      const errors = constraintErrors(cardSetting(card));
+      const errorsElement = card.querySelector(".js-setting-errors");
+      const valueInput = card.querySelector(".super-settings-card-value .js-setting-value");
+      if (errorsElement) {
+        errorsElement.innerText = errors.join("; ");
+        errorsElement.style.display = (errors.length > 0 ? "block" : "none");
+      }
+      if (valueInput && valueInput.type !== "hidden") {
+        if (errors.length > 0) {
+          valueInput.setAttribute("aria-invalid", "true");
+        } else {
+          valueInput.removeAttribute("aria-invalid");
+        }
+      }
+      return errors.length === 0;
+    }
+
+    // Create an input element from a template depending on the value type.
+    function createValueInputElement(setting) {
+      let templateName = null;
+      if (settingChoices(setting)) {
+        templateName = "setting-value-field-choices";
+      } else if (setting.value_type === "integer") {
+        templateName = "setting-value-field-integer";
+      } else if (setting.value_type === "float") {
+        templateName = "setting-value-field-float";
+      } else if (setting.value_type === "datetime") {
+        templateName = "setting-value-field-datetime";
+      } else if (setting.value_type === "boolean") {
+        templateName = "setting-value-field-boolean";
+      } else if (setting.value_type === "array") {
+        templateName = "setting-value-field-array";
+      } else if (setting.value_type === "json") {
+        templateName = "setting-value-field-json";
+      } else {
+        templateName = "setting-value-field";
+      }
+      const html = mustacheSubstitute(templateHTML(templateName), setting);
+      const template = document.createElement('template');
+      template.innerHTML = html.trim();
+      return template.content.firstChild;
+    }
+
+    // Set the date and time inputs in an element to the local date and time of a timestamp. Returns
+    // the parsed date or null if the timestamp is not valid.
+    function setDateTimeInputs(element, value) {
+      const datetime = new Date(Date.parse(value));
+      if (isNaN(datetime.getTime())) {
+        return null;
+      }
+      const isoDate = `${datetime.getFullYear()}-${padTimeVal(datetime.getMonth() + 1)}-${padTimeVal(datetime.getDate())}`;
+      const isoTime = `${padTimeVal(datetime.getHours())}:${padTimeVal(datetime.getMinutes())}:${padTimeVal(datetime.getSeconds())}`;
+      element.querySelector('input[type="date"]').value = isoDate;
+      element.querySelector('input[type="time"]').value = isoTime;
+      return datetime;
+    }
+
+    // Create the elements needed to edit a setting value and set the element value.
+    function valueInputElement(setting) {
+      const editor = findValueEditor(setting);
+      if (editor) {
+        return customValueInputElement(editor, setting);
+      }
+
+      const element = createValueInputElement(setting);
+      const constraints = setting.constraints || {};
+      const choices = settingChoices(setting);
+      if (choices) {
+        const value = (setting.value === null || setting.value === undefined ? "" : "" + setting.value);
+        const options = [""].concat(choices);
+        if (!options.includes(value)) {
+          options.push(value);
+        }
+        options.forEach(function(choice) {
+          const option = document.createElement("option");
+          option.value = choice;
+          option.innerText = choice;
+          element.appendChild(option);
+        });
+        element.value = value;
+      } else if (setting.value_type === "boolean") {
+        const checked = (`${setting.value}` === "true" || parseInt(setting.value) > 0);
+        const checkbox = element.querySelector('input[type="checkbox"]');
+        checkbox.checked = checked;
+      } else if (setting.value_type === "array") {
+        if (Array.isArray(setting.value)) {
+          element.value = setting.value.join("\n");
+        } else {
+          element.value = setting.value;
+        }
+      } else if (setting.value_type === "datetime") {
+        const datetime = setDateTimeInputs(element, setting.value);
+        if (datetime) {
+          element.querySelector(".js-setting-value").value = datetime.toUTCString().replace("GMT", "UTC");
+        }
+        if (constraints.min) {
+          element.querySelector('input[type="date"]').min = constraints.min.substring(0, 10);
+        }
+        if (constraints.max) {
+          element.querySelector('input[type="date"]').max = constraints.max.substring(0, 10);
+        }
+      } else if (setting.value_type === "json") {
+        const textarea = element.querySelector(".js-setting-value");
+        const value = parseJSONValue(setting.value);
+        if (setting.value === null || setting.value === undefined || setting.value === "") {
+          textarea.value = "";
+        } else if (value === undefined) {
+          textarea.value = "" + setting.value;
+        } else {
+          textarea.value = JSON.stringify(value, null, 2);
+        }
+      } else if (setting.value_type === "integer" || setting.value_type === "float") {
+        if (setting.value_type === "integer") {
+          element.value = "" + parseInt("" + setting.value, 10);
+        } else {
+          element.value = "" + parseFloat("" + setting.value);
+        }
+        if (constraints.min !== undefined && constraints.min !== null) {
+          element.min = constraints.min;
+        }
+        if (constraints.max !== undefined && constraints.max !== null) {
+          element.max = constraints.max;
+        }
+      } else {
+        element.value = setting.value;
+      }
+
+      return element;
+    }
+
+    // Create a card with form elements for editing a setting.
+    function editSettingCard(setting) {
+      const card = elementFromSettingTemplate(setting, "setting-card-edit");
+      card.dataset.id = setting.id
+      card.dataset.key = setting.key
+      card.dataset.updatedAt = setting.updated_at || "";
+
+      card.querySelector(".super-settings-card-key input.js-setting-key").value = setting.key;
+      if (setting.description) {
+        card.querySelector(".super-settings-card-description textarea").value = setting.description;
+      }
+
+      const valueInput = valueInputElement(setting);
+      const valuePlaceholder = card.querySelector(".super-settings-card-value .js-value-placeholder");
+      valuePlaceholder.innerHTML = "";
+      valuePlaceholder.appendChild(valueInput);
+
+      const valueType = card.querySelector(".super-settings-card-type select");
+      for (let i = 0; i < valueType.options.length; i++) {
+        if (valueType.options[i].value === setting.value_type) {
+          valueType.selectedIndex = i;
+          break;
+        }
+      }
+
+      if (setting.errors && setting.errors.length > 0) {
+        let errorsHTML = "";
+        setting.errors.forEach(function(error) {
+          errorsHTML += `<div>${escapeHTML(error)}</div>`
+        });
+        card.querySelector(".js-setting-errors").innerHTML = errorsHTML;
+      }
+
+      if (setting.new_record) {
+        card.dataset.newrecord = "true";
+      }
+
+      const timezone = card.querySelector(".timezone");
+      if (timezone) {
+        tzName = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        timezone.innerText = tzName;
+      }
+
+      // The effective time is not rendered if the storage engine does not support scheduled changes.
+      const effectiveAt = card.querySelector(".super-settings-effective-at");
+      if (effectiveAt) {
+        const today = new Date();
+        effectiveAt.querySelector('input[type="date"]').min = `${today.getFullYear()}-${padTimeVal(today.getMonth() + 1)}-${padTimeVal(today.getDate())}`;
+        if (setting.effective_at && setDateTimeInputs(effectiveAt, setting.effective_at)) {
+          effectiveAt.querySelector(".js-effective-at").value = setting.effective_at;
+        }
+      }
+
+      return card
+    }
+
+    // Create a card with form elements for creating a new setting.
+    function newSettingCard(key, valueType, description) {
+      if (!key) {
+        key = "";
+      }
+      if (!valueType) {
+        valueType = "string";
+      }
+      const randomId = "new" + Math.floor((Math.random() * 0xFFFFFFFFFFFFFF)).toString(16);
+      const setting = {id: randomId, key: key, value: "", value_type: valueType, description: description, new_record: true}
+      card = editSettingCard(setting);
+      return card;
+    }
+
+    // Add a setting card to the container of settings.
+    function addCardToContainer(card) {
+      const existingCard = findSettingCard(card.dataset.id);
+      if (existingCard) {
+        existingCard.replaceWith(card);
+      } else {
+        scope.querySelector(".js-settings-container").prepend(card);
+      }
+      bindSettingControlEvents(card);
+      filterSettings(scope.querySelector(".js-settings-filter").value);
+      card.classList.add("super-settings-card-reveal");
+      card.scrollIntoView({block: "nearest"});
+      enableSaveButton();
+      return card;
+    }
+
+    // Update the filter URL and settings count display.
+    function updateFilterURL(filter) {
+      updateQueryParam("filter", filter);
+    }
+
+    // Set a query parameter in the page URL without reloading the page. Blank values will remove
+    // the parameter. Embedded widgets only update the parameter in memory.
+    function updateQueryParam(name, value) {
+      const queryParams = viewParams;
+      if (value === null || value === undefined || value === "") {
+        queryParams.delete(name);
+      } else {
+        queryParams.set(name, value);
+      }
+      if (embedded) {
+        return;
+      } else if (queryParams.toString() !== "") {
+        history.replaceState(null, null, "?" + queryParams.toString());
+      } else {
+        history.replaceState(null, null, window.location.pathname);
+      }
+    }
+
+    // Update the settings count display.
+    function updateSettingsCount(count) {
+      scope.querySelector(".js-settings-count").textContent = `${count} ${count === 1 ? t("count.setting") : t("count.settings")}`;
+      const sortControls = scope.querySelector(".super-settings-sort-controls");
+      if (sortControls) {
+        sortControls.style.display = (count > 0) ? "" : "none";
+      }
+    }
+
+    // Fields that can be used to qualify filter terms (i.e. "key:foo") mapped to the attribute they match.
+    const FILTER_FIELDS = {
+      key: "key",
+      type: "type",
+      value: "value",
+      desc: "description",
+      description: "description",
+      modified: "modified",
+      updated: "modified"
+    };
+
+    // Parse the filter text into a list of terms. Terms are separated by spaces and can be quoted
+    // to include spaces. Terms can be qualified with a field name (i.e. "key:foo") and negated by
+    // prefixing them with a dash (i.e. "-foo" or "-key:foo").
+    function parseFilter(filterText) {
+      const terms = [];
+      const termRegexp = /(-?)(?:([A-Za-z]+):)?(?:"([^"]*)"?|(\S+))/g;
+      let match;
+      while ((match = termRegexp.exec(filterText || "")) !== null) {
+        let field = (match[2] ? match[2].toLowerCase() : null);
+        let value = (match[3] !== undefined ? match[3] : match[4]);
+        if (field && !FILTER_FIELDS[field]) {
+          value = `${match[2]}:${value}`;
+          field = null;
+        }
+        if (value === undefined || value === "" || (value === "-" && !field)) {
+          continue;
+        }
+        terms.push({field: (field ? FILTER_FIELDS[field] : null), negate: match[1] === "-", value: value, matcher: filterTermMatcher(field ? FILTER_FIELDS[field] : null, value)});
+      }
+      return terms;
+    }
+
+    // Create a regular expression from a glob pattern where "*" matches any characters and "?"
+    // matches a single character.
+    function globRegExp(pattern) {
+      const source = pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&").replaceAll("*", ".*").replaceAll("?", ".");
+      return new RegExp(`^${source}$`, "i");
+    }
+
+    // Create a function that tests if a text matches a filter value. Values wrapped in slashes
+    // are treated as regular expressions. Returns null if the value is not a valid expression.
+    function textMatcher(value, allowGlob) {
+      const regexpMatch = value.match(/^\/(.+)\/([a-z]*)$/);
+      if (regexpMatch) {
+        try {
+          const regexp = new RegExp(regexpMatch[1], regexpMatch[2] || "i");
+          return function(text) { return regexp.test(text); };
+        } catch (e) {
+          return null;
+        }
+      } else if (allowGlob && /[*?]/.test(value)) {
+        const regexp = globRegExp(value);
+        return function(text) { return regexp.test(text); };
+      }
+      const search = value.toUpperCase();
+      return function(text) { return text.toUpperCase().indexOf(search) > -1; };
+    }
+
+    // Return the start and end time for a date or time in a filter. Dates without a time cover
+    // the entire day in the local time zone.
+    function filterTimeRange(value) {
+      const dateMatch = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+      if (dateMatch) {
+        const start = new Date(parseInt(dateMatch[1], 10), parseInt(dateMatch[2], 10) - 1, parseInt(dateMatch[3], 10));
+        const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1);
+        return [start.getTime(), end.getTime()];
+      }
+      const time = Date.parse(value);
+      if (isNaN(time)) {
+        return null;
+      }
+      return [time, time];
+    }
+
+    // Create a function that tests a setting's last modified time against a filter such as
+    // ">2026-01-01", "<=2026-01-01T12:00", or "2026-01-01".
+    function modifiedMatcher(value) {
+      const match = value.match(/^(>=|<=|>|<|=)?(.+)$/);
+      const range = (match ? filterTimeRange(match[2]) : null);
+      if (!range) {
+        return null;
+      }
+      const [start, end] = range;
+      const operator = match[1] || "=";
+      return function(updatedAt) {
+        const time = Date.parse(updatedAt);
+        if (isNaN(time)) {
+          return false;
+        } else if (operator === ">") {
+          return (start === end ? time > end : time >= end);
+        } else if (operator === ">=") {
+          return time >= start;
+        } else if (operator === "<") {
+          return time < start;
+        } else if (operator === "<=") {
+          return (start === end ? time <= end : time < end);
+        } else {
+          return (start === end ? time === start : (time >= start && time < end));
+        }
+      };
+    }
+
+    // Create a function that tests if a setting matches a filter term.
+    function filterTermMatcher(field, value) {
+      if (field === "type") {
+        const valueType = value.toLowerCase();
+        return function(setting) { return (setting.value_type || "").toLowerCase() === valueType; };
+      } else if (field === "modified") {
+        const matcher = modifiedMatcher(value);
+        return (matcher ? function(setting) { return matcher(setting.updated_at); } : null);
+      }
+
+      const matcher = textMatcher(value, field === "key");
+      if (!matcher) {
+        return null;
+      } else if (field === "key") {
+        return function(setting) { return matcher(setting.key || ""); };
+      } else if (field === "value") {
+        return function(setting) { return matcher(settingValueText(setting)); };
+      } else if (field === "description") {
+        return function(setting) { return matcher(setting.description || ""); };
+      }
+      return function(setting) {
+        return matcher(setting.key || "") || matcher(settingValueText(setting)) || matcher(setting.description || "");
+      };
+    }
+
+    // Return the text used to match a setting value in a filter.
+    function settingValueText(setting) {
+      const value = setting.value;
+      if (value === null || value === undefined) {
+        return "";
+      } else if (Array.isArray(value) && setting.value_type !== "json") {
+        return value.join("\n");
+      } else if (typeof value === "object") {
+        return JSON.stringify(value);
+      } else if (setting.value_type === "datetime") {
+        const time = Date.parse(value);
+        return (isNaN(time) ? "" + value : `${value}\n${dateFormatter().format(new Date(time))}`);
+      }
+      return "" + value;
+    }
+
+    // Return true if a setting matches all of the terms in a parsed filter. Terms that could not
+    // be parsed (i.e. an invalid regular expression) will not match any settings.
+    function settingMatchesFilter(setting, terms) {
+      return terms.every(function(term) {
+        const matched = (term.matcher ? term.matcher(setting) : false);
+        return (term.negate ? !matched : matched);
+      });
+    }
+
+    // Apply the given filter to only show settings that match it. See parseFilter for the filter
+    // syntax. Settings that are currently being edited will always be shown.
+    function filterSettings(filterText) {
+      const terms = parseFilter(filterText);
+
+      let visibleCount = 0;
+      scope.querySelectorAll(".js-settings-container .super-settings-card").forEach(function(card) {
+        let matched = true;
+        if (!card.dataset.edited && terms.length > 0) {
+          const setting = findSetting(card.dataset.id);
+          matched = (setting ? settingMatchesFilter(setting, terms) : false);
+        }
+        if (matched) {
+          card.style.display = "";
+          visibleCount++;
+        } else {
+          card.style.display = "none";
+        }
+      });
 
-  // Create a card element for displaying a setting.
-  function settingCard(setting) {
-    const card = elementFromSettingTemplate(setting, "#setting-card-template");
-    card.dataset.id = setting.id
-    card.dataset.key = setting.key
-    card.querySelector(".js-setting-key").value = setting.key;
-    if (setting.deleted) {
-      card.dataset.edited = true
-      card.dataset.deleted = true
-      card.querySelector(".js-setting-deleted").value = "1";
+      updateFilterURL(filterText);
+      updateSettingsCount(visibleCount);
+      updateGroupCounts();
+      updateBulkActions();
     }
-    if (setting.key !== null && setting.key !== undefined) {
-      card.querySelector(".super-settings-card-key .js-value-placeholder").innerText = setting.key;
+
+
+    // Programatically apply the filter again to keep it up to date with other changes.
+    function applyFilter(value) {
+      const filter = scope.querySelector(".js-settings-filter");
+      if (filter) {
+        if (value) {
+          filter.value = value;
+        }
+        filterSettings(filter.value);
+      }
     }
-    if (setting.value !== null && setting.value !== undefined) {
-      setSettingDisplayValue(card.querySelector(".super-settings-card-value .js-value-placeholder"), setting);
+
+    // Display validation errors on settings form.
+    function showValidationErrors(errors) {
+      const container = scope.querySelector(".js-settings-container");
+      Object.keys(errors).forEach(function(key) {
+        container.querySelectorAll(".super-settings-card-edit").forEach(function(card) {
+          const settingKey = card.querySelector(".js-setting-key");
+          if (settingKey && settingKey.value === key) {
+            const errorsElement = card.querySelector(".js-setting-errors");
+            if (errorsElement) {
+              errorsElement.innerText = errors[key].join("; ");
+              errorsElement.style.display = "block";
+            }
+          }
+        });
+      });
     }
-    if (setting.value_type !== null && setting.value_type !== undefined) {
-      card.querySelector(".super-settings-card-type .js-value-placeholder").innerText = setting.value_type;
+
+    // Find the edit card for a setting by the key entered in the form.
+    function findEditCardByKey(key) {
+      let found = null;
+      scope.querySelectorAll(".js-settings-container .super-settings-card-edit").forEach(function(card) {
+        const settingKey = card.querySelector(".js-setting-key");
+        if (settingKey && settingKey.value === key) {
+          found = card;
+        }
+      });
+      return found;
     }
-    if (setting.description !== null && setting.description !== undefined) {
-      card.querySelector(".super-settings-card-description .js-value-placeholder").innerHTML = escapeHTML(setting.description).replaceAll("\n", "<br>");
+
+    // Show the current values for settings that could not be saved because someone else changed
+    // them. The user can choose to keep their changes or use the current value for each setting.
+    function showConflicts(conflicts) {
+      Object.keys(conflicts).forEach(function(key) {
+        const card = findEditCardByKey(key);
+        if (!card) {
+          return;
+        }
+
+        const remoteSetting = conflicts[key];
+        const existing = card.querySelector(".js-setting-conflict");
+        if (existing) {
+          existing.remove();
+        }
+
+        const template = document.createElement("template");
+        template.innerHTML = templateHTML("setting-conflict");
+        const conflict = template.content.firstChild;
+        const valueElement = conflict.querySelector(".js-conflict-value");
+        if (remoteSetting.deleted) {
+          valueElement.innerHTML = `<em>${escapeHTML(t("conflict.deleted"))}</em>`;
+        } else {
+          setSettingDisplayValue(valueElement, remoteSetting);
+          conflict.querySelector(".js-conflict-value-type").innerText = remoteSetting.value_type;
+        }
+
+        addListener(conflict.querySelector(".js-conflict-keep-local"), "click", function(event) {
+          event.preventDefault();
+          keepLocalChanges(card, remoteSetting);
+        });
+        addListener(conflict.querySelector(".js-conflict-use-remote"), "click", function(event) {
+          event.preventDefault();
+          useRemoteSetting(card, remoteSetting);
+        });
+
+        card.dataset.conflict = "true";
+        card.querySelector(".super-settings-card-value").appendChild(conflict);
+      });
+    }
+
+    // Update the active settings with the current version of a setting from the server.
+    function updateActiveSetting(id, remoteSetting) {
+      const setting = findSetting(id);
+      if (setting) {
+        if (remoteSetting.deleted) {
+          activeSettings.splice(activeSettings.indexOf(setting), 1);
+          return null;
+        }
+        remoteSetting.id = setting.id;
+        activeSettings[activeSettings.indexOf(setting)] = remoteSetting;
+      } else if (!remoteSetting.deleted) {
+        remoteSetting.id = "setting" + Math.floor((Math.random() * 0xFFFFFFFFFFFFF)).toString(16);
+        activeSettings.push(remoteSetting);
+      }
+      return remoteSetting;
+    }
+
+    // Resolve a conflict by keeping the local changes. The next save will overwrite the current value.
+    function keepLocalChanges(card, remoteSetting) {
+      card.dataset.updatedAt = remoteSetting.updated_at || "";
+      if (!card.dataset.newrecord) {
+        updateActiveSetting(card.dataset.id, remoteSetting);
+      }
+      delete card.dataset.conflict;
+      delete card.dataset.remoteChanged;
+      const conflict = card.querySelector(".js-setting-conflict");
+      if (conflict) {
+        conflict.remove();
+      }
+      const errorsElement = card.querySelector(".js-setting-errors");
+      if (errorsElement) {
+        errorsElement.innerText = "";
+        errorsElement.style.display = "none";
+      }
+    }
+
+    // Resolve a conflict by discarding the local changes and showing the current value.
+    function useRemoteSetting(card, remoteSetting) {
+      let id = card.dataset.id;
+      if (card.dataset.newrecord) {
+        const existing = findSettingByKey(remoteSetting.key);
+        id = (existing ? existing.id : null);
+      }
+
+      const setting = updateActiveSetting(id, remoteSetting);
+      if (setting && id === card.dataset.id) {
+        const newCard = settingCard(setting);
+        bindSettingControlEvents(newCard);
+        newCard.classList.add("super-settings-card-reveal");
+        card.replaceWith(newCard);
+      } else {
+        card.remove();
+        if (setting) {
+          refreshSettingCard(setting);
+        } else if (id) {
+          const existingCard = findSettingCard(id);
+          if (existingCard) {
+            existingCard.remove();
+          }
+        }
+      }
+      filterSettings(scope.querySelector(".js-settings-filter").value);
+      enableSaveButton();
+    }
+
+    // Number of milliseconds before notifications of each severity are dismissed. Errors stay
+    // until they are dismissed so there is time to read them and expand the details.
+    const TOAST_DISMISS_DELAYS = {success: 4000, info: 4000, warning: 8000, error: null};
+
+    // Maximum number of notifications shown at once. The oldest ones are removed first.
+    const MAX_TOASTS = 4;
+
+    // Show a notification to give the user feedback on an operation. The severity is one of
+    // "success", "info", "warning", or "error". The details are an optional list of
+    // [label, value] pairs shown in an expandable section. Notifications are stacked in an
+    // ARIA live region so they are announced by screen readers.
+    function showToast(message, severity, details) {
+      const container = scope.querySelector(".js-toasts");
+      if (!container) {
+        return null;
+      }
+
+      const toast = elementFromSettingTemplate({id: ""}, "toast");
+      toast.dataset.severity = severity;
+      toast.classList.add(`super-settings-toast-${severity}`);
+      if (severity === "error") {
+        toast.setAttribute("role", "alert");
+      }
+      toast.querySelector(".js-toast-message").innerText = message;
+
+      if (details && details.length > 0) {
+        const list = toast.querySelector(".js-toast-details-list");
+        details.forEach(function([label, value]) {
+          const term = document.createElement("dt");
+          term.innerText = label;
+          const description = document.createElement("dd");
+          description.innerText = value;
+          list.append(term, description);
+        });
+        toast.querySelector(".js-toast-details").style.display = "";
+      }
+
+      toast.querySelector(".js-dismiss-toast").addEventListener("click", function(event) {
+        event.preventDefault();
+        dismissToast(toast);
+      });
+
+      // Hold off on dismissing the notification while the user is reading or interacting with it.
+      const delay = TOAST_DISMISS_DELAYS[severity];
+      if (delay) {
+        const startTimer = function() {
+          clearTimeout(toast.dismissTimer);
+          toast.dismissTimer = setTimeout(function() { dismissToast(toast); }, delay);
+        };
+        const stopTimer = function() { clearTimeout(toast.dismissTimer); };
+        toast.addEventListener("mouseenter", stopTimer);
+        toast.addEventListener("focusin", stopTimer);
+        toast.addEventListener("mouseleave", startTimer);
+        toast.addEventListener("focusout", startTimer);
+        startTimer();
+      }
+
+      container.appendChild(toast);
+      while (container.children.length > MAX_TOASTS) {
+        dismissToast(container.firstElementChild);
+      }
+      return toast;
+    }
+
+    // Remove a notification.
+    function dismissToast(toast) {
+      clearTimeout(toast.dismissTimer);
+      toast.remove();
+    }
+
+    // Remove all notifications.
+    function dismissAllToasts() {
+      scope.querySelectorAll(".js-toasts > *").forEach(dismissToast);
+    }
+
+    // Show an API error as a notification. The message describes what the user can do about the
+    // error and the details show the request and response from the server. Errors from cancelled
+    // requests are not shown. The error is not logged to the console since pages can listen for
+    // the settings:error event to report it.
+    function showAPIError(error) {
+      dispatchSettingsEvent("settings:error", {error: error});
+      if (error && error.aborted) {
+        return;
+      }
+      showToast(apiErrorMessage(error), "error", apiErrorDetails(error));
+    }
+
+    // Get the translated message for an API error.
+    function apiErrorMessage(error) {
+      const status = (error ? error.status : null);
+      if (status === 0 || navigator.onLine === false) {
+        return (error && error.timedOut ? t("error.timeout") : t("error.offline"));
+      } else if (status === 401) {
+        return t("error.auth_expired");
+      } else if (status === 403) {
+        return t("error.forbidden");
+      } else if (status === 422) {
+        return t("error.validation");
+      } else {
+        return t("error.generic");
+      }
+    }
+
+    // Get the details to show for an API error: the status, the endpoint, and the response body.
+    function apiErrorDetails(error) {
+      const details = [];
+      if (!error) {
+        return details;
+      }
+      if (error.status) {
+        details.push([t("toast.status"), `${error.status} ${error.statusText || ""}`.trim()]);
+      } else if (error.message) {
+        details.push([t("toast.status"), error.message]);
+      }
+      if (error.endpoint) {
+        details.push([t("toast.endpoint"), error.endpoint]);
+      }
+      if (error.body !== null && error.body !== undefined && error.body !== "") {
+        const body = (typeof error.body === "string" ? error.body : JSON.stringify(error.body, null, 2));
+        details.push([t("toast.response"), body]);
+      }
+      return details;
+    }
+
+    // Dispatch a CustomEvent from the settings application element so that the host page can
+    // react to what happens in the UI. The events bubble up to the document.
+    function dispatchSettingsEvent(name, detail) {
+      const target = scope.querySelector(".super-settings") || scope;
+      target.dispatchEvent(new CustomEvent(name, {bubbles: true, detail: detail}));
+    }
+
+    function dateFormatter() {
+      return new Intl.DateTimeFormat(navigator.language, {
+        month: "short",
+        day: "numeric",
+        year: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+        timeZoneName: "short"
+      });
+    }
+    // Render a setting's history in a table.
+    function renderHistoryTable(parent, payload) {
+      parent.innerHTML = templateHTML("setting-history-table");
+      parent.querySelector(".super-settings-history-key").innerText = payload.key;
+      const historyItems = parent.querySelector(".super-settings-history-items");
+      let itemsHTML = "";
+      payload.histories.forEach(function(history, index) {
+        const date = new Date(Date.parse(history.created_at));
+        const dateString = dateFormatter().format(date);
+        let value = null;
+        if (history.deleted) {
+          value = '<em class="super-settings-text-danger">' + escapeHTML(t("history.deleted")) + '</em>';
+        } else {
+          if ("previous_value" in history) {
+            value = diffLinesHTML(historyValueLines(history.previous_value), historyValueLines(history.value));
+          } else {
+            value = escapeHTML(history.value);
+          }
+          value += `<a href="#" class="super-settings-history-revert js-revert-history" data-index="${index}">${escapeHTML(t("history.revert"))}</a>`;
+        }
+        let changedBy = escapeHTML(history.changed_by);
+        if (history.scheduled) {
+          changedBy += ` <span class="super-settings-change-badge super-settings-change-badge-scheduled">${escapeHTML(t("history.scheduled"))}</span>`;
+        }
+        if (history.approved_by) {
+          changedBy += `<br><small class="super-settings-text-muted">${escapeHTML(t("history.approved_by"))} ${escapeHTML(history.approved_by)}</small>`;
+        }
+        itemsHTML += `<div class="super-settings-history-item">
+          <div class="super-settings-history-time">${escapeHTML(dateString)}</div>
+          <div class="super-settings-history-user">${changedBy}</div>
+          <div class="super-settings-history-value">${value}</div>
+        </div>`;
+      });
+      historyItems.insertAdjacentHTML("beforeend", itemsHTML);
+      addListener(historyItems.querySelectorAll(".js-revert-history"), "click", function(event) {
+        event.preventDefault();
+        revertToHistory(payload.key, payload.histories[parseInt(event.target.dataset.index, 10)]);
+      });
+
+      if (payload.previous_page_params || payload.next_page_params) {
+        let paginationHTML = `<div class="super-settings-align-center">`;
+        if (payload.previous_page_params) {
+          paginationHTML += `<div style="float:left;"><a href="#" class="js-show-history" title="${escapeHTML(t("history.newer"))}" data-offset="${payload.previous_page_params.offset}" data-limit="${payload.previous_page_params.limit}" data-key="${payload.previous_page_params.key}")>&#8592; ${escapeHTML(t("history.newer"))}</a></div>`;
+        }
+        if (payload.next_page_params) {
+          paginationHTML += `<div style="float:right;"><a href="#" class="js-show-history" title="${escapeHTML(t("history.older"))}" data-offset="${payload.next_page_params.offset}" data-limit="${payload.next_page_params.limit}" data-key="${payload.next_page_params.key}")>${escapeHTML(t("history.older"))} &#8594;</a></div>`;
+        }
+        paginationHTML += '<div style="clear:both;"></div>';
+        parent.querySelector(".super-settings-history-container").insertAdjacentHTML("afterend", paginationHTML);
+      }
+      addListener(parent.querySelectorAll(".js-show-history"), "click", showHistoryModal);
+    }
+
+    // Split a value from the setting history into lines for displaying a diff.
+    function historyValueLines(value) {
+      if (value === null || value === undefined || value === "") {
+        return [];
+      }
+      const text = "" + value;
+      if (text.startsWith("{") || text.startsWith("[")) {
+        const json = parseJSONValue(text);
+        if (json !== undefined && json !== null && typeof json === "object") {
+          return JSON.stringify(json, null, 2).split("\n");
+        }
+      }
+      return text.split("\n");
+    }
+
+    // Open an edit card for a setting with the value from a history item.
+    function revertToHistory(key, history) {
+      if (readOnlyMode()) {
+        return;
+      }
+      hideModal();
+      const setting = findSettingByKey(key);
+      if (setting) {
+        editSetting(Object.assign({}, setting, {value: history.value}));
+      }
+    }
+
+    // Show a modal window overlayed on the page.
+    function showModal() {
+      const modal = scope.querySelector(".js-modal");
+      const content = scope.querySelector(".super-settings-modal-content");
+      modal.style.display = "block";
+      modal.setAttribute("aria-hidden", "false");
+      modal.activator = document.activeElement;
+      focusableElements(scope).forEach(function(element) {
+        if (!modal.contains(element) && element.dataset.saveTabIndex === undefined) {
+          element.dataset.saveTabIndex = element.getAttribute("tabindex") || "";
+          element.setAttribute("tabindex", -1);
+        }
+      });
+      if (savedBodyOverflow === null) {
+        savedBodyOverflow = document.body.style.overflow;
+      }
+      document.body.style.overflow = "hidden";
+    }
+
+    // Hide the modal window overlayed on the page.
+    function hideModal() {
+      const modal = scope.querySelector(".js-modal");
+      const content = scope.querySelector(".super-settings-modal-content");
+      modal.style.display = "none";
+      modal.setAttribute("aria-hidden", "true");
+      focusableElements(scope).forEach(function(element) {
+        const tabIndex = element.dataset.saveTabIndex;
+        if (tabIndex === undefined) {
+          return;
+        }
+        delete element.dataset.saveTabIndex;
+        if (tabIndex) {
+          element.setAttribute("tabindex", tabIndex);
+        } else {
+          element.removeAttribute("tabindex");
+        }
+      });
+      if (modal.activator) {
+        modal.activator.focus();
+        delete modal.activator;
+      }
+      content.innerHTML = "";
+      if (savedBodyOverflow !== null) {
+        document.body.style.overflow = savedBodyOverflow;
+        savedBodyOverflow = null;
+      }
+    }
+
+    // Returns a list of all focusable elements so that they can be set to not take the focus
+    // when a modal is opened. Only the elements in the settings UI are changed so that an
+    // embedded widget leaves the rest of the host page alone.
+    function focusableElements(parent) {
+      return parent.querySelectorAll("a[href], area[href], button, input:not([type=hidden]), select, textarea, iframe, [tabindex], [contentEditable=true]")
+    }
+
+    // Find a setting by key.
+    function findSetting(id) {
+      let found = null;
+      id = "" + id;
+      activeSettings.forEach(function(setting) {
+        if ("" + setting.id === id) {
+          found = setting;
+          return;
+        }
+      });
+      return found;
+    }
+
+    // Find a setting by key.
+    function findSettingByKey(key) {
+      let found = null;
+      activeSettings.forEach(function(setting) {
+        if (setting.key === key) {
+          found = setting;
+          return;
+        }
+      });
+      return found;
+    }
+
+    // Return true if the settings can't be changed. The controls for changing settings are hidden
+    // in read-only mode, but the handlers for them check this as well so that nothing can be
+    // changed from the keyboard or by triggering the hidden controls.
+    function readOnlyMode() {
+      return !!scope.querySelector(".super-settings[data-read-only]");
+    }
+
+    // Add a new setting.
+    function addSetting(key, valueType, description) {
+      const card = addCardToContainer(newSettingCard(key, valueType, description));
+      card.querySelector(".super-settings-card-key input.js-setting-key").focus();
+    }
+
+    function editSetting(setting) {
+      const card = addCardToContainer(editSettingCard(setting));
+      if (card.querySelector(".super-settings-card-value .js-date-input")) {
+        card.querySelector(".super-settings-card-value .js-date-input").focus();
+      } else {
+        card.querySelector(".super-settings-card-value .js-setting-value").focus();
+      }
+    }
+
+    // Return the setting for a card including any changes made in the edit form.
+    function cardSetting(card) {
+      const valueTypeSelect = card.querySelector(".js-setting-value-type");
+      if (!valueTypeSelect) {
+        return Object.assign({}, findSetting(card.dataset.id));
+      }
+      return {
+        id: card.dataset.id,
+        key: card.querySelector(".super-settings-card-key input.js-setting-key").value,
+        value: getSettingEditValue(card),
+        value_type: valueTypeSelect.options[valueTypeSelect.selectedIndex].value,
+        description: card.querySelector(".super-settings-card-description textarea").value,
+        updated_at: card.dataset.updatedAt,
+        new_record: card.dataset.newrecord,
+        constraints: (findSetting(card.dataset.id) || {}).constraints,
+        effective_at: effectiveAtValue(card)
+      };
+    }
+
+    // Return the time entered for when the changes on an edit card should take effect or null if
+    // the changes should be applied when they are saved.
+    function effectiveAtValue(card) {
+      const input = card.querySelector(".super-settings-card-modified .js-effective-at");
+      return (input && input.value !== "" ? input.value : null);
+    }
+
+    // Return the value of a setting as the text that would be entered in the edit form.
+    function settingEditText(setting) {
+      if (setting.value === null || setting.value === undefined) {
+        return "";
+      } else if (Array.isArray(setting.value) && setting.value_type === "array") {
+        return setting.value.join("\n");
+      } else if (typeof setting.value === "object") {
+        return JSON.stringify(setting.value, null, 2);
+      } else {
+        return "" + setting.value;
+      }
+    }
+
+    // Return the setting cards that are selected and not hidden by the filter.
+    function selectedCards() {
+      const cards = scope.querySelectorAll(".js-settings-container .super-settings-card");
+      return Array.from(cards).filter(function(card) {
+        return card.style.display !== "none" && card.querySelector(".js-select-setting:checked");
+      });
+    }
+
+    // Show the bulk actions when settings are selected and update the select all checkbox.
+    function updateBulkActions() {
+      const bulkActions = scope.querySelector(".js-bulk-actions");
+      if (!bulkActions) {
+        return;
+      }
+      const cards = scope.querySelectorAll(".js-settings-container .super-settings-card");
+      const visibleCount = Array.from(cards).filter(function(card) { return card.style.display !== "none"; }).length;
+      const selectedCount = selectedCards().length;
+      bulkActions.querySelector(".js-bulk-count").innerText = `${selectedCount} ${t("bulk.selected")}`;
+      bulkActions.style.display = (selectedCount > 0 ? "" : "none");
+      const selectAll = scope.querySelector(".js-select-all");
+      selectAll.checked = (selectedCount > 0 && selectedCount === visibleCount);
+      selectAll.indeterminate = (selectedCount > 0 && selectedCount < visibleCount);
+    }
+
+    // Uncheck all of the selected settings.
+    function clearSelection() {
+      scope.querySelectorAll(".js-settings-container .js-select-setting:checked").forEach(function(checkbox) {
+        checkbox.checked = false;
+      });
+      updateBulkActions();
+    }
+
+    // Replace a card with an edit card for the setting with changes applied to it. The original
+    // key is kept on the card so that changing the key is saved as a rename.
+    function bulkEditCard(card, changes) {
+      const current = cardSetting(card);
+      current.value = settingEditText(current);
+      const setting = Object.assign(current, changes, {key: card.dataset.key});
+      const newCard = editSettingCard(setting);
+      newCard.querySelector(".js-setting-key").value = (changes.key === undefined ? current.key : changes.key);
+      card.replaceWith(newCard);
+      bindSettingControlEvents(newCard);
+      newCard.classList.add("super-settings-card-reveal");
+      return newCard;
+    }
+
+    // Replace all occurrences of a pattern in text. The pattern can be a string or a global RegExp.
+    function replaceText(text, pattern, replacement) {
+      if (pattern instanceof RegExp) {
+        return text.replace(pattern, replacement);
+      } else {
+        return text.split(pattern).join(replacement);
+      }
+    }
+
+    // Finish a bulk action by updating the page and showing how many settings were changed.
+    function finishBulkAction(count) {
+      filterSettings(scope.querySelector(".js-settings-filter").value);
+      clearSelection();
+      enableSaveButton();
+      if (count > 0) {
+        showToast(`${count} ${t("bulk.changed")}`, "success");
+      } else {
+        showToast(t("bulk.no_changes"), "warning");
+      }
+    }
+
+    // Attributes of a setting that are included when settings are exported.
+    const EXPORT_ATTRIBUTES = ["key", "value", "value_type", "description"];
+
+    // Return the saved settings to export. If filtered is true, only settings that are currently
+    // visible with the filter applied will be included.
+    function exportableSettings(filtered) {
+      const settings = [];
+      activeSettings.forEach(function(setting) {
+        if (filtered) {
+          const card = findSettingCard(setting.id);
+          if (!card || card.style.display === "none") {
+            return;
+          }
+        }
+        const exported = {};
+        EXPORT_ATTRIBUTES.forEach(function(attribute) {
+          exported[attribute] = (setting[attribute] === undefined ? null : setting[attribute]);
+        });
+        settings.push(exported);
+      });
+      return settings.sort(function(a, b) {
+        return (a.key < b.key) ? -1 : ((a.key > b.key) ? 1 : 0);
+      });
+    }
+
+    // Format a scalar value for a YAML document. Strings are double quoted using JSON escaping
+    // which is compatible with YAML double quoted strings.
+    function yamlScalar(value) {
+      if (value === null || value === undefined) {
+        return "null";
+      } else if (typeof value === "number" || typeof value === "boolean") {
+        return "" + value;
+      } else {
+        return JSON.stringify("" + value);
+      }
+    }
+
+    // Serialize a list of exported settings as a YAML document.
+    function settingsToYAML(settings) {
+      if (settings.length === 0) {
+        return "--- []\n";
+      }
+      let yaml = "---\n";
+      settings.forEach(function(setting) {
+        let prefix = "- ";
+        EXPORT_ATTRIBUTES.forEach(function(attribute) {
+          let value = setting[attribute];
+          if (attribute === "value" && setting.value_type === "json" && value !== null && typeof value === "object") {
+            value = JSON.stringify(value);
+          }
+          if (Array.isArray(value) && value.length > 0) {
+            yaml += `${prefix}${attribute}:\n`;
+            value.forEach(function(item) {
+              yaml += `  - ${yamlScalar(item)}\n`;
+            });
+          } else if (Array.isArray(value)) {
+            yaml += `${prefix}${attribute}: []\n`;
+          } else {
+            yaml += `${prefix}${attribute}: ${yamlScalar(value)}\n`;
+          }
+          prefix = "  ";
+        });
+      });
+      return yaml;
+    }
+
+    // Parse a scalar value written by yamlScalar.
+    function parseYAMLScalar(text) {
+      if (text === "null") {
+        return null;
+      } else if (text === "true" || text === "false") {
+        return text === "true";
+      } else if (text.startsWith('"')) {
+        return JSON.parse(text);
+      } else if (/^-?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text)) {
+        return parseFloat(text);
+      }
+      throw new Error(`Unsupported YAML value: ${text}`);
+    }
+
+    // Parse a YAML document in the format written by settingsToYAML. This is not a general YAML
+    // parser; only a list of settings with double quoted strings and lists of scalar values is
+    // supported. Throws an error if the document is in any other format.
+    function parseSettingsYAML(text) {
+      const lines = text.replace(/\r\n?/g, "\n").split("\n").filter(function(line) { return line.trim() !== "" });
+      if (lines.length === 1 && lines[0] === "--- []") {
+        return [];
+      } else if (lines[0] !== "---") {
+        throw new Error("Missing YAML document start");
+      }
+
+      const settings = [];
+      let setting = null;
+      let list = null;
+      lines.slice(1).forEach(function(line) {
+        let match = line.match(/^  - (.+)$/);
+        if (match && list) {
+          list.push(parseYAMLScalar(match[1]));
+          return;
+        }
+
+        match = line.match(/^(- |  )([a-z_]+):(?: (.+))?$/);
+        if (!match || (match[1] === "  " && !setting)) {
+          throw new Error(`Unsupported YAML: ${line}`);
+        }
+        if (match[1] === "- ") {
+          setting = {};
+          settings.push(setting);
+        }
+        list = null;
+        if (match[3] === undefined) {
+          list = [];
+          setting[match[2]] = list;
+        } else if (match[3] === "[]") {
+          setting[match[2]] = [];
+        } else {
+          setting[match[2]] = parseYAMLScalar(match[3]);
+        }
+      });
+      return settings;
+    }
+
+    // Parse the contents of an imported file into a list of settings. JSON files and YAML files
+    // written by the export are supported. In JSON files the list of settings can either be at the
+    // top level or in a "settings" key. Returns null if the file does not contain a list of settings.
+    function parseImportedSettings(text, filename) {
+      let data = null;
+      try {
+        if (/\.ya?ml$/i.test(filename || "")) {
+          data = parseSettingsYAML(text);
+        } else {
+          try {
+            data = JSON.parse(text);
+          } catch (e) {
+            data = parseSettingsYAML(text);
+          }
+        }
+      } catch (e) {
+        return null;
+      }
+
+      if (data && !Array.isArray(data) && Array.isArray(data.settings)) {
+        data = data.settings;
+      }
+      if (!Array.isArray(data)) {
+        return null;
+      }
+
+      const settings = [];
+      for (const item of data) {
+        if (!item || typeof item !== "object" || Array.isArray(item) || typeof item.key !== "string" || item.key === "") {
+          return null;
+        }
+        if (!item.deleted) {
+          settings.push(item);
+        }
+      }
+      return settings;
+    }
+
+    // Return a value that can be used to compare setting values that may have been serialized
+    // with different types (i.e. 1 and "1").
+    function comparableValue(value, valueType) {
+      if (value === null || value === undefined) {
+        return "";
+      } else if (valueType === "json") {
+        const json = parseJSONValue(value);
+        return (json === undefined ? "" + value : JSON.stringify(json));
+      } else if (Array.isArray(value)) {
+        return JSON.stringify(value.map(function(item) { return "" + item; }));
+      } else {
+        return "" + value;
+      }
+    }
+
+    // Return true if two settings have the same value type, value, and description.
+    function sameSettingValues(setting, other) {
+      return setting.value_type === other.value_type &&
+        comparableValue(setting.value, setting.value_type) === comparableValue(other.value, other.value_type) &&
+        (setting.description || "") === (other.description || "");
+    }
+
+    // Add edit cards for imported settings that are different from the current settings. The
+    // changes are not saved until the user reviews them and saves the settings. Returns the
+    // number of settings that were changed.
+    function applyImportedSettings(importedSettings) {
+      const container = scope.querySelector(".js-settings-container");
+      let changedCount = 0;
+      importedSettings.forEach(function(imported) {
+        if (!keyInScope(imported.key)) {
+          return;
+        }
+        const existing = findSettingByKey(imported.key);
+        const valueType = imported.value_type || (existing ? existing.value_type : "string");
+        let description = (existing ? existing.description : null);
+        if (imported.description !== undefined) {
+          description = imported.description;
+        }
+
+        if (existing && sameSettingValues(existing, {value: imported.value, value_type: valueType, description: description})) {
+          return;
+        }
+
+        let setting = null;
+        if (existing) {
+          setting = Object.assign({}, existing, {value: imported.value, value_type: valueType, description: description});
+        } else {
+          const randomId = "new" + Math.floor((Math.random() * 0xFFFFFFFFFFFFFF)).toString(16);
+          setting = {id: randomId, key: imported.key, value: imported.value, value_type: valueType, description: description, new_record: true};
+        }
+        if (setting.value === null || setting.value === undefined) {
+          setting.value = "";
+        }
+
+        const card = editSettingCard(setting);
+        const existingCard = findSettingCard(card.dataset.id);
+        if (existingCard) {
+          existingCard.replaceWith(card);
+        } else {
+          container.prepend(card);
+        }
+        bindSettingControlEvents(card);
+        card.classList.add("super-settings-card-reveal");
+        changedCount++;
+      });
+
+      filterSettings(scope.querySelector(".js-settings-filter").value);
+      enableSaveButton();
+      return changedCount;
+    }
+
+    // Download text content as a file.
+    function downloadFile(content, filename, contentType) {
+      const blob = new Blob([content], {type: contentType});
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = filename;
+      link.style.display = "none";
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(function() { URL.revokeObjectURL(url); }, 0);
+    }
+
+    // Return the lines used to compare a setting value in the changes preview. Values are
+    // normalized so that equivalent values entered in the form compare as equal.
+    function comparableLines(value, valueType) {
+      if (value === null || value === undefined || value === "") {
+        return [];
+      }
+      if (valueType === "array") {
+        const items = (Array.isArray(value) ? value : ("" + value).split(/[\n\r]+/));
+        return items.map(function(item) { return "" + item; }).filter(function(item) { return item !== ""; });
+      } else if (valueType === "datetime") {
+        const time = Date.parse(value);
+        return [isNaN(time) ? "" + value : new Date(time).toISOString()];
+      } else if (valueType === "boolean") {
+        return [(`${value}` === "true" || parseInt(value) > 0) ? "true" : "false"];
+      } else if (valueType === "integer" || valueType === "float") {
+        const number = Number(value);
+        return [isNaN(number) ? "" + value : "" + number];
+      } else if (valueType === "json") {
+        const json = parseJSONValue(value);
+        if (json !== undefined) {
+          return JSON.stringify(json, null, 2).split("\n");
+        }
+      }
+      return ("" + value).split("\n");
+    }
+
+    // Compute a line level diff between two lists of lines using the longest common subsequence.
+    // Returns a list of objects with a type of "added", "removed", or "unchanged" and the line.
+    function diffLines(oldLines, newLines) {
+      const lengths = [];
+      for (let i = oldLines.length; i >= 0; i--) {
+        lengths[i] = [];
+        for (let j = newLines.length; j >= 0; j--) {
+          if (i === oldLines.length || j === newLines.length) {
+            lengths[i][j] = 0;
+          } else if (oldLines[i] === newLines[j]) {
+            lengths[i][j] = lengths[i + 1][j + 1] + 1;
+          } else {
+            lengths[i][j] = Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+          }
+        }
+      }
+
+      const diff = [];
+      let i = 0;
+      let j = 0;
+      while (i < oldLines.length && j < newLines.length) {
+        if (oldLines[i] === newLines[j]) {
+          diff.push({type: "unchanged", line: oldLines[i]});
+          i++;
+          j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+          diff.push({type: "removed", line: oldLines[i]});
+          i++;
+        } else {
+          diff.push({type: "added", line: newLines[j]});
+          j++;
+        }
+      }
+      for (; i < oldLines.length; i++) {
+        diff.push({type: "removed", line: oldLines[i]});
+      }
+      for (; j < newLines.length; j++) {
+        diff.push({type: "added", line: newLines[j]});
+      }
+      return diff;
+    }
+
+    // Render a line level diff as HTML.
+    function diffLinesHTML(oldLines, newLines) {
+      const markers = {added: "+", removed: "-", unchanged: " "};
+      let html = '<div class="super-settings-diff">';
+      diffLines(oldLines, newLines).forEach(function(change) {
+        html += `<div class="super-settings-diff-line super-settings-diff-${change.type}">`;
+        html += `<span class="super-settings-diff-marker">${markers[change.type]}</span>${escapeHTML(change.line)}</div>`;
+      });
+      html += "</div>";
+      return html;
+    }
+
+    // Render a labeled line level diff for the changes preview.
+    function diffHTML(label, oldLines, newLines) {
+      return `<div class="super-settings-change-detail"><span class="super-settings-card-label">${escapeHTML(label)}</span>${diffLinesHTML(oldLines, newLines)}</div>`;
+    }
+
+    // Create an element describing a pending change to a setting for the changes preview.
+    function settingChangeElement(data, setting) {
+      const element = elementFromSettingTemplate({id: ""}, "setting-change");
+      const badges = [];
+      let details = "";
+
+      if (data.deleted) {
+        badges.push(["deleted", t("changes.deleted")]);
+        if (setting) {
+          details += diffHTML(t("card.value"), comparableLines(setting.value, setting.value_type), []);
+        }
+      } else if (!setting) {
+        badges.push(["added", t("changes.added")]);
+        details += `<div class="super-settings-change-detail"><span class="super-settings-card-label">${escapeHTML(t("card.type"))}</span> ${escapeHTML(data.value_type)}</div>`;
+        details += diffHTML(t("card.value"), [], comparableLines(data.value, data.value_type));
+        if (data.description) {
+          details += diffHTML(t("card.description"), [], data.description.split("\n"));
+        }
+      } else {
+        if (data.key_was && data.key_was !== data.key) {
+          badges.push(["renamed", t("changes.renamed")]);
+          details += `<div class="super-settings-change-detail"><span class="super-settings-card-label">${escapeHTML(t("changes.renamed_from"))}</span> <code>${escapeHTML(data.key_was)}</code></div>`;
+        }
+
+        if (setting.value_type !== data.value_type) {
+          badges.push(["type", t("changes.type_changed")]);
+          details += `<div class="super-settings-change-detail"><span class="super-settings-card-label">${escapeHTML(t("card.type"))}</span> <del>${escapeHTML(setting.value_type)}</del> &#8594; <ins>${escapeHTML(data.value_type)}</ins></div>`;
+        }
+
+        const oldLines = comparableLines(setting.value, setting.value_type);
+        const newLines = comparableLines(data.value, data.value_type);
+        if (JSON.stringify(oldLines) !== JSON.stringify(newLines)) {
+          badges.push(["value", t("changes.value_changed")]);
+          details += diffHTML(t("card.value"), oldLines, newLines);
+        }
+
+        const oldDescription = setting.description || "";
+        const newDescription = data.description || "";
+        if (oldDescription !== newDescription) {
+          badges.push(["description", t("changes.description_changed")]);
+          details += diffHTML(t("card.description"), (oldDescription === "" ? [] : oldDescription.split("\n")), (newDescription === "" ? [] : newDescription.split("\n")));
+        }
+
+        if (badges.length === 0) {
+          badges.push(["unchanged", t("changes.unchanged")]);
+        }
+      }
+
+      if (data.effective_at) {
+        badges.push(["scheduled", t("changes.scheduled")]);
+        const effectiveAt = dateFormatter().format(new Date(Date.parse(data.effective_at)));
+        details = `<div class="super-settings-change-detail"><span class="super-settings-card-label">${escapeHTML(t("changes.effective_at"))}</span> ${escapeHTML(effectiveAt)}</div>` + details;
+      }
+
+      element.querySelector(".js-change-key").innerText = data.key;
+      element.querySelector(".js-change-badges").innerHTML = badges.map(function(badge) {
+        return `<span class="super-settings-change-badge super-settings-change-badge-${badge[0]}">${escapeHTML(badge[1])}</span>`;
+      }).join(" ");
+      element.querySelector(".js-change-details").innerHTML = details;
+      return element;
+    }
+
+    // Show a dialog listing all the pending changes so they can be reviewed before they are saved.
+    function showChangesPreview(changes) {
+      const content = scope.querySelector(".super-settings-modal-content");
+      content.innerHTML = templateHTML("settings-changes");
+      assignElementIds(content);
+      const list = content.querySelector(".js-changes-list");
+      changes.forEach(function(change) {
+        list.appendChild(settingChangeElement(change.data, change.setting));
+      });
+
+      const confirmButton = content.querySelector(".js-confirm-save");
+      const proposing = proposeOnly();
+      confirmButton.innerText = `${proposing ? t("button.propose") : t("button.save")} ${changes.length} ${t("button.save_changes")}`;
+      addListener(confirmButton, "click", function(event) {
+        event.preventDefault();
+        const settingsData = changes.map(function(change) { return change.data; });
+        if (proposing) {
+          const comment = content.querySelector(".js-change-request-comment").value;
+          hideModal();
+          proposeChanges(settingsData, comment);
+        } else {
+          hideModal();
+          saveSettings(settingsData);
+        }
+      });
+
+      showModal();
+      confirmButton.focus();
+    }
+
+    // Collect the changes from all of the edited setting cards. Each change includes the data to
+    // submit to the API and the setting as it was before it was edited (null for new settings).
+    function pendingChanges() {
+      const changes = [];
+      scope.querySelectorAll(".js-settings-container .super-settings-card[data-edited=true]").forEach(function(card) {
+        const data = {};
+
+        data.key = card.querySelector(".js-setting-key").value;
+        if (data.key != card.dataset.key) {
+          data.key_was = card.dataset.key;
+        }
+        data.updated_at_was = card.dataset.updatedAt || null;
+
+        const deleted = card.querySelector(".js-setting-deleted");
+        if (deleted && deleted.value === "1") {
+          data.deleted = true;
+        } else {
+          if (card.querySelector(".js-setting-value")) {
+            data.value = getSettingEditValue(card);
+          }
+          if (card.querySelector(".js-setting-value-type")) {
+            const valueTypeSelect = card.querySelector(".js-setting-value-type");
+            data.value_type = valueTypeSelect.options[valueTypeSelect.selectedIndex].value;
+          }
+          if (card.querySelector(".super-settings-card-description textarea")) {
+            data.description = card.querySelector(".super-settings-card-description textarea").value;
+          }
+          const effectiveAt = effectiveAtValue(card);
+          if (effectiveAt) {
+            data.effective_at = effectiveAt;
+          }
+        }
+
+        const setting = (card.dataset.newrecord ? null : findSetting(card.dataset.id));
+        changes.push({data: data, setting: setting});
+      });
+      return changes;
+    }
+
+    // Submit changes to the settings to the API.
+    function saveSettings(settingsData) {
+      if (readOnlyMode()) {
+        return;
+      }
+      const saveButton = scope.querySelector(".js-save-settings");
+      saveButton.disabled = true;
+      savingSettings = true;
+      api.updateSettings({settings: settingsData}).then(function(results) {
+        fetchActiveSettings();
+        showToast(t("flash.saved"), "success")
+        dispatchSettingsEvent("settings:saved", {settings: settingsData, results: results});
+      }).catch(function(error) {
+        savingSettings = false;
+        saveButton.disabled = false;
+        const results = error.body;
+        if (results && results.success === false) {
+          dispatchSettingsEvent("settings:error", {error: error});
+          if (results.errors) {
+            showValidationErrors(results.errors)
+          }
+          if (results.conflicts) {
+            showConflicts(results.conflicts);
+            showToast(t("flash.conflicts"), "warning");
+          } else {
+            showToast((results.errors ? t("error.validation") : t("flash.save_failed")), "error", apiErrorDetails(error));
+          }
+        } else {
+          showAPIError(error);
+        }
+      });
+    }
+
+    // Return true if changes must be proposed for approval instead of being saved directly.
+    function proposeOnly() {
+      return !!scope.querySelector(".super-settings[data-propose-only]");
+    }
+
+    // Return true if the storage engine can store scheduled changes and change requests.
+    function pendingChangesSupported() {
+      return !scope.querySelector(".super-settings[data-pending-changes-unsupported]");
+    }
+
+    // Submit changes to the settings as a change request to be approved by someone else.
+    function proposeChanges(settingsData, comment) {
+      if (readOnlyMode()) {
+        return;
+      }
+      const saveButton = scope.querySelector(".js-save-settings");
+      saveButton.disabled = true;
+      savingSettings = true;
+      api.createChangeRequest({settings: settingsData, comment: comment}).then(function(results) {
+        fetchActiveSettings();
+        showToast(t("change_requests.submitted"), "success");
+      }).catch(function(error) {
+        savingSettings = false;
+        saveButton.disabled = false;
+        const results = error.body;
+        if (results && results.success === false) {
+          if (results.errors) {
+            showValidationErrors(results.errors);
+          }
+          showToast(t("change_requests.submit_failed"), "error", apiErrorDetails(error));
+        } else {
+          showAPIError(error);
+        }
+      });
+    }
+
+    // Keyboard shortcuts shown in the help overlay. The descriptions are translation keys.
+    const KEYBOARD_SHORTCUTS = [
+      {keys: ["/"], description: "shortcuts.filter"},
+      {keys: ["j", "k"], description: "shortcuts.next_previous"},
+      {keys: ["e"], description: "shortcuts.edit"},
+      {keys: ["h"], description: "shortcuts.history"},
+      {keys: ["Ctrl+S"], description: "shortcuts.save"},
+      {keys: ["Esc"], description: "shortcuts.discard"},
+      {keys: ["Ctrl+K"], description: "shortcuts.palette"},
+      {keys: ["?"], description: "shortcuts.help"}
+    ];
+
+    // Maximum number of settings listed in the command palette.
+    const PALETTE_LIMIT = 20;
+
+    // Return true if the modal window is open.
+    function modalOpen() {
+      return scope.querySelector(".js-modal").style.display === "block";
+    }
+
+    // Return true if the element accepts text input so single key shortcuts should be ignored.
+    function isTextInput(element) {
+      if (!element || !element.tagName) {
+        return false;
+      }
+      const tagName = element.tagName.toLowerCase();
+      return tagName === "input" || tagName === "textarea" || tagName === "select" || element.isContentEditable;
+    }
+
+    // Return the setting cards that can currently be seen on the page.
+    function visibleCards() {
+      const cards = scope.querySelectorAll(".js-settings-container .super-settings-card");
+      return Array.from(cards).filter(function(card) {
+        return card.offsetParent !== null;
+      });
+    }
+
+    // Return the card that has been selected with the keyboard.
+    function currentCard() {
+      return scope.querySelector(".js-settings-container .super-settings-card-current");
+    }
+
+    // Select a card with the keyboard and scroll it into view.
+    function setCurrentCard(card) {
+      const previous = currentCard();
+      if (previous) {
+        previous.classList.remove("super-settings-card-current");
+      }
+      if (card) {
+        card.classList.add("super-settings-card-current");
+        card.setAttribute("tabindex", "-1");
+        card.focus({preventScroll: true});
+        card.scrollIntoView({block: "nearest"});
+      }
+    }
+
+    // Move the keyboard selection to the next or previous visible card.
+    function moveCurrentCard(offset) {
+      const cards = visibleCards();
+      if (cards.length === 0) {
+        return;
+      }
+      let index = cards.indexOf(currentCard());
+      if (index < 0) {
+        index = (offset > 0 ? 0 : cards.length - 1);
+      } else {
+        index = Math.min(Math.max(index + offset, 0), cards.length - 1);
+      }
+      setCurrentCard(cards[index]);
+    }
+
+    // Show the list of keyboard shortcuts in the modal window.
+    function showShortcutsHelp() {
+      const content = scope.querySelector(".super-settings-modal-content");
+      let rowsHTML = "";
+      KEYBOARD_SHORTCUTS.forEach(function(shortcut) {
+        const keysHTML = shortcut.keys.map(function(key) { return `<kbd>${escapeHTML(key)}</kbd>`; }).join(" ");
+        rowsHTML += `<tr><td>${keysHTML}</td><td>${escapeHTML(t(shortcut.description))}</td></tr>`;
+      });
+      content.innerHTML = `<h3>${escapeHTML(t("shortcuts.title"))}</h3><table class="super-settings-shortcuts"><tbody>${rowsHTML}</tbody></table>`;
+      showModal();
+    }
+
+    // Match a query against text where the characters in the query must appear in order in the
+    // text. Returns null if the text does not match or an object with a score (higher is better)
+    // and the indexes of the matched characters. Consecutive characters and characters at the
+    // start of a key segment score higher.
+    function fuzzyMatch(query, text) {
+      const lowerQuery = query.toLowerCase();
+      const lowerText = text.toLowerCase();
+      const indexes = [];
+      let score = 0;
+      let position = 0;
+      for (let i = 0; i < lowerQuery.length; i++) {
+        const index = lowerText.indexOf(lowerQuery[i], position);
+        if (index < 0) {
+          return null;
+        }
+        if (index === 0 || /[._\-\/:]/.test(lowerText[index - 1])) {
+          score += 3;
+        }
+        if (indexes.length > 0 && indexes[indexes.length - 1] === index - 1) {
+          score += 2;
+        }
+        score += 1;
+        indexes.push(index);
+        position = index + 1;
+      }
+      return {score: score - (text.length / 100), indexes: indexes};
+    }
+
+    // Return the HTML for text with the matched characters highlighted.
+    function highlightMatch(text, indexes) {
+      let html = "";
+      for (let i = 0; i < text.length; i++) {
+        if (indexes.includes(i)) {
+          html += `<mark>${escapeHTML(text[i])}</mark>`;
+        } else {
+          html += escapeHTML(text[i]);
+        }
+      }
+      return html;
+    }
+
+    // Show the command palette for jumping to a setting by key.
+    function showPalette() {
+      const content = scope.querySelector(".super-settings-modal-content");
+      content.innerHTML = templateHTML("settings-palette");
+      assignElementIds(content);
+      const input = content.querySelector(".js-palette-input");
+      addListener(input, "input", paletteInputListener);
+      addListener(input, "keydown", paletteKeyListener);
+      addListener(content.querySelector(".js-palette-results"), "click", paletteResultListener);
+      showModal();
+      renderPaletteResults("");
+      input.focus();
+    }
+
+    // Render the settings that match the query in the command palette.
+    function renderPaletteResults(query) {
+      const results = scope.querySelector(".super-settings-modal-content .js-palette-results");
+      const matches = [];
+      activeSettings.forEach(function(setting) {
+        const match = fuzzyMatch(query, setting.key);
+        if (match) {
+          matches.push({setting: setting, score: match.score, indexes: match.indexes});
+        }
+      });
+      matches.sort(function(a, b) {
+        if (a.score === b.score) {
+          return (a.setting.key < b.setting.key ? -1 : 1);
+        }
+        return b.score - a.score;
+      });
+
+      results.innerHTML = "";
+      matches.slice(0, PALETTE_LIMIT).forEach(function(match, index) {
+        const item = document.createElement("li");
+        item.className = "super-settings-palette-result";
+        item.setAttribute("role", "option");
+        item.id = `${results.id}-option-${index}`;
+        item.dataset.id = match.setting.id;
+        item.innerHTML = highlightMatch(match.setting.key, match.indexes);
+        results.appendChild(item);
+      });
+      if (matches.length === 0) {
+        results.innerHTML = `<li class="super-settings-text-muted">${escapeHTML(t("palette.no_matches"))}</li>`;
+      }
+      setPaletteSelection(0);
+    }
+
+    // Highlight an item in the command palette results.
+    function setPaletteSelection(index) {
+      const content = scope.querySelector(".super-settings-modal-content");
+      const items = content.querySelectorAll(".super-settings-palette-result");
+      const input = content.querySelector(".js-palette-input");
+      input.removeAttribute("aria-activedescendant");
+      items.forEach(function(item, itemIndex) {
+        const selected = (itemIndex === index);
+        item.setAttribute("aria-selected", selected ? "true" : "false");
+        if (selected) {
+          input.setAttribute("aria-activedescendant", item.id);
+          item.scrollIntoView({block: "nearest"});
+        }
+      });
+    }
+
+    // Close the command palette and select the card for a setting. The filter is cleared if it
+    // hides the setting and any collapsed groups containing the setting are expanded.
+    function jumpToSetting(id) {
+      hideModal();
+      let card = findSettingCard(id);
+      if (!card) {
+        return;
+      }
+      if (card.style.display === "none") {
+        const filter = scope.querySelector(".js-settings-filter");
+        filter.value = "";
+        filterSettings("");
+      }
+      let group = card.closest(".super-settings-group");
+      while (group) {
+        group.open = true;
+        group = group.parentElement.closest(".super-settings-group");
+      }
+      setCurrentCard(card);
+    }
+
+    /*** Event Listeners ***/
+
+    // Listener for showing the setting history modal.
+    function showHistoryModal(event) {
+      event.preventDefault();
+      if (!event.target.dataset) {
+        return;
+      }
+
+      const modal = scope.querySelector(".js-modal");
+      const content = scope.querySelector(".super-settings-modal-content");
+      let key = event.target.dataset.key;
+      if (!key) {
+        const card = event.target.closest(".super-settings-card");
+        if (card) {
+          const id = card.dataset.id;
+          const setting = findSetting(id);
+          if (setting) {
+            key = setting.key;
+            if (!key) {
+              return;
+            }
+          }
+        }
+      }
+      const params = {key: key, limit: 25};
+      if (event.target.dataset.limit) {
+        params["limit"] = event.target.dataset.limit;
+      }
+      if (event.target.dataset.offset) {
+        params["offset"] = event.target.dataset.offset;
+      }
+      api.fetchHistory(params).then(function(settingHistory){
+        renderHistoryTable(content, settingHistory);
+        showModal();
+      }, showAPIError);
+    }
+
+    // Listener for showing the dialog to export settings.
+    function showExportModal(event) {
+      event.preventDefault();
+      const content = scope.querySelector(".super-settings-modal-content");
+      content.innerHTML = templateHTML("settings-export");
+      content.querySelector(".js-export-all-count").innerText = exportableSettings(false).length;
+      content.querySelector(".js-export-filtered-count").innerText = exportableSettings(true).length;
+      addListener(content.querySelector(".js-export-download"), "click", exportSettings);
+      showModal();
+    }
+
+    // Listener for downloading the exported settings in the selected format.
+    function exportSettings(event) {
+      event.preventDefault();
+      const content = scope.querySelector(".super-settings-modal-content");
+      const exportScope = content.querySelector('input[name="export_scope"]:checked').value;
+      const format = content.querySelector('input[name="export_format"]:checked').value;
+      const settings = exportableSettings(exportScope === "filtered");
+      const date = new Date();
+      const basename = `settings-${date.getFullYear()}-${padTimeVal(date.getMonth() + 1)}-${padTimeVal(date.getDate())}`;
+      if (format === "yaml") {
+        downloadFile(settingsToYAML(settings), `${basename}.yml`, "application/yaml");
+      } else {
+        downloadFile(JSON.stringify(settings, null, 2) + "\n", `${basename}.json`, "application/json");
+      }
+      hideModal();
+    }
+
+    // Listener for opening the file picker to import settings.
+    function chooseImportFile(event) {
+      event.preventDefault();
+      if (readOnlyMode()) {
+        return;
+      }
+      scope.querySelector(".js-import-file").click();
+    }
+
+    // Listener for importing settings from the selected file.
+    function importSettings(event) {
+      if (readOnlyMode()) {
+        return;
+      }
+      const input = event.target;
+      const file = input.files[0];
+      if (!file) {
+        return;
+      }
+      file.text().then(function(text) {
+        const settings = parseImportedSettings(text, file.name);
+        if (settings === null) {
+          showToast(t("import.invalid"), "error");
+          return;
+        }
+        const count = applyImportedSettings(settings);
+        if (count > 0) {
+          showToast(`${count} ${t("import.pending")}`, "success");
+        } else {
+          showToast(t("import.no_changes"), "info");
+        }
+      }).catch(function() {
+        showToast(t("import.invalid"), "error");
+      }).finally(function() {
+        input.value = "";
+      });
+    }
+
+    // Return the environment to compare the settings with, or null if one is not configured. The
+    // environment is set with the compareEnvironment option or on SuperSettingsUI and has a
+    // baseUrl along with an optional name, headers, and queryParams for the API client.
+    function compareEnvironment() {
+      let environment = options.compareEnvironment || window.SuperSettingsUI.compareEnvironment;
+      if (typeof environment === "string") {
+        environment = {baseUrl: environment};
+      }
+      return (environment && environment.baseUrl ? environment : null);
+    }
+
+    // Return the differences between the saved settings and the settings from another environment
+    // sorted by key. Each difference has a status of "missing" if the setting is only in the other
+    // environment, "extra" if it is only in this one, or "different" if the value type, value, or
+    // description are not the same.
+    function settingDifferences(otherSettings) {
+      const differences = [];
+      const otherKeys = new Set();
+      otherSettings.forEach(function(other) {
+        if (!keyInScope(other.key)) {
+          return;
+        }
+        otherKeys.add(other.key);
+        const setting = findSettingByKey(other.key);
+        if (!setting) {
+          differences.push({key: other.key, status: "missing", setting: null, other: other});
+        } else if (!sameSettingValues(setting, other)) {
+          differences.push({key: other.key, status: "different", setting: setting, other: other});
+        }
+      });
+      activeSettings.forEach(function(setting) {
+        if (keyInScope(setting.key) && !otherKeys.has(setting.key)) {
+          differences.push({key: setting.key, status: "extra", setting: setting, other: null});
+        }
+      });
+      return differences.sort(function(a, b) { return a.key.localeCompare(b.key) });
+    }
+
+    // Return the change that copying a difference would make to the settings in this environment.
+    function differenceChangeData(difference) {
+      if (difference.status === "extra") {
+        return {key: difference.key, deleted: true};
+      }
+      const other = difference.other;
+      return {key: other.key, value: other.value, value_type: other.value_type, description: other.description || null};
+    }
+
+    // List the differences with another environment in the compare dialog.
+    function renderSettingDifferences(content, differences) {
+      const list = content.querySelector(".js-compare-list");
+      const status = content.querySelector(".js-compare-status");
+      if (differences.length === 0) {
+        status.innerText = t("compare.none");
+        return;
+      }
+
+      status.innerText = ["missing", "extra", "different"].map(function(name) {
+        const count = differences.filter(function(difference) { return difference.status === name }).length;
+        return `${count} ${t(`compare.${name}`)}`;
+      }).join(", ");
+
+      differences.forEach(function(difference, index) {
+        const element = elementFromSettingTemplate({id: "" + index}, "setting-compare");
+        const badge = element.querySelector(".js-compare-badge");
+        badge.classList.add(`super-settings-change-badge-${difference.status}`);
+        badge.innerText = t(`compare.${difference.status}_badge`);
+        element.querySelector(".js-compare-select").setAttribute("aria-label", `${t("compare.select")} ${difference.key}`);
+        element.querySelector(".js-compare-change").appendChild(settingChangeElement(differenceChangeData(difference), difference.setting));
+        list.appendChild(element);
+      });
+
+      const selectAll = content.querySelector(".js-compare-select-all");
+      const copyButton = content.querySelector(".js-copy-differences");
+      const updateCopyButton = function() {
+        const selected = list.querySelectorAll(".js-compare-select:checked").length;
+        copyButton.disabled = (selected === 0);
+        selectAll.checked = (selected === differences.length);
+      };
+      addListener(list.querySelectorAll(".js-compare-select"), "change", updateCopyButton);
+      addListener(selectAll, "change", function() {
+        list.querySelectorAll(".js-compare-select").forEach(function(checkbox) { checkbox.checked = selectAll.checked });
+        updateCopyButton();
+      });
+      addListener(copyButton, "click", function(event) {
+        event.preventDefault();
+        const selected = Array.from(list.querySelectorAll(".js-compare-select:checked")).map(function(checkbox) {
+          return differences[parseInt(checkbox.closest(".super-settings-compare-item").dataset.index, 10)];
+        });
+        copySettingDifferences(selected);
+      });
+      content.querySelector(".js-compare-controls").style.display = "";
+    }
+
+    // Listener for the button that compares the settings with another environment.
+    function showCompareModal(event) {
+      event.preventDefault();
+      const environment = compareEnvironment();
+      if (!environment) {
+        return;
+      }
+      const content = scope.querySelector(".super-settings-modal-content");
+      content.innerHTML = templateHTML("settings-compare");
+      content.querySelector(".js-compare-environment").innerText = environment.name || environment.baseUrl;
+      const list = content.querySelector(".js-compare-list");
+      showModal();
+
+      SuperSettingsAPI.client(environment).fetchSettings().then(function(payload) {
+        // Don't render the results if the dialog was closed while the settings were loading.
+        if (content.contains(list)) {
+          renderSettingDifferences(content, settingDifferences(payload.settings));
+        }
+      }).catch(function(error) {
+        dispatchSettingsEvent("settings:error", {error: error});
+        if (content.contains(list)) {
+          const status = content.querySelector(".js-compare-status");
+          status.innerText = t("compare.error");
+          status.classList.add("super-settings-text-danger");
+        }
+      });
+    }
+
+    // Copy differences from another environment to this one as pending changes. Settings that are
+    // only in this environment are marked to be deleted. The changes are not saved until the user
+    // reviews them and saves the settings.
+    function copySettingDifferences(differences) {
+      if (readOnlyMode()) {
+        return;
+      }
+      const copied = differences.filter(function(difference) { return difference.status !== "extra" }).map(differenceChangeData);
+      let count = applyImportedSettings(copied);
+
+      differences.filter(function(difference) { return difference.status === "extra" }).forEach(function(difference) {
+        let card = findSettingCard(difference.setting.id);
+        if (!card || card.dataset.deleted) {
+          return;
+        }
+        if (card.querySelector(".js-setting-value-type")) {
+          restoreSettingCard(card);
+          card = findSettingCard(difference.setting.id);
+        }
+        markSettingDeleted(card);
+        count++;
+      });
+
+      filterSettings(scope.querySelector(".js-settings-filter").value);
+      enableSaveButton();
+      hideModal();
+      if (count > 0) {
+        showToast(`${count} ${t("compare.copied")}`, "success");
+      } else {
+        showToast(t("import.no_changes"), "info");
+      }
+    }
+
+    // Listener for closing the modal window overlay.
+    function closeModal(event) {
+      if (event.target.classList.contains("js-close-modal")) {
+        event.preventDefault();
+        hideModal();
+      }
+    }
+
+    // Listener to just capture events.
+    function noOp(event) {
+      event.preventDefault();
+    }
+
+    // Listener for validating the JSON as it is entered for a json setting.
+    function validateJSONListener(event) {
+      validateJSONInput(event.target);
+    }
+
+    // Listener for checking a setting value against its constraints as it is entered.
+    function validateConstraintsListener(event) {
+      const card = event.target.closest(".super-settings-card-edit");
+      if (card) {
+        validateCardConstraints(card);
+      }
+    }
+
+    // Listener for pretty printing the JSON for a json setting.
+    function formatJSON(event) {
+      event.preventDefault();
+      const input = event.target.closest(".super-settings-json-editor").querySelector(".js-json-input");
+      const value = validateJSONInput(input);
+      if (value !== undefined && value !== null) {
+        input.value = JSON.stringify(value, null, 2);
+      }
+    }
+
+    // Listener for changing the setting value type select element. Different types will have
+    // different input elements for the setting value.
+    function changeSettingType(event) {
+      event.preventDefault();
+      const card = event.target.closest(".super-settings-card");
+      const setting = cardSetting(card);
+      const addedCard = addCardToContainer(editSettingCard(setting));
+      if (addedCard.querySelector(".super-settings-card-value .js-date-input")) {
+        addedCard.querySelector(".super-settings-card-value .js-date-input").focus();
+      } else {
+        addedCard.querySelector(".super-settings-card-value .js-setting-value").focus();
+      }
+    }
+
+    // Listener for date and time input elements the combine the values into a hidden datetime field.
+    // The hidden field is either the setting value or the time the changes take effect.
+    function changeDateTime(event) {
+      const parentNode = event.target.closest("span")
+      const hiddenInput = parentNode.querySelector(".js-setting-value, .js-effective-at");
+      const dateValue = parentNode.querySelector(".js-date-input").value;
+      if (dateValue === "") {
+        hiddenInput.value = "";
+        return;
+      }
+      let timeValue = parentNode.querySelector(".js-time-input").value;
+      if (timeValue === "") {
+        timeValue = "00:00:00";
+      }
+      const date = new Date(Date.parse(dateValue + "T" + timeValue));
+      hiddenInput.value = date.toISOString();
+    }
+
+    // Listener for the add setting button.
+    function addSettingListener(event) {
+      event.preventDefault();
+      if (readOnlyMode()) {
+        return;
+      }
+      addSetting(keyPrefix);
+    }
+
+    // Listener for the edit setting button.
+    function editSettingListener(event) {
+      event.preventDefault();
+      if (readOnlyMode()) {
+        return;
+      }
+      const id = event.target.closest(".super-settings-card").dataset.id;
+      setting = findSetting(id);
+      editSetting(setting);
+    }
+
+    // Listener for the restore setting button.
+    function restoreSetting(event) {
+      event.preventDefault();
+      restoreSettingCard(event.target.closest(".super-settings-card"));
+      enableSaveButton();
+    }
+
+    // Discard any changes to a setting card and show the saved setting. Unsaved settings
+    // are removed.
+    function restoreSettingCard(card) {
+      const id = card.dataset.id;
+      const setting = findSetting(id);
+      if (setting) {
+        const newCard = settingCard(setting);
+        bindSettingControlEvents(newCard);
+        newCard.classList.add("super-settings-card-reveal");
+        card.replaceWith(newCard);
+      } else {
+        card.remove();
+        // Update the settings count after removing the card
+        setTimeout(function() {
+          filterSettings(scope.querySelector(".js-settings-filter").value);
+        }, 0);
+      }
+    }
+
+    // Listener for the remove setting button.
+    function removeSetting(event) {
+      event.preventDefault();
+      if (readOnlyMode()) {
+        return;
+      }
+      markSettingDeleted(event.target.closest(".super-settings-card"));
+      enableSaveButton();
+    }
+
+    // Mark the setting on a card to be deleted when the changes are saved. Unsaved settings
+    // are removed.
+    function markSettingDeleted(settingCard) {
+      if (settingCard.dataset["id"]) {
+        settingCard.querySelector("input.js-setting-deleted").value = "1";
+        settingCard.dataset.edited = true;
+        settingCard.dataset.deleted = true;
+        settingCard.querySelector(".js-remove-setting").style.display = "none";
+        settingCard.querySelector(".js-restore-setting").style.display = "inline-block";
+      } else {
+        settingCard.remove();
+        // Update the settings count after removing an unsaved setting
+        setTimeout(function() {
+          filterSettings(scope.querySelector(".js-settings-filter").value);
+        }, 0);
+      }
+    }
+
+    // Listener for selecting or unselecting a setting.
+    function selectSettingListener(event) {
+      updateBulkActions();
+    }
+
+    // Listener for the checkbox that selects all of the settings matching the filter.
+    function selectAllSettings(event) {
+      const checked = event.target.checked;
+      scope.querySelectorAll(".js-settings-container .super-settings-card").forEach(function(card) {
+        const checkbox = card.querySelector(".js-select-setting");
+        if (checkbox && card.style.display !== "none") {
+          checkbox.checked = checked;
+        }
+      });
+      updateBulkActions();
+    }
+
+    // Listener for the clear selection button.
+    function clearSelectionListener(event) {
+      event.preventDefault();
+      clearSelection();
+    }
+
+    // Listener for deleting all of the selected settings.
+    function bulkDelete(event) {
+      event.preventDefault();
+      if (readOnlyMode()) {
+        return;
+      }
+      let count = 0;
+      selectedCards().forEach(function(card) {
+        if (card.dataset.deleted) {
+          return;
+        }
+        if (card.querySelector(".js-setting-value-type")) {
+          restoreSettingCard(card);
+          card = findSettingCard(card.dataset.id);
+        }
+        if (card) {
+          markSettingDeleted(card);
+        }
+        count++;
+      });
+      finishBulkAction(count);
+    }
+
+    // Listener for discarding the changes to all of the selected settings.
+    function bulkRestore(event) {
+      event.preventDefault();
+      let count = 0;
+      selectedCards().forEach(function(card) {
+        if (card.dataset.edited) {
+          restoreSettingCard(card);
+          count++;
+        }
+      });
+      finishBulkAction(count);
+    }
+
+    // Listener for changing the value type of all of the selected settings.
+    function bulkChangeValueType(event) {
+      event.preventDefault();
+      if (readOnlyMode()) {
+        return;
+      }
+      const valueType = event.target.value;
+      event.target.value = "";
+      if (!valueType) {
+        return;
+      }
+      let count = 0;
+      selectedCards().forEach(function(card) {
+        if (card.dataset.deleted || cardSetting(card).value_type === valueType) {
+          return;
+        }
+        bulkEditCard(card, {value_type: valueType});
+        count++;
+      });
+      finishBulkAction(count);
+    }
+
+    // Listener for showing the dialog to find and replace text in the selected settings.
+    function showFindReplaceModal(event) {
+      event.preventDefault();
+      if (readOnlyMode()) {
+        return;
+      }
+      const content = scope.querySelector(".super-settings-modal-content");
+      content.innerHTML = templateHTML("settings-find-replace");
+      assignElementIds(content);
+      content.querySelector(".js-find-replace-count").innerText = selectedCards().length;
+      addListener(content.querySelector(".js-apply-find-replace"), "click", applyFindReplace);
+      showModal();
+      content.querySelector(".js-find-text").focus();
+    }
+
+    // Listener for replacing text in the keys or values of the selected settings.
+    function applyFindReplace(event) {
+      event.preventDefault();
+      if (readOnlyMode()) {
+        return;
+      }
+      const content = scope.querySelector(".super-settings-modal-content");
+      const findText = content.querySelector(".js-find-text").value;
+      const replacement = content.querySelector(".js-replace-text").value;
+      const target = content.querySelector('input[name="find_replace_target"]:checked').value;
+      if (findText === "") {
+        content.querySelector(".js-find-text").focus();
+        return;
+      }
+
+      let pattern = findText;
+      if (content.querySelector(".js-find-regexp").checked) {
+        try {
+          pattern = new RegExp(findText, "g");
+        } catch (e) {
+          content.querySelector(".js-find-replace-error").innerText = e.message;
+          return;
+        }
+      }
+
+      let count = 0;
+      selectedCards().forEach(function(card) {
+        if (card.dataset.deleted) {
+          return;
+        }
+        const setting = cardSetting(card);
+        if (target === "key") {
+          const key = replaceText(setting.key || "", pattern, replacement);
+          if (key !== setting.key) {
+            bulkEditCard(card, {key: key});
+            count++;
+          }
+        } else {
+          const text = settingEditText(setting);
+          const value = replaceText(text, pattern, replacement);
+          if (value !== text) {
+            bulkEditCard(card, {value: value});
+            count++;
+          }
+        }
+      });
+      hideModal();
+      finishBulkAction(count);
+    }
+
+    // Listener for keyboard shortcuts on the page.
+    function keyboardShortcutListener(event) {
+      const readOnly = readOnlyMode();
+      const key = event.key;
+      const modifier = (event.ctrlKey || event.metaKey);
+
+      if (modifier && !event.altKey && key.toLowerCase() === "k") {
+        event.preventDefault();
+        if (!modalOpen()) {
+          showPalette();
+        }
+        return;
+      }
+
+      if (modalOpen()) {
+        if (key === "Escape") {
+          event.preventDefault();
+          hideModal();
+        } else if (modifier && key.toLowerCase() === "s") {
+          event.preventDefault();
+        }
+        return;
+      }
+
+      if (modifier && !event.altKey && key.toLowerCase() === "s") {
+        event.preventDefault();
+        const saveButton = scope.querySelector(".js-save-settings");
+        if (!readOnly && saveButton && !saveButton.disabled) {
+          updateSettings(event);
+        }
+        return;
+      }
+
+      if (key === "Escape") {
+        const editCard = (event.target.closest ? event.target.closest(".super-settings-card-edit") : null);
+        if (editCard) {
+          event.preventDefault();
+          const id = editCard.dataset.id;
+          restoreSettingCard(editCard);
+          enableSaveButton();
+          setCurrentCard(findSettingCard(id));
+        } else if (isTextInput(event.target)) {
+          event.target.blur();
+        }
+        return;
+      }
+
+      if (modifier || event.altKey || isTextInput(event.target)) {
+        return;
+      }
+
+      const card = currentCard();
+      if (key === "/") {
+        event.preventDefault();
+        scope.querySelector(".js-settings-filter").focus();
+      } else if (key === "j") {
+        event.preventDefault();
+        moveCurrentCard(1);
+      } else if (key === "k") {
+        event.preventDefault();
+        moveCurrentCard(-1);
+      } else if (key === "e" && card && !readOnly) {
+        event.preventDefault();
+        const editLink = card.querySelector(".js-edit-setting");
+        if (editLink) {
+          editLink.click();
+        } else {
+          card.querySelector(".js-setting-value").focus();
+        }
+      } else if (key === "h" && card) {
+        event.preventDefault();
+        card.querySelector(".js-show-history").click();
+      } else if (key === "?") {
+        event.preventDefault();
+        showShortcutsHelp();
+      }
+    }
+
+    // Listener for filtering the settings in the command palette.
+    function paletteInputListener(event) {
+      renderPaletteResults(event.target.value);
+    }
+
+    // Listener for moving through and choosing the results in the command palette.
+    function paletteKeyListener(event) {
+      const content = scope.querySelector(".super-settings-modal-content");
+      const items = Array.from(content.querySelectorAll(".super-settings-palette-result"));
+      const index = items.findIndex(function(item) { return item.getAttribute("aria-selected") === "true"; });
+      if (event.key === "ArrowDown") {
+        event.preventDefault();
+        setPaletteSelection(Math.min(index + 1, items.length - 1));
+      } else if (event.key === "ArrowUp") {
+        event.preventDefault();
+        setPaletteSelection(Math.max(index - 1, 0));
+      } else if (event.key === "Enter") {
+        event.preventDefault();
+        if (items[index]) {
+          jumpToSetting(items[index].dataset.id);
+        }
+      }
+    }
+
+    // Listener for choosing a result in the command palette with the mouse.
+    function paletteResultListener(event) {
+      const item = event.target.closest(".super-settings-palette-result");
+      if (item) {
+        event.preventDefault();
+        jumpToSetting(item.dataset.id);
+      }
+    }
+
+    // Listener for the save button that shows the pending changes for review before saving them.
+    function updateSettings(event) {
+      event.preventDefault();
+      if (readOnlyMode()) {
+        return;
+      }
+      const invalidJSON = scope.querySelector('.js-settings-container .js-json-input[aria-invalid="true"]');
+      if (invalidJSON) {
+        showToast(t("json.fix_errors"), "error");
+        invalidJSON.focus();
+        return;
+      }
+      const invalidCards = Array.from(scope.querySelectorAll(".js-settings-container .super-settings-card-edit")).filter(function(card) {
+        return !validateCardConstraints(card);
+      });
+      if (invalidCards.length > 0) {
+        showToast(t("constraint.fix_errors"), "error");
+        invalidCards[0].scrollIntoView({block: "nearest"});
+        return;
+      }
+      const changes = pendingChanges();
+      if (changes.length > 0) {
+        showChangesPreview(changes);
+      }
+    }
+
+
+    // Listener for the filter input field.
+    function filterListener(event) {
+      const filter = event.target.value;
+      filterSettings(filter);
+      updateFilterURL(filter);
+    }
+
+    // Listener for refresh page button.
+    function refreshPage(event) {
+      event.preventDefault();
+      clearDrafts();
+      if (embedded) {
+        // Embedded widgets can't reload the host page so the saved settings are rendered again.
+        renderSettingsContainer(activeSettings);
+        enableSaveButton();
+        return;
+      }
+      // Don't save the discarded changes as drafts when the page unloads.
+      draftsChecked = false;
+      let url = window.location.href.replace(/\?.*/, "");
+      const filter = scope.querySelector(".js-settings-filter").value;
+      if (filter !== "") {
+        url += "?filter=" + escape(filter);
+      }
+      window.location = url;
+    }
+
+    // Parse URL hash looking for URL-style parameters like #edit=setting&type=string.
+    function fetchURLHash() {
+      const hash = window.location.hash;
+      if (hash.length <= 1) {
+        return {};
+      }
+
+      // Remove the # and check if it looks like URL parameters
+      const hashParams = hash.substring(1);
+      if (!hashParams.includes('=')) {
+        return {};
+      }
+
+      const params = {};
+      hashParams.split('&').forEach(function(param) {
+        const [key, value] = param.split('=', 2);
+        if (key && value) {
+          params[decodeURIComponent(key)] = decodeURIComponent(value.replace(/\+/g, ' '));
+        }
+      });
+
+      window.location.hash = "";
+      return params;
+    }
+
+    // Support integration into single page applications where OAuth2 access tokens are used.
+    // The access token can be passed either in the access_token query parameter per the
+    // OAuth2 standard, or in the URL hash. Passing it in the hash will prevent it from ever
+    // being sent to the backend and is a bit more secure since there's no chance a web server
+    // will accidentally log it with the request URL.
+    function storeAccessToken() {
+      let accessToken = null;
+      const params = new URLSearchParams(window.location.search);
+      if (params.get("access_token")) {
+        accessToken = params.get("access_token");
+      }
+      if (window.location.hash.startsWith("#access_token=")) {
+        accessToken = window.location.hash.replace("#access_token=", "");
+      }
+      if (accessToken) {
+        window.sessionStorage.setItem("super_settings_access_token", accessToken);
+        const params = new URLSearchParams(window.location.search);
+        params.delete("access_token");
+        window.location.hash = null;
+        window.history.replaceState("", document.title, window.location.pathname + "?" + params.toString());
+      }
+    }
+
+    // Attach event listener to one or more elements.
+    function addListener(elements, event, handler) {
+      if (elements.addEventListener) {
+        elements = [elements];
+      }
+      elements.forEach(function(element) {
+        if (element) {
+          element.addEventListener(event, handler);
+        }
+      });
+    }
+
+    // Bind event listeners for setting controls on a setting table row.
+    function bindSettingControlEvents(parent) {
+      addListener(parent.querySelectorAll(".js-remove-setting"), "click", removeSetting);
+      addListener(parent.querySelectorAll(".js-edit-setting"), "click", editSettingListener);
+      addListener(parent.querySelectorAll(".js-restore-setting"), "click", restoreSetting);
+      addListener(parent.querySelectorAll(".js-show-history"), "click", showHistoryModal);
+      addListener(parent.querySelectorAll(".js-no-op"), "click", noOp);
+      addListener(parent.querySelectorAll(".js-setting-value-type"), "change", changeSettingType);
+      addListener(parent.querySelectorAll(".js-date-input"), "change", changeDateTime);
+      addListener(parent.querySelectorAll(".js-time-input"), "change", changeDateTime);
+      addListener(parent.querySelectorAll(".js-json-input"), "input", validateJSONListener);
+      addListener(parent.querySelectorAll(".js-json-format"), "click", formatJSON);
+      addListener(parent.querySelectorAll(".super-settings-card-value .js-setting-value"), "input", validateConstraintsListener);
+      addListener(parent.querySelectorAll(".super-settings-card-value .js-setting-value"), "change", validateConstraintsListener);
+      addListener(parent.querySelectorAll(".js-date-input"), "change", validateConstraintsListener);
+      addListener(parent.querySelectorAll(".js-time-input"), "change", validateConstraintsListener);
+      addListener(parent.querySelectorAll(".js-select-setting"), "change", selectSettingListener);
+    }
+
+    // Initialize the container with all the settings plus any changes from a failed form submission.
+    function renderSettingsContainer(settings) {
+      const container = scope.querySelector(".js-settings-container");
+      container.innerHTML = "";
+      let count = settings.length;
+
+      const cards = sortSettings(settings).map(function(setting) {
+        const randomId = "setting" + Math.floor((Math.random() * 0xFFFFFFFFFFFFF)).toString(16);
+        setting.id = (setting.id || randomId);
+        const card = settingCard(setting);
+        bindSettingControlEvents(card);
+        return card;
+      });
+
+      if (groupedView()) {
+        renderGroup(buildGroupTree(cards), container, expandedGroups());
+      } else {
+        cards.forEach(function(card) {
+          container.appendChild(card);
+        });
+      }
+      updateSettingsCount(count);
+
+      const filter = scope.querySelector(".js-settings-filter");
+      if (filter) {
+        filter.dispatchEvent(new Event("input"));
+      }
+    }
+
+    // Return true if the settings are displayed in groups by key prefix.
+    function groupedView() {
+      return viewParams.get("view") === "tree";
+    }
+
+    // Return the set of group paths that are expanded in the grouped view.
+    function expandedGroups() {
+      const expand = viewParams.get("expand");
+      return new Set(expand ? expand.split(",") : []);
+    }
+
+    // Return the path of the group for a setting key. The path is the key without the last segment
+    // (i.e. "billing.stripe" for "billing.stripe.timeout").
+    function groupPath(key) {
+      const segments = (key || "").split(".").filter(function(segment) { return segment !== ""; });
+      return segments.slice(0, -1).join(".");
+    }
+
+    // Build a tree of groups from setting cards using the dotted segments of the keys. Each node
+    // has a name, a path, a map of child groups, and the list of cards in the group.
+    function buildGroupTree(cards) {
+      const root = {name: "", path: "", groups: new Map(), cards: []};
+      cards.forEach(function(card) {
+        const path = groupPath(card.dataset.key);
+        let node = root;
+        if (path !== "") {
+          path.split(".").forEach(function(segment) {
+            if (!node.groups.has(segment)) {
+              const childPath = (node.path === "" ? segment : `${node.path}.${segment}`);
+              node.groups.set(segment, {name: segment, path: childPath, groups: new Map(), cards: []});
+            }
+            node = node.groups.get(segment);
+          });
+        }
+        node.cards.push(card);
+      });
+      return root;
+    }
+
+    // Render a node in the group tree into a parent element. Child groups are sorted by name and
+    // are rendered before the setting cards in the group.
+    function renderGroup(node, parent, expanded) {
+      Array.from(node.groups.keys()).sort().forEach(function(name) {
+        const group = node.groups.get(name);
+        const template = document.createElement("template");
+        template.innerHTML = templateHTML("settings-group");
+        const element = template.content.firstChild;
+        element.dataset.group = group.path;
+        element.open = expanded.has(group.path);
+        const nameElement = element.querySelector(".js-group-name");
+        nameElement.innerText = group.name;
+        nameElement.title = group.path;
+        addListener(element, "toggle", toggleGroup);
+        parent.appendChild(element);
+        renderGroup(group, element.querySelector(".js-group-content"), expanded);
+      });
+      node.cards.forEach(function(card) {
+        parent.appendChild(card);
+      });
+    }
+
+    // Return the element that should contain the cards for a group. The settings container is
+    // returned if the settings are not grouped or the group does not exist.
+    function groupContent(path) {
+      const container = scope.querySelector(".js-settings-container");
+      if (path !== "") {
+        const group = container.querySelector(`.super-settings-group[data-group="${CSS.escape(path)}"]`);
+        if (group) {
+          return group.querySelector(".js-group-content");
+        }
+      }
+      return container;
+    }
+
+    // Update the count of visible settings in each group. Groups without any visible settings
+    // are hidden.
+    function updateGroupCounts() {
+      scope.querySelectorAll(".js-settings-container .super-settings-group").forEach(function(group) {
+        let count = 0;
+        group.querySelectorAll(".super-settings-card").forEach(function(card) {
+          if (card.style.display !== "none") {
+            count++;
+          }
+        });
+        group.querySelector(".js-group-count").innerText = count;
+        group.style.display = (count > 0 ? "" : "none");
+      });
+    }
+
+    // Keep the expanded groups in the URL so the state is preserved on reload.
+    function toggleGroup(event) {
+      const expanded = [];
+      scope.querySelectorAll(".js-settings-container .super-settings-group[open]").forEach(function(group) {
+        expanded.push(group.dataset.group);
+      });
+      updateQueryParam("expand", expanded.join(","));
+    }
+
+    // Switch between the flat list of settings and the grouped view.
+    function toggleGroupedView(event) {
+      event.preventDefault();
+      updateQueryParam("view", groupedView() ? null : "tree");
+      updateGroupedViewButton();
+      rerenderSettings();
+    }
+
+    // Mark the grouped view button as pressed when the grouped view is active.
+    function updateGroupedViewButton() {
+      const button = scope.querySelector(".js-toggle-grouped-view");
+      if (button) {
+        button.setAttribute("aria-pressed", groupedView() ? "true" : "false");
+      }
+    }
+
+    // Render the settings again with the current sort order and view while keeping any cards
+    // that are being edited.
+    function rerenderSettings() {
+      const container = scope.querySelector(".js-settings-container");
+      const editedCards = Array.from(container.querySelectorAll(".super-settings-card[data-edited=true]"));
+      renderSettingsContainer(activeSettings);
+      editedCards.reverse().forEach(function(card) {
+        const existingCard = findSettingCard(card.dataset.id);
+        if (existingCard) {
+          existingCard.replaceWith(card);
+        } else {
+          container.prepend(card);
+        }
+      });
+      filterSettings(scope.querySelector(".js-settings-filter").value);
+    }
+
+    function sortOrder() {
+      const selectedSort = scope.querySelector(".super-settings-sort-control[data-selected=true]");
+      const field = selectedSort.dataset.field;
+      const order = selectedSort.dataset.order;
+      return {field: field, order: order};
+    }
+
+    // Sort settings by the selected sort option.
+    function sortSettings(settings) {
+      const sort = sortOrder();
+      return settings.sort(function(a, b) {
+        let aValue = a[sort.field];
+        let bValue = b[sort.field];
+        if (sort.field == "updated_at") {
+          aValue = new Date(Date.parse(aValue));
+          bValue = new Date(Date.parse(bValue));
+        }
+
+        if (aValue === bValue) {
+          return 0;
+        } else if (sort.order === "asc") {
+          return (aValue < bValue) ? -1 : 1;
+        } else {
+          return (aValue > bValue) ? -1 : 1;
+        }
+      })
+    }
+
+    function setSortOrder(event) {
+      event.preventDefault();
+
+      const target = event.target.closest(".super-settings-sort-control");
+      let prevSelection = scope.querySelector(".super-settings-sort-control[data-selected=true]");
+
+      if (prevSelection == target) {
+        selectSortElement(prevSelection, false);
+        target.querySelector(`[data-order=${target.dataset.order}]`).style.display = "none";
+        target.dataset.order = (target.dataset.order === "asc" ? "desc" : "asc");
+        target.querySelector(`[data-order=${target.dataset.order}]`).style.display = "inline-block";
+      } else {
+        selectSortElement(prevSelection, false);
+      }
+
+      selectSortElement(target, true);
+
+      rerenderSettings();
+    }
+
+    function selectSortElement(element, selected) {
+      element.dataset.selected = selected;
+
+      const svg = element.querySelector(`[data-order=${element.dataset.order}]`).querySelector("svg");
+      if (selected) {
+        svg.style.backgroundColor = getComputedStyle(scope.querySelector(".super-settings")).getPropertyValue("--primary-color");
+        svg.style.fill = "white";
+      } else {
+        svg.style.backgroundColor = null;
+        svg.style.fill = null;
+      }
+    }
+
+    function promptUnsavedChanges(event) {
+      saveDrafts();
+      if (changesCount() > 0) {
+        event.preventDefault();
+        event.returnValue = t("prompt.unsaved");
+        return t("prompt.unsaved");
+      } else {
+        return undefined;
+      }
+    }
+
+    // Prefix for the localStorage keys where drafts of unsaved changes are kept.
+    const DRAFTS_STORAGE_PREFIX = "super_settings_drafts:";
+
+    // Number of milliseconds to wait after the last edit before saving the drafts.
+    const DRAFTS_SAVE_DELAY = 500;
+
+    // Return the localStorage key for the drafts. Drafts are kept separately for each API base URL
+    // so that drafts from one environment are never restored in another.
+    function draftsStorageKey() {
+      const baseUrl = api.baseUrl || SuperSettingsAPI.baseUrl || window.location.pathname;
+      return DRAFTS_STORAGE_PREFIX + new URL(baseUrl, window.location.href).href.replace(/\/+$/, "");
+    }
+
+    // Read the saved drafts keyed by setting key. Errors reading from localStorage (i.e. if it
+    // is disabled) are ignored since the drafts are only a convenience.
+    function readDrafts() {
+      try {
+        const json = window.localStorage.getItem(draftsStorageKey());
+        const drafts = (json ? JSON.parse(json) : null);
+        return (drafts && typeof drafts === "object" ? drafts : {});
+      } catch (e) {
+        return {};
+      }
+    }
+
+    // Write the drafts to localStorage. The entry is removed when there are no drafts. Errors
+    // (i.e. if localStorage is disabled or full) are ignored since the drafts are only a convenience.
+    function writeDrafts(drafts) {
+      try {
+        if (Object.keys(drafts).length > 0) {
+          window.localStorage.setItem(draftsStorageKey(), JSON.stringify(drafts));
+        } else {
+          window.localStorage.removeItem(draftsStorageKey());
+        }
+      } catch (e) {
+        // Ignore errors writing the drafts.
+      }
+    }
+
+    // Save a draft of every edited setting card so the changes can be restored if the page is
+    // reloaded before they are saved. Drafts for settings outside this instance's key prefix and
+    // drafts that have been offered for restore but not restored yet are kept.
+    function saveDrafts() {
+      clearTimeout(draftsTimer);
+      draftsTimer = null;
+      if (!draftsChecked || readOnlyMode()) {
+        return;
+      }
+
+      const drafts = readDrafts();
+      Object.keys(drafts).forEach(function(key) {
+        if (keyInScope(key) && !(offeredDrafts && offeredDrafts[key])) {
+          delete drafts[key];
+        }
+      });
+
+      const savedAt = new Date().toISOString();
+      pendingChanges().forEach(function(change) {
+        const key = (change.setting ? change.setting.key : change.data.key);
+        if (key) {
+          drafts[key] = {key: key, new_record: !change.setting, data: change.data, saved_at: savedAt};
+        }
+      });
+      writeDrafts(drafts);
+    }
+
+    // Save the drafts after the user stops editing for a moment.
+    function scheduleSaveDrafts() {
+      clearTimeout(draftsTimer);
+      draftsTimer = setTimeout(saveDrafts, DRAFTS_SAVE_DELAY);
+    }
+
+    // Remove the drafts for the settings shown by this instance.
+    function clearDrafts() {
+      offeredDrafts = null;
+      const drafts = readDrafts();
+      Object.keys(drafts).forEach(function(key) {
+        if (keyInScope(key)) {
+          delete drafts[key];
+        }
+      });
+      writeDrafts(drafts);
+    }
+
+    // Return true if the setting for a draft has been changed since the draft was saved.
+    function draftStale(draft) {
+      const setting = findSettingByKey(draft.key);
+      if (draft.new_record) {
+        return !!setting;
+      }
+      return !setting || (setting.updated_at || null) !== (draft.data.updated_at_was || null);
+    }
+
+    // Show a notice offering to restore drafts saved from a previous visit to the page.
+    function offerDrafts() {
+      const drafts = readDrafts();
+      const keys = Object.keys(drafts).filter(keyInScope);
+      const notice = scope.querySelector(".js-drafts");
+      if (keys.length === 0 || !notice || readOnlyMode()) {
+        return;
+      }
+
+      offeredDrafts = {};
+      keys.forEach(function(key) { offeredDrafts[key] = drafts[key] });
+      const staleCount = keys.filter(function(key) { return draftStale(drafts[key]) }).length;
+      let message = `${keys.length} ${t("drafts.found")}`;
+      if (staleCount > 0) {
+        message += ` ${staleCount} ${t("drafts.stale")}`;
+      }
+      notice.querySelector(".js-drafts-message").innerText = message;
+      notice.style.display = "";
+    }
+
+    // Add an edit card with the changes from a draft. Returns the current version of the setting
+    // if it has been changed since the draft was saved so it can be shown as a conflict.
+    function restoreDraft(draft) {
+      const data = draft.data;
+      const stale = draftStale(draft);
+      const setting = (draft.new_record ? null : findSettingByKey(draft.key));
+      let conflict = null;
+      if (stale) {
+        conflict = findSettingByKey(data.key) || findSettingByKey(draft.key) || {key: draft.key, deleted: true};
+      }
+
+      if (data.deleted) {
+        let card = (setting ? findSettingCard(setting.id) : null);
+        if (card && !card.dataset.deleted) {
+          if (card.querySelector(".js-setting-value-type")) {
+            restoreSettingCard(card);
+            card = findSettingCard(setting.id);
+          }
+          markSettingDeleted(card);
+        }
+        return null;
+      }
+
+      let cardSetting = null;
+      if (setting) {
+        cardSetting = Object.assign({}, setting);
+      } else {
+        const randomId = "new" + Math.floor((Math.random() * 0xFFFFFFFFFFFFFF)).toString(16);
+        cardSetting = {id: randomId, key: data.key, value_type: "string", new_record: true};
+      }
+      ["value", "value_type", "description", "effective_at"].forEach(function(name) {
+        if (data[name] !== undefined) {
+          cardSetting[name] = data[name];
+        }
+      });
+
+      const card = editSettingCard(cardSetting);
+      // Keep the original timestamp so saving a stale draft is rejected as a conflict.
+      card.dataset.updatedAt = data.updated_at_was || "";
+      card.querySelector(".js-setting-key").value = data.key;
+      const existingCard = findSettingCard(card.dataset.id);
+      if (existingCard) {
+        existingCard.replaceWith(card);
+      } else {
+        scope.querySelector(".js-settings-container").prepend(card);
+      }
+      bindSettingControlEvents(card);
+      card.classList.add("super-settings-card-reveal");
+      return conflict;
+    }
+
+    // Listener for restoring the drafts offered when the page was loaded.
+    function restoreDrafts(event) {
+      event.preventDefault();
+      if (readOnlyMode()) {
+        return;
+      }
+      const drafts = offeredDrafts || {};
+      offeredDrafts = null;
+      scope.querySelector(".js-drafts").style.display = "none";
+
+      const conflicts = {};
+      Object.keys(drafts).forEach(function(key) {
+        const conflict = restoreDraft(drafts[key]);
+        if (conflict) {
+          conflicts[drafts[key].data.key] = conflict;
+        }
+      });
+      showConflicts(conflicts);
+
+      filterSettings(scope.querySelector(".js-settings-filter").value);
+      enableSaveButton();
+      if (Object.keys(conflicts).length > 0) {
+        showToast(t("drafts.restored_stale"), "warning");
+      } else {
+        showToast(`${Object.keys(drafts).length} ${t("drafts.restored")}`, "success");
+      }
     }
-    if (setting.updated_at !== null && setting.updated_at !== undefined) {
-      const lastModified = new Date(Date.parse(setting.updated_at));
-      const lastModifiedFormatter = new Intl.DateTimeFormat(navigator.language, {month: "short", day: "numeric",  year: "numeric"});
-      const lastModifiedString = lastModifiedFormatter.format(lastModified);
-      const lastModifiedElement = card.querySelector(".super-settings-card-modified .js-value-placeholder")
-      lastModifiedElement.innerText = lastModifiedString;
-      lastModifiedElement.title = dateFormatter().format(lastModified);
+
+    // Listener for discarding the drafts offered when the page was loaded.
+    function discardDrafts(event) {
+      event.preventDefault();
+      scope.querySelector(".js-drafts").style.display = "none";
+      offeredDrafts = null;
+      saveDrafts();
     }
 
-    return card
-  }
+    // Check the API for settings that have been changed by someone else since the page was loaded
+    // and merge them into the page. The remote settings cache keeps track of what has changed.
+    function checkForRemoteChanges() {
+      if (remoteCheckInProgress || savingSettings || document.hidden) {
+        return;
+      }
 
-  // Create an input element from a template depending on the value type.
-  function createValueInputElement(setting) {
-    let templateName = null;
-    if (setting.value_type === "integer") {
-      templateName = "#setting-value-field-integer-template";
-    } else if (setting.value_type === "float") {
-      templateName = "#setting-value-field-float-template";
-    } else if (setting.value_type === "datetime") {
-      templateName = "#setting-value-field-datetime-template";
-    } else if (setting.value_type === "boolean") {
-      templateName = "#setting-value-field-boolean-template";
-    } else if (setting.value_type === "array") {
-      templateName = "#setting-value-field-array-template";
-    } else {
-      templateName = "#setting-value-field-template";
+      remoteCheckInProgress = true;
+      const lastUpdatedAt = remoteSettings.lastUpdatedAt;
+      const changes = [];
+      const collectChange = function(change) { changes.push(change) };
+      remoteSettings.on("change", collectChange);
+      remoteSettings.refresh().then(function() {
+        if (!stopped) {
+          mergeRemoteSettings(changes);
+          refreshPendingChanges(remoteSettings.lastUpdatedAt !== lastUpdatedAt);
+        }
+      }).catch(function() {
+        // The check is tried again on the next interval.
+      }).finally(function() {
+        remoteSettings.off("change", collectChange);
+        remoteCheckInProgress = false;
+      });
     }
-    const html = mustacheSubstitute(document.querySelector(templateName).innerHTML, setting);
-    const template = document.createElement('template');
-    template.innerHTML = html.trim();
-    return template.content.firstChild;
-  }
 
-  // Create the elements needed to edit a setting value and set the element value.
-  function valueInputElement(setting) {
-    const element = createValueInputElement(setting);
-    if (setting.value_type === "boolean") {
-      const checked = (`${setting.value}` === "true" || parseInt(setting.value) > 0);
-      const checkbox = element.querySelector('input[type="checkbox"]');
-      checkbox.checked = checked;
-    } else if (setting.value_type === "array") {
-      if (Array.isArray(setting.value)) {
-        element.value = setting.value.join("\n");
-      } else {
-        element.value = setting.value;
+    // Reload the scheduled changes and change requests if the settings have changed on the server
+    // or if their list is open in the modal. Otherwise the pending changes are not requested on
+    // every check for remote changes.
+    function refreshPendingChanges(settingsChanged) {
+      const content = scope.querySelector(".super-settings-modal-content");
+      if (settingsChanged || content.querySelector(".js-scheduled-changes-list")) {
+        loadScheduledChanges();
+      }
+      if (settingsChanged || content.querySelector(".js-change-requests-list")) {
+        loadChangeRequests();
       }
-    } else if (setting.value_type === "datetime") {
-      try {
-        const datetime = new Date(Date.parse(setting.value));
-        const isoDate = `${datetime.getFullYear()}-${padTimeVal(datetime.getMonth() + 1)}-${padTimeVal(datetime.getDate())}`;
-        const isoTime = `${padTimeVal(datetime.getHours())}:${padTimeVal(datetime.getMinutes())}:${padTimeVal(datetime.getSeconds())}`;
-        element.querySelector('input[type="date"]').value = isoDate;
-        element.querySelector('input[type="time"]').value = isoTime;
-        element.querySelector(".js-setting-value").value = datetime.toUTCString().replace("GMT", "UTC");
-      } catch(e) {
-        // ignore bad date format
-      }
-    } else if (setting.value_type === "integer") {
-      element.value = "" + parseInt("" + setting.value, 10);
-    } else if (setting.value_type === "float") {
-      element.value = "" + parseFloat("" + setting.value);
-    } else {
-      element.value = setting.value;
     }
 
-    return element;
-  }
+    // Merge settings changed by someone else into the active settings. The changes are the change
+    // events from the remote settings cache and deleted settings will not have a setting. Cards that
+    // are not being edited are re-rendered with the new values. If a card that is being edited has
+    // changed, it will be flagged and a notice will be shown.
+    function mergeRemoteSettings(changes) {
+      if (savingSettings) {
+        return;
+      }
+
+      const conflicts = [];
+      changes.filter(function(change) { return keyInScope(change.key) }).forEach(function(change) {
+        const existing = findSettingByKey(change.key);
+        if (!change.setting) {
+          if (existing) {
+            activeSettings.splice(activeSettings.indexOf(existing), 1);
+            const card = findSettingCard(existing.id);
+            if (card && card.dataset.edited) {
+              card.dataset.remoteChanged = "true";
+              conflicts.push(change.key);
+            } else if (card) {
+              card.remove();
+            }
+          }
+          return;
+        }
+
+        if (existing && existing.updated_at === change.setting.updated_at) {
+          return;
+        }
+
+        const remoteSetting = Object.assign({}, change.setting);
+        if (existing) {
+          remoteSetting.id = existing.id;
+          activeSettings[activeSettings.indexOf(existing)] = remoteSetting;
+        } else {
+          remoteSetting.id = "setting" + Math.floor((Math.random() * 0xFFFFFFFFFFFFF)).toString(16);
+          activeSettings.push(remoteSetting);
+        }
 
-  // Create a card with form elements for editing a setting.
-  function editSettingCard(setting) {
-    const card = elementFromSettingTemplate(setting, "#setting-card-edit-template");
-    card.dataset.id = setting.id
-    card.dataset.key = setting.key
+        if (!refreshSettingCard(remoteSetting)) {
+          conflicts.push(remoteSetting.key);
+        }
+      });
 
-    card.querySelector(".super-settings-card-key input").value = setting.key;
-    if (setting.description) {
-      card.querySelector(".super-settings-card-description textarea").value = setting.description;
+      if (conflicts.length > 0) {
+        showRemoteChanges(conflicts);
+      }
+      applyFilter();
     }
 
-    const valueInput = valueInputElement(setting);
-    const valuePlaceholder = card.querySelector(".super-settings-card-value .js-value-placeholder");
-    valuePlaceholder.innerHTML = "";
-    valuePlaceholder.appendChild(valueInput);
+    // Re-render the card for a setting that was changed by someone else. Returns false if the card is
+    // currently being edited and was not updated.
+    function refreshSettingCard(setting) {
+      const card = findSettingCard(setting.id);
+      if (card && card.dataset.edited) {
+        card.dataset.remoteChanged = "true";
+        return false;
+      }
 
-    const valueType = card.querySelector(".super-settings-card-type select");
-    for (let i = 0; i < valueType.options.length; i++) {
-      if (valueType.options[i].value === setting.value_type) {
-        valueType.selectedIndex = i;
-        break;
+      const newCard = settingCard(setting);
+      bindSettingControlEvents(newCard);
+      newCard.classList.add("super-settings-card-reveal");
+      if (card) {
+        card.remove();
       }
+      insertSettingCard(newCard, setting);
+      return true;
     }
 
-    if (setting.errors && setting.errors.length > 0) {
-      let errorsHTML = "";
-      setting.errors.forEach(function(error) {
-        errorsHTML += `<div>${escapeHTML(error)}</div>`
+    // Insert the card for an active setting in its position for the current sort order.
+    function insertSettingCard(card, setting) {
+      const parent = groupContent(groupPath(setting.key));
+      const sorted = sortSettings(activeSettings.slice());
+      const nextCard = sorted.slice(sorted.indexOf(setting) + 1).map(function(other) {
+        return findSettingCard(other.id);
+      }).find(function(otherCard) {
+        return otherCard && otherCard.parentElement === parent;
       });
-      card.querySelector(".js-setting-errors").innerHTML = errorsHTML;
+      parent.insertBefore(card, nextCard || null);
     }
 
-    if (setting.new_record) {
-      card.dataset.newrecord = "true";
+    // Show a notice listing the keys for settings being edited that were changed by someone else.
+    function showRemoteChanges(keys) {
+      const notice = scope.querySelector(".js-remote-changes");
+      if (!notice) {
+        return;
+      }
+      const message = notice.querySelector(".js-remote-changes-message");
+      const existingKeys = (notice.style.display === "none" ? [] : (message.dataset.keys || "").split("\n").filter(Boolean));
+      const allKeys = Array.from(new Set(existingKeys.concat(keys)));
+      message.dataset.keys = allKeys.join("\n");
+      message.innerText = t("remote.changed") + " " + allKeys.join(", ");
+      notice.style.display = "";
     }
 
-    const timezone = card.querySelector(".timezone");
-    if (timezone) {
-      tzName = Intl.DateTimeFormat().resolvedOptions().timeZone;
-      timezone.innerText = tzName;
+    // Listener for dismissing the notice about settings changed by someone else.
+    function dismissRemoteChanges(event) {
+      event.preventDefault();
+      const notice = scope.querySelector(".js-remote-changes");
+      if (notice) {
+        notice.style.display = "none";
+      }
     }
 
-    return card
-  }
-
-  // Create a card with form elements for creating a new setting.
-  function newSettingCard(key, valueType, description) {
-    if (!key) {
-      key = "";
-    }
-    if (!valueType) {
-      valueType = "string";
+    // Return the scheduled changes for a setting key.
+    function scheduledChangesForKey(key) {
+      return scheduledChanges.filter(function(change) { return change.key === key });
     }
-    const randomId = "new" + Math.floor((Math.random() * 0xFFFFFFFFFFFFFF)).toString(16);
-    const setting = {id: randomId, key: key, value: "", value_type: valueType, description: description, new_record: true}
-    card = editSettingCard(setting);
-    return card;
-  }
 
-  // Add a setting card to the container of settings.
-  function addCardToContainer(card) {
-    const existingCard = findSettingCard(card.dataset.id);
-    if (existingCard) {
-      existingCard.replaceWith(card);
-    } else {
-      document.querySelector("#settings-container").prepend(card);
-    }
-    bindSettingControlEvents(card);
-    filterSettings(document.querySelector("#super-settings-filter").value);
-    card.classList.add("super-settings-card-reveal");
-    card.scrollIntoView({block: "nearest"});
-    enableSaveButton();
-    return card;
-  }
+    // Return the text describing what a scheduled change will do to a setting.
+    function scheduledChangeValueText(change) {
+      if (change.deleted) {
+        return t("scheduled.delete");
+      } else if (change.value_type === "datetime" && !isNaN(Date.parse(change.value))) {
+        return dateFormatter().format(new Date(Date.parse(change.value)));
+      }
+      return settingValueText(change);
+    }
 
-  // Update the filter URL and settings count display.
-  function updateFilterURL(filter) {
-    const queryParams = new URLSearchParams(window.location.search);
-    if (filter === "") {
-      queryParams.delete("filter");
-    } else {
-      queryParams.set("filter", filter);
+    // Format a number with a unit (i.e. "3h") using the browser locale.
+    function formatDurationPart(value, unit) {
+      return new Intl.NumberFormat(navigator.language, {style: "unit", unit: unit, unitDisplay: "narrow"}).format(value);
     }
-    if (queryParams.toString() !== "") {
-      history.replaceState(null, null, "?" + queryParams.toString());
-    } else {
-      history.replaceState(null, null, window.location.pathname);
+
+    // Return the text for the time remaining until a scheduled change takes effect.
+    function countdownText(effectiveAt) {
+      const remaining = Math.floor((Date.parse(effectiveAt) - Date.now()) / 1000);
+      if (isNaN(remaining) || remaining <= 0) {
+        return t("scheduled.due");
+      }
+      const days = Math.floor(remaining / 86400);
+      const hours = Math.floor((remaining % 86400) / 3600);
+      const minutes = Math.floor((remaining % 3600) / 60);
+      const seconds = remaining % 60;
+      let parts = null;
+      if (days > 0) {
+        parts = [formatDurationPart(days, "day"), formatDurationPart(hours, "hour")];
+      } else if (hours > 0) {
+        parts = [formatDurationPart(hours, "hour"), formatDurationPart(minutes, "minute")];
+      } else {
+        parts = [formatDurationPart(minutes, "minute"), formatDurationPart(seconds, "second")];
+      }
+      return `${t("scheduled.in")} ${parts.join(" ")}`;
     }
-  }
 
-  // Update the settings count display.
-  function updateSettingsCount(count) {
-    document.querySelector(".js-settings-count").textContent = `${count} ${count === 1 ? t("count.setting") : t("count.settings")}`;
-    const sortControls = document.querySelector(".super-settings-sort-controls");
-    if (sortControls) {
-      sortControls.style.display = (count > 0) ? "" : "none";
+    // Create an element for displaying a scheduled change with a countdown and cancel button.
+    function scheduledChangeElement(change) {
+      const element = elementFromSettingTemplate({id: change.id}, "setting-scheduled-change");
+      element.querySelector(".js-scheduled-value").innerText = scheduledChangeValueText(change);
+      const countdown = element.querySelector(".js-scheduled-countdown");
+      countdown.dataset.effectiveAt = change.effective_at;
+      countdown.innerText = countdownText(change.effective_at);
+      let title = dateFormatter().format(new Date(Date.parse(change.effective_at)));
+      if (change.changed_by) {
+        title += ` (${t("scheduled.changed_by")} ${change.changed_by})`;
+      }
+      countdown.title = title;
+      addListener(element.querySelector(".js-cancel-scheduled-change"), "click", cancelScheduledChange);
+      return element;
     }
-  }
 
-  // Apply the given filter to only show settings that have a key, value, or description
-  // that includes the filter text. Settings that are currently being edited will also be shown.
-  function filterSettings(filterText) {
-    const filters = [];
-    filterText.split(" ").forEach(function(filter) {
-      filter = filter.toUpperCase();
-      filters.push(function(card) {
-        let text = "";
-        const settingKey = card.querySelector(".super-settings-card-key");
-        if (settingKey) {
-          text += " " + settingKey.textContent.toUpperCase();
-        }
-        const settingValue = card.querySelector(".super-settings-card-value");
-        if (settingValue) {
-          text += " " + settingValue.textContent.toUpperCase();
-        }
-        const settingDescription = card.querySelector(".super-settings-card-description");
-        if (settingDescription) {
-          text += " " + settingDescription.textContent.toUpperCase();
-        }
-        return (text.indexOf(filter) > -1);
+    // Show the scheduled changes for the setting on a card. Edit cards do not show scheduled changes.
+    function renderScheduledChangeBadges(card) {
+      const container = card.querySelector(".js-scheduled-changes");
+      if (!container) {
+        return;
+      }
+      const changes = scheduledChangesForKey(card.dataset.key);
+      container.innerHTML = "";
+      changes.forEach(function(change) {
+        container.appendChild(scheduledChangeElement(change));
       });
-    });
+      container.style.display = (changes.length > 0 ? "" : "none");
+    }
 
-    let visibleCount = 0;
-    document.querySelectorAll("#settings-container .super-settings-card").forEach(function(card) {
-      let matched = true;
-      if (!card.dataset.edited) {
-        filters.forEach(function(filter) {
-          matched = matched && filter(card);
-        });
+    // List all the scheduled changes including the ones for settings that don't exist yet.
+    function renderScheduledChangesList(list) {
+      list.innerHTML = "";
+      if (scheduledChanges.length === 0) {
+        list.innerHTML = `<p class="super-settings-text-muted">${escapeHTML(t("scheduled.none"))}</p>`;
+        return;
       }
-      if (matched) {
-        card.style.display = "";
-        visibleCount++;
-      } else {
-        card.style.display = "none";
+      scheduledChanges.forEach(function(change) {
+        const element = scheduledChangeElement(change);
+        element.insertAdjacentHTML("afterbegin", `<span class="super-settings-change-key">${escapeHTML(change.key)}</span> `);
+        list.appendChild(element);
+      });
+    }
+
+    // Show or hide the button for listing the scheduled changes.
+    function updateScheduledChangesButton() {
+      const button = scope.querySelector(".js-show-scheduled-changes");
+      if (button) {
+        button.querySelector(".count").innerText = scheduledChanges.length;
+        button.style.display = (scheduledChanges.length > 0 ? "" : "none");
       }
-    });
+    }
 
-    updateFilterURL(filterText);
-    updateSettingsCount(visibleCount);
-  }
+    // Update the time remaining on all of the displayed scheduled changes.
+    function updateScheduledCountdowns() {
+      scope.querySelectorAll(".js-scheduled-countdown").forEach(function(element) {
+        element.innerText = countdownText(element.dataset.effectiveAt);
+      });
+    }
 
-  // Programatically apply the filter again to keep it up to date with other changes.
-  function applyFilter(value) {
-    const filter = document.querySelector("#super-settings-filter");
-    if (filter) {
-      if (value) {
-        filter.value = value;
+    // Load the scheduled changes and show them on the setting cards. Errors are only reported with
+    // the settings:error event since the scheduled changes are not essential for viewing and
+    // editing the settings.
+    function loadScheduledChanges() {
+      if (!pendingChangesSupported()) {
+        return Promise.resolve();
       }
-    }
-  }
 
-  // Display validation errors on settings form.
-  function showValidationErrors(errors) {
-    const container = document.querySelector("#settings-container");
-    Object.keys(errors).forEach(function(key) {
-      container.querySelectorAll(".super-settings-card-edit").forEach(function(card) {
-        const settingKey = card.querySelector(".js-setting-key");
-        if (settingKey && settingKey.value === key) {
-          const errorsElement = card.querySelector(".js-setting-errors");
-          if (errorsElement) {
-            errorsElement.innerText = errors[key].join("; ");
-            errorsElement.style.display = "block";
-          }
+      return api.fetchScheduledChanges().then(function(payload) {
+        if (stopped) {
+          return;
+        }
+        scheduledChanges = (payload.scheduled_changes || []).filter(function(change) { return keyInScope(change.key) });
+        scope.querySelectorAll(".js-settings-container .super-settings-card").forEach(renderScheduledChangeBadges);
+        updateScheduledChangesButton();
+        const list = scope.querySelector(".super-settings-modal-content .js-scheduled-changes-list");
+        if (list) {
+          renderScheduledChangesList(list);
         }
+      }).catch(function(error) {
+        dispatchSettingsEvent("settings:error", {error: error});
       });
-    });
-  }
-
-  // Show a temporary message to give the user feedback that an operation has succeeded or not.
-  function showFlash(message, success) {
-    const flash = document.querySelector(".js-flash");
-    if (success) {
-      flash.classList.add("super-settings-text-success");
-      flash.classList.remove("super-settings-text-danger");
-    } else {
-      flash.classList.add("super-settings-text-danger");
-      flash.classList.remove("super-settings-text-success");
     }
-    flash.innerText = message;
-    flash.style.display = "inline-block";
-    dismissFlash();
-  }
 
-  // Show an API error in the flash message area instead of using window.alert.
-  function showAPIError(error) {
-    console.error("Error:", error);
-    const message = t("error.generic");
-    showFlash(message, false);
-  }
+    // Listener for the button that shows the list of scheduled changes. The list is reloaded when
+    // it is opened since it is only refreshed on an interval while it is open.
+    function showScheduledChangesModal(event) {
+      event.preventDefault();
+      const content = scope.querySelector(".super-settings-modal-content");
+      content.innerHTML = templateHTML("settings-scheduled-changes");
+      renderScheduledChangesList(content.querySelector(".js-scheduled-changes-list"));
+      showModal();
+      loadScheduledChanges();
+    }
 
-  // Automatically hide the flash message displaying the results of the last save operation.
-  function dismissFlash() {
-    if (document.querySelector(".js-flash")) {
-      setTimeout(function(){
-        document.querySelectorAll(".js-flash").forEach(function(element) {
-          element.style.display = "none";
-        });
-      }, 3000);
+    // Listener for the button that cancels a scheduled change. A 404 response means the change has
+    // already been applied or cancelled so the scheduled changes are just reloaded.
+    function cancelScheduledChange(event) {
+      event.preventDefault();
+      if (readOnlyMode()) {
+        return;
+      }
+      const button = event.target.closest(".js-cancel-scheduled-change");
+      const id = button.closest(".super-settings-scheduled-change").dataset.scheduledChangeId;
+      button.disabled = true;
+      api.cancelScheduledChange(id).then(function() {
+        showToast(t("scheduled.cancelled"), "success");
+      }).catch(function(error) {
+        if (error.status !== 404) {
+          showAPIError(error);
+        }
+      }).finally(function() {
+        loadScheduledChanges();
+      });
     }
-  }
 
-  function dateFormatter() {
-    return new Intl.DateTimeFormat(navigator.language, {
-      month: "short",
-      day: "numeric",
-      year: "numeric",
-      hour: "numeric",
-      minute: "numeric",
-      second: "numeric",
-      timeZoneName: "short"
-    });
-  }
-  // Render a setting's history in a table.
-  function renderHistoryTable(parent, payload) {
-    parent.innerHTML = document.querySelector("#setting-history-table").innerHTML.trim();
-    parent.querySelector(".super-settings-history-key").innerText = payload.key;
-    const historyItems = parent.querySelector(".super-settings-history-items");
-    let itemsHTML = "";
-    payload.histories.forEach(function(history) {
-      const date = new Date(Date.parse(history.created_at));
-      const dateString = dateFormatter().format(date);
-      const value = (history.deleted ? '<em class="super-settings-text-danger">' + escapeHTML(t("history.deleted")) + '</em>' : escapeHTML(history.value));
-      itemsHTML += `<div class="super-settings-history-item">
-        <div class="super-settings-history-time">${escapeHTML(dateString)}</div>
-        <div class="super-settings-history-user">${escapeHTML(history.changed_by)}</div>
-        <div class="super-settings-history-value">${value}</div>
-      </div>`;
-    });
-    historyItems.insertAdjacentHTML("beforeend", itemsHTML);
+    // Return true if a change request includes a setting shown by this instance.
+    function changeRequestInScope(changeRequest) {
+      return changeRequest.settings.some(function(data) { return keyInScope(data.key) || keyInScope(data.key_was) });
+    }
 
-    if (payload.previous_page_params || payload.next_page_params) {
-      let paginationHTML = `<div class="super-settings-align-center">`;
-      if (payload.previous_page_params) {
-        paginationHTML += `<div style="float:left;"><a href="#" class="js-show-history" title="${escapeHTML(t("history.newer"))}" data-offset="${payload.previous_page_params.offset}" data-limit="${payload.previous_page_params.limit}" data-key="${payload.previous_page_params.key}")>&#8592; ${escapeHTML(t("history.newer"))}</a></div>`;
-      }
-      if (payload.next_page_params) {
-        paginationHTML += `<div style="float:right;"><a href="#" class="js-show-history" title="${escapeHTML(t("history.older"))}" data-offset="${payload.next_page_params.offset}" data-limit="${payload.next_page_params.limit}" data-key="${payload.next_page_params.key}")>${escapeHTML(t("history.older"))} &#8594;</a></div>`;
+    // Return the text describing who proposed a change request and how many settings it changes.
+    function changeRequestSummary(changeRequest) {
+      let summary = `${changeRequest.settings.length} ${t("change_requests.changes")}`;
+      if (changeRequest.proposed_by) {
+        summary = `${t("change_requests.proposed_by")} ${changeRequest.proposed_by}: ${summary}`;
       }
-      paginationHTML += '<div style="clear:both;"></div>';
-      parent.querySelector(".super-settings-history-container").insertAdjacentHTML("afterend", paginationHTML);
+      return summary;
     }
-    addListener(parent.querySelectorAll(".js-show-history"), "click", showHistoryModal);
-  }
 
-  // Show a modal window overlayed on the page.
-  function showModal() {
-    const modal = document.querySelector("#super-settings-modal");
-    const content = document.querySelector(".super-settings-modal-content");
-    modal.style.display = "block";
-    modal.setAttribute("aria-hidden", "false");
-    modal.activator = document.activeElement;
-    focusableElements(document).forEach(function(element) {
-      if (!modal.contains(element)) {
-        element.dataset.saveTabIndex = element.getAttribute("tabindex");
-        element.setAttribute("tabindex", -1);
-      }
-    });
-    document.querySelector("body").style.overflow = "hidden";
-  }
+    // Create an element for a change request in the list of change requests.
+    function changeRequestElement(changeRequest) {
+      const element = elementFromSettingTemplate({id: changeRequest.id}, "setting-change-request");
+      const status = element.querySelector(".js-change-request-status");
+      status.classList.add(`super-settings-change-badge-${changeRequest.status}`);
+      status.innerText = (changeRequest.status === "rejected" ? t("change_requests.rejected") : t("change_requests.pending"));
+      element.querySelector(".js-change-request-summary").innerText = changeRequestSummary(changeRequest);
+      element.querySelector(".js-change-request-time").innerText = dateFormatter().format(new Date(Date.parse(changeRequest.created_at)));
+      element.querySelector(".js-change-request-comment-text").innerText = changeRequest.comment || "";
 
-  // Hide the modal window overlayed on the page.
-  function hideModal() {
-    const modal = document.querySelector("#super-settings-modal");
-    const content = document.querySelector(".super-settings-modal-content");
-    modal.style.display = "none";
-    modal.setAttribute("aria-hidden", "true");
-    focusableElements(document).forEach(function(element) {
-      const tabIndex = element.dataset.saveTabIndex;
-      delete element.dataset.saveTabIndex;
-      if (tabIndex) {
-        element.setAttribute("tabindex", tabIndex);
+      const withdrawButton = element.querySelector(".js-withdraw-change-request");
+      if (changeRequest.status === "rejected") {
+        const reviewComment = element.querySelector(".js-change-request-review-comment");
+        let text = `${t("change_requests.rejected_by")} ${changeRequest.reviewed_by || ""}`.trim();
+        if (changeRequest.review_comment) {
+          text += `: ${changeRequest.review_comment}`;
+        }
+        reviewComment.innerText = text;
+        reviewComment.style.display = "";
+        withdrawButton.innerText = t("change_requests.dismiss");
+      } else {
+        withdrawButton.innerText = t("change_requests.withdraw");
       }
-    });
-    if (modal.activator) {
-      modal.activator.focus();
-      delete modal.activator;
-    }
-    content.innerHTML = "";
-    document.querySelector("body").style.overflow = "visible";
-  }
 
-  // Returns a list of all focusable elements so that they can be set to not take the focus
-  // when a modal is opened.
-  function focusableElements(parent) {
-    return parent.querySelectorAll("a[href], area[href], button, input:not([type=hidden]), select, textarea, iframe, [tabindex], [contentEditable=true]")
-  }
+      addListener(element.querySelector(".js-review-change-request"), "click", function(event) {
+        event.preventDefault();
+        showChangeRequestReview(changeRequest);
+      });
+      addListener(withdrawButton, "click", withdrawChangeRequest);
+      return element;
+    }
 
-  // Find a setting by key.
-  function findSetting(id) {
-    let found = null;
-    id = "" + id;
-    activeSettings.forEach(function(setting) {
-      if ("" + setting.id === id) {
-        found = setting;
+    // List all of the change requests with the pending requests first.
+    function renderChangeRequestsList(list) {
+      list.innerHTML = "";
+      if (changeRequests.length === 0) {
+        list.innerHTML = `<p class="super-settings-text-muted">${escapeHTML(t("change_requests.none"))}</p>`;
         return;
       }
-    });
-    return found;
-  }
+      const pending = changeRequests.filter(function(changeRequest) { return changeRequest.status !== "rejected" });
+      const rejected = changeRequests.filter(function(changeRequest) { return changeRequest.status === "rejected" });
+      pending.concat(rejected).forEach(function(changeRequest) {
+        list.appendChild(changeRequestElement(changeRequest));
+      });
+    }
 
-  // Find a setting by key.
-  function findSettingByKey(key) {
-    let found = null;
-    activeSettings.forEach(function(setting) {
-      if (setting.key === key) {
-        found = setting;
-        return;
+    // Show or hide the button for listing the change requests. The count is the number of
+    // requests waiting to be reviewed.
+    function updateChangeRequestsButton() {
+      const button = scope.querySelector(".js-show-change-requests");
+      if (button) {
+        const pendingCount = changeRequests.filter(function(changeRequest) { return changeRequest.status !== "rejected" }).length;
+        button.querySelector(".count").innerText = pendingCount;
+        button.style.display = (changeRequests.length > 0 ? "" : "none");
       }
-    });
-    return found;
-  }
+    }
 
-  // Add a new setting.
-  function addSetting(key, valueType, description) {
-    const card = addCardToContainer(newSettingCard(key, valueType, description));
-    card.querySelector(".super-settings-card-key input").focus();
-  }
+    // Load the change requests. Errors are only reported with the settings:error event since the
+    // change requests are not essential for viewing and editing the settings.
+    function loadChangeRequests() {
+      if (!pendingChangesSupported()) {
+        return Promise.resolve();
+      }
 
-  function editSetting(setting) {
-    const card = addCardToContainer(editSettingCard(setting));
-    if (card.querySelector(".super-settings-card-value .js-date-input")) {
-      card.querySelector(".super-settings-card-value .js-date-input").focus();
-    } else {
-      card.querySelector(".super-settings-card-value .js-setting-value").focus();
+      return api.fetchChangeRequests().then(function(payload) {
+        if (stopped) {
+          return;
+        }
+        changeRequests = (payload.change_requests || []).filter(changeRequestInScope);
+        updateChangeRequestsButton();
+        const list = scope.querySelector(".super-settings-modal-content .js-change-requests-list");
+        if (list) {
+          renderChangeRequestsList(list);
+        }
+      }).catch(function(error) {
+        dispatchSettingsEvent("settings:error", {error: error});
+      });
     }
-  }
-
-  /*** Event Listeners ***/
 
-  // Listener for showing the setting history modal.
-  function showHistoryModal(event) {
-    event.preventDefault();
-    if (!event.target.dataset) {
-      return;
+    // Listener for the button that shows the list of change requests. The list is reloaded when
+    // it is opened from the button since it is only refreshed on an interval while it is open.
+    function showChangeRequestsModal(event) {
+      if (event) {
+        event.preventDefault();
+        loadChangeRequests();
+      }
+      const content = scope.querySelector(".super-settings-modal-content");
+      content.innerHTML = templateHTML("settings-change-requests");
+      renderChangeRequestsList(content.querySelector(".js-change-requests-list"));
+      if (!modalOpen()) {
+        showModal();
+      }
     }
 
-    const modal = document.querySelector("#super-settings-modal");
-    const content = document.querySelector(".super-settings-modal-content");
-    let key = event.target.dataset.key;
-    if (!key) {
-      const card = event.target.closest(".super-settings-card");
-      if (card) {
-        const id = card.dataset.id;
-        const setting = findSetting(id);
-        if (setting) {
-          key = setting.key;
-          if (!key) {
-            return;
+    // Fill in the attributes that a proposed change leaves unchanged from the current setting so
+    // that only the proposed changes are shown in the diff.
+    function changeRequestSettingData(data, setting) {
+      const filled = Object.assign({}, data);
+      if (setting && !data.deleted) {
+        ["value", "value_type", "description"].forEach(function(name) {
+          if (!(name in filled)) {
+            filled[name] = setting[name];
           }
-        }
+        });
       }
+      if (!filled.value_type) {
+        filled.value_type = "string";
+      }
+      return filled;
     }
-    const params = {key: key, limit: 25};
-    if (event.target.dataset.limit) {
-      params["limit"] = event.target.dataset.limit;
-    }
-    if (event.target.dataset.offset) {
-      params["offset"] = event.target.dataset.offset;
-    }
-    SuperSettingsAPI.fetchHistory(params, function(settingHistory){
-      renderHistoryTable(content, settingHistory);
-      showModal();
-    }, showAPIError);
-  }
 
-  // Listener for closing the modal window overlay.
-  function closeModal(event) {
-    if (event.target.classList.contains("js-close-modal")) {
-      event.preventDefault();
-      hideModal();
-    }
-  }
+    // Show the changes in a change request as a diff against the current settings along with the
+    // controls for approving or rejecting it.
+    function showChangeRequestReview(changeRequest) {
+      const content = scope.querySelector(".super-settings-modal-content");
+      content.innerHTML = templateHTML("settings-change-request-review");
+      assignElementIds(content);
+      content.querySelector(".js-change-request-summary").innerText = `${changeRequestSummary(changeRequest)} (${dateFormatter().format(new Date(Date.parse(changeRequest.created_at)))})`;
+      content.querySelector(".js-change-request-comment-text").innerText = changeRequest.comment || "";
 
-  // Listener to just capture events.
-  function noOp(event) {
-    event.preventDefault();
-  }
+      const list = content.querySelector(".js-changes-list");
+      changeRequest.settings.forEach(function(data) {
+        const setting = findSettingByKey(data.key_was || data.key);
+        list.appendChild(settingChangeElement(changeRequestSettingData(data, setting), setting));
+      });
 
-  // Listener for changing the setting value type select element. Different types will have
-  // different input elements for the setting value.
-  function changeSettingType(event) {
-    event.preventDefault();
-    const card = event.target.closest(".super-settings-card");
-    const valueType = event.target.options[event.target.selectedIndex].value;
-    var setting = {
-      id: card.dataset.id,
-      key: card.querySelector(".super-settings-card-key input").value,
-      value: getSettingEditValue(card),
-      value_type: valueType,
-      description: card.querySelector(".super-settings-card-description textarea").value,
-      new_record: card.dataset.newrecord
-    }
-    const addedCard = addCardToContainer(editSettingCard(setting));
-    if (addedCard.querySelector(".super-settings-card-value .js-date-input")) {
-      addedCard.querySelector(".super-settings-card-value .js-date-input").focus();
-    } else {
-      addedCard.querySelector(".super-settings-card-value .js-setting-value").focus();
-    }
-  }
+      if (changeRequest.status === "rejected") {
+        content.querySelectorAll(".js-change-request-review-actions").forEach(function(element) {
+          element.style.display = "none";
+        });
+      }
 
-  // Listener for date and time input elements the combine the values into a hidden datetime field.
-  function changeDateTime(event) {
-    const parentNode = event.target.closest("span")
-    const dateValue = parentNode.querySelector(".js-date-input").value;
-    let timeValue = parentNode.querySelector(".js-time-input").value;
-    if (timeValue === "") {
-      timeValue = "00:00:00";
+      addListener(content.querySelector(".js-change-requests-back"), "click", showChangeRequestsModal);
+      addListener(content.querySelector(".js-approve-change-request"), "click", function(event) {
+        event.preventDefault();
+        approveChangeRequest(changeRequest, content);
+      });
+      addListener(content.querySelector(".js-reject-change-request"), "click", function(event) {
+        event.preventDefault();
+        rejectChangeRequest(changeRequest, content);
+      });
     }
-    const date = new Date(Date.parse(dateValue + "T" + timeValue));
-    parentNode.querySelector(".js-setting-value").value = date.toISOString();
-  }
-
-  // Listener for the add setting button.
-  function addSettingListener(event) {
-    event.preventDefault();
-    addSetting();
-  }
-
-  // Listener for the edit setting button.
-  function editSettingListener(event) {
-    event.preventDefault();
-    const id = event.target.closest(".super-settings-card").dataset.id;
-    setting = findSetting(id);
-    editSetting(setting);
-  }
 
-  // Listener for the restore setting button.
-  function restoreSetting(event) {
-    event.preventDefault();
-    const card = event.target.closest(".super-settings-card");
-    const id = card.dataset.id;
-    const setting = findSetting(id);
-    if (setting) {
-      const newCard = settingCard(setting);
-      bindSettingControlEvents(newCard);
-      newCard.classList.add("super-settings-card-reveal");
-      card.replaceWith(newCard);
-    } else {
-      card.remove();
-      // Update the settings count after removing the card
-      setTimeout(function() {
-        filterSettings(document.querySelector("#super-settings-filter").value);
-      }, 0);
+    // Handle the response when a change request is no longer pending because someone else has
+    // already reviewed or withdrawn it.
+    function changeRequestNotPending() {
+      showToast(t("change_requests.not_pending"), "warning");
+      loadChangeRequests().then(function() {
+        showChangeRequestsModal();
+      });
     }
-    enableSaveButton();
-  }
 
-  // Listener for the remove setting button.
-  function removeSetting(event) {
-    event.preventDefault();
-    const settingCard = event.target.closest(".super-settings-card");
-    if (settingCard.dataset["id"]) {
-      settingCard.querySelector("input.js-setting-deleted").value = "1";
-      settingCard.dataset.edited = true;
-      settingCard.dataset.deleted = true;
-      settingCard.querySelector(".js-remove-setting").style.display = "none";
-      settingCard.querySelector(".js-restore-setting").style.display = "inline-block";
-    } else {
-      settingCard.remove();
-      // Update the settings count after removing an unsaved setting
-      setTimeout(function() {
-        filterSettings(document.querySelector("#super-settings-filter").value);
-      }, 0);
+    // Approve a change request. If the changes can't be applied, the errors are shown in the
+    // review dialog and the request stays pending.
+    function approveChangeRequest(changeRequest, content) {
+      if (readOnlyMode()) {
+        return;
+      }
+      const buttons = content.querySelectorAll(".js-approve-change-request, .js-reject-change-request");
+      buttons.forEach(function(button) { button.disabled = true });
+      api.approveChangeRequest(changeRequest.id).then(function() {
+        hideModal();
+        showToast(t("change_requests.approved"), "success");
+        fetchActiveSettings();
+      }).catch(function(error) {
+        buttons.forEach(function(button) { button.disabled = false });
+        const results = error.body;
+        if (error.status === 404) {
+          changeRequestNotPending();
+        } else if (results && results.success === false) {
+          const errorsElement = content.querySelector(".js-change-request-errors");
+          const messages = [];
+          Object.keys(results.errors || {}).forEach(function(key) {
+            results.errors[key].forEach(function(message) {
+              messages.push(`${key}: ${message}`);
+            });
+          });
+          errorsElement.innerHTML = messages.map(function(message) { return `<div>${escapeHTML(message)}</div>` }).join("");
+          errorsElement.style.display = "";
+          showToast(t("change_requests.approve_failed"), "error", apiErrorDetails(error));
+        } else {
+          showAPIError(error);
+        }
+      });
     }
-    enableSaveButton();
-  }
-
-  // Update the settings via the API.
-  function updateSettings(event) {
-    event.preventDefault();
-    event.target.disabled = true;
-    const settingsData = [];
-    document.querySelectorAll("#settings-container .super-settings-card[data-edited=true]").forEach(function(card) {
-      const data = {};
-      settingsData.push(data);
 
-      data.key = card.querySelector(".js-setting-key").value;
-      if (data.key != card.dataset.key) {
-        data.key_was = card.dataset.key;
+    // Reject a change request. A comment with the reason is required so the user who proposed
+    // the changes knows why they were rejected.
+    function rejectChangeRequest(changeRequest, content) {
+      if (readOnlyMode()) {
+        return;
+      }
+      const commentInput = content.querySelector(".js-reject-comment");
+      const comment = commentInput.value.trim();
+      if (comment === "") {
+        commentInput.setAttribute("aria-invalid", "true");
+        commentInput.placeholder = t("change_requests.reject_comment_required");
+        commentInput.focus();
+        return;
       }
+      commentInput.removeAttribute("aria-invalid");
 
-      const deleted = card.querySelector(".js-setting-deleted");
-      if (deleted && deleted.value === "1") {
-        data.deleted = true;
-      } else {
-        if (card.querySelector(".js-setting-value")) {
-          data.value = getSettingEditValue(card);
+      const buttons = content.querySelectorAll(".js-approve-change-request, .js-reject-change-request");
+      buttons.forEach(function(button) { button.disabled = true });
+      api.rejectChangeRequest(changeRequest.id, comment).then(function() {
+        showToast(t("change_requests.rejected_flash"), "success");
+        loadChangeRequests().then(function() {
+          showChangeRequestsModal();
+        });
+      }).catch(function(error) {
+        buttons.forEach(function(button) { button.disabled = false });
+        if (error.status === 404) {
+          changeRequestNotPending();
+        } else {
+          showAPIError(error);
         }
-        if (card.querySelector(".js-setting-value-type")) {
-          const valueTypeSelect = card.querySelector(".js-setting-value-type");
-          data.value_type = valueTypeSelect.options[valueTypeSelect.selectedIndex].value;
+      });
+    }
+
+    // Listener for the button that withdraws a pending change request or dismisses a rejected one.
+    // A 404 response means the request has already been removed so the list is just reloaded.
+    function withdrawChangeRequest(event) {
+      event.preventDefault();
+      if (readOnlyMode()) {
+        return;
+      }
+      const button = event.target.closest(".js-withdraw-change-request");
+      const id = button.closest(".super-settings-change-request").dataset.changeRequestId;
+      button.disabled = true;
+      api.withdrawChangeRequest(id).then(function() {
+        showToast(t("change_requests.withdrawn"), "success");
+      }).catch(function(error) {
+        if (error.status !== 404) {
+          showAPIError(error);
         }
-        if (card.querySelector(".super-settings-card-description textarea")) {
-          data.description = card.querySelector(".super-settings-card-description textarea").value;
+      }).finally(function() {
+        loadChangeRequests();
+      });
+    }
+
+    function fetchActiveSettings(hashParams) {
+      remoteSettings.load().then(function(cache) {
+        // The widget may have been unmounted while the settings were loading.
+        if (stopped) {
+          return;
         }
-      }
-    });
 
-    SuperSettingsAPI.updateSettings({settings: settingsData}, function(results) {
-      if (results.success) {
-        fetchActiveSettings();
-        showFlash(t("flash.saved"), true)
-      } else {
-        event.target.disabled = false;
-        showFlash(t("flash.save_failed"), false)
-        if (results.errors) {
-          showValidationErrors(results.errors)
+        const settings = Object.keys(cache.settings).filter(keyInScope).map(function(key) {
+          return Object.assign({}, cache.settings[key]);
+        });
+        activeSettings = settings;
+        savingSettings = false;
+        renderSettingsContainer(settings);
+        loadScheduledChanges();
+        loadChangeRequests();
+        if (hashParams && hashParams.edit && !readOnlyMode()) {
+          const setting = findSettingByKey(hashParams.edit);
+          if (setting) {
+            editSetting(setting);
+          } else {
+            addSetting(hashParams.edit, hashParams.type, hashParams.description);
+          }
         }
-      }
-    }, showAPIError);
-  }
+        // Drafts from a previous visit are only offered when the page is first loaded.
+        if (!draftsChecked) {
+          draftsChecked = true;
+          offerDrafts();
+        }
+        enableSaveButton();
+        dispatchSettingsEvent("settings:loaded", {settings: settings});
+      }).catch(showAPIError);
+    }
 
-  // Listener for the filter input field.
-  function filterListener(event) {
-    const filter = event.target.value;
-    filterSettings(filter);
-    updateFilterURL(filter);
-  }
+    // Number of milliseconds between checks for settings changed by someone else.
+    const REMOTE_CHANGES_INTERVAL = 10000;
 
-  // Listener for refresh page button.
-  function refreshPage(event) {
-    event.preventDefault();
-    let url = window.location.href.replace(/\?.*/, "");
-    const filter = document.querySelector("#super-settings-filter").value;
-    if (filter !== "") {
-      url += "?filter=" + escape(filter);
-    }
-    window.location = url;
-  }
+    // Cache of the settings from the API used to find the settings changed by someone else. Only
+    // the settings with the key prefix are requested from the API.
+    const remoteSettings = new api.LocalCache({keyPrefix: keyPrefix});
 
-  // Parse URL hash looking for URL-style parameters like #edit=setting&type=string.
-  function fetchURLHash() {
-    const hash = window.location.hash;
-    if (hash.length <= 1) {
-      return {};
-    }
+    let activeSettings = [];
+    let remoteCheckInProgress = false;
+    let savingSettings = false;
+    let scheduledChanges = [];
+    let changeRequests = [];
+    let draftsChecked = false;
+    let offeredDrafts = null;
+    let draftsTimer = null;
 
-    // Remove the # and check if it looks like URL parameters
-    const hashParams = hash.substring(1);
-    if (!hashParams.includes('=')) {
-      return {};
-    }
+    let remoteChangesTimer = null;
+    let scheduledCountdownTimer = null;
 
-    const params = {};
-    hashParams.split('&').forEach(function(param) {
-      const [key, value] = param.split('=', 2);
-      if (key && value) {
-        params[decodeURIComponent(key)] = decodeURIComponent(value.replace(/\+/g, ' '));
-      }
-    });
+    // Overflow style of the page body before a modal was shown so it can be restored when the
+    // modal is hidden.
+    let savedBodyOverflow = null;
 
-    window.location.hash = "";
-    return params;
-  }
+    // Set when the instance is stopped so that requests that finish afterwards are ignored.
+    let stopped = false;
 
-  // Support integration into single page applications where OAuth2 access tokens are used.
-  // The access token can be passed either in the access_token query parameter per the
-  // OAuth2 standard, or in the URL hash. Passing it in the hash will prevent it from ever
-  // being sent to the backend and is a bit more secure since there's no chance a web server
-  // will accidentally log it with the request URL.
-  function storeAccessToken() {
-    let accessToken = null;
-    const params = new URLSearchParams(window.location.search);
-    if (params.get("access_token")) {
-      accessToken = params.get("access_token");
-    }
-    if (window.location.hash.startsWith("#access_token=")) {
-      accessToken = window.location.hash.replace("#access_token=", "");
-    }
-    if (accessToken) {
-      window.sessionStorage.setItem("super_settings_access_token", accessToken);
-      const params = new URLSearchParams(window.location.search);
-      params.delete("access_token");
-      window.location.hash = null;
-      window.history.replaceState("", document.title, window.location.pathname + "?" + params.toString());
+    // Return true if a setting key is shown by this instance.
+    function keyInScope(key) {
+      return keyPrefix === "" || (key || "").startsWith(keyPrefix);
     }
-  }
 
-  // Attach event listener to one or more elements.
-  function addListener(elements, event, handler) {
-    if (elements.addEventListener) {
-      elements = [elements];
-    }
-    elements.forEach(function(element) {
-      if (element) {
-        element.addEventListener(event, handler);
+    // Bind the event listeners on the controls and load the settings.
+    function start() {
+      if (!embedded) {
+        const appElement = scope.querySelector(".super-settings[data-api-base-url]");
+        if (appElement) {
+          SuperSettingsAPI.baseUrl = appElement.dataset.apiBaseUrl;
+        }
+        storeAccessToken();
       }
-    });
-  }
 
-  // Bind event listeners for setting controls on a setting table row.
-  function bindSettingControlEvents(parent) {
-    addListener(parent.querySelectorAll(".js-remove-setting"), "click", removeSetting);
-    addListener(parent.querySelectorAll(".js-edit-setting"), "click", editSettingListener);
-    addListener(parent.querySelectorAll(".js-restore-setting"), "click", restoreSetting);
-    addListener(parent.querySelectorAll(".js-show-history"), "click", showHistoryModal);
-    addListener(parent.querySelectorAll(".js-no-op"), "click", noOp);
-    addListener(parent.querySelectorAll(".js-setting-value-type"), "change", changeSettingType);
-    addListener(parent.querySelectorAll(".js-date-input"), "change", changeDateTime);
-    addListener(parent.querySelectorAll(".js-time-input"), "change", changeDateTime);
-  }
+      assignElementIds(scope);
+      addListener(scope.querySelector(".js-settings-filter"), "input", filterListener);
+      addListener(scope.querySelector(".js-add-setting"), "click", addSettingListener);
+      addListener(scope.querySelector(".js-discard-changes"), "click", refreshPage);
+      addListener(scope.querySelector(".js-save-settings"), "click", updateSettings);
+      addListener(scope.querySelector(".js-export-settings"), "click", showExportModal);
+      addListener(scope.querySelector(".js-import-settings"), "click", chooseImportFile);
+      addListener(scope.querySelector(".js-import-file"), "change", importSettings);
+      addListener(scope.querySelector(".js-show-scheduled-changes"), "click", showScheduledChangesModal);
+      addListener(scope.querySelector(".js-show-change-requests"), "click", showChangeRequestsModal);
+      addListener(scope.querySelector(".js-show-compare"), "click", showCompareModal);
+      addListener(scope.querySelector(".js-modal"), "click", closeModal);
+      addListener(scope.querySelectorAll(".super-settings-sort-control"), "click", setSortOrder);
+      addListener(scope.querySelector(".js-toggle-grouped-view"), "click", toggleGroupedView);
+      addListener(scope.querySelector(".js-select-all"), "change", selectAllSettings);
+      addListener(scope.querySelector(".js-bulk-delete"), "click", bulkDelete);
+      addListener(scope.querySelector(".js-bulk-restore"), "click", bulkRestore);
+      addListener(scope.querySelector(".js-bulk-value-type"), "change", bulkChangeValueType);
+      addListener(scope.querySelector(".js-bulk-find-replace"), "click", showFindReplaceModal);
+      addListener(scope.querySelector(".js-bulk-clear"), "click", clearSelectionListener);
+      addListener(scope.querySelector(".js-dismiss-remote-changes"), "click", dismissRemoteChanges);
+      addListener(scope.querySelector(".js-restore-drafts"), "click", restoreDrafts);
+      addListener(scope.querySelector(".js-discard-drafts"), "click", discardDrafts);
+      addListener(scope.querySelector(".js-settings-container"), "input", scheduleSaveDrafts);
+      addListener(scope.querySelector(".js-settings-container"), "change", scheduleSaveDrafts);
+      addListener(scope, "keydown", keyboardShortcutListener);
 
-  // Initialize the container with all the settings plus any changes from a failed form submission.
-  function renderSettingsContainer(settings) {
-    const container = document.querySelector("#settings-container");
-    container.innerHTML = "";
-    let count = settings.length;
-
-    sortSettings(settings).forEach(function(setting) {
-      const randomId = "setting" + Math.floor((Math.random() * 0xFFFFFFFFFFFFF)).toString(16);
-      setting.id = (setting.id || randomId);
-      const card = settingCard(setting);
-      container.appendChild(card);
-      bindSettingControlEvents(card);
-    });
-    updateSettingsCount(count);
+      const hashParams = (embedded ? {} : fetchURLHash());
 
-    const filter = document.querySelector("#super-settings-filter");
-    if (filter) {
-      filter.dispatchEvent(new Event("input"));
-    }
-  }
+      applyFilter(viewParams.get("filter"));
 
-  function sortOrder() {
-    const selectedSort = document.querySelector(".super-settings-sort-control[data-selected=true]");
-    const field = selectedSort.dataset.field;
-    const order = selectedSort.dataset.order;
-    return {field: field, order: order};
-  }
+      selectSortElement(scope.querySelector(".super-settings-sort-control[data-selected=true]"), true);
+      updateGroupedViewButton();
 
-  // Sort settings by the selected sort option.
-  function sortSettings(settings) {
-    const sort = sortOrder();
-    return settings.sort(function(a, b) {
-      let aValue = a[sort.field];
-      let bValue = b[sort.field];
-      if (sort.field == "updated_at") {
-        aValue = new Date(Date.parse(aValue));
-        bValue = new Date(Date.parse(bValue));
+      if (compareEnvironment()) {
+        scope.querySelector(".js-show-compare").style.display = "";
       }
 
-      if (aValue === bValue) {
-        return 0;
-      } else if (sort.order === "asc") {
-        return (aValue < bValue) ? -1 : 1;
-      } else {
-        return (aValue > bValue) ? -1 : 1;
-      }
-    })
-  }
+      fetchActiveSettings(hashParams);
 
-  function setSortOrder(event) {
-    event.preventDefault();
+      remoteChangesTimer = setInterval(checkForRemoteChanges, REMOTE_CHANGES_INTERVAL);
+      scheduledCountdownTimer = setInterval(updateScheduledCountdowns, 1000);
 
-    const target = event.target.closest(".super-settings-sort-control");
-    let prevSelection = document.querySelector(".super-settings-sort-control[data-selected=true]");
+      window.addEventListener("beforeunload", promptUnsavedChanges);
+    }
 
-    if (prevSelection == target) {
-      selectSortElement(prevSelection, false);
-      target.querySelector(`[data-order=${target.dataset.order}]`).style.display = "none";
-      target.dataset.order = (target.dataset.order === "asc" ? "desc" : "asc");
-      target.querySelector(`[data-order=${target.dataset.order}]`).style.display = "inline-block";
-    } else {
-      selectSortElement(prevSelection, false);
+    // Stop checking for changes and remove the listeners added outside of the scope element.
+    function stop() {
+      stopped = true;
+      saveDrafts();
+      clearInterval(remoteChangesTimer);
+      clearInterval(scheduledCountdownTimer);
+      scope.removeEventListener("keydown", keyboardShortcutListener);
+      window.removeEventListener("beforeunload", promptUnsavedChanges);
+      if (modalOpen()) {
+        hideModal();
+      }
+      dismissAllToasts();
     }
 
-    selectSortElement(target, true);
+    // Render the settings again if they have been loaded.
+    function rerender() {
+      if (activeSettings.length > 0) {
+        rerenderSettings();
+      }
+    }
 
-    renderSettingsContainer(activeSettings);
+    return {scope: scope, start: start, stop: stop, rerender: rerender, showAPIError: showAPIError};
   }
 
-  function selectSortElement(element, selected) {
-    element.dataset.selected = selected;
+  // Mount an embedded settings UI in an element on the host page. The markup for the widget is
+  // defined by the widget.js script served by the settings application, which also defines
+  // this function. Each mounted widget has its own state so several can be on the same page.
+  //
+  // Options:
+  // * baseUrl - base URL for the REST API (defaults to the URL widget.js was served from)
+  // * keyPrefix - only show settings with keys that start with this prefix (i.e. "billing.")
+  // * readOnly - hide the controls for editing settings
+  // * compareEnvironment - {name, baseUrl, headers, queryParams} for another environment to compare the settings with
+  //
+  // Returns an object with an `unmount` function that removes the widget from the element.
+  function mount(element, options) {
+    if (typeof element === "string") {
+      element = document.querySelector(element);
+    }
+    if (!element || !element.querySelector) {
+      throw new TypeError("An element is required to mount the settings UI");
+    }
+    if (!window.__superSettingsWidgetHTML) {
+      throw new Error("The settings widget markup is not loaded; add the widget.js script from the settings application to the page");
+    }
+    options = Object.assign({}, options);
 
-    const svg = element.querySelector(`[data-order=${element.dataset.order}]`).querySelector("svg");
-    if (selected) {
-      svg.style.backgroundColor = getComputedStyle(document.querySelector(".super-settings")).getPropertyValue("--primary-color");
-      svg.style.fill = "white";
-    } else {
-      svg.style.backgroundColor = null;
-      svg.style.fill = null;
+    unmount(element);
+    element.innerHTML = window.__superSettingsWidgetHTML;
+    const appElement = element.querySelector(".super-settings");
+    if (options.readOnly) {
+      appElement.dataset.readOnly = "true";
     }
+    if (!options.baseUrl) {
+      options.baseUrl = appElement.dataset.apiBaseUrl;
+    }
+
+    const instance = createSettingsUI(element, options);
+    instances.push(instance);
+    instance.start();
+    return {element: element, unmount: function() { unmount(element); }};
   }
 
-  function promptUnsavedChanges(event) {
-    if (changesCount() > 0) {
-      return t("prompt.unsaved");
-    } else {
-      return undefined;
+  // Remove an embedded settings UI that was mounted in an element.
+  function unmount(element) {
+    const instance = instances.find(function(instance) { return instance.scope === element; });
+    if (instance) {
+      instance.stop();
+      instances.splice(instances.indexOf(instance), 1);
+      element.innerHTML = "";
     }
   }
 
-  // Run the supplied function when the document has been marked ready.
-  function docReady(fn) {
-    if (document.readyState === "complete" || document.readyState === "interactive") {
-      setTimeout(fn, 1);
+  // Show an API error that was not handled by the caller in the notifications of the web UI
+  // instance that has the focus (or the first one on the page). If there is no web UI on the
+  // page, a settings:error event is dispatched on the document instead.
+  function showError(error) {
+    const instance = instances.find(function(instance) {
+      return instance.scope !== document && instance.scope.contains(document.activeElement);
+    }) || instances[0];
+    if (instance) {
+      instance.showAPIError(error);
     } else {
-      document.addEventListener("DOMContentLoaded", fn);
+      document.dispatchEvent(new CustomEvent("settings:error", {detail: {error: error}}));
     }
   }
 
-  function fetchActiveSettings(hashParams) {
-    SuperSettingsAPI.fetchSettings(function(settings_hash) {
-      const settings = settings_hash["settings"];
-      activeSettings = settings;
-      renderSettingsContainer(settings);
-      if (hashParams && hashParams.edit && !document.querySelector(".super-settings[data-read-only]")) {
-        const setting = findSettingByKey(hashParams.edit);
-        if (setting) {
-          editSetting(setting);
-        } else {
-          addSetting(hashParams.edit, hashParams.type, hashParams.description);
-        }
-      }
-      enableSaveButton();
-    }, showAPIError);
-  }
-
-  let activeSettings = [];
+  // Public interface for extending the web UI.
+  //
+  // Set `compareEnvironment` to {name, baseUrl, headers, queryParams} to compare the settings
+  // with another environment (i.e. staging and production).
+  window.SuperSettingsUI = {
+    compareEnvironment: null,
+    registerValueEditor: registerValueEditor,
+    mount: mount,
+    unmount: unmount,
+    showError: showError
+  };
 
   docReady(function() {
-    const appElement = document.querySelector(".super-settings[data-api-base-url]");
-    if (appElement) {
-      SuperSettingsAPI.baseUrl = appElement.dataset.apiBaseUrl;
+    if (document.querySelector(".super-settings:not([data-embedded])")) {
+      const instance = createSettingsUI(document);
+      instances.push(instance);
+      instance.start();
     }
 
-    storeAccessToken();
-
-    addListener(document.querySelector("#super-settings-filter"), "input", filterListener);
-    addListener(document.querySelector("#super-settings-add-setting"), "click", addSettingListener);
-    addListener(document.querySelector("#super-settings-discard-changes"), "click", refreshPage);
-    addListener(document.querySelector("#super-settings-save-settings"), "click", updateSettings);
-    addListener(document.querySelector("#super-settings-modal"), "click", closeModal);
-    addListener(document.querySelectorAll(".super-settings-sort-control"), "click", setSortOrder);
-
-    const hashParams = fetchURLHash();
-
-    const queryParams = new URLSearchParams(window.location.search);
-    applyFilter(queryParams.get("filter"));
-
-    selectSortElement(document.querySelector(".super-settings-sort-control[data-selected=true]"), true);
-
-    fetchActiveSettings(hashParams);
-
-    window.onbeforeunload = promptUnsavedChanges;
-
     // ── Language Menu ──
     const languageMenu = document.getElementById("super-settings-language-menu");
     const languageOptions = document.querySelectorAll(".super-settings-language-option");
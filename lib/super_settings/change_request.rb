@@ -0,0 +1,302 @@
+# frozen_string_literal: true
+
+require "securerandom"
+
+module SuperSettings
+  # A set of setting changes proposed by a user that must be approved before they are applied.
+  # Change requests are kept in the storage engine's pending changes store. Approving a change
+  # request applies all of its changes atomically with {RestAPI.update} and records both the
+  # user who proposed the changes and the user who approved them in the setting history.
+  # Rejected change requests are kept with the reviewer's comment until they are withdrawn.
+  #
+  # @example
+  #   change_request = SuperSettings::ChangeRequest.create!(
+  #     settings: [{key: "promotion.enabled", value: true, value_type: "boolean"}],
+  #     comment: "Turn on the holiday promotion",
+  #     proposed_by: "Alice"
+  #   )
+  #   change_request.approve!("Bob")
+  class ChangeRequest
+    # Type used to identify change requests in the pending changes store.
+    PENDING_CHANGE_TYPE = "change_request"
+
+    PENDING = "pending"
+    REJECTED = "rejected"
+
+    # Attributes of each setting change that are kept on a change request. These are the same
+    # parameters accepted by {RestAPI.update}.
+    SETTING_ATTRIBUTES = ["key", "key_was", "value", "value_type", "description", "deleted", "updated_at_was", "effective_at"].freeze
+
+    # Exception raised if you try to save with invalid data.
+    class InvalidRecordError < StandardError
+    end
+
+    include Attributes
+
+    attr_reader :id, :settings, :comment, :proposed_by, :status, :reviewed_by, :review_comment, :created_at, :reviewed_at
+
+    attr_writer :proposed_by, :reviewed_by
+
+    # @return [Hash<String, Array<String>>] errors from the last call to {#valid?} keyed by setting key
+    attr_reader :errors
+
+    class << self
+      # Get all change requests sorted by the time they were created.
+      #
+      # @return [Array<SuperSettings::ChangeRequest>]
+      def all
+        requests = Setting.storage.pending_changes.select { |attributes| attributes["type"] == PENDING_CHANGE_TYPE }
+        requests.collect { |attributes| new(attributes) }.sort_by(&:created_at)
+      end
+
+      # Get the change requests that are waiting to be reviewed.
+      #
+      # @return [Array<SuperSettings::ChangeRequest>]
+      def pending
+        all.select(&:pending?)
+      end
+
+      # Find a change request by its id.
+      #
+      # @param id [String]
+      # @return [SuperSettings::ChangeRequest, nil]
+      def find(id)
+        all.detect { |request| request.id == id }
+      end
+
+      # Create a new change request.
+      #
+      # @param attributes [Hash]
+      # @return [SuperSettings::ChangeRequest]
+      # @raise [InvalidRecordError] if the change request is not valid
+      def create!(attributes)
+        request = new(attributes)
+        request.save!
+        request
+      end
+    end
+
+    def initialize(attributes = {})
+      @id = nil
+      @settings = []
+      @status = PENDING
+      @errors = {}
+      super
+    end
+
+    def id=(val)
+      @id = val&.to_s
+    end
+
+    def settings=(val)
+      @settings = Array(val).collect do |setting_params|
+        attributes = {}
+        setting_params.each do |name, value|
+          name = name.to_s
+          attributes[name] = value if SETTING_ATTRIBUTES.include?(name)
+        end
+        attributes
+      end
+    end
+
+    def comment=(val)
+      @comment = (Coerce.blank?(val) ? nil : val.to_s)
+    end
+
+    def status=(val)
+      @status = (Coerce.blank?(val) ? PENDING : val.to_s)
+    end
+
+    def review_comment=(val)
+      @review_comment = (Coerce.blank?(val) ? nil : val.to_s)
+    end
+
+    def created_at=(val)
+      @created_at = Coerce.time(val)
+    end
+
+    def reviewed_at=(val)
+      @reviewed_at = Coerce.time(val)
+    end
+
+    # @return [Array<String>] the keys of the settings changed by the request
+    def keys
+      settings.collect { |setting_params| setting_params["key"].to_s }
+    end
+
+    # @return [Boolean] true if the change request is waiting to be reviewed
+    def pending?
+      status == PENDING
+    end
+
+    # @return [Boolean] true if the change request was rejected
+    def rejected?
+      status == REJECTED
+    end
+
+    # Return true if the change request has been saved.
+    #
+    # @return [Boolean]
+    def persisted?
+      !@id.nil?
+    end
+
+    # Validate the change request. Values are validated against the setting value type and any
+    # constraints defined for the settings. Conflicts with changes made after the request was
+    # proposed are only checked when the request is approved.
+    #
+    # @return [Boolean]
+    def valid?
+      @errors = {}
+      add_error("settings", "change request must include at least one setting") if settings.empty?
+      add_error("settings", "change requests are not supported by the storage engine") unless Setting.storage.supports_pending_changes?
+
+      settings.each do |setting_params|
+        key = setting_params["key"].to_s
+        if Coerce.blank?(key)
+          add_error("settings", "key cannot be empty")
+          next
+        end
+        next if Coerce.boolean(setting_params["deleted"]) || !setting_params.include?("value")
+
+        setting = Setting.new(key: key, value_type: resolved_value_type(setting_params), value: setting_params["value"])
+        unless setting.valid?
+          setting.errors.each_value do |messages|
+            messages.each { |message| add_error(key, message) }
+          end
+        end
+      end
+
+      @errors.empty?
+    end
+
+    # Save the change request to the pending changes store.
+    #
+    # @return [void]
+    # @raise [InvalidRecordError] if the change request is not valid
+    def save!
+      raise InvalidRecordError.new(errors.values.flatten.join("; ")) unless valid?
+
+      @id ||= SecureRandom.uuid
+      @created_at ||= Time.now
+      Setting.storage.save_pending_change(to_storage_hash)
+      nil
+    end
+
+    # Approve the change request and apply the changes. The request is removed from the pending
+    # changes store before the changes are applied so that it cannot be approved twice. If the
+    # changes cannot be applied (i.e. a setting was changed after the request was proposed), the
+    # request is put back so that it can be reviewed again. The request is also put back if an
+    # error is raised while applying the changes.
+    #
+    # @param approved_by [String] identifier for who approved the changes
+    # @return [Hash, nil] the result from {RestAPI.update} or nil if the request is no longer pending
+    def approve!(approved_by)
+      return nil unless persisted? && pending?
+      return nil unless Setting.storage.delete_pending_change(id)
+
+      begin
+        result = RestAPI.update(settings, proposed_by, approved_by: approved_by)
+      rescue
+        Setting.storage.save_pending_change(to_storage_hash)
+        raise
+      end
+      Setting.storage.save_pending_change(to_storage_hash) unless result[:success]
+      result
+    end
+
+    # Reject the change request. The request is kept so that the user who proposed it can see
+    # the reason it was rejected.
+    #
+    # @param rejected_by [String] identifier for who rejected the changes
+    # @param comment [String] reason for rejecting the changes
+    # @return [Boolean] true if the request was rejected; false if it was no longer pending
+    def reject!(rejected_by, comment = nil)
+      return false unless persisted? && pending?
+
+      current = self.class.find(id)
+      return false unless current&.pending?
+
+      @status = REJECTED
+      @reviewed_by = rejected_by
+      self.review_comment = comment
+      @reviewed_at = Time.now
+      Setting.storage.save_pending_change(to_storage_hash)
+      true
+    end
+
+    # Return true if the change request was proposed by the specified user. Users can withdraw
+    # their own change requests even if they are not allowed to change settings.
+    #
+    # @param user [String] identifier for the user in the same format as +proposed_by+
+    # @return [Boolean]
+    def proposed_by?(user)
+      !Coerce.blank?(proposed_by) && proposed_by == user.to_s
+    end
+
+    # Withdraw the change request so that it can no longer be approved. This is also used to
+    # remove rejected requests.
+    #
+    # @return [Boolean] true if the request was removed; false if it had already been removed
+    def withdraw!
+      return false unless persisted?
+
+      Setting.storage.delete_pending_change(id)
+    end
+
+    # Serialize to a hash that is used for rendering JSON responses.
+    #
+    # @return [Hash]
+    def as_json(options = nil)
+      attributes = {
+        id: id,
+        status: status,
+        settings: settings,
+        comment: comment,
+        proposed_by: proposed_by,
+        created_at: created_at&.utc&.iso8601(6)
+      }
+      if rejected?
+        attributes[:reviewed_by] = reviewed_by
+        attributes[:review_comment] = review_comment
+        attributes[:reviewed_at] = reviewed_at&.utc&.iso8601(6)
+      end
+      attributes
+    end
+
+    # Serialize to a JSON string.
+    #
+    # @return [String]
+    def to_json(options = nil)
+      as_json.to_json(options)
+    end
+
+    private
+
+    # Use the value type of the current setting if one was not specified.
+    def resolved_value_type(setting_params)
+      return setting_params["value_type"] if Coerce.present?(setting_params["value_type"])
+
+      Setting.find_by_key(setting_params["key_was"] || setting_params["key"])&.value_type || Setting::STRING
+    end
+
+    def add_error(attribute, message)
+      (@errors[attribute] ||= []) << message
+    end
+
+    def to_storage_hash
+      {
+        "id" => id,
+        "type" => PENDING_CHANGE_TYPE,
+        "status" => status,
+        "settings" => settings,
+        "comment" => comment,
+        "proposed_by" => proposed_by,
+        "reviewed_by" => reviewed_by,
+        "review_comment" => review_comment,
+        "created_at" => created_at.utc.iso8601(6),
+        "reviewed_at" => reviewed_at&.utc&.iso8601(6)
+      }
+    end
+  end
+end
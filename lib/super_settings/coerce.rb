@@ -53,6 +53,10 @@ module SuperSettings
 
       # Cast a value to a string.
       #
+      # Arrays of values are joined with newlines, which is how array settings are stored. Hashes
+      # and arrays that contain hashes or arrays are structured data and are serialized as JSON,
+      # which is how json settings are stored.
+      #
       # @param value [Object]
       # @return [String]
       def string(value)
@@ -61,6 +65,8 @@ module SuperSettings
 
         if value.is_a?(String)
           value
+        elsif value.is_a?(Hash) || (value.is_a?(Array) && value.any? { |v| v.is_a?(Hash) || v.is_a?(Array) })
+          JSON.generate(value)
         elsif value.is_a?(Array)
           value.join("\n")
         elsif value.respond_to?(:iso8601)
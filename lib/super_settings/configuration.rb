@@ -139,13 +139,14 @@ module SuperSettings
 
       attr_writer :storage
 
-      attr_reader :after_save_blocks, :changed_by_display
+      attr_reader :after_save_blocks, :changed_by_display, :constraints
 
       def initialize
         @storage = :active_record
         @after_save_blocks = []
         @changed_by_display = nil
         @cache = nil
+        @constraints = {}
       end
 
       # Specify the storage engine to use for persisting settings. The value can either be specified
@@ -178,6 +179,18 @@ module SuperSettings
         after_save_blocks << block
       end
 
+      # Define constraints on the value of a setting. See SuperSettings::Setting.define_constraints
+      # for the available options.
+      #
+      # @example
+      #   define_constraints("max_connections", min: 1, max: 100)
+      #
+      # @param key [String] the setting key
+      # @param rules [Hash] the constraints for the setting value
+      def define_constraints(key, **rules)
+        constraints[key.to_s] = rules
+      end
+
       # Define how the changed_by attibute on the setting history will be displayed. The block
       # will be called with the changed_by attribute and should return a string to display.
       # The block will not be called if the changed_by attribute is nil.
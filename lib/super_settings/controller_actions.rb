@@ -21,6 +21,7 @@ module SuperSettings
     def root
       application = SuperSettings::Application.new(
         read_only: super_settings_read_only?,
+        propose_only: super_settings_propose_only?,
         locale: I18n.locale,
         color_scheme: SuperSettings.configuration.controller.color_scheme,
         dark_mode_selector: SuperSettings.configuration.controller.resolved_dark_mode_selector
@@ -30,7 +31,7 @@ module SuperSettings
 
     # API endpoint for getting active settings. See SuperSettings::RestAPI for details.
     def index
-      render json: SuperSettings::RestAPI.index
+      render json: SuperSettings::RestAPI.index(key_prefix: params[:key_prefix])
     end
 
     # API endpoint for getting a setting. See SuperSettings::RestAPI for details.
@@ -45,7 +46,7 @@ module SuperSettings
 
     # API endpoint for updating settings. See SuperSettings::RestAPI for details.
     def update
-      if super_settings_read_only?
+      unless super_settings_write_allowed?
         render json: {error: "Access denied"}, status: 403
         return
       end
@@ -75,12 +76,105 @@ module SuperSettings
 
     # API endpoint for getting settings that have changed since specified time. See SuperSettings::RestAPI for details.
     def updated_since
-      render json: SuperSettings::RestAPI.updated_since(params[:time])
+      render json: SuperSettings::RestAPI.updated_since(params[:time], key_prefix: params[:key_prefix])
+    end
+
+    # API endpoint for getting the scheduled setting changes. See SuperSettings::RestAPI for details.
+    def scheduled_changes
+      render json: SuperSettings::RestAPI.scheduled_changes
+    end
+
+    # API endpoint for cancelling a scheduled setting change. See SuperSettings::RestAPI for details.
+    def cancel_scheduled_change
+      unless super_settings_write_allowed?
+        render json: {error: "Access denied"}, status: 403
+        return
+      end
+      result = SuperSettings::RestAPI.cancel_scheduled_change(params[:id])
+      if result[:success]
+        render json: result
+      else
+        render json: result, status: 404
+      end
+    end
+
+    # API endpoint for getting the change requests. See SuperSettings::RestAPI for details.
+    def change_requests
+      render json: SuperSettings::RestAPI.change_requests
+    end
+
+    # API endpoint for proposing changes to settings. See SuperSettings::RestAPI for details.
+    def create_change_request
+      if super_settings_read_only?
+        render json: {error: "Access denied"}, status: 403
+        return
+      end
+      proposed_by = SuperSettings.configuration.controller.changed_by(self)
+      result = SuperSettings::RestAPI.create_change_request(params[:settings], proposed_by, comment: params[:comment])
+      if result[:success]
+        render json: result
+      else
+        render json: result, status: 422
+      end
+    end
+
+    # API endpoint for approving a change request. See SuperSettings::RestAPI for details.
+    def approve_change_request
+      unless super_settings_write_allowed?
+        render json: {error: "Access denied"}, status: 403
+        return
+      end
+      approved_by = SuperSettings.configuration.controller.changed_by(self)
+      result = SuperSettings::RestAPI.approve_change_request(params[:id], approved_by)
+      if result.nil?
+        render json: nil, status: 404
+      elsif result[:success]
+        render json: result
+      else
+        render json: result, status: 422
+      end
+    end
+
+    # API endpoint for rejecting a change request. See SuperSettings::RestAPI for details.
+    def reject_change_request
+      unless super_settings_write_allowed?
+        render json: {error: "Access denied"}, status: 403
+        return
+      end
+      rejected_by = SuperSettings.configuration.controller.changed_by(self)
+      result = SuperSettings::RestAPI.reject_change_request(params[:id], rejected_by, comment: params[:comment])
+      if result
+        render json: result
+      else
+        render json: nil, status: 404
+      end
+    end
+
+    # API endpoint for withdrawing a change request. See SuperSettings::RestAPI for details.
+    def withdraw_change_request
+      change_request = SuperSettings::ChangeRequest.find(params[:id].to_s)
+      withdrawn_by = SuperSettings.configuration.controller.changed_by(self)
+      if super_settings_read_only? || (change_request && !super_settings_write_allowed? && !change_request.proposed_by?(withdrawn_by))
+        render json: {error: "Access denied"}, status: 403
+        return
+      end
+      result = SuperSettings::RestAPI.withdraw_change_request(params[:id])
+      if result[:success]
+        render json: result
+      else
+        render json: result, status: 404
+      end
     end
 
     # API endpoint for checking if the user is authorized to edit settings.
     def authorized
-      permission = super_settings_read_only? ? "read-only" : "read-write"
+      permission = if super_settings_read_only?
+        "read-only"
+      elsif super_settings_propose_only?
+        SuperSettings::Setting.storage.supports_pending_changes? ? "propose" : "read-only"
+      else
+        "read-write"
+      end
       headers["super-settings-permission"] = permission
       headers["cache-control"] = "no-cache"
       render json: {authorized: true, permission: permission}
@@ -88,8 +182,32 @@ module SuperSettings
 
     # Serve up the api.js file that defines a JavaScript client for the REST API.
     def api_js
-      js = File.read(File.expand_path(File.join("application", "api.js"), __dir__))
-      render js: js.html_safe, content_type: "application/javascript; charset=utf-8"
+      render js: SuperSettings::Application.api_javascript.html_safe, content_type: "application/javascript; charset=utf-8"
+    end
+
+    # Serve up the JavaScript client for the REST API as a CommonJS module for use outside of the browser.
+    def client_js
+      render js: SuperSettings::Application.client_javascript(:commonjs).html_safe, content_type: "application/javascript; charset=utf-8"
+    end
+
+    # Serve up the JavaScript client for the REST API as an ES module.
+    def client_mjs
+      render js: SuperSettings::Application.client_javascript(:esm).html_safe, content_type: "application/javascript; charset=utf-8"
+    end
+
+    # Serve up the widget.js file that defines SuperSettingsUI.mount for embedding the web UI
+    # in other pages.
+    def widget_js
+      application = SuperSettings::Application.new(
+        api_base_url: request.path.delete_suffix("/widget.js"),
+        read_only: super_settings_read_only?,
+        propose_only: super_settings_propose_only?,
+        locale: I18n.locale,
+        color_scheme: SuperSettings.configuration.controller.color_scheme,
+        dark_mode_selector: SuperSettings.configuration.controller.resolved_dark_mode_selector,
+        embedded: true
+      )
+      render js: application.render_widget_javascript.html_safe, content_type: "application/javascript; charset=utf-8"
     end
 
     protected
@@ -106,11 +224,29 @@ module SuperSettings
       !!request.env["super_settings.read_only"]
     end
 
+    # Mark the current request as propose-only. When propose-only, changes made in the web UI
+    # are submitted as change requests that must be approved by another user and the API
+    # endpoints for changing settings directly will return 403. Call this in a +before_action+
+    # to require approval for a user's changes.
+    def super_settings_propose_only!
+      request.env["super_settings.propose_only"] = true
+    end
+
+    # Return true if the current request has been marked as propose-only.
+    def super_settings_propose_only?
+      !!request.env["super_settings.propose_only"]
+    end
+
+    # Return true if the current request is allowed to change settings directly.
+    def super_settings_write_allowed?
+      !super_settings_read_only? && !super_settings_propose_only?
+    end
+
     # Return true if CSRF protection needs to be enabled for the request.
     # By default it is only enabled on stateful requests that include Basic authorization
     # or cookies in the request so that stateless REST API calls are allowed.
     def protect_from_forgery?
-      return false if action_name == "api_js"
+      return false if ["api_js", "client_js", "client_mjs", "widget_js"].include?(action_name)
 
       request.cookies.present? || request.authorization.to_s.split(" ", 2).first&.match?(/\ABasic/i)
     end
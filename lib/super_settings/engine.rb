@@ -68,6 +68,10 @@ module SuperSettings
           Setting.after_save(&block)
         end
 
+        configuration.model.constraints.each do |key, rules|
+          Setting.define_constraints(key, **rules)
+        end
+
         if !SuperSettings.loaded?
           begin
             SuperSettings.load_settings
@@ -6,11 +6,12 @@ module SuperSettings
   class HistoryItem
     include Attributes
 
-    attr_accessor :key, :value, :changed_by, :created_at
-    attr_writer :deleted
+    attr_accessor :key, :value, :changed_by, :approved_by, :created_at
+    attr_writer :deleted, :scheduled
 
     def initialize(*)
       @deleted = false
+      @scheduled = false
       super
     end
 
@@ -18,6 +19,13 @@ module SuperSettings
       !!@deleted
     end
 
+    # Return true if the change was applied from a scheduled change.
+    #
+    # @return [Boolean]
+    def scheduled?
+      !!@scheduled
+    end
+
     # The display value for the changed_by attribute. This method can be overridden
     # in the configuration by calling `model.define_changed_by_display` with the block to use
     # to get the display value for the changed_by attribute. The default value is
@@ -40,7 +48,9 @@ module SuperSettings
         value: value,
         changed_by: changed_by,
         created_at: created_at&.utc&.iso8601(6),
-        deleted: deleted?
+        deleted: deleted?,
+        scheduled: scheduled?,
+        approved_by: approved_by
       }
     end
   end
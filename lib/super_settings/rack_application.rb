@@ -58,7 +58,7 @@ module SuperSettings
     end
 
     # Subclasses must override this method to return the current user object. This object will
-    # be passed to the authenticated?, allow_read?, allow_write?, and changed_by methods.
+    # be passed to the authenticated?, allow_read?, allow_write?, allow_propose?, and changed_by methods.
     #
     # @param request [Rack::Request] current request object
     # @return [Object]
@@ -93,6 +93,17 @@ module SuperSettings
       allow_read?(user)
     end
 
+    # Subclasses can override this method to indicate if the specified user is allowed to propose
+    # changes to settings. Proposed changes are submitted as a change request and are only applied
+    # once they have been approved by a user who is allowed to change settings. By default only
+    # users who can change settings can propose changes.
+    #
+    # @param user [Object] the value returned by the +current_user+ method.
+    # @return [Boolean] true if the user can propose changes to settings.
+    def allow_propose?(user)
+      allow_write?(user)
+    end
+
     # Subclasses can override this method to return the information to record about the current user
     # that will be stored in the setting history when a setting is changed.
     #
@@ -137,20 +148,40 @@ module SuperSettings
           return handle_authorization_request(request)
         elsif path == "/api.js"
           return handle_api_js_request(request)
+        elsif path == "/client.js"
+          return handle_client_js_request(request, :commonjs)
+        elsif path == "/client.mjs"
+          return handle_client_js_request(request, :esm)
+        elsif path == "/widget.js" && web_ui_enabled?
+          return handle_widget_js_request(request)
         elsif path == "/settings"
           return handle_index_request(request)
         elsif path == "/setting/history"
           return handle_history_request(request)
         elsif path == "/setting"
           return handle_show_request(request)
-        elsif path == "/last_updated_at"
+        elsif path == "/last_updated_at" || path == "/settings/last_updated_at"
           return handle_last_updated_at_request(request)
-        elsif path == "/updated_since"
+        elsif path == "/updated_since" || path == "/settings/updated_since"
           return handle_updated_since_request(request)
+        elsif path == "/scheduled_changes"
+          return handle_scheduled_changes_request(request)
+        elsif path == "/change_requests"
+          return handle_change_requests_request(request)
         end
       elsif request.post?
         if path == "/settings"
           return handle_update_request(request)
+        elsif path == "/scheduled_changes/cancel"
+          return handle_cancel_scheduled_change_request(request)
+        elsif path == "/change_requests"
+          return handle_create_change_request_request(request)
+        elsif path == "/change_requests/approve"
+          return handle_approve_change_request_request(request)
+        elsif path == "/change_requests/reject"
+          return handle_reject_change_request_request(request)
+        elsif path == "/change_requests/withdraw"
+          return handle_withdraw_change_request_request(request)
         end
       end
 
@@ -163,8 +194,7 @@ module SuperSettings
 
     def handle_authorization_request(request)
       check_authorization(request) do |user|
-        read_only = !allow_write?(user) || !!request.env["super_settings.read_only"]
-        permission = read_only ? "read-only" : "read-write"
+        permission = permission(request, user)
         payload = {authorized: true, permission: permission}
         [200, {"content-type" => "application/json; charset=utf-8", "cache-control" => "no-cache", "super-settings-permission" => permission}, [JSON.generate(payload)]]
       end
@@ -172,14 +202,35 @@ module SuperSettings
 
     def handle_api_js_request(request)
       check_authorization(request) do |user|
-        js = File.read(File.expand_path(File.join("application", "api.js"), __dir__))
-        [200, {"content-type" => "application/javascript; charset=utf-8", "cache-control" => "no-cache"}, [js]]
+        [200, {"content-type" => "application/javascript; charset=utf-8", "cache-control" => "no-cache"}, [Application.api_javascript]]
+      end
+    end
+
+    def handle_client_js_request(request, format)
+      check_authorization(request) do |user|
+        [200, {"content-type" => "application/javascript; charset=utf-8", "cache-control" => "no-cache"}, [Application.client_javascript(format)]]
+      end
+    end
+
+    def handle_widget_js_request(request)
+      check_authorization(request) do |user|
+        permission = permission(request, user)
+        application = Application.new(
+          api_base_url: request.path.delete_suffix("/widget.js"),
+          color_scheme: SuperSettings.configuration.controller.color_scheme,
+          dark_mode_selector: SuperSettings.configuration.controller.resolved_dark_mode_selector,
+          read_only: permission == "read-only",
+          propose_only: permission == "propose",
+          locale: resolve_locale(request),
+          embedded: true
+        )
+        [200, {"content-type" => "application/javascript; charset=utf-8", "cache-control" => "no-cache"}, [application.render_widget_javascript]]
       end
     end
 
     def handle_root_request(request)
       response = check_authorization(request) do |user|
-        read_only = !allow_write?(user) || !!request.env["super_settings.read_only"]
+        permission = permission(request, user)
         locale = resolve_locale(request)
         headers = {"content-type" => "text/html; charset=utf-8", "cache-control" => "no-cache"}
         lang = request.GET["lang"] if request.respond_to?(:GET)
@@ -191,7 +242,8 @@ module SuperSettings
           add_to_head: add_to_head(request),
           color_scheme: SuperSettings.configuration.controller.color_scheme,
           dark_mode_selector: SuperSettings.configuration.controller.resolved_dark_mode_selector,
-          read_only: read_only,
+          read_only: permission == "read-only",
+          propose_only: permission == "propose",
           locale: locale
         )
         [200, headers, [application.render]]
@@ -208,7 +260,7 @@ module SuperSettings
 
     def handle_index_request(request)
       check_authorization(request) do |user|
-        json_response(200, RestAPI.index)
+        json_response(200, RestAPI.index(key_prefix: request.params["key_prefix"]))
       end
     end
 
@@ -253,24 +305,121 @@ module SuperSettings
 
     def handle_updated_since_request(request)
       check_authorization(request) do |user|
-        json_response(200, RestAPI.updated_since(request.params["time"]))
+        json_response(200, RestAPI.updated_since(request.params["time"], key_prefix: request.params["key_prefix"]))
       end
     end
 
-    def check_authorization(request, write_required: false)
+    def handle_scheduled_changes_request(request)
+      check_authorization(request) do |user|
+        json_response(200, RestAPI.scheduled_changes)
+      end
+    end
+
+    def handle_cancel_scheduled_change_request(request)
+      check_authorization(request, write_required: true) do |user|
+        result = RestAPI.cancel_scheduled_change(post_params(request)["id"])
+        if result[:success]
+          json_response(200, result)
+        else
+          json_response(404, result)
+        end
+      end
+    end
+
+    def handle_change_requests_request(request)
+      check_authorization(request) do |user|
+        json_response(200, RestAPI.change_requests)
+      end
+    end
+
+    def handle_create_change_request_request(request)
+      check_authorization(request, propose_required: true) do |user|
+        params = post_params(request)
+        result = RestAPI.create_change_request(params["settings"], changed_by(user), comment: params["comment"])
+        if result[:success]
+          json_response(200, result)
+        else
+          json_response(422, result)
+        end
+      end
+    end
+
+    def handle_approve_change_request_request(request)
+      check_authorization(request, write_required: true) do |user|
+        result = RestAPI.approve_change_request(post_params(request)["id"], changed_by(user))
+        if result.nil?
+          json_response(404, nil)
+        elsif result[:success]
+          json_response(200, result)
+        else
+          json_response(422, result)
+        end
+      end
+    end
+
+    def handle_reject_change_request_request(request)
+      check_authorization(request, write_required: true) do |user|
+        params = post_params(request)
+        result = RestAPI.reject_change_request(params["id"], changed_by(user), comment: params["comment"])
+        if result
+          json_response(200, result)
+        else
+          json_response(404, nil)
+        end
+      end
+    end
+
+    def handle_withdraw_change_request_request(request)
+      check_authorization(request, propose_required: true) do |user|
+        id = post_params(request)["id"]
+        change_request = ChangeRequest.find(id.to_s)
+        if change_request && permission(request, user) != "read-write" && !change_request.proposed_by?(changed_by(user))
+          next json_response(403, error: "Access denied")
+        end
+
+        result = RestAPI.withdraw_change_request(id)
+        if result[:success]
+          json_response(200, result)
+        else
+          json_response(404, result)
+        end
+      end
+    end
+
+    def check_authorization(request, write_required: false, propose_required: false)
       user = current_user(request)
       return json_response(401, error: "Authentication required") unless authenticated?(user)
 
-      allowed = (write_required ? allow_write?(user) : allow_read?(user))
+      allowed = if write_required
+        allow_write?(user) && !request.env["super_settings.propose_only"]
+      elsif propose_required
+        allow_write?(user) || allow_propose?(user)
+      else
+        allow_read?(user)
+      end
       return json_response(403, error: "Access denied") unless allowed
 
-      if write_required && request.env["super_settings.read_only"]
+      if (write_required || propose_required) && request.env["super_settings.read_only"]
         return json_response(403, error: "Access denied")
       end
 
       yield(user)
     end
 
+    # Return the permission the user has on settings: "read-write" if they can change settings,
+    # "propose" if they can only propose changes, or "read-only".
+    def permission(request, user)
+      return "read-only" if request.env["super_settings.read_only"]
+
+      if allow_write?(user) && !request.env["super_settings.propose_only"]
+        "read-write"
+      elsif (allow_write?(user) || allow_propose?(user)) && Setting.storage.supports_pending_changes?
+        "propose"
+      else
+        "read-only"
+      end
+    end
+
     def json_response(status, payload)
       [status, RESPONSE_HEADERS.dup, [payload.to_json]]
     end
@@ -7,9 +7,14 @@ module SuperSettings
     class << self
       # Get all settings sorted by key. This endpoint may be called with a REST GET request.
       #
+      # @param key_prefix [String] only return settings with keys that start with this prefix
       # @example
       #   GET /
       #
+      #   Query parameters
+      #
+      #   * key_prefix - only return settings with keys that start with this prefix (optional)
+      #
       #   The response payload is:
       #   [
       #     {
@@ -18,14 +23,15 @@ module SuperSettings
       #       value_type: string,
       #       description: string,
       #       created_at: iso8601 string,
-      #       updated_at: iso8601 string
+      #       updated_at: iso8601 string,
+      #       constraints: hash (only included if constraints are defined for the setting)
       #     },
       #     ...
       #   ]
       #
       # @return [Hash] hash with settings array
-      def index
-        settings = Setting.active.reject(&:deleted?).sort_by(&:key)
+      def index(key_prefix: nil)
+        settings = with_key_prefix(Setting.active.reject(&:deleted?), key_prefix).sort_by(&:key)
         {settings: settings.collect(&:as_json)}
       end
 
@@ -46,7 +52,8 @@ module SuperSettings
       #     value_type: string,
       #     description: string,
       #     created_at: iso8601 string,
-      #     updated_at: iso8601 string
+      #     updated_at: iso8601 string,
+      #     constraints: hash (only included if constraints are defined for the setting)
       #   }
       #
       # @return [Hash, nil] setting hash or nil if not found
@@ -59,6 +66,8 @@ module SuperSettings
       #
       # @param settings_params [Array] array of setting parameter hashes
       # @param changed_by [String] identifier for who made the changes
+      # @param approved_by [String] identifier for who approved the changes if they are being applied
+      #   from a change request
       # @example
       #   POST /settings
       #
@@ -66,6 +75,14 @@ module SuperSettings
       #   The settings should include either "value" and "value_type" (and optionally "description") to
       #   insert or update a setting, or "deleted" to delete the setting.
       #
+      #   A setting may also include "updated_at_was" with the updated_at value from when the setting was
+      #   loaded (or null for a new setting). The update will be rejected if the setting has been changed
+      #   since then and the current setting will be returned in "conflicts".
+      #
+      #   A setting may also include "effective_at" with a future time to schedule the change instead of
+      #   applying it immediately. Scheduled changes are returned in "scheduled_changes". The key of a
+      #   setting cannot be changed with a scheduled change.
+      #
       #   { settings: [
       #       {
       #         key: string,
@@ -77,35 +94,80 @@ module SuperSettings
       #         key: string,
       #         deleted: boolean,
       #       },
+      #       {
+      #         key: string,
+      #         value: object,
+      #         updated_at_was: iso8601 string,
+      #       },
+      #       {
+      #         key: string,
+      #         value: object,
+      #         effective_at: iso8601 string,
+      #       },
       #       ...
       #     ]
       #   }
       #
       #   The response will be either
       #
-      #   {success: true, values: {key => value, ...}}
+      #   {success: true, values: {key => value, ...}, scheduled_changes: [scheduled_change, ...]}
       #
       #   or
       #
-      #   {success: false, errors: {key => [string], ...}}
+      #   {success: false, errors: {key => [string], ...}, conflicts: {key => setting, ...}}
       #
       # @return [Hash] result hash with success status and any errors
-      def update(settings_params, changed_by = nil)
-        all_valid, settings = Setting.bulk_update(Array(settings_params), changed_by)
+      def update(settings_params, changed_by = nil, approved_by: nil)
+        settings_params, scheduled_changes, scheduled_conflicts = partition_scheduled_changes(Array(settings_params), changed_by, approved_by)
+
+        scheduled_errors = {}
+        scheduled_changes.each do |change|
+          if change.is_a?(String)
+            scheduled_errors[change] = ["key cannot be changed on a scheduled change"]
+          elsif !change.valid?
+            scheduled_errors[change.key] = change.errors.values.flatten
+          end
+        end
+        scheduled_conflicts.each_key do |key|
+          (scheduled_errors[key] ||= []) << "setting has been changed by someone else"
+        end
+        unless scheduled_errors.empty?
+          result = {success: false, errors: scheduled_errors}
+          result[:conflicts] = scheduled_conflicts unless scheduled_conflicts.empty?
+          return result
+        end
+
+        # The scheduled changes are saved in the same transaction as the settings so that
+        # either all of the changes are stored or none of them are.
+        all_valid = false
+        settings = nil
+        Setting.storage.with_connection do
+          Setting.transaction do
+            all_valid, settings = Setting.bulk_update(settings_params, changed_by, approved_by: approved_by)
+            scheduled_changes.each(&:save!) if all_valid
+          end
+        end
+
         if all_valid
           values = {}
           settings.each do |setting|
             values[setting.key] = setting.value
           end
-          {success: true, values: values}
+          result = {success: true, values: values}
+          result[:scheduled_changes] = scheduled_changes.collect(&:as_json) unless scheduled_changes.empty?
+          result
         else
           errors = {}
+          conflicts = {}
           settings.each do |setting|
             if setting.errors.any?
               errors[setting.key] = setting.errors.values.flatten
             end
+            conflicts[setting.key] = setting.conflict if setting.conflict
           end
-          {success: false, errors: errors}
+          result = {success: false, errors: errors}
+          result[:conflicts] = conflicts unless conflicts.empty?
+          result
         end
       end
 
@@ -129,6 +191,7 @@ module SuperSettings
       #     histories: [
       #       {
       #         value: object,
+      #         previous_value: object,
       #         changed_by: string,
       #         created_at: iso8601 string
       #       },
@@ -138,6 +201,11 @@ module SuperSettings
       #     next_page_params: hash
       #   }
       #
+      #   The previous_value is the value of the setting before the change. It is omitted for the
+      #   first value the setting was created with. History items for changes that were applied from
+      #   a scheduled change will also include "scheduled: true". History items for changes that were
+      #   approved from a change request will include "approved_by" with who approved the change.
+      #
       # @return [Hash, nil] history hash or nil if setting not found
       def history(key, limit: nil, offset: 0)
         setting = Setting.find_by_key(key)
@@ -147,6 +215,7 @@ module SuperSettings
         limit = limit.to_i
         fetch_limit = ((limit > 0) ? limit + 1 : nil)
         histories = setting.history(limit: fetch_limit, offset: offset)
+        fetched_histories = histories
 
         payload = {key: setting.key}
 
@@ -162,9 +231,13 @@ module SuperSettings
           payload[:next_page_params] = next_page_params if next_page_params
         end
 
-        payload[:histories] = histories.collect do |history|
+        payload[:histories] = histories.each_with_index.collect do |history, index|
           history_values = {value: history.value, changed_by: history.changed_by_display, created_at: history.created_at.utc.iso8601(6)}
           history_values[:deleted] = true if history.deleted?
+          history_values[:scheduled] = true if history.scheduled?
+          history_values[:approved_by] = history.approved_by if history.approved_by
+          previous_history = fetched_histories[index + 1]
+          history_values[:previous_value] = previous_history.value if previous_history
           history_values
         end
 
@@ -189,12 +262,14 @@ module SuperSettings
       # Return settings that have been updated since a specified timestamp.
       #
       # @param time [Time, String] timestamp to check for updates since
+      # @param key_prefix [String] only return settings with keys that start with this prefix
       # @example
       #   GET /updated_since
       #
       #   Query parameters
       #
       #   * time - iso8601 string
+      #   * key_prefix - only return settings with keys that start with this prefix (optional)
       #
       #   The response payload is:
       #   [
@@ -210,11 +285,245 @@ module SuperSettings
       #   ]
       #
       # @return [Hash] hash with settings array
-      def updated_since(time)
+      def updated_since(time, key_prefix: nil)
         time = Coerce.time(time)
-        settings = Setting.updated_since(time).reject(&:deleted?)
+        settings = with_key_prefix(Setting.updated_since(time).reject(&:deleted?), key_prefix)
         {settings: settings.collect(&:as_json)}
       end
+
+      # Return all changes that have been scheduled to be applied in the future sorted by the
+      # time they become effective.
+      #
+      # @example
+      #   GET /scheduled_changes
+      #
+      #   The response payload is:
+      #   {
+      #     scheduled_changes: [
+      #       {
+      #         id: string,
+      #         key: string,
+      #         value: object,
+      #         value_type: string,
+      #         description: string (only included if the change updates the description),
+      #         deleted: boolean (only included if the change deletes the setting),
+      #         effective_at: iso8601 string,
+      #         changed_by: string,
+      #         created_at: iso8601 string
+      #       },
+      #       ...
+      #     ]
+      #   }
+      #
+      # @return [Hash] hash with scheduled changes array
+      def scheduled_changes
+        {scheduled_changes: ScheduledChange.all.collect(&:as_json)}
+      end
+
+      # Cancel a scheduled change so that it will not be applied.
+      #
+      # @param id [String] scheduled change id
+      # @example
+      #   POST /scheduled_changes/cancel
+      #
+      #   The format of the parameters is:
+      #
+      #   {id: string}
+      #
+      #   The response will be either
+      #
+      #   {success: true}
+      #
+      #   or
+      #
+      #   {success: false} if the change had already been applied or cancelled
+      #
+      # @return [Hash] result hash with success status
+      def cancel_scheduled_change(id)
+        change = ScheduledChange.find(id.to_s)
+        {success: !!change&.cancel!}
+      end
+
+      # Return all change requests sorted by the time they were proposed. This includes requests
+      # that are waiting to be reviewed and requests that have been rejected.
+      #
+      # @example
+      #   GET /change_requests
+      #
+      #   The response payload is:
+      #   {
+      #     change_requests: [
+      #       {
+      #         id: string,
+      #         status: "pending" or "rejected",
+      #         settings: [setting_params, ...],
+      #         comment: string,
+      #         proposed_by: string,
+      #         created_at: iso8601 string,
+      #         reviewed_by: string (only included if the request was rejected),
+      #         review_comment: string (only included if the request was rejected),
+      #         reviewed_at: iso8601 string (only included if the request was rejected)
+      #       },
+      #       ...
+      #     ]
+      #   }
+      #
+      #   The settings are in the same format as the parameters for updating settings.
+      #
+      # @return [Hash] hash with change requests array
+      def change_requests
+        {change_requests: ChangeRequest.all.collect(&:as_json)}
+      end
+
+      # Propose changes to settings that will be applied when they are approved.
+      #
+      # @param settings_params [Array] array of setting parameter hashes
+      # @param proposed_by [String] identifier for who proposed the changes
+      # @param comment [String] optional comment describing the changes
+      # @example
+      #   POST /change_requests
+      #
+      #   The format of the parameters is:
+      #
+      #   {settings: [setting_params, ...], comment: string}
+      #
+      #   The settings are in the same format as the parameters for updating settings. Including
+      #   "updated_at_was" is recommended so that the changes cannot be approved if the setting is
+      #   changed by someone else first.
+      #
+      #   The response will be either
+      #
+      #   {success: true, change_request: change_request}
+      #
+      #   or
+      #
+      #   {success: false, errors: {key => [string], ...}}
+      #
+      # @return [Hash] result hash with success status and any errors
+      def create_change_request(settings_params, proposed_by = nil, comment: nil)
+        change_request = ChangeRequest.new(settings: settings_params, proposed_by: proposed_by, comment: comment)
+        return {success: false, errors: change_request.errors} unless change_request.valid?
+
+        change_request.save!
+        {success: true, change_request: change_request.as_json}
+      end
+
+      # Approve a change request and apply the changes. The changes are applied atomically in the
+      # same way as updating settings.
+      #
+      # @param id [String] change request id
+      # @param approved_by [String] identifier for who approved the changes
+      # @example
+      #   POST /change_requests/approve
+      #
+      #   The format of the parameters is:
+      #
+      #   {id: string}
+      #
+      #   The response is the same as the response for updating settings. If the changes could not
+      #   be applied, the change request will remain pending.
+      #
+      # @return [Hash, nil] result hash or nil if the change request was not found or is not pending
+      def approve_change_request(id, approved_by = nil)
+        ChangeRequest.find(id.to_s)&.approve!(approved_by)
+      end
+
+      # Reject a change request.
+      #
+      # @param id [String] change request id
+      # @param rejected_by [String] identifier for who rejected the changes
+      # @param comment [String] reason for rejecting the changes
+      # @example
+      #   POST /change_requests/reject
+      #
+      #   The format of the parameters is:
+      #
+      #   {id: string, comment: string}
+      #
+      #   The response will be
+      #
+      #   {success: true, change_request: change_request}
+      #
+      # @return [Hash, nil] result hash or nil if the change request was not found or is not pending
+      def reject_change_request(id, rejected_by = nil, comment: nil)
+        change_request = ChangeRequest.find(id.to_s)
+        return nil unless change_request&.reject!(rejected_by, comment)
+
+        {success: true, change_request: change_request.as_json}
+      end
+
+      # Withdraw a change request. This is also used to remove rejected change requests.
+      #
+      # @param id [String] change request id
+      # @example
+      #   POST /change_requests/withdraw
+      #
+      #   The format of the parameters is:
+      #
+      #   {id: string}
+      #
+      #   The response will be either
+      #
+      #   {success: true}
+      #
+      #   or
+      #
+      #   {success: false} if the change request had already been approved or withdrawn
+      #
+      # @return [Hash] result hash with success status
+      def withdraw_change_request(id)
+        change_request = ChangeRequest.find(id.to_s)
+        {success: !!change_request&.withdraw!}
+      end
+
+      private
+
+      def with_key_prefix(settings, key_prefix)
+        return settings if Coerce.blank?(key_prefix)
+
+        key_prefix = key_prefix.to_s
+        settings.select { |setting| setting.key.start_with?(key_prefix) }
+      end
+
+      # Split out the setting parameters that should be saved as scheduled changes. Parameters
+      # with an effective time that has already passed are applied immediately. Scheduled changes
+      # that try to change the setting key are returned as the key name so that an error can be reported.
+      # Scheduled changes with an "updated_at_was" value for a setting that has been changed since
+      # then are returned in a hash of the current setting attributes keyed by the setting key.
+      def partition_scheduled_changes(settings_params, changed_by, approved_by)
+        immediate = []
+        scheduled = []
+        conflicts = {}
+
+        settings_params.each do |setting_params|
+          # Rails passes each item as ActionController::Parameters, which is not Enumerable.
+          attributes = {}
+          setting_params.each { |name, value| attributes[name.to_s] = value }
+          setting_params = attributes
+          effective_at = Coerce.time(setting_params.delete("effective_at"))
+          if effective_at.nil? || effective_at <= Time.now
+            immediate << setting_params
+            next
+          end
+
+          if Coerce.present?(setting_params["key_was"]) && setting_params["key_was"] != setting_params["key"]
+            scheduled << setting_params["key"].to_s
+            next
+          end
+
+          if setting_params.include?("updated_at_was")
+            setting = Setting.find_by_key(setting_params["key"])
+            if Setting.changed_since_loaded?(setting, setting_params["updated_at_was"])
+              conflicts[setting.key] = setting.as_json
+            end
+          end
+
+          attributes = setting_params.slice("key", "value", "value_type", "description", "deleted")
+          scheduled << ScheduledChange.new(attributes.merge("effective_at" => effective_at, "changed_by" => changed_by, "approved_by" => approved_by))
+        end
+
+        [immediate, scheduled, conflicts]
+      end
     end
   end
 end
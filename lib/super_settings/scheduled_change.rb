@@ -0,0 +1,341 @@
+# frozen_string_literal: true
+
+require "securerandom"
+
+module SuperSettings
+  # A change to a setting that will be applied at a future time. Scheduled changes are kept in
+  # the storage engine's pending changes store until they are due and are then applied by calling
+  # {.apply_due}. This can be done either with the background thread started by {.start_applier}
+  # or from a recurring job.
+  #
+  # @example
+  #   SuperSettings::ScheduledChange.create!(
+  #     key: "promotion.enabled",
+  #     value: true,
+  #     value_type: "boolean",
+  #     effective_at: Time.new(2026, 11, 27, 0, 0, 0),
+  #     changed_by: "Alice"
+  #   )
+  class ScheduledChange
+    # Type used to identify scheduled changes in the pending changes store.
+    PENDING_CHANGE_TYPE = "scheduled_change"
+
+    # Exception raised if you try to save with invalid data.
+    class InvalidRecordError < StandardError
+    end
+
+    include Attributes
+
+    attr_reader :id, :key, :value, :value_type, :description, :effective_at, :changed_by, :approved_by, :created_at
+
+    attr_writer :changed_by, :approved_by
+
+    # @return [Hash<String, Array<String>>] errors from the last call to {#valid?}
+    attr_reader :errors
+
+    @applier_thread = nil
+    @applier_lock = Mutex.new
+
+    class << self
+      # Get all scheduled changes sorted by the time they become effective.
+      #
+      # @return [Array<SuperSettings::ScheduledChange>]
+      def all
+        changes = Setting.storage.pending_changes.select { |attributes| attributes["type"] == PENDING_CHANGE_TYPE }
+        changes.collect { |attributes| new(attributes) }.sort_by { |change| [change.effective_at, change.created_at] }
+      end
+
+      # Find a scheduled change by its id.
+      #
+      # @param id [String]
+      # @return [SuperSettings::ScheduledChange, nil]
+      def find(id)
+        all.detect { |change| change.id == id }
+      end
+
+      # Get the scheduled changes for a setting key.
+      #
+      # @param key [String]
+      # @return [Array<SuperSettings::ScheduledChange>]
+      def for_key(key)
+        all.select { |change| change.key == key.to_s }
+      end
+
+      # Get the scheduled changes that should be applied by the specified time.
+      #
+      # @param time [Time]
+      # @return [Array<SuperSettings::ScheduledChange>]
+      def due(time = Time.now)
+        all.select { |change| change.due?(time) }
+      end
+
+      # Create a new scheduled change.
+      #
+      # @param attributes [Hash]
+      # @return [SuperSettings::ScheduledChange]
+      # @raise [InvalidRecordError] if the change is not valid
+      def create!(attributes)
+        change = new(attributes)
+        change.save!
+        change
+      end
+
+      # Apply all scheduled changes that are due. Changes are applied in order of their effective
+      # time. A change that is no longer valid (for instance, if a constraint has been added for the
+      # setting) is discarded. Each change is only applied once even if this method is called
+      # concurrently from multiple processes. The exception is storage engines based on
+      # {Storage::JSONStorage} (i.e. S3) which can only guarantee this within a single process.
+      #
+      # @param time [Time] apply changes that are effective at or before this time
+      # @return [Array<SuperSettings::ScheduledChange>] the changes that were applied
+      def apply_due(time = Time.now)
+        due(time).select(&:apply!)
+      end
+
+      # Start a background thread that will apply scheduled changes when they are due. You should
+      # only run the applier in one process. Alternatively, you can call {.apply_due} from a
+      # recurring background job.
+      #
+      # @param interval [Numeric] number of seconds between checks for due changes
+      # @return [void]
+      def start_applier(interval: 60)
+        @applier_lock.synchronize do
+          return if @applier_thread&.alive?
+
+          @applier_thread = Thread.new do
+            loop do
+              begin
+                apply_due
+              rescue => e
+                warn("SuperSettings: error applying scheduled changes: #{e.inspect}")
+              end
+              sleep(interval)
+            end
+          end
+        end
+      end
+
+      # Stop the background thread started with {.start_applier}.
+      #
+      # @return [void]
+      def stop_applier
+        @applier_lock.synchronize do
+          @applier_thread&.kill
+          @applier_thread = nil
+        end
+      end
+
+      # Return true if the background applier thread is running.
+      #
+      # @return [Boolean]
+      def applier_running?
+        !!@applier_thread&.alive?
+      end
+    end
+
+    def initialize(attributes = {})
+      @id = nil
+      @deleted = false
+      @errors = {}
+      super
+    end
+
+    def id=(val)
+      @id = val&.to_s
+    end
+
+    def key=(val)
+      @key = val&.to_s
+    end
+
+    def value=(val)
+      @value = val
+    end
+
+    def value_type=(val)
+      @value_type = (Coerce.blank?(val) ? nil : val.to_s)
+    end
+
+    def description=(val)
+      @description = val&.to_s
+    end
+
+    # @return [Boolean] true if the change will delete the setting
+    def deleted?
+      @deleted
+    end
+
+    def deleted=(val)
+      @deleted = Coerce.boolean(val)
+    end
+
+    def effective_at=(val)
+      @effective_at = Coerce.time(val)
+    end
+
+    def created_at=(val)
+      @created_at = Coerce.time(val)
+    end
+
+    # Return true if the change has been saved.
+    #
+    # @return [Boolean]
+    def persisted?
+      !@id.nil?
+    end
+
+    # Return true if the change should be applied by the specified time.
+    #
+    # @param time [Time]
+    # @return [Boolean]
+    def due?(time = Time.now)
+      !effective_at.nil? && effective_at <= time
+    end
+
+    # Validate the change. The value is validated against the setting value type and any
+    # constraints defined for the setting.
+    #
+    # @return [Boolean]
+    def valid?
+      @errors = {}
+      add_error("key", "key cannot be empty") if Coerce.blank?(key)
+      add_error("effective_at", "effective at cannot be empty") if effective_at.nil?
+      add_error("effective_at", "scheduled changes are not supported by the storage engine") unless Setting.storage.supports_pending_changes?
+
+      unless deleted? || Coerce.blank?(key)
+        setting = Setting.new(key: key, value_type: resolved_value_type, value: value)
+        unless setting.valid?
+          setting.errors.each do |attribute, messages|
+            messages.each { |message| add_error(attribute, message) }
+          end
+        end
+      end
+
+      @errors.empty?
+    end
+
+    # Save the change to the pending changes store.
+    #
+    # @return [void]
+    # @raise [InvalidRecordError] if the change is not valid
+    def save!
+      raise InvalidRecordError.new(errors.values.flatten.join("; ")) unless valid?
+
+      @value_type = resolved_value_type unless deleted?
+      @id ||= SecureRandom.uuid
+      @created_at ||= Time.now
+      Setting.storage.save_pending_change(to_storage_hash)
+      nil
+    end
+
+    # Cancel the change so that it will not be applied.
+    #
+    # @return [Boolean] true if the change was cancelled; false if it had already been applied or cancelled
+    def cancel!
+      return false unless persisted?
+
+      Setting.storage.delete_pending_change(id)
+    end
+
+    # Apply the change to the setting. The change is removed from the pending changes store in the
+    # same transaction that saves the setting so that it cannot be applied twice. If the setting
+    # cannot be saved, the change is put back for storage engines that cannot roll back the removal.
+    # The history for the setting will record that the change came from a schedule.
+    #
+    # @return [Boolean] true if the change was applied
+    def apply!
+      return false unless persisted?
+
+      # Changes that are no longer valid are discarded since there is no one to report the error to.
+      unless valid?
+        cancel!
+        return false
+      end
+
+      removed = false
+      Setting.storage.with_connection do
+        Setting.transaction do
+          removed = Setting.storage.delete_pending_change(id)
+          save_setting! if removed
+        end
+      end
+      removed
+    rescue
+      Setting.storage.save_pending_change(to_storage_hash) if removed
+      raise
+    end
+
+    # Serialize to a hash that is used for rendering JSON responses.
+    #
+    # @return [Hash]
+    def as_json(options = nil)
+      attributes = {
+        id: id,
+        key: key,
+        value: value,
+        value_type: value_type,
+        effective_at: effective_at&.utc&.iso8601(6),
+        changed_by: changed_by,
+        created_at: created_at&.utc&.iso8601(6)
+      }
+      attributes[:description] = description unless description.nil?
+      attributes[:deleted] = true if deleted?
+      attributes[:approved_by] = approved_by unless approved_by.nil?
+      attributes
+    end
+
+    # Serialize to a JSON string.
+    #
+    # @return [String]
+    def to_json(options = nil)
+      as_json.to_json(options)
+    end
+
+    private
+
+    def save_setting!
+      setting = Setting.find_by_key(key)
+      if deleted?
+        return if setting.nil? || setting.deleted?
+
+        setting.deleted = true
+      else
+        setting ||= Setting.new(key: key)
+        setting.value_type = value_type if value_type
+        setting.value = value
+        setting.description = description unless description.nil?
+        setting.deleted = false
+      end
+      setting.changed_by = changed_by
+      setting.approved_by = approved_by
+      setting.scheduled = true
+      setting.save!
+    end
+
+    # Use the value type of the current setting if one was not specified.
+    def resolved_value_type
+      value_type || Setting.find_by_key(key)&.value_type || Setting::STRING
+    end
+
+    def add_error(attribute, message)
+      (@errors[attribute] ||= []) << message
+    end
+
+    def to_storage_hash
+      attributes = {
+        "id" => id,
+        "type" => PENDING_CHANGE_TYPE,
+        "key" => key,
+        "value" => value,
+        "value_type" => value_type,
+        "deleted" => deleted?,
+        "effective_at" => effective_at.utc.iso8601(6),
+        "changed_by" => changed_by,
+        "created_at" => created_at.utc.iso8601(6)
+      }
+      attributes["description"] = description unless description.nil?
+      attributes["approved_by"] = approved_by unless approved_by.nil?
+      attributes
+    end
+  end
+end
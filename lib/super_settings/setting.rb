@@ -18,8 +18,9 @@ module SuperSettings
     BOOLEAN = "boolean"
     DATETIME = "datetime"
     ARRAY = "array"
+    JSON_TYPE = "json"
 
-    VALUE_TYPES = [STRING, INTEGER, FLOAT, BOOLEAN, DATETIME, ARRAY].freeze
+    VALUE_TYPES = [STRING, INTEGER, FLOAT, BOOLEAN, DATETIME, ARRAY, JSON_TYPE].freeze
 
     ARRAY_DELIMITER = /[\n\r]+/.freeze
 
@@ -37,8 +38,18 @@ module SuperSettings
     # and is cleared after the record is saved.
     attr_accessor :changed_by
 
+    # The scheduled attribute is used to temporarily flag that a change is being applied from
+    # a scheduled change so that it can be recorded in the history. This value is cleared after
+    # the record is saved.
+    attr_writer :scheduled
+
+    # The approved_by attribute is used to record who approved a change request that included
+    # the change. Like changed_by, it is recorded in the history and cleared after the record is saved.
+    attr_accessor :approved_by
+
     @storage = NOT_SET
     @after_save_blocks = []
+    @constraints = {}
 
     class << self
       # Set a cache to use for caching values. This feature is optional. The cache must respond
@@ -74,6 +85,42 @@ module SuperSettings
         after_save_blocks << block
       end
 
+      # Define constraints on the value of a setting. Settings with values that do not satisfy the
+      # constraints will not be valid. The constraints are also returned with the setting from the
+      # REST API so that the web UI can validate values before they are submitted.
+      #
+      # Regular expression patterns are also evaluated in the browser, so they should only use syntax
+      # that is compatible with JavaScript regular expressions (i.e. use ^ and $ instead of \A and \z).
+      #
+      # @example
+      #   SuperSettings::Setting.define_constraints("max_connections", min: 1, max: 100)
+      #   SuperSettings::Setting.define_constraints("log_level", choices: ["debug", "info", "warn", "error"])
+      #
+      # @param key [String] the setting key
+      # @param min [Numeric, Time, String, nil] minimum value for integer, float, and datetime settings
+      # @param max [Numeric, Time, String, nil] maximum value for integer, float, and datetime settings
+      # @param pattern [Regexp, String, nil] regular expression that string settings must match
+      # @param choices [Array, nil] list of allowed values for string, integer, and float settings
+      # @param max_items [Integer, nil] maximum number of items for array settings
+      # @return [void]
+      def define_constraints(key, min: nil, max: nil, pattern: nil, choices: nil, max_items: nil)
+        pattern = Regexp.new(pattern) if pattern.is_a?(String)
+        rules = {min: min, max: max, pattern: pattern, choices: choices&.collect(&:to_s), max_items: max_items&.to_i}.compact
+        if rules.empty?
+          @constraints.delete(key.to_s)
+        else
+          @constraints[key.to_s] = rules.freeze
+        end
+      end
+
+      # Get the constraints defined for a setting key.
+      #
+      # @param key [String] the setting key
+      # @return [Hash, nil] the constraints or nil if none are defined
+      def constraints(key)
+        @constraints[key.to_s]
+      end
+
       # Create a new setting with the specified attributes.
       #
       # @param attributes [Hash] hash of attribute names and values
@@ -159,10 +206,16 @@ module SuperSettings
       #   one of "value", "value_type", or "description". If one of these attributes is present in
       #   the hash, it will be updated. If a setting with the given key does not exist, it will be created.
       #   A setting may also be deleted by providing the attribute "deleted: true".
+      #
+      #   The hash may also include "updated_at_was" with the +updated_at+ timestamp of the setting when
+      #   it was loaded (or +nil+ for a new setting). If the setting has been changed since then, the
+      #   update will fail and the current attributes of the setting will be available from +conflict+.
+      # @param changed_by [String] identifier for who made the changes
+      # @param approved_by [String] identifier for who approved the changes if they were proposed in a change request
       # @return [Array] Boolean indicating if update succeeded, Array of settings affected by the update;
       #   if the settings were not updated, the +errors+ on the settings that failed validation will be filled.
-      def bulk_update(params, changed_by = nil)
-        all_valid, settings = update_settings(params, changed_by)
+      def bulk_update(params, changed_by = nil, approved_by: nil)
+        all_valid, settings = update_settings(params, changed_by, approved_by)
         if all_valid
           storage.with_connection do
             transaction do |_changes|
@@ -191,6 +244,8 @@ module SuperSettings
           DATETIME
         when Array
           ARRAY
+        when Hash
+          JSON_TYPE
         else
           STRING
         end
@@ -235,6 +290,23 @@ module SuperSettings
         changes << record if changes
       end
 
+      # Return true if a setting has been changed since a client loaded it. A blank value for
+      # updated_at_was indicates that the client expected the setting to not exist.
+      #
+      # @param setting [Setting, nil] the currently stored setting
+      # @param updated_at_was [String, Time, nil] the updated_at timestamp when the client loaded the setting
+      # @return [Boolean]
+      # @api private
+      def changed_since_loaded?(setting, updated_at_was)
+        return false if setting.nil? || !setting.persisted?
+
+        if Coerce.blank?(updated_at_was)
+          !setting.deleted?
+        else
+          setting.updated_at&.utc&.iso8601(6) != Coerce.time(updated_at_was).utc.iso8601(6)
+        end
+      end
+
       private
 
       # Updates settings in memory from an array of parameters.
@@ -244,7 +316,7 @@ module SuperSettings
       # @param changed_by [String] Value to be stored in the history for each setting
       # @return [Array] The first value is a boolean indicating if all the settings are valid,
       #     the second is an array of settings with their attributes updated in memory and ready to be saved.
-      def update_settings(params, changed_by)
+      def update_settings(params, changed_by, approved_by = nil)
         changed = {}
         all_valid = true
 
@@ -254,11 +326,22 @@ module SuperSettings
           next if ["value_type", "value", "description", "deleted"].all? { |name| Coerce.blank?(setting_params[name]) }
 
           key_was = setting_params["key_was"]
+
+          conflict = nil
+          if setting_params.include?("updated_at_was")
+            loaded_key = key_was || setting_params["key"]
+            loaded_setting = changed[loaded_key] || Setting.find_by_key(loaded_key)
+            if changed_since_loaded?(loaded_setting, setting_params["updated_at_was"])
+              conflict = loaded_setting.as_json
+            end
+          end
+
           if key_was && !changed.include?(key_was)
             old_setting = Setting.find_by_key(key_was)
             if old_setting
               old_setting.deleted = true
               old_setting.changed_by = changed_by
+              old_setting.approved_by = approved_by
               changed[old_setting.key] = old_setting
             end
           end
@@ -274,14 +357,21 @@ module SuperSettings
           if Coerce.boolean(setting_params["deleted"])
             setting.deleted = true
             setting.changed_by = changed_by
+            setting.approved_by = approved_by
           else
             setting.value_type = setting_params["value_type"] if setting_params.include?("value_type")
             setting.value = setting_params["value"] if setting_params.include?("value")
             setting.description = setting_params["description"] if setting_params.include?("description")
             setting.deleted = false if setting.deleted?
             setting.changed_by = changed_by
+            setting.approved_by = approved_by
             all_valid &= setting.valid?
           end
+
+          if conflict
+            setting.mark_conflict(conflict)
+            all_valid = false
+          end
           changed[setting.key] = setting
         end
 
@@ -347,23 +437,26 @@ module SuperSettings
 
     # Set the value of the setting.
     #
+    # Hashes, and arrays on settings with the json value type, will be serialized as JSON. The
+    # value type should be set before the value when setting a json value with an array.
+    #
     # @param val [Object]
     def value=(val)
-      val = serialize(val) unless val.is_a?(Array)
+      val = serialize(val) unless val.is_a?(Array) && !json?
       val = val.join("\n") if val.is_a?(Array)
       self.raw_value = val
     end
 
     # Get the type of value being stored in the setting.
     #
-    # @return [String] one of string, integer, float, boolean, datetime, or array.
+    # @return [String] one of string, integer, float, boolean, datetime, array, or json.
     def value_type
       @record.value_type
     end
 
     # Set the value type of the setting.
     #
-    # @param val [String] one of string, integer, float, boolean, datetime, or array.
+    # @param val [String] one of string, integer, float, boolean, datetime, array, or json.
     def value_type=(val)
       val = val&.to_s
       will_change!(:value_type, val) unless value_type == val
@@ -406,6 +499,13 @@ module SuperSettings
       @record.deleted = val
     end
 
+    # Return true if the change is being applied from a scheduled change.
+    #
+    # @return [Boolean]
+    def scheduled?
+      !!@scheduled
+    end
+
     # Get the time the setting was first created.
     #
     # @return [Time]
@@ -476,6 +576,12 @@ module SuperSettings
       value_type == ARRAY
     end
 
+    # Return true if the setting has a json value type.
+    # @return [Boolean]
+    def json?
+      value_type == JSON_TYPE
+    end
+
     # Save the setting to the data storage engine.
     #
     # @return [void]
@@ -520,6 +626,22 @@ module SuperSettings
     # @return [Hash<String, Array<String>>]
     attr_reader :errors
 
+    # Return the current stored attributes of the setting if a bulk update was rejected because
+    # the setting was changed by someone else after it was loaded. See +bulk_update+.
+    #
+    # @return [Hash, nil]
+    attr_reader :conflict
+
+    # Mark the setting as having a conflict with a change made by someone else and add an error for it.
+    #
+    # @param attributes [Hash] the current stored attributes of the setting
+    # @return [void]
+    # @api private
+    def mark_conflict(attributes)
+      @conflict = attributes
+      add_error(:setting, "has been changed by someone else")
+    end
+
     # Mark the record as deleted. The record will not actually be deleted since it's still needed
     # for caching purposes, but it will no longer be returned by queries.
     #
@@ -545,6 +667,13 @@ module SuperSettings
       @record.history(limit: limit, offset: offset)
     end
 
+    # Return the constraints defined for the setting key.
+    #
+    # @return [Hash, nil]
+    def constraints
+      self.class.constraints(key)
+    end
+
     # Serialize to a hash that is used for rendering JSON responses.
     #
     # @param options [Hash] options for JSON serialization (unused but maintained for compatibility)
@@ -559,6 +688,7 @@ module SuperSettings
         updated_at: updated_at&.utc&.iso8601(6)
       }
       attributes[:deleted] = true if deleted?
+      attributes[:constraints] = constraints_as_json if constraints
       attributes
     end
 
@@ -610,10 +740,13 @@ module SuperSettings
         else
           Array(value).reject { |v| v.respond_to?(:empty?) ? v.empty? : v.to_s.empty? }.collect { |v| v.to_s.freeze }.freeze
         end
+      when Setting::JSON_TYPE
+        value = ::JSON.parse(value) if value.is_a?(String)
+        (value.is_a?(Hash) || value.is_a?(Array)) ? value.freeze : nil
       else
         value.freeze
       end
-    rescue ArgumentError
+    rescue ArgumentError, ::JSON::ParserError
       nil
     end
 
@@ -623,6 +756,10 @@ module SuperSettings
         nil
       elsif value.is_a?(Time) || value.is_a?(DateTime)
         value.utc.iso8601(6)
+      elsif value.is_a?(Hash) || (value.is_a?(Array) && json?)
+        ::JSON.generate(value)
+      elsif json?
+        value.to_s
       else
         coerce(value.to_s)
       end
@@ -633,7 +770,11 @@ module SuperSettings
       return unless changed?(:raw_value) || changed?(:deleted) || changed?(:key)
 
       recorded_value = (deleted? ? nil : raw_value)
-      @record.class.create_history(key: key, value: recorded_value, deleted: deleted?, changed_by: changed_by, created_at: updated_at)
+      history_attributes = {key: key, value: recorded_value, deleted: deleted?, changed_by: changed_by, created_at: updated_at}
+      # Only pass these attributes when they are set so storage engines that do not support them still work.
+      history_attributes[:scheduled] = true if scheduled?
+      history_attributes[:approved_by] = approved_by unless approved_by.nil?
+      @record.class.create_history(**history_attributes)
 
       if changed?(:key)
         key_was = @changes["key"][0]
@@ -646,6 +787,8 @@ module SuperSettings
     def clear_changes
       @changes = {}
       self.changed_by = nil
+      self.scheduled = false
+      self.approved_by = nil
     end
 
     def will_change!(attribute, value)
@@ -692,6 +835,58 @@ module SuperSettings
           add_error(:value, "must be a number")
         elsif value_type == Setting::DATETIME
           add_error(:value, "is not a valid datetime")
+        elsif value_type == Setting::JSON_TYPE
+          add_error(:value, "must be a JSON object or array")
+        end
+      end
+
+      validate_constraints! unless @errors.include?("value")
+    end
+
+    def validate_constraints!
+      rules = constraints
+      val = value
+      return if rules.nil? || val.nil?
+
+      if integer? || float? || datetime?
+        min = constraint_value(rules[:min])
+        max = constraint_value(rules[:max])
+        add_error(:value, "must be greater than or equal to #{format_constraint(min)}") if min && val < min
+        add_error(:value, "must be less than or equal to #{format_constraint(max)}") if max && val > max
+      end
+
+      if rules[:choices] && (string? || integer? || float?)
+        choices = rules[:choices].collect { |choice| coerce(choice) }
+        add_error(:value, "must be one of #{rules[:choices].join(", ")}") unless choices.include?(val)
+      end
+
+      if rules[:pattern] && string?
+        add_error(:value, "must match #{rules[:pattern].inspect}") unless rules[:pattern].match?(val)
+      end
+
+      if rules[:max_items] && array? && val.size > rules[:max_items]
+        add_error(:value, "must have at most #{rules[:max_items]} items")
+      end
+    end
+
+    def constraint_value(value)
+      return nil if value.nil?
+
+      datetime? ? Coerce.time(value) : value
+    end
+
+    def format_constraint(value)
+      value.is_a?(Time) ? value.utc.iso8601 : value.to_s
+    end
+
+    def constraints_as_json
+      constraints.each_with_object({}) do |(name, rule), json|
+        json[name] = if rule.is_a?(Regexp)
+          rule.source
+        elsif datetime? && (name == :min || name == :max)
+          format_constraint(constraint_value(rule))
+        else
+          rule
         end
       end
     end
@@ -68,15 +68,54 @@ module SuperSettings
         # :nocov:
       end
 
-      # Create a history item for the setting.
+      # Create a history item for the setting. The scheduled flag indicates that the change was
+      # applied from a scheduled change and approved_by records who approved a change request
+      # that included the change. These values are only passed when they are set.
       #
       # @return [void]
-      def create_history(key:, changed_by:, created_at:, value: nil, deleted: false)
+      def create_history(key:, changed_by:, created_at:, value: nil, deleted: false, scheduled: false, approved_by: nil)
         # :nocov:
         raise NotImplementedError
         # :nocov:
       end
 
+      # Storage classes that can store changes that are waiting to be applied (i.e. scheduled changes
+      # and change requests) must override this method to return true along with implementing
+      # +pending_changes+, +save_pending_change+, and +delete_pending_change+. Scheduled changes and
+      # change requests are not available with storage classes that do not support them.
+      #
+      # @return [Boolean]
+      def supports_pending_changes?
+        false
+      end
+
+      # Return the attributes for all changes that are waiting to be applied. Each hash must be
+      # returned exactly as it was passed to +save_pending_change+ with string keys.
+      #
+      # @return [Array<Hash>]
+      def pending_changes
+        []
+      end
+
+      # Store the attributes for a change that is waiting to be applied. The hash will have string
+      # keys and JSON compatible values and will include a unique "id" that should replace any
+      # existing pending change with the same id.
+      #
+      # @param attributes [Hash]
+      # @return [void]
+      def save_pending_change(attributes)
+        raise NotImplementedError.new("#{name} does not support pending changes")
+      end
+
+      # Delete a pending change. This must return true only if the pending change existed and was
+      # deleted so that a change is only ever applied once.
+      #
+      # @param id [String]
+      # @return [Boolean]
+      def delete_pending_change(id)
+        false
+      end
+
       # Implementing classes can override this method to setup a thread safe connection within a block.
       #
       # @return [void]
@@ -164,7 +203,7 @@ module SuperSettings
 
     # Set the value type for the setting.
     #
-    # @param val [String] one of string, integer, float, boolean, datetime, or array
+    # @param val [String] one of string, integer, float, boolean, datetime, array, or json
     # @return [void]
     def value_type=(val)
       # :nocov:
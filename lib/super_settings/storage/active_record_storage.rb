@@ -13,6 +13,7 @@ module SuperSettings
       autoload :ApplicationRecord, File.join(__dir__, "active_record_storage/models")
       autoload :Model, File.join(__dir__, "active_record_storage/models")
       autoload :HistoryModel, File.join(__dir__, "active_record_storage/models")
+      autoload :PendingChangeModel, File.join(__dir__, "active_record_storage/models")
 
       include Storage
 
@@ -52,8 +53,37 @@ module SuperSettings
           end
         end
 
-        def create_history(key:, changed_by:, created_at:, value: nil, deleted: false)
-          HistoryModel.create!(key: key, value: value, deleted: deleted, changed_by: changed_by, created_at: created_at)
+        def create_history(key:, changed_by:, created_at:, value: nil, deleted: false, scheduled: false, approved_by: nil)
+          attributes = {key: key, value: value, deleted: deleted, changed_by: changed_by, created_at: created_at}
+          # Only set the columns when needed so history can still be written before the migrations
+          # adding the columns have been run.
+          attributes[:scheduled] = true if scheduled
+          attributes[:approved_by] = approved_by if approved_by
+          HistoryModel.create!(attributes)
+        end
+
+        # Pending changes are only supported once the migration to add the table has been run.
+        def supports_pending_changes?
+          PendingChangeModel.available?
+        end
+
+        def pending_changes
+          return [] unless PendingChangeModel.available?
+
+          PendingChangeModel.order(:id).collect { |model| JSON.parse(model.payload) }
+        end
+
+        def save_pending_change(attributes)
+          model = PendingChangeModel.find_or_initialize_by(change_id: attributes["id"])
+          model.payload = JSON.dump(attributes)
+          model.created_at ||= Time.now
+          model.save!
+        end
+
+        def delete_pending_change(id)
+          return false unless PendingChangeModel.available?
+
+          PendingChangeModel.where(change_id: id).delete_all > 0
         end
 
         def with_connection(&block)
@@ -76,6 +106,7 @@ module SuperSettings
           Model.transaction do
             Model.delete_all
             HistoryModel.delete_all
+            PendingChangeModel.delete_all if PendingChangeModel.available?
           end
         end
 
@@ -126,7 +157,9 @@ module SuperSettings
         finder = @model.history_items.order(id: :desc).offset(offset)
         finder = finder.limit(limit) if limit
         finder.collect do |record|
-          HistoryItem.new(key: key, value: record.value, changed_by: record.changed_by, created_at: record.created_at, deleted: record.deleted?)
+          scheduled = record.has_attribute?(:scheduled) && record.scheduled?
+          approved_by = record.approved_by if record.has_attribute?(:approved_by)
+          HistoryItem.new(key: key, value: record.value, changed_by: record.changed_by, created_at: record.created_at, deleted: record.deleted?, scheduled: scheduled, approved_by: approved_by)
         end
       end
     end
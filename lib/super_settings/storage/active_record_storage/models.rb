@@ -6,12 +6,6 @@ module SuperSettings
       # Base class that the models extend from.
       class ApplicationRecord < ActiveRecord::Base
         self.abstract_class = true
-      end
-
-      class Model < ApplicationRecord
-        self.table_name = "super_settings"
-
-        has_many :history_items, class_name: "SuperSettings::Storage::ActiveRecordStorage::HistoryModel", foreign_key: :key, primary_key: :key
 
         class << self
           # ActiveRecord storage is only available if the connection pool is connected and the table exists.
@@ -28,6 +22,12 @@ module SuperSettings
         end
       end
 
+      class Model < ApplicationRecord
+        self.table_name = "super_settings"
+
+        has_many :history_items, class_name: "SuperSettings::Storage::ActiveRecordStorage::HistoryModel", foreign_key: :key, primary_key: :key
+      end
+
       class HistoryModel < ApplicationRecord
         self.table_name = "super_settings_histories"
 
@@ -35,8 +35,16 @@ module SuperSettings
         # fit into the database columns since we can't handle any validation errors.
         before_validation do
           self.changed_by = changed_by.to_s[0, 150] if changed_by.present?
+          self.approved_by = approved_by.to_s[0, 150] if has_attribute?(:approved_by) && approved_by.present?
         end
       end
+
+      # Pending changes are stored as a JSON payload since they are only ever read and written
+      # as a whole. The table is created by a separate migration so it may not exist yet in
+      # applications that have not installed the latest migrations.
+      class PendingChangeModel < ApplicationRecord
+        self.table_name = "super_settings_pending_changes"
+      end
     end
   end
 end
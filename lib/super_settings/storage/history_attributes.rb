@@ -6,16 +6,18 @@ module SuperSettings
     class HistoryAttributes
       include SuperSettings::Attributes
 
-      attr_accessor :key, :value, :changed_by
-      attr_writer :deleted
+      attr_accessor :key, :value, :changed_by, :approved_by
+      attr_writer :deleted, :scheduled
       attr_reader :created_at
 
       def initialize(*)
         @key = nil
         @value = nil
         @changed_by = nil
+        @approved_by = nil
         @created_at = nil
         @deleted = false
+        @scheduled = false
         super
       end
 
@@ -26,6 +28,10 @@ module SuperSettings
       def deleted?
         !!@deleted
       end
+
+      def scheduled?
+        !!@scheduled
+      end
     end
   end
 end
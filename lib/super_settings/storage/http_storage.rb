@@ -69,10 +69,23 @@ module SuperSettings
           SuperSettings::Coerce.time(value)
         end
 
-        def create_history(key:, changed_by:, created_at:, value: nil, deleted: false)
+        def create_history(key:, changed_by:, created_at:, value: nil, deleted: false, scheduled: false, approved_by: nil)
           # No-op since history is maintained by the source system.
         end
 
+        def pending_changes
+          # Pending changes are stored and applied by the source system.
+          []
+        end
+
+        def save_pending_change(attributes)
+          raise NotImplementedError.new("Pending changes must be saved in the source system")
+        end
+
+        def delete_pending_change(id)
+          raise NotImplementedError.new("Pending changes must be deleted in the source system")
+        end
+
         def save_all(changes)
           payload = []
           changes.each do |setting|
@@ -130,7 +143,7 @@ module SuperSettings
         params[:limit] = limit if limit
         history = call_api(:get, "/setting/history", params)
         history["histories"].collect do |attributes|
-          HistoryItem.new(key: key, value: attributes["value"], changed_by: attributes["changed_by"], created_at: attributes["created_at"], deleted: attributes["deleted"])
+          HistoryItem.new(key: key, value: attributes["value"], changed_by: attributes["changed_by"], created_at: attributes["created_at"], deleted: attributes["deleted"], scheduled: attributes["scheduled"], approved_by: attributes["approved_by"])
         end
       end
 
@@ -6,7 +6,10 @@ module SuperSettings
     # The settings are stored in JSON as an array of hashes with each hash representing a setting.
     #
     # Setting history should be stored in separate JSON files per key and are loaded separately
-    # from the main settings file.
+    # from the main settings file. Pending changes (i.e. scheduled changes) are stored together
+    # in another JSON file. Pending changes are updated by reading and rewriting the whole file,
+    # which is only locked within a single process. If more than one process can apply scheduled
+    # changes or review change requests at the same time, a change could be applied twice.
     #
     # This class can be used as the base for any storage class where the settings are all stored
     # together in a single JSON payload.
@@ -15,9 +18,17 @@ module SuperSettings
     # - self.all
     # - self.last_updated_at
     # - save!
+    #
+    # Subclasses that support pending changes must also implement:
+    # - self.supports_pending_changes?
+    # - self.pending_changes_json_payload
+    # - self.save_pending_changes_json
     class JSONStorage < StorageAttributes
       include Transaction
 
+      # Lock around reading and rewriting the pending changes file.
+      PENDING_CHANGES_LOCK = Mutex.new
+
       class HistoryStorage < HistoryAttributes
         class << self
           def create!(attributes)
@@ -60,8 +71,32 @@ module SuperSettings
           active.detect { |setting| setting.key == key }
         end
 
-        def create_history(key:, changed_by:, created_at:, value: nil, deleted: false)
-          HistoryStorage.create!(key: key, value: value, changed_by: changed_by, created_at: created_at, deleted: deleted, storage: self)
+        def create_history(key:, changed_by:, created_at:, value: nil, deleted: false, scheduled: false, approved_by: nil)
+          HistoryStorage.create!(key: key, value: value, changed_by: changed_by, approved_by: approved_by, created_at: created_at, deleted: deleted, scheduled: scheduled, storage: self)
+        end
+
+        def pending_changes
+          json = pending_changes_json_payload
+          Coerce.blank?(json) ? [] : JSON.parse(json)
+        end
+
+        def save_pending_change(attributes)
+          PENDING_CHANGES_LOCK.synchronize do
+            changes = pending_changes.reject { |change| change["id"] == attributes["id"] }
+            changes << attributes
+            save_pending_changes_json(JSON.dump(changes))
+          end
+        end
+
+        def delete_pending_change(id)
+          PENDING_CHANGES_LOCK.synchronize do
+            changes = pending_changes
+            remaining = changes.reject { |change| change["id"] == id }
+            return false if remaining.size == changes.size
+
+            save_pending_changes_json(JSON.dump(remaining))
+            true
+          end
         end
 
         def save_all(changes)
@@ -100,12 +135,15 @@ module SuperSettings
           changed_histories.each do |setting_key, setting_history|
             ordered_history = setting_history.sort_by { |history_item| history_item.created_at }.reverse
             payload = ordered_history.collect do |history_item|
-              {
+              item_payload = {
                 value: history_item.value,
                 changed_by: history_item.changed_by,
                 created_at: history_item.created_at.iso8601(6),
                 deleted: history_item.deleted?
               }
+              item_payload[:scheduled] = true if history_item.scheduled?
+              item_payload[:approved_by] = history_item.approved_by if history_item.approved_by
+              item_payload
             end
             history_json = JSON.dump(payload)
             save_history_json(setting_key, history_json)
@@ -167,6 +205,25 @@ module SuperSettings
           raise NotImplementedError
           # :nocov:
         end
+
+        # Subclasses that support pending changes must implement this method to return the JSON
+        # payload containing all of the pending changes as a string.
+        #
+        # @return [String, nil] JSON string.
+        def pending_changes_json_payload
+          nil
+        end
+
+        # Subclasses that support pending changes must implement this method to persist the JSON
+        # payload containing all of the pending changes.
+        #
+        # @param json [String] JSON string to save.
+        # @return [void]
+        def save_pending_changes_json(json)
+          # :nocov:
+          raise NotImplementedError
+          # :nocov:
+        end
       end
 
       def created_at=(val)
@@ -181,7 +238,7 @@ module SuperSettings
         history = fetch_history
         limit ||= history.length
         history[offset, limit].collect do |record|
-          HistoryItem.new(key: key, value: record.value, changed_by: record.changed_by, created_at: record.created_at, deleted: record.deleted?)
+          HistoryItem.new(key: key, value: record.value, changed_by: record.changed_by, created_at: record.created_at, deleted: record.deleted?, scheduled: record.scheduled?, approved_by: record.approved_by)
         end
       end
 
@@ -218,7 +275,9 @@ module SuperSettings
             value: attributes["value"],
             changed_by: attributes["changed_by"],
             created_at: Time.parse(attributes["created_at"]),
-            deleted: attributes["deleted"]
+            deleted: attributes["deleted"],
+            scheduled: attributes["scheduled"],
+            approved_by: attributes["approved_by"]
           )
         end
 
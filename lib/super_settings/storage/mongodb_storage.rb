@@ -53,6 +53,8 @@ module SuperSettings
             created_at: created_at
           }
           attributes[:deleted] = true if deleted?
+          attributes[:scheduled] = true if scheduled?
+          attributes[:approved_by] = approved_by if approved_by
           attributes
         end
       end
@@ -78,6 +80,10 @@ module SuperSettings
           mongodb[collection_name]
         end
 
+        def pending_changes_collection
+          mongodb["#{collection_name}_pending_changes"]
+        end
+
         def updated_since(time)
           time = TimePrecision.new(time, :millisecond).time
           settings_collection.find(updated_at: {"$gt": time}).projection(history: 0).sort({updated_at: -1}).collect do |attributes|
@@ -109,12 +115,31 @@ module SuperSettings
           last_updated_setting["updated_at"] if last_updated_setting
         end
 
-        def create_history(key:, changed_by:, created_at:, value: nil, deleted: false)
-          HistoryStorage.create!(key: key, value: value, changed_by: changed_by, created_at: created_at, deleted: deleted)
+        def create_history(key:, changed_by:, created_at:, value: nil, deleted: false, scheduled: false, approved_by: nil)
+          HistoryStorage.create!(key: key, value: value, changed_by: changed_by, approved_by: approved_by, created_at: created_at, deleted: deleted, scheduled: scheduled)
+        end
+
+        def supports_pending_changes?
+          true
+        end
+
+        def pending_changes
+          pending_changes_collection.find.collect do |document|
+            document.to_h.except("_id")
+          end
+        end
+
+        def save_pending_change(attributes)
+          pending_changes_collection.replace_one({_id: attributes["id"]}, attributes.merge("_id" => attributes["id"]), upsert: true)
+        end
+
+        def delete_pending_change(id)
+          pending_changes_collection.delete_one(_id: id).deleted_count > 0
         end
 
         def destroy_all
           settings_collection.delete_many({})
+          pending_changes_collection.delete_many({})
         end
 
         def save_all(changes)
@@ -209,7 +234,7 @@ module SuperSettings
         return [] unless record && record["history"].is_a?(Array)
 
         record["history"].collect do |record|
-          HistoryItem.new(key: key, value: record["value"], changed_by: record["changed_by"], created_at: record["created_at"], deleted: record["deleted"])
+          HistoryItem.new(key: key, value: record["value"], changed_by: record["changed_by"], created_at: record["created_at"], deleted: record["deleted"], scheduled: record["scheduled"], approved_by: record["approved_by"])
         end
       end
 
@@ -38,10 +38,22 @@ module SuperSettings
           nil
         end
 
-        def create_history(key:, changed_by:, created_at:, value: nil, deleted: false)
+        def create_history(key:, changed_by:, created_at:, value: nil, deleted: false, scheduled: false, approved_by: nil)
           nil
         end
 
+        def pending_changes
+          []
+        end
+
+        def save_pending_change(attributes)
+          nil
+        end
+
+        def delete_pending_change(id)
+          false
+        end
+
         def load_asynchronous?
           false
         end
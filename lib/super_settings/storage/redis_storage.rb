@@ -27,6 +27,7 @@ module SuperSettings
 
       SETTINGS_KEY = "SuperSettings.settings"
       UPDATED_KEY = "SuperSettings.order_by_updated_at"
+      PENDING_CHANGES_KEY = "SuperSettings.pending_changes"
 
       class HistoryStorage < HistoryAttributes
         HISTORY_KEY_PREFIX = "SuperSettings.history"
@@ -84,6 +85,8 @@ module SuperSettings
             created_at: SuperSettings::Storage::RedisStorage.microseconds(created_at)
           }
           payload[:deleted] = true if deleted?
+          payload[:scheduled] = true if scheduled?
+          payload[:approved_by] = approved_by if approved_by
           payload
         end
       end
@@ -118,8 +121,26 @@ module SuperSettings
           record unless record.deleted?
         end
 
-        def create_history(key:, changed_by:, created_at:, value: nil, deleted: false)
-          HistoryStorage.create!(key: key, value: value, deleted: deleted, changed_by: changed_by, created_at: created_at)
+        def create_history(key:, changed_by:, created_at:, value: nil, deleted: false, scheduled: false, approved_by: nil)
+          HistoryStorage.create!(key: key, value: value, deleted: deleted, scheduled: scheduled, changed_by: changed_by, approved_by: approved_by, created_at: created_at)
+        end
+
+        def supports_pending_changes?
+          true
+        end
+
+        def pending_changes
+          with_redis do |redis|
+            redis.hgetall(PENDING_CHANGES_KEY).values.collect { |json| JSON.parse(json) }
+          end
+        end
+
+        def save_pending_change(attributes)
+          with_redis { |redis| redis.hset(PENDING_CHANGES_KEY, attributes["id"], attributes.to_json) }
+        end
+
+        def delete_pending_change(id)
+          with_redis { |redis| redis.hdel(PENDING_CHANGES_KEY, id) } > 0
         end
 
         def last_updated_at
@@ -131,6 +152,7 @@ module SuperSettings
 
         def destroy_all
           all.each(&:destroy)
+          with_redis { |redis| redis.del(PENDING_CHANGES_KEY) }
         end
 
         attr_writer :redis
@@ -187,7 +209,7 @@ module SuperSettings
 
       def history(limit: nil, offset: 0)
         HistoryStorage.find_all_by_key(key: key, limit: limit, offset: offset).collect do |record|
-          HistoryItem.new(key: key, value: record.value, changed_by: record.changed_by, created_at: record.created_at, deleted: record.deleted?)
+          HistoryItem.new(key: key, value: record.value, changed_by: record.changed_by, created_at: record.created_at, deleted: record.deleted?, scheduled: record.scheduled?, approved_by: record.approved_by)
         end
       end
 
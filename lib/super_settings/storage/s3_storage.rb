@@ -8,6 +8,7 @@ module SuperSettings
     # storage service.
     class S3Storage < JSONStorage
       SETTINGS_FILE = "settings.json"
+      PENDING_CHANGES_FILE = "pending_changes.json"
       HISTORY_FILE_SUFFIX = ".history.json"
       DEFAULT_PATH = "super_settings"
 
@@ -83,7 +84,7 @@ module SuperSettings
 
         def destroy_all
           s3_bucket.objects(prefix: configuration.path).each do |object|
-            if object.key == file_path(SETTINGS_FILE) || object.key.end_with?(HISTORY_FILE_SUFFIX)
+            if object.key == file_path(SETTINGS_FILE) || object.key == file_path(PENDING_CHANGES_FILE) || object.key.end_with?(HISTORY_FILE_SUFFIX)
               object.delete
             end
           end
@@ -112,6 +113,21 @@ module SuperSettings
           object.put(body: json)
         end
 
+        def supports_pending_changes?
+          true
+        end
+
+        def pending_changes_json_payload
+          object = s3_object(PENDING_CHANGES_FILE)
+          return nil unless object.exists?
+
+          object.get.body.read
+        end
+
+        def save_pending_changes_json(json)
+          s3_object(PENDING_CHANGES_FILE).put(body: json)
+        end
+
         private
 
         def s3_bucket
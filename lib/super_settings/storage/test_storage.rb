@@ -13,6 +13,7 @@ module SuperSettings
 
       @settings = {}
       @history = {}
+      @pending_changes = {}
 
       class << self
         attr_reader :settings
@@ -29,6 +30,7 @@ module SuperSettings
         def destroy_all
           @settings = {}
           @history = {}
+          @pending_changes = {}
         end
 
         def all
@@ -60,7 +62,7 @@ module SuperSettings
           settings.values.collect { |attributes| attributes[:updated_at] }.max
         end
 
-        def create_history(key:, changed_by:, created_at:, value: nil, deleted: false)
+        def create_history(key:, changed_by:, created_at:, value: nil, deleted: false, scheduled: false, approved_by: nil)
           history = @history[key]
           unless history
             history = []
@@ -68,12 +70,28 @@ module SuperSettings
           end
 
           created_at = SuperSettings::TimePrecision.new(created_at).time if created_at
-          item = {key: key, value: value, deleted: deleted, changed_by: changed_by, created_at: created_at}
+          item = {key: key, value: value, deleted: deleted, scheduled: scheduled, changed_by: changed_by, approved_by: approved_by, created_at: created_at}
           history.unshift(item)
 
           item
         end
 
+        def supports_pending_changes?
+          true
+        end
+
+        def pending_changes
+          @pending_changes.values.collect(&:dup)
+        end
+
+        def save_pending_change(attributes)
+          @pending_changes[attributes["id"]] = attributes.dup
+        end
+
+        def delete_pending_change(id)
+          !@pending_changes.delete(id).nil?
+        end
+
         protected
 
         def default_load_asynchronous?
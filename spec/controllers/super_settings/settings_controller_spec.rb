@@ -36,6 +36,13 @@ if defined?(SuperSettings::SettingsController)
         expect(response.content_type).to include "application/json"
         expect(JSON.parse(response.body)["settings"]).to eq [setting_6, setting_4, setting_5, setting_3, setting_2, setting_1].collect { |s| JSON.parse(s.to_json) }
       end
+
+      it "should only return settings with keys that start with the key_prefix parameter" do
+        request.headers["accept"] = "application/json"
+        get :index, params: {key_prefix: setting_1.key}
+        expect(response.status).to eq 200
+        expect(JSON.parse(response.body)["settings"]).to eq [JSON.parse(setting_1.to_json)]
+      end
     end
 
     describe "show" do
@@ -150,12 +157,79 @@ if defined?(SuperSettings::SettingsController)
           ]
         }
         expect(response.status).to eq 422
-        expect(JSON.parse(response.body)).to eq({"success" => false, "errors" => {"integer" => ["value type must be one of string, integer, float, boolean, datetime, array"]}})
+        expect(JSON.parse(response.body)).to eq({"success" => false, "errors" => {"integer" => ["value type must be one of string, integer, float, boolean, datetime, array, json"]}})
         expect(SuperSettings::Setting.find_by_key(setting_1.key).value).to eq "foobar"
         expect(SuperSettings::Setting.find_by_key("newkey")).to eq nil
       end
     end
 
+    describe "scheduled_changes" do
+      it "should schedule changes with an effective time" do
+        request.headers["accept"] = "application/json"
+        effective_at = Time.now + 3600
+        post_json :update, {
+          settings: [
+            {
+              key: "string",
+              value: "later",
+              value_type: "string",
+              effective_at: effective_at.iso8601
+            }
+          ]
+        }
+        expect(response.status).to eq 200
+        expect(SuperSettings::Setting.find_by_key(setting_1.key).value).to eq "foobar"
+        change = SuperSettings::ScheduledChange.for_key(setting_1.key).first
+        expect(change.value).to eq "later"
+        expect(change.effective_at.to_i).to eq effective_at.to_i
+
+        get :scheduled_changes
+        expect(response.status).to eq 200
+        expect(JSON.parse(response.body)["scheduled_changes"].collect { |c| c["id"] }).to eq [change.id]
+      end
+    end
+
+    describe "change_requests" do
+      it "should create a change request" do
+        request.headers["accept"] = "application/json"
+        post_json :create_change_request, {
+          settings: [
+            {
+              key: "string",
+              value: "proposed",
+              value_type: "string"
+            }
+          ],
+          comment: "Please"
+        }
+        expect(response.status).to eq 200
+        change_request = SuperSettings::ChangeRequest.all.first
+        expect(change_request.settings).to eq [{"key" => "string", "value" => "proposed", "value_type" => "string"}]
+        expect(change_request.comment).to eq "Please"
+        expect(SuperSettings::Setting.find_by_key(setting_1.key).value).to eq "foobar"
+      end
+
+      it "should let propose only users withdraw their own change requests" do
+        request.env["super_settings.propose_only"] = true
+        request.headers["accept"] = "application/json"
+        allow(SuperSettings.configuration.controller).to receive(:changed_by).and_return("alice")
+        change_request = SuperSettings::ChangeRequest.create!(settings: [{key: "string", value: "proposed"}], proposed_by: "alice")
+        post_json :withdraw_change_request, {id: change_request.id}
+        expect(response.status).to eq 200
+        expect(SuperSettings::ChangeRequest.all).to eq []
+      end
+
+      it "should not let propose only users withdraw change requests proposed by other users" do
+        request.env["super_settings.propose_only"] = true
+        request.headers["accept"] = "application/json"
+        allow(SuperSettings.configuration.controller).to receive(:changed_by).and_return("bob")
+        change_request = SuperSettings::ChangeRequest.create!(settings: [{key: "string", value: "proposed"}], proposed_by: "alice")
+        post_json :withdraw_change_request, {id: change_request.id}
+        expect(response.status).to eq 403
+        expect(SuperSettings::ChangeRequest.all.collect(&:id)).to eq [change_request.id]
+      end
+    end
+
     describe "last_updated_at" do
       it "should return the timestamp of the last updated setting" do
         request.headers["accept"] = "application/json"
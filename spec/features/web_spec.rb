@@ -65,6 +65,49 @@ describe "web UI", type: :feature, js: true do
       expect(page).to have_content("key.datetime")
       expect(page).to have_content("key.array")
     end
+
+    it "should filter settings with field qualifiers and negation" do
+      visit "/?filter=type:integer"
+      expect(page).to have_content("key.integer")
+      expect(page).to_not have_content("key.string")
+      expect(page).to_not have_content("key.float")
+
+      fill_in("filter", with: "key:key.*t* -type:float")
+      expect(page).to have_content("key.string")
+      expect(page).to have_content("key.integer")
+      expect(page).to have_content("key.datetime")
+      expect(page).to_not have_content("key.float")
+      expect(page).to_not have_content("key.boolean")
+      expect(page).to_not have_content("key.array")
+
+      fill_in("filter", with: 'desc:"string description"')
+      expect(page).to have_content("key.string")
+      expect(page).to_not have_content("key.integer")
+      expect(current_url).to include("filter=desc%3A%22string+description%22")
+    end
+
+    it "should group settings by key prefix" do
+      SuperSettings::Setting.create!(key: "other", value: "bar", value_type: "string")
+      visit "/"
+      find(".js-toggle-grouped-view").click
+      expect(current_url).to include("view=tree")
+      group = find(".super-settings-group[data-group=\"key\"]")
+      expect(group.find(".js-group-count")).to have_text("6")
+      expect(group["open"]).to be_nil
+      expect(page).to_not have_content("key.string")
+      expect(page).to have_content("other")
+
+      group.find("summary").click
+      expect(page).to have_content("key.string")
+      expect(current_url).to include("expand=key")
+
+      fill_in("filter", with: "type:integer")
+      expect(group.find(".js-group-count")).to have_text("1")
+
+      visit "/?view=tree&expand=key&filter=type:float"
+      expect(page).to have_content("key.float")
+      expect(page).to_not have_content("key.integer")
+    end
   end
 
   describe "edit settings" do
@@ -137,6 +180,22 @@ describe "web UI", type: :feature, js: true do
       end
     end
 
+    it "should edit json" do
+      SuperSettings::Setting.create!(key: "key.json", value: {"foo" => [1, 2]}, value_type: "json")
+      visit "/"
+      id = find_setting_id("key.json")
+      within_setting_row(id) do
+        find("a.js-edit-setting").click
+        value_field = find_setting_field(id, :value)
+        expect(value_field.tag_name).to eq "textarea"
+        expect(JSON.parse(value_field.value)).to eq({"foo" => [1, 2]})
+        value_field.fill_in(with: "{\"foo\": }")
+        expect(page).to have_content("Invalid JSON")
+        value_field.fill_in(with: "{\"foo\": 2}")
+        expect(page).to_not have_content("Invalid JSON")
+      end
+    end
+
     it "should be able to change the value type" do
       visit "/"
       id = find_setting_id("key.float")
@@ -188,6 +247,155 @@ describe "web UI", type: :feature, js: true do
     end
   end
 
+  describe "setting constraints" do
+    after do
+      SuperSettings::Setting.define_constraints("key.integer")
+      SuperSettings::Setting.define_constraints("key.string")
+    end
+
+    it "should show inline errors and block saving invalid values" do
+      SuperSettings::Setting.define_constraints("key.integer", min: 1, max: 100)
+      visit "/"
+      id = find_setting_id("key.integer")
+      within_setting_row(id) do
+        find("a.js-edit-setting").click
+        find_setting_field(id, :value).fill_in(with: "500")
+        expect(page).to have_content("Value must be less than or equal to 100")
+      end
+      find(".js-save-settings").click
+      expect(page).to have_content("Fix the invalid values before saving.")
+      expect(page).to_not have_css(".js-modal .js-confirm-save")
+
+      find_setting_field(id, :value).fill_in(with: "50")
+      expect(page).to_not have_content("Value must be less than or equal to 100")
+    end
+
+    it "should use a select for a list of choices" do
+      SuperSettings::Setting.define_constraints("key.string", choices: ["foo", "bar"])
+      visit "/"
+      id = find_setting_id("key.string")
+      within_setting_row(id) do
+        find("a.js-edit-setting").click
+        value_field = find_setting_field(id, :value)
+        expect(value_field.tag_name).to eq "select"
+        expect(value_field.value).to eq "foo"
+        value_field.select("bar")
+      end
+      find(".js-save-settings").click
+      within(".js-modal") do
+        find(".js-confirm-save").click
+      end
+      expect(page).to have_content("bar")
+      expect(SuperSettings::Setting.find_by_key("key.string").value).to eq "bar"
+    end
+  end
+
+  describe "custom value editors" do
+    around do |example|
+      original_javascript = SuperSettings.web_ui_javascript
+      SuperSettings.web_ui_javascript = <<~JAVASCRIPT
+        #{original_javascript};
+        SuperSettingsUI.registerValueEditor("upcase", {
+          match: function(setting) { return setting.key === "key.string"; },
+          render: function(setting) {
+            const input = document.createElement("input");
+            input.className = "upcase-input";
+            input.value = (setting.value || "").toUpperCase();
+            return input;
+          },
+          read: function(element) { return element.value.toLowerCase(); },
+          display: function(setting) { return "Custom " + setting.value; }
+        });
+      JAVASCRIPT
+      begin
+        example.run
+      ensure
+        SuperSettings.web_ui_javascript = original_javascript
+      end
+    end
+
+    it "should use a registered editor to display and edit values" do
+      visit "/"
+      expect(page).to have_content("Custom foo")
+      id = find_setting_id("key.string")
+      within_setting_row(id) do
+        find("a.js-edit-setting").click
+        input = find("input.upcase-input")
+        expect(input.value).to eq "FOO"
+        input.fill_in(with: "BAR")
+      end
+      find(".js-save-settings").click
+      within(".js-modal") do
+        find(".js-confirm-save").click
+      end
+      expect(page).to have_content("Custom bar")
+      expect(SuperSettings::Setting.find_by_key("key.string").value).to eq "bar"
+    end
+  end
+
+  describe "events and interceptors" do
+    around do |example|
+      original_javascript = SuperSettings.web_ui_javascript
+      SuperSettings.web_ui_javascript = <<~JAVASCRIPT
+        #{original_javascript};
+        window.settingsEvents = [];
+        ["settings:loaded", "settings:saved", "settings:error"].forEach(function(name) {
+          document.addEventListener(name, function() { window.settingsEvents.push(name); });
+        });
+        window.interceptedRequests = [];
+        SuperSettingsAPI.onRequest(function(request) {
+          window.interceptedRequests.push(request.method + " " + request.path);
+        });
+      JAVASCRIPT
+      begin
+        example.run
+      ensure
+        SuperSettings.web_ui_javascript = original_javascript
+      end
+    end
+
+    it "should dispatch events and call the interceptors" do
+      visit "/"
+      expect(page).to have_content(string_setting.key)
+      expect(page.evaluate_script("window.settingsEvents")).to eq ["settings:loaded"]
+      expect(page.evaluate_script("window.interceptedRequests")).to include("GET /settings")
+
+      id = find_setting_id("key.string")
+      within_setting_row(id) do
+        find("a.js-edit-setting").click
+        find("textarea[name=\"settings[#{id}][value]\"]").fill_in(with: "new value")
+      end
+      find(".js-save-settings").click
+      within(".js-modal") do
+        find(".js-confirm-save").click
+      end
+      expect(page).to have_content("new value")
+      expect(page.evaluate_script("window.settingsEvents")).to eq ["settings:loaded", "settings:saved", "settings:loaded"]
+      expect(page.evaluate_script("window.interceptedRequests")).to include("POST /settings")
+    end
+  end
+
+  describe "notifications" do
+    it "should show a notification when settings are saved" do
+      visit "/"
+      id = find_setting_id("key.string")
+      within_setting_row(id) do
+        find("a.js-edit-setting").click
+        find("textarea[name=\"settings[#{id}][value]\"]").fill_in(with: "new value")
+      end
+      find(".js-save-settings").click
+      within(".js-modal") do
+        find(".js-confirm-save").click
+      end
+      within(".js-toasts[aria-live]") do
+        toast = find(".super-settings-toast-success")
+        expect(toast).to have_content("Settings saved")
+        toast.find(".js-dismiss-toast").click
+        expect(page).to_not have_css(".super-settings-toast")
+      end
+    end
+  end
+
   describe "add settings" do
     it "should add a form field" do
       visit "/"
@@ -241,16 +449,202 @@ describe "web UI", type: :feature, js: true do
     end
   end
 
+  describe "bulk actions" do
+    def select_setting(key)
+      within_setting_row(find_setting_id(key)) do
+        find("input.js-select-setting").click
+      end
+    end
+
+    it "should delete the selected settings" do
+      visit "/"
+      select_setting("key.string")
+      select_setting("key.integer")
+      expect(page).to have_content("2 selected")
+      click_on("Delete")
+      expect(find("[data-key=\"key.string\"]")["data-deleted"]).to eq "true"
+      expect(find("[data-key=\"key.integer\"]")["data-deleted"]).to eq "true"
+      expect(find("[data-key=\"key.float\"]")["data-deleted"]).to eq nil
+      expect(page).to_not have_css(".js-bulk-actions")
+
+      select_setting("key.string")
+      click_on("Undo Changes")
+      expect(find("[data-key=\"key.string\"]")["data-deleted"]).to eq nil
+    end
+
+    it "should select all settings matching the filter" do
+      visit "/?filter=type:integer"
+      find(".js-select-all").click
+      expect(page).to have_content("1 selected")
+      find(".js-bulk-value-type").select("float")
+      integer_id = find_setting_id("key.integer")
+      expect(find_setting_field(integer_id, :value_type).value).to eq "float"
+      expect(find_setting_field(integer_id, :value).value).to eq "55"
+    end
+
+    it "should find and replace text in the keys of the selected settings" do
+      visit "/"
+      select_setting("key.string")
+      select_setting("key.integer")
+      click_on("Find and Replace")
+      within(".js-modal") do
+        fill_in("Find", with: "key.")
+        fill_in("Replace with", with: "renamed.")
+        click_on("Replace All")
+      end
+      expect(find_setting_field(find_setting_id("key.string"), :key).value).to eq "renamed.string"
+      expect(find_setting_field(find_setting_id("key.integer"), :key).value).to eq "renamed.integer"
+
+      find(".js-save-settings").click
+      within(".js-modal") do
+        find(".js-confirm-save").click
+      end
+      expect(page).to have_content("renamed.string")
+      expect(SuperSettings::Setting.find_by_key("renamed.string").value).to eq "foo"
+      expect(SuperSettings::Setting.find_by_key("key.string")).to eq nil
+    end
+  end
+
+  describe "keyboard shortcuts" do
+    it "should navigate and edit settings with the keyboard" do
+      visit "/"
+      expect(page).to have_content("key.array")
+      find("body").send_keys("j")
+      expect(page).to have_css(".super-settings-card-current[data-key=\"key.array\"]")
+      find("body").send_keys("j")
+      expect(page).to have_css(".super-settings-card-current[data-key=\"key.boolean\"]")
+      find("body").send_keys("k", "e")
+      array_id = find_setting_id("key.array")
+      expect(page).to have_css(".super-settings-card-edit[data-id=\"#{array_id}\"]")
+      find_setting_field(array_id, :value).send_keys(:escape)
+      expect(page).to_not have_css(".super-settings-card-edit")
+
+      find("body").send_keys("/")
+      expect(page.evaluate_script("document.activeElement.id")).to eq "super-settings-filter"
+    end
+
+    it "should show the list of shortcuts" do
+      visit "/"
+      expect(page).to have_content("key.array")
+      find("body").send_keys("?")
+      within(".js-modal") do
+        expect(page).to have_content("Keyboard Shortcuts")
+        expect(page).to have_content("Jump to a setting")
+      end
+    end
+
+    it "should jump to a setting from the command palette" do
+      visit "/?filter=string"
+      expect(page).to have_content("key.string")
+      find("body").send_keys([:control, "k"])
+      within(".js-modal") do
+        find(".js-palette-input").send_keys("kint")
+        expect(page).to have_css(".super-settings-palette-result[aria-selected=true]", text: "key.integer")
+        find(".js-palette-input").send_keys(:enter)
+      end
+      expect(page).to have_css(".super-settings-card-current[data-key=\"key.integer\"]")
+      expect(find(".js-settings-filter").value).to eq ""
+    end
+  end
+
   describe "discard changes" do
     it "should link to the current page" do
       visit "/"
-      discard_changes_button = find("#super-settings-discard-changes")
+      discard_changes_button = find(".js-discard-changes")
       expect(discard_changes_button[:disabled]).to eq true
       click_on("Add Setting")
       expect(discard_changes_button[:disabled]).to eq false
     end
   end
 
+  describe "drafts" do
+    before do
+      visit "/"
+      page.execute_script("window.localStorage.clear()")
+    end
+
+    def saved_drafts
+      page.evaluate_script(<<~JAVASCRIPT)
+        Object.keys(window.localStorage).filter((key) => key.startsWith("super_settings_drafts:")).map((key) => JSON.parse(window.localStorage.getItem(key)))
+      JAVASCRIPT
+    end
+
+    def wait_for_drafts(present: true)
+      20.times do
+        break if saved_drafts.empty? != present
+        sleep(0.1)
+      end
+      saved_drafts
+    end
+
+    it "should restore unsaved changes after the page is reloaded" do
+      visit "/"
+      id = find_setting_id("key.integer")
+      within_setting_row(id) do
+        find("a.js-edit-setting").click
+        find_setting_field(id, :value).fill_in(with: "77")
+      end
+      drafts = wait_for_drafts
+      expect(drafts.first["key.integer"]["data"]).to include("key" => "key.integer", "value" => "77")
+
+      visit "/"
+      expect(page).to have_content("1 unsaved changes from your last visit can be restored.")
+      find(".js-restore-drafts").click
+      id = find_setting_id("key.integer")
+      expect(find_setting_field(id, :value).value).to eq "77"
+      expect(find(".js-save-settings")[:disabled]).to eq false
+
+      find(".js-save-settings").click
+      within(".js-modal") do
+        find(".js-confirm-save").click
+      end
+      expect(page).to have_content("Settings saved")
+      expect(SuperSettings::Setting.find_by_key("key.integer").value).to eq 77
+      expect(wait_for_drafts(present: false)).to eq []
+    end
+
+    it "should flag drafts for settings that have changed since the draft was saved" do
+      visit "/"
+      id = find_setting_id("key.integer")
+      within_setting_row(id) do
+        find("a.js-edit-setting").click
+        find_setting_field(id, :value).fill_in(with: "77")
+      end
+      wait_for_drafts
+      integer_setting.update!(value: 60)
+
+      visit "/"
+      expect(page).to have_content("1 of these settings have been changed since then.")
+      find(".js-restore-drafts").click
+      expect(page).to have_content("This setting was changed by someone else after you started editing it.")
+    end
+  end
+
+  describe "remote changes" do
+    it "should merge settings changed by someone else in sorted order and keep the filter" do
+      visit "/?filter=type:string"
+      expect(page).to have_content("key.string")
+      expect(page).to_not have_content("key.integer")
+
+      SuperSettings::Setting.create!(key: "key.another", value: "another", value_type: "string")
+      SuperSettings::Setting.create!(key: "key.number", value: 12, value_type: "integer")
+      string_setting.update!(description: "changed description")
+
+      using_wait_time(15) do
+        expect(page).to have_content("key.another")
+        expect(page).to have_content("changed description")
+      end
+      expect(page).to_not have_content("key.number")
+      expect(all(".super-settings-card").collect { |card| card["data-key"] }).to eq ["key.another", "key.string"]
+
+      SuperSettings::Setting.find_by_key("key.another").delete!
+      using_wait_time(15) do
+        expect(page).to_not have_content("key.another")
+      end
+      expect(page).to have_content("key.string")
+    end
+  end
+
   describe "save changes" do
     it "should save all changes at once" do
       visit "/"
@@ -280,7 +674,7 @@ describe "web UI", type: :feature, js: true do
       boolean_id = find_setting_id("key.boolean")
       within_setting_row(boolean_id) do
         find("a.js-edit-setting").click
-        find("input[type=checkbox]").click
+        find("input.js-setting-value[type=checkbox]").click
       end
 
       datetime_id = find_setting_id("key.datetime")
@@ -296,7 +690,11 @@ describe "web UI", type: :feature, js: true do
         find_setting_field(array_id, :value).fill_in(with: "car\nboat\nplane")
       end
 
-      find("#super-settings-save-settings").click
+      find(".js-save-settings").click
+      within(".js-modal") do
+        expect(all(".super-settings-change").size).to eq 7
+        find(".js-confirm-save").click
+      end
 
       expect(page).to_not have_content("key.string")
       expect(page).to_not have_content("foo")
@@ -315,6 +713,127 @@ describe "web UI", type: :feature, js: true do
     end
   end
 
+  describe "review changes" do
+    it "should show the pending changes before saving" do
+      visit "/"
+      string_id = find_setting_id("key.string")
+      within_setting_row(string_id) do
+        find("a.js-remove-setting").click
+      end
+
+      integer_id = find_setting_id("key.integer")
+      within_setting_row(integer_id) do
+        find("a.js-edit-setting").click
+        find_setting_field(integer_id, :value).fill_in(with: "6688")
+      end
+
+      find(".js-save-settings").click
+      within(".js-modal") do
+        expect(page).to have_content("Review Changes")
+        expect(page).to have_content("key.string")
+        expect(page).to have_content("Deleted")
+        expect(page).to have_content("key.integer")
+        expect(page).to have_content("Value changed")
+        expect(page).to have_css(".super-settings-diff-removed", text: "55")
+        expect(page).to have_css(".super-settings-diff-added", text: "6688")
+        click_on("Keep Editing")
+      end
+
+      expect(find_setting_field(integer_id, :value).value).to eq "6688"
+      expect(SuperSettings::Setting.find_by_key("key.integer").value).to eq 55
+      expect(SuperSettings::Setting.find_by_key("key.string")).to_not eq nil
+    end
+  end
+
+  describe "import settings" do
+    it "should add edit cards for imported settings that are different" do
+      visit "/"
+      expect(page).to have_content("key.string")
+
+      Tempfile.create(["settings", ".yml"]) do |file|
+        file.write(<<~YAML)
+          ---
+          - key: "key.integer"
+            value: 55
+            value_type: "integer"
+            description: null
+          - key: "key.new"
+            value:
+            - "new value"
+            - "other value"
+            value_type: "array"
+            description: null
+          - key: "key.string"
+            value: "imported"
+            value_type: "string"
+            description: "string description"
+        YAML
+        file.flush
+        attach_file(file.path, make_visible: true)
+      end
+
+      expect(page).to have_content("2 imported changes are ready to review and save")
+      string_id = find_setting_id("key.string")
+      expect(find_setting_field(string_id, :value).value).to eq "imported"
+      expect(find("[data-id=\"#{find_setting_id("key.integer")}\"]")["data-edited"]).to eq nil
+      expect(all(".super-settings-card-edit").size).to eq 2
+      expect(find(".js-save-settings")[:disabled]).to eq false
+    end
+
+    it "should not import YAML files that are not in the exported format" do
+      visit "/"
+      expect(page).to have_content("key.string")
+
+      Tempfile.create(["settings", ".yml"]) do |file|
+        file.write([{"key" => "key.string", "value" => "imported", "value_type" => "string"}].to_yaml)
+        file.flush
+        attach_file(file.path, make_visible: true)
+      end
+
+      expect(page).to have_content("The file does not contain a valid list of settings")
+      expect(all(".super-settings-card-edit").size).to eq 0
+    end
+  end
+
+  describe "compare environments" do
+    around do |example|
+      original_app = Capybara.app
+      original_javascript = SuperSettings.web_ui_javascript
+      production_app = lambda do |env|
+        if env["PATH_INFO"] == "/production/settings"
+          settings = SuperSettings::Setting.active.reject { |setting| setting.key == "key.array" }.collect(&:as_json)
+          settings.detect { |setting| setting[:key] == "key.integer" }[:value] = 60
+          settings << {key: "key.production", value: "prod", value_type: "string"}
+          [200, {"content-type" => "application/json"}, [{settings: settings}.to_json]]
+        else
+          original_app.call(env)
+        end
+      end
+      Capybara.app = production_app
+      SuperSettings.web_ui_javascript = "#{original_javascript};\nSuperSettingsUI.compareEnvironment = {name: 'Production', baseUrl: '/production'};"
+      example.run
+    ensure
+      Capybara.app = original_app
+      SuperSettings.web_ui_javascript = original_javascript
+    end
+
+    it "should copy the selected differences as pending changes" do
+      visit "/"
+      find(".js-show-compare").click
+      within(".js-modal") do
+        expect(page).to have_content("Compare With Production")
+        expect(page).to have_content("1 missing, 1 extra, 1 different")
+        find(".js-compare-select-all").click
+        find(".js-copy-differences").click
+      end
+      expect(page).to have_content("3 differences copied as pending changes")
+      expect(find_setting_field(find_setting_id("key.integer"), :value).value).to eq "60"
+      expect(find_setting_field(find_setting_id("key.production"), :value).value).to eq "prod"
+      expect(find("[data-key=\"key.array\"]")["data-deleted"]).to eq "true"
+      expect(SuperSettings::Setting.find_by_key("key.integer").value).to eq 55
+    end
+  end
+
   describe "show history" do
     it "should show a paginated list of changes" do
       visit "/"
@@ -325,7 +844,7 @@ describe "web UI", type: :feature, js: true do
       within_setting_row(integer_id) do
         find("a.js-show-history").click
       end
-      within("#super-settings-modal") do
+      within(".js-modal") do
         expect(all(".super-settings-history-item").size).to eq 25
         click_on("Older")
         expect(all(".super-settings-history-item").size).to eq 1
@@ -333,6 +852,254 @@ describe "web UI", type: :feature, js: true do
         expect(all(".super-settings-history-item").size).to eq 25
       end
     end
+
+    it "should show diffs and revert to a previous value" do
+      integer_setting.update!(value: 66)
+      visit "/"
+      integer_id = find_setting_id("key.integer")
+      within_setting_row(integer_id) do
+        find("a.js-show-history").click
+      end
+      within(".js-modal") do
+        expect(page).to have_css(".super-settings-diff-removed", text: "55")
+        expect(page).to have_css(".super-settings-diff-added", text: "66")
+        all("a.js-revert-history").last.click
+      end
+      expect(find_setting_field(integer_id, :value).value).to eq "55"
+    end
+  end
+
+  describe "scheduled changes" do
+    it "should schedule a change to take effect later" do
+      visit "/"
+      id = find_setting_id("key.integer")
+      within_setting_row(id) do
+        find("a.js-edit-setting").click
+        find_setting_field(id, :value).fill_in(with: "77")
+        find("#settings_#{id}_effective_at").set(Date.today + 1)
+      end
+      find(".js-save-settings").click
+      within(".js-modal") do
+        expect(page).to have_css(".super-settings-change-badge-scheduled", text: "Scheduled")
+        find(".js-confirm-save").click
+      end
+      expect(page).to have_css(".js-scheduled-changes .js-scheduled-value", text: "77")
+      expect(SuperSettings::Setting.find_by_key("key.integer").value).to eq 55
+      change = SuperSettings::ScheduledChange.all.first
+      expect(change.key).to eq "key.integer"
+      expect(change.value).to eq "77"
+    end
+
+    it "should show a countdown and cancel a scheduled change" do
+      SuperSettings::ScheduledChange.create!(key: "key.string", value: "later", effective_at: Time.now + 7200)
+      visit "/"
+      id = find_setting_id("key.string")
+      within_setting_row(id) do
+        expect(page).to have_css(".js-scheduled-value", text: "later")
+        expect(page).to have_css(".js-scheduled-countdown", text: "in 1")
+        find(".js-cancel-scheduled-change").click
+        expect(page).to_not have_css(".js-scheduled-value")
+      end
+      expect(SuperSettings::ScheduledChange.all).to eq []
+    end
+
+    it "should list scheduled changes for new settings" do
+      SuperSettings::ScheduledChange.create!(key: "key.new", value: "new", effective_at: Time.now + 60)
+      visit "/"
+      find(".js-show-scheduled-changes").click
+      within(".js-modal") do
+        expect(page).to have_content("key.new")
+        expect(page).to have_css(".js-scheduled-value", text: "new")
+      end
+    end
+  end
+
+  describe "change requests" do
+    it "should approve a change request" do
+      SuperSettings::ChangeRequest.create!(settings: [{key: "key.integer", value: "77"}], comment: "More", proposed_by: "alice")
+      visit "/"
+      find(".js-show-change-requests").click
+      within(".js-modal") do
+        expect(page).to have_content("More")
+        find(".js-review-change-request").click
+        expect(page).to have_css(".super-settings-change-badge-value", text: "Value changed")
+        find(".js-approve-change-request").click
+      end
+      expect(page).to have_content("Change request approved")
+      expect(SuperSettings::Setting.find_by_key("key.integer").value).to eq 77
+      expect(SuperSettings::ChangeRequest.all).to eq []
+    end
+
+    it "should reject a change request with a comment" do
+      SuperSettings::ChangeRequest.create!(settings: [{key: "key.integer", value: "77"}], proposed_by: "alice")
+      visit "/"
+      find(".js-show-change-requests").click
+      within(".js-modal") do
+        find(".js-review-change-request").click
+        find(".js-reject-comment").fill_in(with: "Too high")
+        find(".js-reject-change-request").click
+        expect(page).to have_css(".js-change-request-review-comment", text: "Too high")
+      end
+      change_request = SuperSettings::ChangeRequest.all.first
+      expect(change_request.rejected?).to eq true
+      expect(change_request.review_comment).to eq "Too high"
+      expect(SuperSettings::Setting.find_by_key("key.integer").value).to eq 55
+    end
+
+    describe "propose-only mode" do
+      around do |example|
+        original_app = Capybara.app
+        propose_only_wrapper = lambda do |env|
+          env["super_settings.propose_only"] = true
+          original_app.call(env)
+        end
+        Capybara.app = propose_only_wrapper
+        example.run
+      ensure
+        Capybara.app = original_app
+      end
+
+      it "should submit changes for review instead of saving them" do
+        visit "/"
+        id = find_setting_id("key.integer")
+        within_setting_row(id) do
+          find("a.js-edit-setting").click
+          find_setting_field(id, :value).fill_in(with: "77")
+        end
+        find(".js-save-settings").click
+        within(".js-modal") do
+          find(".js-change-request-comment").fill_in(with: "More")
+          find(".js-confirm-save").click
+        end
+        expect(page).to have_content("Changes submitted for review")
+        expect(SuperSettings::Setting.find_by_key("key.integer").value).to eq 55
+        change_request = SuperSettings::ChangeRequest.all.first
+        expect(change_request.comment).to eq "More"
+        expect(change_request.settings.first).to include("key" => "key.integer", "value" => "77")
+
+        find(".js-show-change-requests").click
+        within(".js-modal") do
+          find(".js-review-change-request").click
+          expect(page).to_not have_selector(".js-approve-change-request", visible: true)
+        end
+      end
+    end
+  end
+
+  describe "embedded widgets" do
+    around do |example|
+      original_app = Capybara.app
+      host_page = <<~HTML
+        <!DOCTYPE html>
+        <html>
+          <body style="overflow: scroll;">
+            <button id="host-button" tabindex="3">Host</button>
+            <div id="string-settings"></div>
+            <div id="integer-settings"></div>
+            <script src="/widget.js"></script>
+            <script>
+              window.stringWidget = SuperSettingsUI.mount(document.getElementById("string-settings"), {keyPrefix: "key.string"});
+              window.integerWidget = SuperSettingsUI.mount(document.getElementById("integer-settings"), {keyPrefix: "key.integer"});
+            </script>
+          </body>
+        </html>
+      HTML
+      Capybara.app = lambda do |env|
+        if env["PATH_INFO"] == "/widgets"
+          [200, {"content-type" => "text/html; charset=utf-8"}, [host_page]]
+        else
+          original_app.call(env)
+        end
+      end
+      example.run
+    ensure
+      Capybara.app = original_app
+    end
+
+    it "should mount several widgets on the same page" do
+      visit "/widgets"
+      within("#string-settings") do
+        expect(page).to have_content("key.string")
+        expect(page).to_not have_content("key.integer")
+      end
+      within("#integer-settings") do
+        expect(page).to have_content("key.integer")
+        expect(page).to_not have_content("key.string")
+      end
+
+      label_ids = all("label", text: "Filter", visible: :all).map { |label| label[:for] }
+      expect(label_ids.size).to eq 2
+      expect(label_ids.uniq.size).to eq 2
+
+      within("#string-settings") do
+        fill_in("Filter", with: "nomatch")
+        expect(page).to_not have_content("key.string")
+      end
+      within("#integer-settings") do
+        expect(page).to have_content("key.integer")
+      end
+    end
+
+    it "should save changes from one widget" do
+      visit "/widgets"
+      within("#integer-settings") do
+        integer_id = find_setting_id("key.integer")
+        within_setting_row(integer_id) do
+          find("a.js-edit-setting").click
+          find_setting_field(integer_id, :value).fill_in(with: "66")
+        end
+        find(".js-save-settings").click
+        within(".js-modal") do
+          expect(all(".super-settings-change").size).to eq 1
+          find(".js-confirm-save").click
+        end
+        expect(page).to have_content("66")
+      end
+      expect(SuperSettings::Setting.find_by_key("key.integer").value).to eq 66
+      within("#string-settings") do
+        expect(find(".js-save-settings")[:disabled]).to eq true
+      end
+    end
+
+    it "should leave the host page alone when a modal is shown" do
+      visit "/widgets"
+      within("#string-settings") do
+        expect(page).to have_content("key.string")
+        find(".js-export-settings").click
+        expect(page).to have_css(".js-modal", visible: true)
+      end
+      expect(page.evaluate_script("document.body.style.overflow")).to eq "hidden"
+      expect(find("#host-button")[:tabindex]).to eq "3"
+      expect(find("#string-settings .js-add-setting")[:tabindex]).to eq "-1"
+      expect(find("#integer-settings .js-add-setting")[:tabindex]).to eq nil
+
+      within("#string-settings") do
+        find(".super-settings-modal-close").click
+        expect(page).to_not have_css(".js-modal", visible: true)
+      end
+      expect(page.evaluate_script("document.body.style.overflow")).to eq "scroll"
+      expect(find("#host-button")[:tabindex]).to eq "3"
+      expect(find("#string-settings .js-add-setting")[:tabindex]).to eq nil
+    end
+
+    it "should unmount a widget without affecting the others" do
+      visit "/widgets"
+      within("#string-settings") do
+        expect(page).to have_content("key.string")
+      end
+
+      page.execute_script("window.stringWidget.unmount()")
+
+      expect(find("#string-settings", visible: :all).text(:all)).to eq ""
+      within("#integer-settings") do
+        expect(page).to have_content("key.integer")
+        integer_id = find_setting_id("key.integer")
+        within_setting_row(integer_id) do
+          find("a.js-edit-setting").click
+        end
+        expect(find(".js-save-settings")[:disabled]).to eq false
+      end
+    end
   end
 
   describe "read-only mode" do
@@ -353,13 +1120,23 @@ describe "web UI", type: :feature, js: true do
       expect(page).to have_content("key.string")
       expect(page).to have_content("key.integer")
 
-      expect(page).to_not have_selector("#super-settings-add-setting", visible: true)
-      expect(page).to_not have_selector("#super-settings-save-settings", visible: true)
-      expect(page).to_not have_selector("#super-settings-discard-changes", visible: true)
+      expect(page).to_not have_selector(".js-add-setting", visible: true)
+      expect(page).to_not have_selector(".js-save-settings", visible: true)
+      expect(page).to_not have_selector(".js-discard-changes", visible: true)
       expect(page).to_not have_selector("a.js-edit-setting", visible: true)
       expect(page).to_not have_selector("a.js-remove-setting", visible: true)
 
       expect(page).to have_selector("a.js-show-history", visible: true)
     end
+
+    it "should not change settings from the hidden edit controls" do
+      visit "/"
+      expect(page).to have_content("key.string")
+
+      page.execute_script("document.querySelector('.js-add-setting').click()")
+      page.execute_script("document.querySelector('a.js-edit-setting').click()")
+      expect(page).to_not have_selector(".super-settings-card[data-edited]")
+      expect(page).to_not have_selector("input.js-setting-key")
+    end
   end
 end
@@ -0,0 +1,621 @@
+// Behavior tests for the JavaScript API client. These are run by spec/super_settings/javascript_client_spec.rb
+// against both the CommonJS and ES module builds of the client:
+//
+//   node spec/javascript/client_test.js path/to/client.js
+//   node spec/javascript/client_test.js path/to/client.mjs
+//
+// The tests only use what is built into Node.js so nothing needs to be installed. They need Node.js 16 or later
+// for the global AbortController; the client itself runs on Node.js 12 and later.
+"use strict";
+
+const assert = require("assert");
+const path = require("path");
+const {pathToFileURL} = require("url");
+
+const tests = [];
+
+function test(name, fn) {
+  tests.push({name: name, fn: fn});
+}
+
+function loadClient(file) {
+  if (file.endsWith(".mjs")) {
+    return import(pathToFileURL(path.resolve(file)).href);
+  } else {
+    return Promise.resolve(require(path.resolve(file)));
+  }
+}
+
+// Build a minimal fetch response that only has the properties the client uses.
+function jsonResponse(body, status) {
+  status = status || 200;
+  const text = JSON.stringify(body);
+  return {
+    ok: status >= 200 && status < 300,
+    status: status,
+    statusText: (status === 200 ? "OK" : "Error"),
+    json: function() { return Promise.resolve(JSON.parse(text)) },
+    text: function() { return Promise.resolve(text) }
+  };
+}
+
+// Fake fetch function that records each request and returns the responses from the handler.
+function fakeFetch(handler) {
+  const fetch = function(url, options) {
+    fetch.requests.push({url: url, options: options});
+    return Promise.resolve(handler(url, options, fetch.requests.length));
+  };
+  fetch.requests = [];
+  return fetch;
+}
+
+// Fetch function that never responds unless the request is aborted.
+function hangingFetch() {
+  const fetch = function(url, options) {
+    fetch.requests.push({url: url, options: options});
+    return new Promise(function(resolve, reject) {
+      if (options.signal) {
+        options.signal.addEventListener("abort", function() { reject(new Error("aborted")) });
+      }
+    });
+  };
+  fetch.requests = [];
+  return fetch;
+}
+
+// Run a function with global properties temporarily removed like they would be on older versions of Node.js.
+function withoutGlobals(names, fn) {
+  const saved = {};
+  names.forEach(function(name) {
+    saved[name] = Object.getOwnPropertyDescriptor(globalThis, name);
+    delete globalThis[name];
+  });
+  return Promise.resolve().then(fn).finally(function() {
+    names.forEach(function(name) {
+      if (saved[name]) {
+        Object.defineProperty(globalThis, name, saved[name]);
+      }
+    });
+  });
+}
+
+function rejection(promise) {
+  return promise.then(
+    function() { throw new assert.AssertionError({message: "Expected the promise to be rejected"}) },
+    function(error) { return error }
+  );
+}
+
+test("sends requests with the headers as a plain object", function(client) {
+  const fetch = fakeFetch(function() { return jsonResponse({settings: []}) });
+  const api = client.createAPI({baseUrl: "https://example.com/settings", headers: {"X-Env": "test"}, fetch: fetch});
+  return api.fetchSettings({}).then(function(payload) {
+    assert.deepStrictEqual(payload, {settings: []});
+    const request = fetch.requests[0];
+    assert.strictEqual(request.url, "https://example.com/settings/settings");
+    assert.strictEqual(Object.getPrototypeOf(request.options.headers), Object.prototype);
+    assert.deepStrictEqual(request.options.headers, {"Accept": "application/json", "X-Env": "test"});
+  });
+});
+
+test("replaces headers without regard to case", function(client) {
+  const fetch = fakeFetch(function() { return jsonResponse({success: true}) });
+  const api = client.createAPI({baseUrl: "https://example.com/settings", headers: {"accept": "text/plain"}, fetch: fetch});
+  return api.updateSettings({settings: []}).then(function() {
+    const headers = fetch.requests[0].options.headers;
+    assert.deepStrictEqual(Object.keys(headers).sort(), ["Content-Type", "accept"]);
+    assert.strictEqual(headers["accept"], "text/plain");
+    assert.strictEqual(headers["Content-Type"], "application/json");
+  });
+});
+
+test("lets request interceptors change the headers", function(client) {
+  const fetch = fakeFetch(function() { return jsonResponse({settings: []}) });
+  const api = client.createAPI({baseUrl: "https://example.com/settings", fetch: fetch});
+  const remove = api.onRequest(function(request) {
+    request.headers["X-Signature"] = "signed";
+  });
+  return api.fetchSettings({}).then(function() {
+    remove();
+    assert.strictEqual(fetch.requests[0].options.headers["X-Signature"], "signed");
+  });
+});
+
+test("works without the Headers and AbortController globals", function(client) {
+  return withoutGlobals(["Headers", "AbortController"], function() {
+    const fetch = fakeFetch(function() { return jsonResponse({settings: []}) });
+    const api = client.createAPI({baseUrl: "https://example.com/settings", fetch: fetch});
+    return api.fetchSettings({}).then(function(payload) {
+      assert.deepStrictEqual(payload, {settings: []});
+      assert.strictEqual(fetch.requests[0].options.signal, undefined);
+    });
+  });
+});
+
+test("times out requests without an AbortController", function(client) {
+  return withoutGlobals(["AbortController"], function() {
+    const fetch = hangingFetch();
+    const api = client.createAPI({baseUrl: "https://example.com/settings", fetch: fetch, timeout: 0.01, retries: 0});
+    return rejection(api.fetchSettings({})).then(function(error) {
+      assert.ok(error instanceof client.APIError);
+      assert.strictEqual(error.timedOut, true);
+    });
+  });
+});
+
+test("uses an injected AbortController to cancel requests", function(client) {
+  let created = 0;
+  class TestAbortController extends AbortController {
+    constructor() {
+      super();
+      created++;
+    }
+  }
+
+  return withoutGlobals(["AbortController"], function() {
+    const fetch = hangingFetch();
+    const api = client.createAPI({baseUrl: "https://example.com/settings", fetch: fetch, AbortController: TestAbortController, timeout: 0.01, retries: 0});
+    return rejection(api.fetchSettings({})).then(function(error) {
+      assert.strictEqual(error.timedOut, true);
+      assert.strictEqual(created, 1);
+      assert.strictEqual(fetch.requests[0].options.signal.aborted, true);
+    });
+  });
+});
+
+test("does not send a request if the signal is already aborted", function(client) {
+  const fetch = fakeFetch(function() { return jsonResponse({settings: []}) });
+  const api = client.createAPI({baseUrl: "https://example.com/settings", fetch: fetch});
+  const controller = new AbortController();
+  controller.abort();
+  return rejection(api.fetchSettings({signal: controller.signal})).then(function(error) {
+    assert.strictEqual(error.aborted, true);
+    assert.strictEqual(fetch.requests.length, 0);
+  });
+});
+
+// Wait long enough for any unhandled rejections to be reported.
+function settle() {
+  return new Promise(function(resolve) { setTimeout(resolve, 10) });
+}
+
+test("resolves with the parsed response", function(client) {
+  const fetch = fakeFetch(function() { return jsonResponse({key: "foo", value: "bar"}) });
+  const api = client.createAPI({baseUrl: "https://example.com/settings", fetch: fetch});
+  return api.fetchSetting("foo").then(function(setting) {
+    assert.deepStrictEqual(setting, {key: "foo", value: "bar"});
+    assert.strictEqual(fetch.requests[0].url, "https://example.com/settings/setting?key=foo");
+  });
+});
+
+test("rejects with an APIError for error responses", function(client) {
+  const fetch = fakeFetch(function() { return jsonResponse({error: "not found"}, 404) });
+  const api = client.createAPI({baseUrl: "https://example.com/settings", fetch: fetch});
+  return rejection(api.fetchSetting("foo")).then(function(error) {
+    assert.ok(error instanceof client.APIError);
+    assert.strictEqual(error.status, 404);
+    assert.deepStrictEqual(error.body, {error: "not found"});
+    assert.strictEqual(error.endpoint, "GET https://example.com/settings/setting");
+  });
+});
+
+test("calls the callback functions", function(client) {
+  const fetch = fakeFetch(function(url) {
+    return (url.includes("/setting?") ? jsonResponse({error: "failed"}, 500) : jsonResponse({settings: []}));
+  });
+  const api = client.createAPI({baseUrl: "https://example.com/settings", fetch: fetch, retries: 0});
+  return new Promise(function(resolve) {
+    api.fetchSettings(resolve);
+  }).then(function(payload) {
+    assert.deepStrictEqual(payload, {settings: []});
+    return new Promise(function(resolve) {
+      api.fetchSetting("foo", function() {}, resolve);
+    });
+  }).then(function(error) {
+    assert.strictEqual(error, "500 Error");
+  });
+});
+
+test("rethrows unhandled callback errors asynchronously without a showError option", function(client) {
+  const uncaught = [];
+  const onUncaught = function(error) { uncaught.push(error) };
+  process.on("uncaughtException", onUncaught);
+  const fetch = fakeFetch(function() { return jsonResponse({error: "failed"}, 500) });
+  const api = client.createAPI({baseUrl: "https://example.com/settings", fetch: fetch, retries: 0});
+  return rejection(api.fetchSettings(function() {})).then(settle).then(function() {
+    assert.deepStrictEqual(uncaught.map(function(error) { return error.status }), [500]);
+  }).finally(function() {
+    process.removeListener("uncaughtException", onUncaught);
+  });
+});
+
+test("reports errors thrown by callbacks without an unhandled rejection", function(client) {
+  const unhandled = [];
+  const onUnhandled = function(reason) { unhandled.push(reason) };
+  process.on("unhandledRejection", onUnhandled);
+
+  const shown = [];
+  const fetch = fakeFetch(function(url) {
+    return (url.includes("/setting?") ? jsonResponse({error: "failed"}, 500) : jsonResponse({settings: []}));
+  });
+  const api = client.createAPI({baseUrl: "https://example.com/settings", fetch: fetch, retries: 0, showError: function(error) { shown.push(error) }});
+  const promise = api.fetchSettings(function() { throw new Error("callback failed") });
+  api.fetchSetting("foo", function() {}, function() { throw new Error("error callback failed") });
+
+  return promise.then(settle).then(function() {
+    return settle();
+  }).then(function() {
+    assert.deepStrictEqual(shown.map(function(error) { return error.message }).sort(), ["callback failed", "error callback failed"]);
+    assert.deepStrictEqual(unhandled, []);
+  }).finally(function() {
+    process.removeListener("unhandledRejection", onUnhandled);
+  });
+});
+
+// Fake API server for the LocalCache tests. The settings can be changed between requests.
+function settingsServer(settings) {
+  const server = {settings: settings};
+  server.fetch = fakeFetch(function(url) {
+    const all = Object.keys(server.settings).map(function(key) { return server.settings[key] });
+    const params = new URL(url).searchParams;
+    const keyPrefix = params.get("key_prefix") || "";
+    const list = all.filter(function(setting) { return setting.key.startsWith(keyPrefix) });
+    if (url.includes("/settings/last_updated_at")) {
+      const times = all.map(function(setting) { return setting.updated_at }).sort();
+      return jsonResponse({last_updated_at: server.lastUpdatedAt || times[times.length - 1]});
+    } else if (url.includes("/settings/updated_since")) {
+      const time = Date.parse(params.get("time"));
+      return jsonResponse({settings: list.filter(function(setting) { return Date.parse(setting.updated_at) >= time })});
+    } else {
+      return jsonResponse({settings: list});
+    }
+  });
+  server.requests = function(endpoint) {
+    return server.fetch.requests.filter(function(request) { return request.url.includes(endpoint + "?") || request.url.endsWith(endpoint) });
+  };
+  return server;
+}
+
+function setting(key, value, valueType, updatedAt) {
+  return {key: key, value: value, value_type: valueType, updated_at: updatedAt};
+}
+
+test("LocalCache loads the settings and casts values", function(client) {
+  const server = settingsServer({
+    count: setting("count", 12, "integer", "2026-01-01T00:00:00Z"),
+    rate: setting("rate", "1.5", "float", "2026-01-01T00:00:00Z"),
+    enabled: setting("enabled", "off", "boolean", "2026-01-01T00:00:00Z"),
+    hosts: setting("hosts", ["a", "b"], "array", "2026-01-01T00:00:00Z"),
+    config: setting("config", "{\"a\":1}", "string", "2026-01-01T00:00:00Z"),
+    matrix: setting("matrix", [[1, 2], [3]], "json", "2026-01-01T00:00:00Z"),
+    invalid: setting("invalid", "not json", "string", "2026-01-01T00:00:00Z")
+  });
+  const api = client.createAPI({baseUrl: "https://example.com/settings", fetch: server.fetch});
+  const cache = new api.LocalCache();
+  assert.strictEqual(cache.integer("count", 5), 5);
+
+  let loaded = 0;
+  cache.on("load", function() { loaded++ });
+  return cache.load().then(function() {
+    assert.strictEqual(loaded, 1);
+    assert.strictEqual(cache.loaded, true);
+    assert.strictEqual(cache.integer("count", 5), 12);
+    assert.strictEqual(cache.float("rate"), 1.5);
+    assert.strictEqual(cache.enabled("enabled", true), false);
+    assert.strictEqual(cache.disabled("enabled"), true);
+    assert.deepStrictEqual(cache.array("hosts"), ["a", "b"]);
+    assert.strictEqual(cache.get("hosts"), "a\nb");
+    assert.deepStrictEqual(cache.json("config"), {a: 1});
+    assert.strictEqual(cache.get("config"), "{\"a\":1}");
+    assert.strictEqual(cache.get("matrix"), "[[1,2],[3]]");
+    assert.deepStrictEqual(cache.json("invalid", {b: 2}), {b: 2});
+    assert.strictEqual(cache.get("missing", "default"), "default");
+    assert.strictEqual(cache.has("missing"), false);
+  });
+});
+
+test("LocalCache only loads the changed settings on refresh", function(client) {
+  const server = settingsServer({
+    foo: setting("foo", "1", "string", "2026-01-01T00:00:00Z"),
+    bar: setting("bar", "2", "string", "2026-01-01T00:00:00Z")
+  });
+  const api = client.createAPI({baseUrl: "https://example.com/settings", fetch: server.fetch});
+  const cache = new api.LocalCache();
+  const changes = [];
+  cache.on("change", function(event) { changes.push(event) });
+
+  return cache.load().then(function() {
+    return cache.refresh();
+  }).then(function() {
+    assert.strictEqual(server.requests("/settings/updated_since").length, 0);
+    server.settings.foo = setting("foo", "3", "string", "2026-01-01T00:01:00Z");
+    return cache.refresh();
+  }).then(function() {
+    assert.strictEqual(cache.get("foo"), "3");
+    assert.strictEqual(server.requests("/settings").length, 1);
+    assert.strictEqual(server.requests("/settings/updated_since").length, 1);
+    assert.deepStrictEqual(changes.map(function(event) { return [event.key, event.previousValue, event.value] }), [["foo", "1", "3"]]);
+    server.settings.bar = Object.assign(setting("bar", "2", "string", "2026-01-01T00:02:00Z"), {description: "changed"});
+    return cache.refresh();
+  }).then(function() {
+    assert.deepStrictEqual(changes.map(function(event) { return event.key }), ["foo", "bar"]);
+    assert.strictEqual(changes[1].setting.description, "changed");
+  });
+});
+
+test("LocalCache reloads everything when a setting is deleted", function(client) {
+  const server = settingsServer({
+    foo: setting("foo", "1", "string", "2026-01-01T00:00:00Z"),
+    bar: setting("bar", "2", "string", "2026-01-01T00:00:00Z")
+  });
+  const api = client.createAPI({baseUrl: "https://example.com/settings", fetch: server.fetch});
+  const cache = new api.LocalCache();
+  const changes = [];
+  cache.on("change", function(event) { changes.push(event) });
+
+  return cache.load().then(function() {
+    delete server.settings.bar;
+    server.lastUpdatedAt = "2026-01-01T00:02:00Z";
+    return cache.refresh();
+  }).then(function() {
+    assert.strictEqual(cache.has("bar"), false);
+    assert.strictEqual(server.requests("/settings").length, 2);
+    assert.deepStrictEqual(changes.map(function(event) { return [event.key, event.value] }), [["bar", null]]);
+  });
+});
+
+test("LocalCache shares a refresh between concurrent calls and reports errors", function(client) {
+  const server = settingsServer({foo: setting("foo", "1", "string", "2026-01-01T00:00:00Z")});
+  const api = client.createAPI({baseUrl: "https://example.com/settings", fetch: server.fetch, retries: 0});
+  const cache = new api.LocalCache();
+  const errors = [];
+  cache.on("error", function(error) { errors.push(error) });
+
+  return cache.load().then(function() {
+    return Promise.all([cache.refresh(), cache.refresh()]);
+  }).then(function() {
+    assert.strictEqual(server.requests("/settings/last_updated_at").length, 1);
+    server.fetch.requests.length = 0;
+    const failingApi = client.createAPI({baseUrl: "https://example.com/settings", fetch: fakeFetch(function() { return jsonResponse({error: "failed"}, 500) }), retries: 0});
+    cache.client = failingApi;
+    return rejection(cache.refresh());
+  }).then(function(error) {
+    assert.strictEqual(error.status, 500);
+    assert.deepStrictEqual(errors, [error]);
+    assert.strictEqual(cache.get("foo"), "1");
+  });
+});
+
+test("LocalCache only requests the settings with the key prefix", function(client) {
+  const server = settingsServer({
+    "billing.rate": setting("billing.rate", "1", "float", "2026-01-01T00:00:00Z"),
+    "other": setting("other", "2", "string", "2026-01-01T00:00:00Z")
+  });
+  const api = client.createAPI({baseUrl: "https://example.com/settings", fetch: server.fetch});
+  const cache = new api.LocalCache({keyPrefix: "billing."});
+  return cache.load().then(function() {
+    assert.deepStrictEqual(Object.keys(cache.settings), ["billing.rate"]);
+    server.settings["billing.rate"] = setting("billing.rate", "2", "float", "2026-01-01T00:01:00Z");
+    return cache.refresh();
+  }).then(function() {
+    assert.strictEqual(cache.float("rate"), null);
+    assert.strictEqual(cache.float("billing.rate"), 2);
+    assert.deepStrictEqual(Object.keys(cache.settings), ["billing.rate"]);
+    server.fetch.requests.forEach(function(request) {
+      if (!request.url.includes("/last_updated_at")) {
+        assert.strictEqual(new URL(request.url).searchParams.get("key_prefix"), "billing.");
+      }
+    });
+  });
+});
+
+test("LocalCache on an API client loads the settings with the client", function(client) {
+  const server = settingsServer({foo: setting("foo", "1", "string", "2026-01-01T00:00:00Z")});
+  const api = client.createAPI({baseUrl: "https://example.com/settings", fetch: server.fetch});
+  const apiClient = api.client({baseUrl: "https://other.example.com/settings"});
+  const cache = new apiClient.LocalCache();
+  return cache.load().then(function() {
+    assert.strictEqual(cache.get("foo"), "1");
+    assert.strictEqual(server.fetch.requests[0].url, "https://other.example.com/settings/settings");
+  });
+});
+
+test("LocalCache calls the other listeners and rethrows the error when a listener throws", function(client) {
+  const server = settingsServer({foo: setting("foo", "1", "string", "2026-01-01T00:00:00Z")});
+  const api = client.createAPI({baseUrl: "https://example.com/settings", fetch: server.fetch});
+  const cache = new api.LocalCache();
+  const uncaught = [];
+  const onUncaught = function(error) { uncaught.push(error) };
+  process.on("uncaughtException", onUncaught);
+  let loaded = false;
+  cache.on("load", function() { throw new Error("listener failed") });
+  cache.on("load", function() { loaded = true });
+  return cache.load().then(settle).then(function() {
+    assert.strictEqual(loaded, true);
+    assert.deepStrictEqual(uncaught.map(function(error) { return error.message }), ["listener failed"]);
+  }).finally(function() {
+    process.removeListener("uncaughtException", onUncaught);
+  });
+});
+
+// Fake fetch that only accepts requests with the current token.
+function tokenFetch(server) {
+  return fakeFetch(function(url, options) {
+    return (options.headers["Authorization"] === "Bearer " + server.token ? jsonResponse({settings: []}) : jsonResponse({error: "unauthorized"}, 401));
+  });
+}
+
+test("sends the stored access token if there is no getAccessToken function", function(client) {
+  const server = {token: "stored"};
+  const fetch = tokenFetch(server);
+  const storage = {getItem: function(key) { return (key === "super_settings_access_token" ? "stored" : null) }};
+  const api = client.createAPI({baseUrl: "https://example.com/settings", fetch: fetch, storage: storage});
+  return api.fetchSettings().then(function() {
+    assert.strictEqual(fetch.requests[0].options.headers["Authorization"], "Bearer stored");
+  });
+});
+
+test("refreshes the access token and retries once when a request is unauthorized", function(client) {
+  const server = {token: "new"};
+  const fetch = tokenFetch(server);
+  const calls = [];
+  const getAccessToken = function(options) {
+    calls.push(options.refresh);
+    return Promise.resolve(calls.includes(true) ? "new" : "old");
+  };
+  const api = client.createAPI({baseUrl: "https://example.com/settings", fetch: fetch, getAccessToken: getAccessToken});
+  return api.fetchSettings().then(function(payload) {
+    assert.deepStrictEqual(payload, {settings: []});
+    assert.deepStrictEqual(calls, [false, true, false]);
+    assert.deepStrictEqual(fetch.requests.map(function(request) { return request.options.headers["Authorization"] }), ["Bearer old", "Bearer new"]);
+  });
+});
+
+test("shares one token refresh between concurrent requests", function(client) {
+  const server = {token: "new"};
+  const fetch = tokenFetch(server);
+  let refreshes = 0;
+  const getAccessToken = function(options) {
+    if (options.refresh) {
+      refreshes++;
+    }
+    return (refreshes > 0 ? "new" : "old");
+  };
+  const api = client.createAPI({baseUrl: "https://example.com/settings", fetch: fetch, getAccessToken: getAccessToken});
+  return Promise.all([api.fetchSettings(), api.fetchSettings(), api.fetchSettings()]).then(function() {
+    assert.strictEqual(refreshes, 1);
+    assert.strictEqual(fetch.requests.length, 6);
+  });
+});
+
+test("rejects with the unauthorized error if the token cannot be refreshed", function(client) {
+  const server = {token: "new"};
+  const fetch = tokenFetch(server);
+  let refreshes = 0;
+  const getAccessToken = function(options) {
+    if (options.refresh) {
+      refreshes++;
+      throw new Error("refresh failed");
+    }
+    return "old";
+  };
+  const api = client.createAPI({baseUrl: "https://example.com/settings", fetch: fetch, getAccessToken: getAccessToken});
+  const intercepted = [];
+  api.onError(function(error) { intercepted.push(error) });
+  return rejection(api.fetchSettings()).then(function(error) {
+    assert.strictEqual(error.status, 401);
+    assert.strictEqual(error.cause.message, "refresh failed");
+    assert.deepStrictEqual(intercepted, [error]);
+    assert.strictEqual(refreshes, 1);
+    assert.strictEqual(fetch.requests.length, 1);
+  });
+});
+
+test("retries requests that fail with a server error or network error", function(client) {
+  const fetch = fakeFetch(function(url, options, count) {
+    if (count === 1) {
+      return jsonResponse({error: "unavailable"}, 503);
+    } else if (count === 2) {
+      return Promise.reject(new TypeError("connection reset"));
+    }
+    return jsonResponse({settings: []});
+  });
+  const api = client.createAPI({baseUrl: "https://example.com/settings", fetch: fetch, retries: 2, retryDelay: 0.001});
+  return api.fetchSettings().then(function(payload) {
+    assert.deepStrictEqual(payload, {settings: []});
+    assert.strictEqual(fetch.requests.length, 3);
+  });
+});
+
+test("rejects with the last error when the retries are used up", function(client) {
+  const fetch = fakeFetch(function() { return jsonResponse({error: "unavailable"}, 503) });
+  const api = client.createAPI({baseUrl: "https://example.com/settings", fetch: fetch, retries: 2, retryDelay: 0.001});
+  return rejection(api.fetchSettings({retries: 1})).then(function(error) {
+    assert.strictEqual(error.status, 503);
+    assert.strictEqual(fetch.requests.length, 2);
+  });
+});
+
+test("only retries POST requests with an idempotency key", function(client) {
+  const fetch = fakeFetch(function() { return jsonResponse({error: "unavailable"}, 503) });
+  const api = client.createAPI({baseUrl: "https://example.com/settings", fetch: fetch, retries: 2, retryDelay: 0.001});
+  return rejection(api.updateSettings({settings: []})).then(function(error) {
+    assert.strictEqual(error.status, 503);
+    assert.strictEqual(fetch.requests.length, 1);
+    return rejection(api.updateSettings({settings: []}, {idempotencyKey: "abc"}));
+  }).then(function() {
+    const keys = fetch.requests.slice(1).map(function(request) { return request.options.headers["Idempotency-Key"] });
+    assert.deepStrictEqual(keys, ["abc", "abc", "abc"]);
+  });
+});
+
+test("retries requests that time out and cancels each attempt", function(client) {
+  const fetch = hangingFetch();
+  const api = client.createAPI({baseUrl: "https://example.com/settings", fetch: fetch, retries: 1, retryDelay: 0.001});
+  return rejection(api.fetchSettings({timeout: 0.01})).then(function(error) {
+    assert.strictEqual(error.timedOut, true);
+    assert.strictEqual(fetch.requests.length, 2);
+    assert.ok(fetch.requests.every(function(request) { return request.options.signal.aborted }));
+  });
+});
+
+test("aborts a request in flight without retrying it", function(client) {
+  const fetch = hangingFetch();
+  const api = client.createAPI({baseUrl: "https://example.com/settings", fetch: fetch, retries: 2, retryDelay: 0.001});
+  const controller = new AbortController();
+  const promise = rejection(api.fetchSettings({signal: controller.signal}));
+  setTimeout(function() { controller.abort() }, 5);
+  return promise.then(function(error) {
+    assert.ok(error instanceof client.APIError);
+    assert.strictEqual(error.aborted, true);
+    assert.strictEqual(error.timedOut, false);
+    assert.strictEqual(fetch.requests.length, 1);
+    assert.strictEqual(fetch.requests[0].options.signal.aborted, true);
+  });
+});
+
+test("stops waiting to retry when the request is aborted", function(client) {
+  const fetch = fakeFetch(function() { return jsonResponse({error: "unavailable"}, 503) });
+  const api = client.createAPI({baseUrl: "https://example.com/settings", fetch: fetch, retries: 2, retryDelay: 10});
+  const controller = new AbortController();
+  const promise = rejection(api.fetchSettings({signal: controller.signal}));
+  setTimeout(function() { controller.abort() }, 5);
+  return promise.then(function(error) {
+    assert.strictEqual(error.aborted, true);
+    assert.strictEqual(fetch.requests.length, 1);
+  });
+});
+
+function run(client) {
+  let failures = 0;
+  return tests.reduce(function(previous, entry) {
+    return previous.then(function() {
+      return Promise.resolve().then(function() { return entry.fn(client) }).then(
+        function() {
+          console.log("ok - " + entry.name);
+        },
+        function(error) {
+          failures++;
+          console.log("not ok - " + entry.name);
+          console.log(error && error.stack ? error.stack : error);
+        }
+      );
+    });
+  }, Promise.resolve()).then(function() {
+    console.log(tests.length + " tests, " + failures + " failures");
+    return failures;
+  });
+}
+
+const file = process.argv[2];
+if (!file) {
+  console.error("Usage: node client_test.js path/to/client.js");
+  process.exit(2);
+}
+
+loadClient(file).then(run).then(function(failures) {
+  process.exit(failures > 0 ? 1 : 0);
+}, function(error) {
+  console.error(error);
+  process.exit(1);
+});
@@ -42,4 +42,23 @@ describe SuperSettings::Application do
     html = application.render
     expect(html).to_not match(/<main[^>]*data-read-only/)
   end
+
+  it "should render the embedded application without the layout or page JavaScript" do
+    application = SuperSettings::Application.new(layout: :default, embedded: true)
+    html = application.render
+    expect(html).to include('data-embedded="true"')
+    expect(html).to_not include("<head")
+    expect(html).to_not include("<script")
+  end
+
+  it "should render the JavaScript for embedding the application" do
+    application = SuperSettings::Application.new(api_base_url: "/settings", embedded: true)
+    js = application.render_widget_javascript
+    expect(js).to start_with("window.__superSettingsWidgetHTML = ")
+    expect(js).to include("SuperSettingsUI")
+    widget_html = JSON.parse(js[/\Awindow.__superSettingsWidgetHTML = (.*);$/, 1])
+    expect(widget_html).to include('data-api-base-url="/settings"')
+    expect(widget_html).to include('data-embedded="true"')
+    expect(widget_html).not_to include('id="super-settings-')
+  end
 end
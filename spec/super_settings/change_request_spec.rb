@@ -0,0 +1,143 @@
+# frozen_string_literal: true
+
+require "spec_helper"
+
+describe SuperSettings::ChangeRequest do
+  let!(:setting) { SuperSettings::Setting.create!(key: "promotion.discount", value_type: :integer, value: 10) }
+
+  describe "create!" do
+    it "should save a change request" do
+      change_request = SuperSettings::ChangeRequest.create!(
+        settings: [{key: "promotion.discount", value: 20, updated_at_was: setting.updated_at.utc.iso8601(6), other: "ignored"}],
+        comment: "Bigger discount",
+        proposed_by: "alice"
+      )
+      expect(change_request.id).to_not eq nil
+      expect(change_request.created_at).to be_a(Time)
+
+      loaded = SuperSettings::ChangeRequest.find(change_request.id)
+      expect(loaded.settings).to eq [{"key" => "promotion.discount", "value" => 20, "updated_at_was" => setting.updated_at.utc.iso8601(6)}]
+      expect(loaded.comment).to eq "Bigger discount"
+      expect(loaded.proposed_by).to eq "alice"
+      expect(loaded.pending?).to eq true
+      expect(loaded.keys).to eq ["promotion.discount"]
+    end
+
+    it "should validate the values against the setting constraints" do
+      SuperSettings::Setting.define_constraints("promotion.discount", max: 50)
+      begin
+        change_request = SuperSettings::ChangeRequest.new(settings: [{key: "promotion.discount", value: 60}])
+        expect(change_request.valid?).to eq false
+        expect(change_request.errors).to eq({"promotion.discount" => ["value must be less than or equal to 50"]})
+        expect { change_request.save! }.to raise_error(SuperSettings::ChangeRequest::InvalidRecordError)
+        expect(SuperSettings::ChangeRequest.all).to eq []
+      ensure
+        SuperSettings::Setting.define_constraints("promotion.discount")
+      end
+    end
+
+    it "should require at least one setting" do
+      change_request = SuperSettings::ChangeRequest.new(settings: [])
+      expect(change_request.valid?).to eq false
+      expect(change_request.errors).to eq({"settings" => ["change request must include at least one setting"]})
+    end
+  end
+
+  describe "all" do
+    it "should ignore other types of pending changes" do
+      SuperSettings::ScheduledChange.create!(key: "promotion.discount", value: 20, effective_at: Time.now + 60)
+      change_request = SuperSettings::ChangeRequest.create!(settings: [{key: "promotion.discount", value: 20}])
+      expect(SuperSettings::ChangeRequest.all.collect(&:id)).to eq [change_request.id]
+    end
+  end
+
+  describe "approve!" do
+    it "should apply the changes and record the proposer and approver in the history" do
+      change_request = SuperSettings::ChangeRequest.create!(
+        settings: [{key: "promotion.discount", value: 20}, {key: "promotion.name", value: "Sale", value_type: "string"}],
+        proposed_by: "alice"
+      )
+      result = change_request.approve!("bob")
+      expect(result).to eq({success: true, values: {"promotion.discount" => 20, "promotion.name" => "Sale"}})
+      expect(SuperSettings::ChangeRequest.all).to eq []
+
+      history = SuperSettings::Setting.find_by_key("promotion.discount").history.first
+      expect(history.value).to eq "20"
+      expect(history.changed_by).to eq "alice"
+      expect(history.approved_by).to eq "bob"
+      expect(SuperSettings::Setting.find_by_key("promotion.name").history.first.approved_by).to eq "bob"
+    end
+
+    it "should only apply the changes once" do
+      change_request = SuperSettings::ChangeRequest.create!(settings: [{key: "promotion.discount", value: 20}])
+      copy = SuperSettings::ChangeRequest.find(change_request.id)
+      expect(change_request.approve!("bob")[:success]).to eq true
+      expect(copy.approve!("carol")).to eq nil
+      expect(SuperSettings::Setting.find_by_key("promotion.discount").history.size).to eq 2
+    end
+
+    it "should keep the change request pending if the setting was changed after it was proposed" do
+      change_request = SuperSettings::ChangeRequest.create!(settings: [{key: "promotion.discount", value: 20, updated_at_was: setting.updated_at.utc.iso8601(6)}])
+      setting.value = 15
+      setting.updated_at = setting.updated_at + 1
+      setting.save!
+
+      result = change_request.approve!("bob")
+      expect(result[:success]).to eq false
+      expect(result[:conflicts].keys).to eq ["promotion.discount"]
+      expect(SuperSettings::ChangeRequest.pending.collect(&:id)).to eq [change_request.id]
+      expect(SuperSettings::Setting.find_by_key("promotion.discount").value).to eq 15
+    end
+
+    it "should keep the change request pending if an error is raised applying the changes" do
+      change_request = SuperSettings::ChangeRequest.create!(settings: [{key: "promotion.discount", value: 20}])
+      allow(SuperSettings::RestAPI).to receive(:update).and_raise(IOError, "connection lost")
+
+      expect { change_request.approve!("bob") }.to raise_error(IOError)
+      expect(SuperSettings::ChangeRequest.pending.collect(&:id)).to eq [change_request.id]
+      expect(SuperSettings::Setting.find_by_key("promotion.discount").value).to eq 10
+    end
+
+    it "should not approve a rejected change request" do
+      change_request = SuperSettings::ChangeRequest.create!(settings: [{key: "promotion.discount", value: 20}])
+      change_request.reject!("bob", "No")
+      expect(change_request.approve!("bob")).to eq nil
+      expect(SuperSettings::Setting.find_by_key("promotion.discount").value).to eq 10
+    end
+  end
+
+  describe "reject!" do
+    it "should mark the change request as rejected with the comment" do
+      change_request = SuperSettings::ChangeRequest.create!(settings: [{key: "promotion.discount", value: 20}], proposed_by: "alice")
+      expect(change_request.reject!("bob", "Too much")).to eq true
+      expect(change_request.reject!("bob", "Too much")).to eq false
+
+      loaded = SuperSettings::ChangeRequest.find(change_request.id)
+      expect(loaded.rejected?).to eq true
+      expect(loaded.reviewed_by).to eq "bob"
+      expect(loaded.review_comment).to eq "Too much"
+      expect(loaded.reviewed_at).to be_a(Time)
+      expect(SuperSettings::ChangeRequest.pending).to eq []
+      expect(SuperSettings::Setting.find_by_key("promotion.discount").value).to eq 10
+    end
+  end
+
+  describe "proposed_by?" do
+    it "should match the user who proposed the changes" do
+      change_request = SuperSettings::ChangeRequest.new(settings: [{key: "promotion.discount", value: 20}], proposed_by: "alice")
+      expect(change_request.proposed_by?("alice")).to eq true
+      expect(change_request.proposed_by?("bob")).to eq false
+      expect(change_request.proposed_by?(nil)).to eq false
+      expect(SuperSettings::ChangeRequest.new(settings: []).proposed_by?(nil)).to eq false
+    end
+  end
+
+  describe "withdraw!" do
+    it "should remove the change request" do
+      change_request = SuperSettings::ChangeRequest.create!(settings: [{key: "promotion.discount", value: 20}])
+      expect(change_request.withdraw!).to eq true
+      expect(change_request.withdraw!).to eq false
+      expect(SuperSettings::ChangeRequest.all).to eq []
+    end
+  end
+end
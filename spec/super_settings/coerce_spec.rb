@@ -77,6 +77,15 @@ describe SuperSettings::Coerce do
       expect(SuperSettings::Coerce.string(["a", "b", "c"])).to eq "a\nb\nc"
     end
 
+    it "should cast hashes to JSON strings" do
+      expect(SuperSettings::Coerce.string({"a" => 1, "b" => [2]})).to eq '{"a":1,"b":[2]}'
+    end
+
+    it "should cast arrays that contain hashes or arrays to JSON strings" do
+      expect(SuperSettings::Coerce.string([{"a" => 1}, "b"])).to eq '[{"a":1},"b"]'
+      expect(SuperSettings::Coerce.string([[1, 2], [3]])).to eq "[[1,2],[3]]"
+    end
+
     it "should cast Time values to ISO8601 strings" do
       time = Time.now
       expect(SuperSettings::Coerce.string(time)).to eq time.iso8601
@@ -0,0 +1,30 @@
+# frozen_string_literal: true
+
+require "spec_helper"
+
+require "open3"
+require "tmpdir"
+
+describe "JavaScript client" do
+  node_available = begin
+    system("node", "--version", out: File::NULL, err: File::NULL)
+  rescue SystemCallError
+    false
+  end
+
+  before do
+    skip "node is not installed" unless node_available
+  end
+
+  {commonjs: "client.js", esm: "client.mjs"}.each do |format, file_name|
+    it "should pass the client tests with the #{format} build" do
+      Dir.mktmpdir do |dir|
+        path = File.join(dir, file_name)
+        File.write(path, SuperSettings::Application.client_javascript(format))
+        test_file = File.expand_path("../javascript/client_test.js", __dir__)
+        output, status = Open3.capture2e("node", test_file, path)
+        expect(status.success?).to eq(true), output
+      end
+    end
+  end
+end
@@ -151,6 +151,56 @@ describe SuperSettings::RackApplication do
     end
   end
 
+  describe "widget.js" do
+    it "should return the JavaScript for embedding the web UI" do
+      response = middleware.call("REQUEST_METHOD" => "GET", "SCRIPT_NAME" => "/prefix/widget.js")
+      expect(response[0]).to eq 200
+      expect(response[1]).to include("content-type" => "application/javascript; charset=utf-8", "cache-control" => "no-cache")
+      expect(response[2].first).to include("window.__superSettingsWidgetHTML")
+      expect(response[2].first).to include("SuperSettingsUI")
+      expect(response[2].first).to include('data-api-base-url=\\"/prefix\\"')
+    end
+
+    it "should render the widget in read-only mode when allow_write? returns false" do
+      allow(middleware).to receive(:current_user).and_return(:user)
+      allow(middleware).to receive(:allow_write?).with(:user).and_return(false)
+      response = middleware.call("REQUEST_METHOD" => "GET", "SCRIPT_NAME" => "/prefix/widget.js")
+      expect(response[0]).to eq 200
+      expect(response[2].first).to include('data-read-only=\\"true\\"')
+    end
+
+    it "should return a forbidden response if read access is denied" do
+      allow(middleware).to receive(:current_user).and_return(:user)
+      allow(middleware).to receive(:allow_read?).with(:user).and_return(false)
+      response = middleware.call("REQUEST_METHOD" => "GET", "SCRIPT_NAME" => "/prefix/widget.js")
+      expect(response[0]).to eq 403
+    end
+  end
+
+  describe "client.js" do
+    it "should return the JavaScript client as a CommonJS module" do
+      response = middleware.call("REQUEST_METHOD" => "GET", "SCRIPT_NAME" => "/prefix/client.js")
+      expect(response[0]).to eq 200
+      expect(response[1]).to include("content-type" => "application/javascript; charset=utf-8")
+      expect(response[2].first).to include("module.exports = factory()")
+      expect(response[2].first).to_not include("window.SuperSettingsAPI")
+    end
+
+    it "should return the JavaScript client as an ES module" do
+      response = middleware.call("REQUEST_METHOD" => "GET", "SCRIPT_NAME" => "/prefix/client.mjs")
+      expect(response[0]).to eq 200
+      expect(response[1]).to include("content-type" => "application/javascript; charset=utf-8")
+      expect(response[2].first).to include("export {createAPI, APIError, LocalCache};")
+    end
+
+    it "should return a forbidden response if read access is denied" do
+      allow(middleware).to receive(:current_user).and_return(:user)
+      allow(middleware).to receive(:allow_read?).with(:user).and_return(false)
+      response = middleware.call("REQUEST_METHOD" => "GET", "SCRIPT_NAME" => "/prefix/client.mjs")
+      expect(response[0]).to eq 403
+    end
+  end
+
   describe "index" do
     it "should have a REST endoint" do
       response = middleware.call("REQUEST_METHOD" => "GET", "SCRIPT_NAME" => "/prefix/settings")
@@ -160,6 +210,12 @@ describe SuperSettings::RackApplication do
       expect(JSON.parse(body)["settings"]).to eq [setting_6, setting_4, setting_5, setting_3, setting_2, setting_1].collect { |s| JSON.parse(s.to_json) }
     end
 
+    it "should only return settings with keys that start with the key_prefix parameter" do
+      response = middleware.call("REQUEST_METHOD" => "GET", "SCRIPT_NAME" => "/prefix/settings", "QUERY_STRING" => "key_prefix=str", "rack.input" => StringIO.new)
+      expect(response[0]).to eq 200
+      expect(JSON.parse(response[2].first)["settings"]).to eq [JSON.parse(setting_1.to_json)]
+    end
+
     it "renders valid HTML" do
       response = middleware.call("REQUEST_METHOD" => "GET", "SCRIPT_NAME" => "/prefix/settings")
       html = response[2].first
@@ -226,6 +282,15 @@ describe SuperSettings::RackApplication do
       expect(JSON.parse(body)).to eq({"last_updated_at" => time.utc.iso8601(6)})
     end
 
+    it "should be available under the settings path" do
+      time = SuperSettings::TimePrecision.new(Time.now + 10).time
+      setting_1.updated_at = time
+      setting_1.save!
+      response = middleware.call("REQUEST_METHOD" => "GET", "SCRIPT_NAME" => "/prefix/settings/last_updated_at")
+      expect(response[0]).to eq 200
+      expect(JSON.parse(response[2].first)).to eq({"last_updated_at" => time.utc.iso8601(6)})
+    end
+
     it "should return a forbidden response if access is denied" do
       allow(middleware).to receive(:current_user).and_return(:user)
       allow(middleware).to receive(:allow_read?).with(:user).and_return(false)
@@ -247,6 +312,14 @@ describe SuperSettings::RackApplication do
       expect(JSON.parse(body)["settings"]).to match_array([JSON.parse(setting_1.to_json), JSON.parse(setting_2.to_json)])
     end
 
+    it "should be available under the settings path" do
+      setting_1.updated_at = Time.now + 20
+      setting_1.save!
+      response = middleware.call("REQUEST_METHOD" => "GET", "SCRIPT_NAME" => "/prefix/settings/updated_since", "QUERY_STRING" => "time=#{(Time.now + 10).iso8601}", "rack.input" => StringIO.new)
+      expect(response[0]).to eq 200
+      expect(JSON.parse(response[2].first)["settings"]).to eq([JSON.parse(setting_1.to_json)])
+    end
+
     it "should return a forbidden response if access is denied" do
       allow(middleware).to receive(:current_user).and_return(:user)
       allow(middleware).to receive(:allow_read?).with(:user).and_return(false)
@@ -308,7 +381,7 @@ describe SuperSettings::RackApplication do
       expect(response[0]).to eq 422
       expect(response[1]).to include("content-type" => "application/json; charset=utf-8", "cache-control" => "no-cache")
       body = response[2].first
-      expect(JSON.parse(body)).to eq({"success" => false, "errors" => {"integer" => ["value type must be one of string, integer, float, boolean, datetime, array"]}})
+      expect(JSON.parse(body)).to eq({"success" => false, "errors" => {"integer" => ["value type must be one of string, integer, float, boolean, datetime, array, json"]}})
       expect(SuperSettings::Setting.find_by_key(setting_1.key).value).to eq "foobar"
       expect(SuperSettings::Setting.find_by_key("newkey")).to eq nil
     end
@@ -328,6 +401,176 @@ describe SuperSettings::RackApplication do
     end
   end
 
+  describe "scheduled_changes" do
+    it "should have a REST endpoint" do
+      change = SuperSettings::ScheduledChange.create!(key: "string", value: "later", effective_at: Time.now + 60)
+      response = middleware.call("REQUEST_METHOD" => "GET", "SCRIPT_NAME" => "/prefix/scheduled_changes", "rack.input" => StringIO.new)
+      expect(response[0]).to eq 200
+      expect(response[1]).to include("content-type" => "application/json; charset=utf-8", "cache-control" => "no-cache")
+      expect(JSON.parse(response[2].first)).to eq({"scheduled_changes" => [JSON.parse(change.to_json)]})
+    end
+
+    it "should cancel a scheduled change" do
+      change = SuperSettings::ScheduledChange.create!(key: "string", value: "later", effective_at: Time.now + 60)
+      request_body = {id: change.id}.to_json
+      response = middleware.call("REQUEST_METHOD" => "POST", "SCRIPT_NAME" => "/prefix/scheduled_changes/cancel", "CONTENT_TYPE" => "application/json", "rack.input" => StringIO.new(request_body))
+      expect(response[0]).to eq 200
+      expect(JSON.parse(response[2].first)).to eq({"success" => true})
+      expect(SuperSettings::ScheduledChange.all).to eq []
+
+      response = middleware.call("REQUEST_METHOD" => "POST", "SCRIPT_NAME" => "/prefix/scheduled_changes/cancel", "CONTENT_TYPE" => "application/json", "rack.input" => StringIO.new(request_body))
+      expect(response[0]).to eq 404
+    end
+
+    it "should return a forbidden response when cancelling in read-only mode" do
+      change = SuperSettings::ScheduledChange.create!(key: "string", value: "later", effective_at: Time.now + 60)
+      request_body = {id: change.id}.to_json
+      response = middleware.call("REQUEST_METHOD" => "POST", "SCRIPT_NAME" => "/prefix/scheduled_changes/cancel", "CONTENT_TYPE" => "application/json", "rack.input" => StringIO.new(request_body), "super_settings.read_only" => true)
+      expect(response[0]).to eq 403
+      expect(SuperSettings::ScheduledChange.all.size).to eq 1
+    end
+  end
+
+  describe "change_requests" do
+    def propose_only_user
+      allow(middleware).to receive(:current_user).and_return(:user)
+      allow(middleware).to receive(:allow_write?).with(:user).and_return(false)
+      allow(middleware).to receive(:allow_propose?).with(:user).and_return(true)
+    end
+
+    def post_request(path, params, env = {})
+      middleware.call({"REQUEST_METHOD" => "POST", "SCRIPT_NAME" => "/prefix#{path}", "CONTENT_TYPE" => "application/json", "rack.input" => StringIO.new(params.to_json)}.merge(env))
+    end
+
+    it "should have a REST endpoint for listing change requests" do
+      change_request = SuperSettings::ChangeRequest.create!(settings: [{key: "string", value: "proposed"}], proposed_by: "alice")
+      response = middleware.call("REQUEST_METHOD" => "GET", "SCRIPT_NAME" => "/prefix/change_requests", "rack.input" => StringIO.new)
+      expect(response[0]).to eq 200
+      expect(response[1]).to include("content-type" => "application/json; charset=utf-8", "cache-control" => "no-cache")
+      expect(JSON.parse(response[2].first)).to eq({"change_requests" => [JSON.parse(change_request.to_json)]})
+    end
+
+    it "should let users with propose permission propose changes but not save them" do
+      propose_only_user
+      allow(middleware).to receive(:changed_by).with(:user).and_return("alice")
+
+      response = post_request("/settings", settings: [{key: "string", value: "new value"}])
+      expect(response[0]).to eq 403
+
+      response = post_request("/change_requests", settings: [{key: "string", value: "new value"}], comment: "Please")
+      expect(response[0]).to eq 200
+      change_request = SuperSettings::ChangeRequest.all.first
+      expect(change_request.proposed_by).to eq "alice"
+      expect(change_request.comment).to eq "Please"
+      expect(SuperSettings::Setting.find_by_key(setting_1.key).value).to eq "foobar"
+
+      response = post_request("/change_requests/approve", id: change_request.id)
+      expect(response[0]).to eq 403
+    end
+
+    it "should return the propose permission" do
+      propose_only_user
+      response = middleware.call("REQUEST_METHOD" => "GET", "SCRIPT_NAME" => "/prefix/authorized")
+      expect(JSON.parse(response[2].first)).to eq({"authorized" => true, "permission" => "propose"})
+
+      response = middleware.call("REQUEST_METHOD" => "GET", "SCRIPT_NAME" => "/prefix")
+      expect(response[2].first).to include('data-propose-only="true"')
+      expect(response[2].first).to_not match(/<main[^>]*data-read-only/)
+    end
+
+    it "should treat users with write permission as propose only when the env flag is set" do
+      response = middleware.call("REQUEST_METHOD" => "GET", "SCRIPT_NAME" => "/prefix/authorized", "super_settings.propose_only" => true)
+      expect(JSON.parse(response[2].first)).to eq({"authorized" => true, "permission" => "propose"})
+
+      response = post_request("/settings", {settings: [{key: "string", value: "new value"}]}, "super_settings.propose_only" => true)
+      expect(response[0]).to eq 403
+    end
+
+    it "should return validation errors for proposed changes" do
+      response = post_request("/change_requests", settings: [])
+      expect(response[0]).to eq 422
+      expect(JSON.parse(response[2].first)).to eq({"success" => false, "errors" => {"settings" => ["change request must include at least one setting"]}})
+    end
+
+    it "should approve a change request" do
+      allow(middleware).to receive(:changed_by).and_return("bob")
+      change_request = SuperSettings::ChangeRequest.create!(settings: [{key: "string", value: "proposed"}], proposed_by: "alice")
+      response = post_request("/change_requests/approve", id: change_request.id)
+      expect(response[0]).to eq 200
+      expect(JSON.parse(response[2].first)).to eq({"success" => true, "values" => {"string" => "proposed"}})
+      history = SuperSettings::Setting.find_by_key("string").history.first
+      expect(history.changed_by).to eq "alice"
+      expect(history.approved_by).to eq "bob"
+
+      response = post_request("/change_requests/approve", id: change_request.id)
+      expect(response[0]).to eq 404
+    end
+
+    it "should reject a change request" do
+      allow(middleware).to receive(:changed_by).and_return("bob")
+      change_request = SuperSettings::ChangeRequest.create!(settings: [{key: "string", value: "proposed"}], proposed_by: "alice")
+      response = post_request("/change_requests/reject", id: change_request.id, comment: "Not now")
+      expect(response[0]).to eq 200
+      body = JSON.parse(response[2].first)
+      expect(body["change_request"]["status"]).to eq "rejected"
+      expect(body["change_request"]["reviewed_by"]).to eq "bob"
+      expect(body["change_request"]["review_comment"]).to eq "Not now"
+
+      response = post_request("/change_requests/reject", id: change_request.id, comment: "Not now")
+      expect(response[0]).to eq 404
+    end
+
+    it "should withdraw a change request" do
+      propose_only_user
+      allow(middleware).to receive(:changed_by).with(:user).and_return("alice")
+      change_request = SuperSettings::ChangeRequest.create!(settings: [{key: "string", value: "proposed"}], proposed_by: "alice")
+      response = post_request("/change_requests/withdraw", id: change_request.id)
+      expect(response[0]).to eq 200
+      expect(SuperSettings::ChangeRequest.all).to eq []
+
+      response = post_request("/change_requests/withdraw", id: change_request.id)
+      expect(response[0]).to eq 404
+    end
+
+    it "should not let users with propose permission withdraw change requests proposed by other users" do
+      propose_only_user
+      allow(middleware).to receive(:changed_by).with(:user).and_return("bob")
+      change_request = SuperSettings::ChangeRequest.create!(settings: [{key: "string", value: "proposed"}], proposed_by: "alice")
+      response = post_request("/change_requests/withdraw", id: change_request.id)
+      expect(response[0]).to eq 403
+      expect(SuperSettings::ChangeRequest.all.collect(&:id)).to eq [change_request.id]
+    end
+
+    it "should let users who can change settings withdraw any change request" do
+      change_request = SuperSettings::ChangeRequest.create!(settings: [{key: "string", value: "proposed"}], proposed_by: "alice")
+      response = post_request("/change_requests/withdraw", id: change_request.id)
+      expect(response[0]).to eq 200
+      expect(SuperSettings::ChangeRequest.all).to eq []
+    end
+
+    it "should not let users propose changes if the storage engine does not support change requests" do
+      propose_only_user
+      allow(SuperSettings::Setting.storage).to receive(:supports_pending_changes?).and_return(false)
+      response = middleware.call("REQUEST_METHOD" => "GET", "SCRIPT_NAME" => "/prefix/authorized")
+      expect(JSON.parse(response[2].first)).to eq({"authorized" => true, "permission" => "read-only"})
+
+      response = middleware.call("REQUEST_METHOD" => "GET", "SCRIPT_NAME" => "/prefix")
+      expect(response[2].first).to include('data-read-only="true"')
+      expect(response[2].first).to include('data-pending-changes-unsupported="true"')
+      expect(response[2].first).to_not include("settings_{{id}}_effective_at")
+
+      response = post_request("/change_requests", settings: [{key: "string", value: "new value"}])
+      expect(response[0]).to eq 422
+      expect(JSON.parse(response[2].first)["errors"]).to eq({"settings" => ["change requests are not supported by the storage engine"]})
+    end
+
+    it "should return a forbidden response when proposing in read-only mode" do
+      response = post_request("/change_requests", {settings: [{key: "string", value: "new value"}]}, "super_settings.read_only" => true)
+      expect(response[0]).to eq 403
+      expect(SuperSettings::ChangeRequest.all).to eq []
+    end
+  end
+
   describe "locale resolution" do
     it "sets the locale from the lang query parameter" do
       response = middleware.call("REQUEST_METHOD" => "GET", "SCRIPT_NAME" => "/prefix", "QUERY_STRING" => "lang=es")
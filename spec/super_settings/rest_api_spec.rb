@@ -30,6 +30,11 @@ describe SuperSettings::RestAPI do
       response = SuperSettings::RestAPI.index
       expect(response[:settings]).to eq [reload(setting_6), reload(setting_4), reload(setting_5), reload(setting_3), reload(setting_2)].collect(&:as_json)
     end
+
+    it "should only return settings with keys that start with the key prefix" do
+      response = SuperSettings::RestAPI.index(key_prefix: "f")
+      expect(response[:settings]).to eq [reload(setting_3)].collect(&:as_json)
+    end
   end
 
   describe "show" do
@@ -67,13 +72,40 @@ describe SuperSettings::RestAPI do
       response = SuperSettings::RestAPI.history(setting_1.key, limit: 2, offset: 1)
       expect(response).to eq({
         key: setting_1.key,
-        histories: setting_1.history(limit: 2, offset: 1).collect do |history|
-          {value: history.value, changed_by: history.changed_by_display, created_at: history.created_at.utc.iso8601(6)}
+        histories: setting_1.history(limit: 2, offset: 1).zip(["2", "foobar"]).collect do |history, previous_value|
+          {value: history.value, previous_value: previous_value, changed_by: history.changed_by_display, created_at: history.created_at.utc.iso8601(6)}
         end,
         previous_page_params: {key: "string", limit: 2, offset: 0},
         next_page_params: {key: "string", limit: 2, offset: 3}
       })
     end
+
+    it "should include the previous value for each change" do
+      setting_1.value = "2"
+      setting_1.save!
+      setting_1.deleted = true
+      setting_1.save!
+      setting_1.deleted = false
+      setting_1.value = "3"
+      setting_1.save!
+      response = SuperSettings::RestAPI.history(setting_1.key)
+      expect(response[:histories].collect { |history| history.slice(:value, :previous_value, :deleted) }).to eq([
+        {value: "3", previous_value: nil},
+        {value: nil, previous_value: "2", deleted: true},
+        {value: "2", previous_value: "foobar"},
+        {value: "foobar"}
+      ])
+    end
+
+    it "should flag changes that were applied from a schedule" do
+      SuperSettings::ScheduledChange.create!(key: "string", value: "scheduled", effective_at: Time.now + 60)
+      SuperSettings::ScheduledChange.apply_due(Time.now + 61)
+      response = SuperSettings::RestAPI.history(setting_1.key)
+      expect(response[:histories].collect { |history| history.slice(:value, :scheduled) }).to eq([
+        {value: "scheduled", scheduled: true},
+        {value: "foobar"}
+      ])
+    end
   end
 
   describe "update" do
@@ -119,10 +151,226 @@ describe SuperSettings::RestAPI do
         }
       ])
       expect(response[:success]).to eq false
-      expect(response[:errors]).to eq({"integer" => ["value type must be one of string, integer, float, boolean, datetime, array"]})
+      expect(response[:errors]).to eq({"integer" => ["value type must be one of string, integer, float, boolean, datetime, array, json"]})
       expect(SuperSettings::Setting.find_by_key(setting_1.key).value).to eq "foobar"
       expect(SuperSettings::Setting.find_by_key("newkey")).to eq nil
     end
+
+    it "should return conflicts for settings changed since they were loaded" do
+      updated_at_was = setting_1.as_json[:updated_at]
+      setting_1.update!(value: "changed", updated_at: Time.now + 1)
+      response = SuperSettings::RestAPI.update([
+        {
+          key: "string",
+          value: "new value",
+          value_type: "string",
+          updated_at_was: updated_at_was
+        }
+      ])
+      expect(response[:success]).to eq false
+      expect(response[:errors]).to eq({"string" => ["setting has been changed by someone else"]})
+      expect(response[:conflicts]).to eq({"string" => reload(setting_1).as_json})
+      expect(reload(setting_1).value).to eq "changed"
+    end
+
+    it "should schedule changes with a future effective time" do
+      effective_at = Time.now + 3600
+      response = SuperSettings::RestAPI.update([
+        {
+          key: "string",
+          value: "new value",
+          value_type: "string",
+          effective_at: effective_at.iso8601
+        },
+        {
+          key: "integer",
+          value: "5",
+          value_type: "integer"
+        }
+      ], "me")
+      expect(response[:success]).to eq true
+      expect(response[:values]).to eq({"integer" => 5})
+      expect(response[:scheduled_changes]).to eq SuperSettings::ScheduledChange.all.collect(&:as_json)
+      change = SuperSettings::ScheduledChange.all.first
+      expect(change.key).to eq "string"
+      expect(change.value).to eq "new value"
+      expect(change.changed_by).to eq "me"
+      expect(change.effective_at.to_i).to eq effective_at.to_i
+      expect(reload(setting_1).value).to eq "foobar"
+      expect(reload(setting_2).value).to eq 5
+    end
+
+    it "should not schedule changes if the storage engine does not support them" do
+      allow(SuperSettings::Setting.storage).to receive(:supports_pending_changes?).and_return(false)
+      response = SuperSettings::RestAPI.update([{key: "string", value: "new value", effective_at: (Time.now + 60).iso8601}])
+      expect(response).to eq({success: false, errors: {"string" => ["scheduled changes are not supported by the storage engine"]}})
+      expect(reload(setting_1).value).to eq "foobar"
+    end
+
+    it "should apply changes immediately if the effective time has passed" do
+      response = SuperSettings::RestAPI.update([{key: "string", value: "new value", effective_at: (Time.now - 60).iso8601}])
+      expect(response).to eq({success: true, values: {"string" => "new value"}})
+      expect(SuperSettings::ScheduledChange.all).to eq []
+    end
+
+    it "should not save any changes if a scheduled change is invalid" do
+      response = SuperSettings::RestAPI.update([
+        {
+          key: "string",
+          value: "new value",
+          value_type: "string"
+        },
+        {
+          key: "integer",
+          value_type: "invalid",
+          effective_at: (Time.now + 60).iso8601
+        }
+      ])
+      expect(response[:success]).to eq false
+      expect(response[:errors]).to eq({"integer" => ["value type must be one of string, integer, float, boolean, datetime, array, json"]})
+      expect(reload(setting_1).value).to eq "foobar"
+      expect(SuperSettings::ScheduledChange.all).to eq []
+    end
+
+    it "should not allow renaming a setting with a scheduled change" do
+      response = SuperSettings::RestAPI.update([{key: "new_key", key_was: "string", value: "foobar", effective_at: (Time.now + 60).iso8601}])
+      expect(response).to eq({success: false, errors: {"new_key" => ["key cannot be changed on a scheduled change"]}})
+      expect(SuperSettings::ScheduledChange.all).to eq []
+    end
+
+    it "should return conflicts for scheduled changes to settings changed since they were loaded" do
+      updated_at_was = setting_1.as_json[:updated_at]
+      setting_1.update!(value: "changed", updated_at: Time.now + 1)
+      response = SuperSettings::RestAPI.update([
+        {
+          key: "string",
+          value: "new value",
+          updated_at_was: updated_at_was,
+          effective_at: (Time.now + 60).iso8601
+        }
+      ])
+      expect(response[:success]).to eq false
+      expect(response[:errors]).to eq({"string" => ["setting has been changed by someone else"]})
+      expect(response[:conflicts]).to eq({"string" => reload(setting_1).as_json})
+      expect(SuperSettings::ScheduledChange.all).to eq []
+    end
+
+    it "should save scheduled changes in the same transaction as the other changes" do
+      in_transaction = nil
+      allow(SuperSettings::Setting.storage).to receive(:save_pending_change) do
+        in_transaction = !Thread.current[:super_settings_transaction].nil?
+      end
+      response = SuperSettings::RestAPI.update([
+        {key: "string", value: "new value", effective_at: (Time.now + 60).iso8601},
+        {key: "integer", value: "5"}
+      ])
+      expect(response[:success]).to eq true
+      expect(in_transaction).to eq true
+    end
+
+    it "should not save scheduled changes if the other changes fail" do
+      response = SuperSettings::RestAPI.update([
+        {
+          key: "string",
+          value: "new value",
+          effective_at: (Time.now + 60).iso8601
+        },
+        {
+          key: "integer",
+          value_type: "invalid"
+        }
+      ])
+      expect(response[:success]).to eq false
+      expect(SuperSettings::ScheduledChange.all).to eq []
+    end
+  end
+
+  describe "scheduled_changes" do
+    it "should return the scheduled changes" do
+      change_1 = SuperSettings::ScheduledChange.create!(key: "string", value: "later", effective_at: Time.now + 120)
+      change_2 = SuperSettings::ScheduledChange.create!(key: "integer", value: 8, effective_at: Time.now + 60)
+      response = SuperSettings::RestAPI.scheduled_changes
+      expect(response).to eq({scheduled_changes: [change_2.as_json, change_1.as_json]})
+    end
+  end
+
+  describe "cancel_scheduled_change" do
+    it "should cancel a scheduled change" do
+      change = SuperSettings::ScheduledChange.create!(key: "string", value: "later", effective_at: Time.now + 60)
+      expect(SuperSettings::RestAPI.cancel_scheduled_change(change.id)).to eq({success: true})
+      expect(SuperSettings::RestAPI.cancel_scheduled_change(change.id)).to eq({success: false})
+      expect(SuperSettings::ScheduledChange.all).to eq []
+    end
+  end
+
+  describe "change_requests" do
+    it "should return all change requests" do
+      change_request = SuperSettings::ChangeRequest.create!(settings: [{key: "string", value: "proposed"}], proposed_by: "alice")
+      expect(SuperSettings::RestAPI.change_requests).to eq({change_requests: [change_request.as_json]})
+    end
+  end
+
+  describe "create_change_request" do
+    it "should save the proposed changes without applying them" do
+      result = SuperSettings::RestAPI.create_change_request([{key: "string", value: "proposed"}], "alice", comment: "Please")
+      expect(result[:success]).to eq true
+      change_request = SuperSettings::ChangeRequest.all.first
+      expect(result[:change_request]).to eq change_request.as_json
+      expect(change_request.proposed_by).to eq "alice"
+      expect(change_request.comment).to eq "Please"
+      expect(SuperSettings::Setting.find_by_key("string").value).to eq "foobar"
+    end
+
+    it "should return validation errors" do
+      result = SuperSettings::RestAPI.create_change_request([{key: "integer", value: 1, value_type: "foo"}], "alice")
+      expect(result).to eq({success: false, errors: {"integer" => ["value type must be one of string, integer, float, boolean, datetime, array, json"]}})
+      expect(SuperSettings::ChangeRequest.all).to eq []
+    end
+  end
+
+  describe "approve_change_request" do
+    it "should apply the changes through the update path" do
+      change_request = SuperSettings::ChangeRequest.create!(settings: [{key: "string", value: "proposed"}, {key: "integer", deleted: true}], proposed_by: "alice")
+      result = SuperSettings::RestAPI.approve_change_request(change_request.id, "bob")
+      expect(result).to eq({success: true, values: {"string" => "proposed", "integer" => nil}})
+      expect(SuperSettings::Setting.find_by_key("integer")).to eq nil
+      expect(SuperSettings::RestAPI.approve_change_request(change_request.id, "bob")).to eq nil
+
+      history = SuperSettings::RestAPI.history("string")[:histories].first
+      expect(history.slice(:value, :changed_by, :approved_by)).to eq({value: "proposed", changed_by: "alice", approved_by: "bob"})
+    end
+
+    it "should schedule changes with an effective time" do
+      change_request = SuperSettings::ChangeRequest.create!(settings: [{key: "string", value: "later", effective_at: (Time.now + 60).iso8601}], proposed_by: "alice")
+      result = SuperSettings::RestAPI.approve_change_request(change_request.id, "bob")
+      expect(result[:success]).to eq true
+      scheduled_change = SuperSettings::ScheduledChange.all.first
+      expect(scheduled_change.changed_by).to eq "alice"
+      expect(scheduled_change.approved_by).to eq "bob"
+
+      SuperSettings::ScheduledChange.apply_due(Time.now + 61)
+      history = SuperSettings::RestAPI.history("string")[:histories].first
+      expect(history.slice(:value, :changed_by, :approved_by, :scheduled)).to eq({value: "later", changed_by: "alice", approved_by: "bob", scheduled: true})
+    end
+  end
+
+  describe "reject_change_request" do
+    it "should reject a change request" do
+      change_request = SuperSettings::ChangeRequest.create!(settings: [{key: "string", value: "proposed"}], proposed_by: "alice")
+      result = SuperSettings::RestAPI.reject_change_request(change_request.id, "bob", comment: "No")
+      expect(result[:success]).to eq true
+      expect(result[:change_request].slice(:status, :reviewed_by, :review_comment)).to eq({status: "rejected", reviewed_by: "bob", review_comment: "No"})
+      expect(SuperSettings::RestAPI.reject_change_request(change_request.id, "bob")).to eq nil
+      expect(SuperSettings::Setting.find_by_key("string").value).to eq "foobar"
+    end
+  end
+
+  describe "withdraw_change_request" do
+    it "should withdraw a change request" do
+      change_request = SuperSettings::ChangeRequest.create!(settings: [{key: "string", value: "proposed"}])
+      expect(SuperSettings::RestAPI.withdraw_change_request(change_request.id)).to eq({success: true})
+      expect(SuperSettings::RestAPI.withdraw_change_request(change_request.id)).to eq({success: false})
+    end
   end
 
   describe "last_updated_at" do
@@ -160,5 +408,14 @@ describe SuperSettings::RestAPI do
       response = SuperSettings::RestAPI.updated_since(Time.now + 5)
       expect(response[:settings]).to eq [reload(setting_1).as_json]
     end
+
+    it "should only return settings with keys that start with the key prefix" do
+      setting_1.updated_at = Time.now + 20
+      setting_1.save!
+      setting_2.updated_at = Time.now + 20
+      setting_2.save!
+      response = SuperSettings::RestAPI.updated_since(Time.now + 5, key_prefix: "int")
+      expect(response[:settings]).to eq [reload(setting_2).as_json]
+    end
   end
 end
@@ -0,0 +1,148 @@
+# frozen_string_literal: true
+
+require "spec_helper"
+
+describe SuperSettings::ScheduledChange do
+  let!(:setting) { SuperSettings::Setting.create!(key: "promotion.discount", value_type: :integer, value: 10) }
+
+  after do
+    SuperSettings::ScheduledChange.stop_applier
+  end
+
+  describe "create!" do
+    it "should save a scheduled change" do
+      effective_at = Time.now + 60
+      change = SuperSettings::ScheduledChange.create!(key: "promotion.discount", value: "20", effective_at: effective_at, changed_by: "me")
+      expect(change.id).to_not eq nil
+      expect(change.value_type).to eq "integer"
+      expect(change.created_at).to be_a(Time)
+
+      loaded = SuperSettings::ScheduledChange.find(change.id)
+      expect(loaded.key).to eq "promotion.discount"
+      expect(loaded.value).to eq "20"
+      expect(loaded.value_type).to eq "integer"
+      expect(loaded.changed_by).to eq "me"
+      expect(loaded.effective_at.to_f).to be_within(0.001).of(effective_at.to_f)
+      expect(loaded.deleted?).to eq false
+    end
+
+    it "should validate the value against the setting constraints" do
+      SuperSettings::Setting.define_constraints("promotion.discount", max: 50)
+      begin
+        change = SuperSettings::ScheduledChange.new(key: "promotion.discount", value: 60, effective_at: Time.now + 60)
+        expect(change.valid?).to eq false
+        expect(change.errors).to eq({"value" => ["value must be less than or equal to 50"]})
+        expect { change.save! }.to raise_error(SuperSettings::ScheduledChange::InvalidRecordError)
+        expect(SuperSettings::ScheduledChange.all).to eq []
+      ensure
+        SuperSettings::Setting.define_constraints("promotion.discount")
+      end
+    end
+
+    it "should require an effective time" do
+      change = SuperSettings::ScheduledChange.new(key: "promotion.discount", value: 20)
+      expect(change.valid?).to eq false
+      expect(change.errors).to eq({"effective_at" => ["effective at cannot be empty"]})
+    end
+  end
+
+  describe "all" do
+    it "should return the changes sorted by effective time" do
+      change_1 = SuperSettings::ScheduledChange.create!(key: "promotion.discount", value: 20, effective_at: Time.now + 120)
+      change_2 = SuperSettings::ScheduledChange.create!(key: "promotion.discount", value: 30, effective_at: Time.now + 60)
+      change_3 = SuperSettings::ScheduledChange.create!(key: "other", value: "foo", effective_at: Time.now + 90)
+      expect(SuperSettings::ScheduledChange.all.collect(&:id)).to eq [change_2.id, change_3.id, change_1.id]
+      expect(SuperSettings::ScheduledChange.for_key("promotion.discount").collect(&:id)).to eq [change_2.id, change_1.id]
+    end
+
+    it "should ignore other types of pending changes" do
+      SuperSettings::Setting.storage.save_pending_change({"id" => "other", "type" => "other_change", "key" => "promotion.discount"})
+      expect(SuperSettings::ScheduledChange.all).to eq []
+    end
+  end
+
+  describe "cancel!" do
+    it "should remove the change" do
+      change = SuperSettings::ScheduledChange.create!(key: "promotion.discount", value: 20, effective_at: Time.now + 60)
+      expect(change.cancel!).to eq true
+      expect(change.cancel!).to eq false
+      expect(SuperSettings::ScheduledChange.all).to eq []
+    end
+  end
+
+  describe "apply_due" do
+    it "should apply changes that are due and record them in the history" do
+      change_1 = SuperSettings::ScheduledChange.create!(key: "promotion.discount", value: 20, effective_at: Time.now + 60, changed_by: "me")
+      change_2 = SuperSettings::ScheduledChange.create!(key: "promotion.discount", value: 30, effective_at: Time.now + 120)
+
+      expect(SuperSettings::ScheduledChange.apply_due(Time.now)).to eq []
+      expect(SuperSettings::Setting.find_by_key("promotion.discount").value).to eq 10
+
+      applied = SuperSettings::ScheduledChange.apply_due(Time.now + 90)
+      expect(applied.collect(&:id)).to eq [change_1.id]
+      setting = SuperSettings::Setting.find_by_key("promotion.discount")
+      expect(setting.value).to eq 20
+      expect(setting.history.first.changed_by).to eq "me"
+      expect(setting.history.first.scheduled?).to eq true
+      expect(setting.history.last.scheduled?).to eq false
+      expect(SuperSettings::ScheduledChange.all.collect(&:id)).to eq [change_2.id]
+    end
+
+    it "should create new settings" do
+      SuperSettings::ScheduledChange.create!(key: "new.setting", value: "foo", value_type: "string", description: "New", effective_at: Time.now + 60)
+      SuperSettings::ScheduledChange.apply_due(Time.now + 60)
+      setting = SuperSettings::Setting.find_by_key("new.setting")
+      expect(setting.value).to eq "foo"
+      expect(setting.description).to eq "New"
+    end
+
+    it "should delete settings" do
+      SuperSettings::ScheduledChange.create!(key: "promotion.discount", deleted: true, effective_at: Time.now + 60)
+      SuperSettings::ScheduledChange.apply_due(Time.now + 60)
+      expect(SuperSettings::Setting.find_by_key("promotion.discount")).to eq nil
+    end
+
+    it "should only apply a change once" do
+      change = SuperSettings::ScheduledChange.create!(key: "promotion.discount", value: 20, effective_at: Time.now + 60)
+      copy = SuperSettings::ScheduledChange.find(change.id)
+      expect(change.apply!).to eq true
+      expect(copy.apply!).to eq false
+      expect(SuperSettings::Setting.find_by_key("promotion.discount").history.size).to eq 2
+    end
+
+    it "should keep the change if the setting could not be saved" do
+      change = SuperSettings::ScheduledChange.create!(key: "promotion.discount", value: 20, effective_at: Time.now + 60)
+      allow_any_instance_of(SuperSettings::Setting).to receive(:save!).and_raise(RuntimeError, "boom")
+      expect { change.apply! }.to raise_error(RuntimeError, "boom")
+      expect(SuperSettings::ScheduledChange.all.collect(&:id)).to eq [change.id]
+      expect(SuperSettings::Setting.find_by_key("promotion.discount").value).to eq 10
+    end
+
+    it "should discard changes that are no longer valid" do
+      SuperSettings::ScheduledChange.create!(key: "promotion.discount", value: 60, effective_at: Time.now + 60)
+      SuperSettings::Setting.define_constraints("promotion.discount", max: 50)
+      begin
+        expect(SuperSettings::ScheduledChange.apply_due(Time.now + 60)).to eq []
+        expect(SuperSettings::ScheduledChange.all).to eq []
+        expect(SuperSettings::Setting.find_by_key("promotion.discount").value).to eq 10
+      ensure
+        SuperSettings::Setting.define_constraints("promotion.discount")
+      end
+    end
+  end
+
+  describe "start_applier" do
+    it "should apply due changes in a background thread" do
+      SuperSettings::ScheduledChange.create!(key: "promotion.discount", value: 20, effective_at: Time.now - 1)
+      SuperSettings::ScheduledChange.start_applier(interval: 0.01)
+      expect(SuperSettings::ScheduledChange.applier_running?).to eq true
+      20.times do
+        break if SuperSettings::ScheduledChange.all.empty?
+        sleep(0.01)
+      end
+      expect(SuperSettings::Setting.find_by_key("promotion.discount").value).to eq 20
+      SuperSettings::ScheduledChange.stop_applier
+      expect(SuperSettings::ScheduledChange.applier_running?).to eq false
+    end
+  end
+end
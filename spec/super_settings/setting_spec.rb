@@ -205,6 +205,50 @@ describe SuperSettings::Setting do
           end
         end
 
+        describe "json" do
+          it "should identify as json" do
+            setting = SuperSettings::Setting.new(key: "test", value_type: :json)
+            expect(setting.string?).to eq false
+            expect(setting.array?).to eq false
+            expect(setting.json?).to eq true
+          end
+
+          it "should use nil for blank values" do
+            setting = SuperSettings::Setting.new(key: "test", value_type: :json)
+            expect(setting.value).to eq nil
+            setting.value = ""
+            setting.save!
+            expect(setting.value).to eq nil
+          end
+
+          it "should parse the value from a JSON string" do
+            setting = SuperSettings::Setting.create!(key: "test", value: '{"limit": 10, "paths": ["/a"]}', value_type: :json)
+            expect(SuperSettings::Setting.find_by_key(setting.key).value).to eq({"limit" => 10, "paths" => ["/a"]})
+          end
+
+          it "should be able to be set with a hash" do
+            setting = SuperSettings::Setting.create!(key: "test", value: {"limit" => 10}, value_type: :json)
+            expect(SuperSettings::Setting.find_by_key(setting.key).value).to eq({"limit" => 10})
+          end
+
+          it "should be able to be set with an array" do
+            setting = SuperSettings::Setting.create!(key: "test", value_type: :json, value: [1, {"a" => nil}])
+            expect(SuperSettings::Setting.find_by_key(setting.key).value).to eq [1, {"a" => nil}]
+          end
+
+          it "should not be valid with invalid JSON" do
+            setting = SuperSettings::Setting.new(key: "test", value: "{foo", value_type: :json)
+            expect(setting).not_to be_valid
+            expect(setting.errors["value"].map(&:to_s)).to eq ["value must be a JSON object or array"]
+          end
+
+          it "should not be valid with a JSON scalar" do
+            setting = SuperSettings::Setting.new(key: "test", value: "12", value_type: :json)
+            expect(setting).not_to be_valid
+            expect(setting.errors["value"].map(&:to_s)).to eq ["value must be a JSON object or array"]
+          end
+        end
+
         it "should determine the correct value type based on a value" do
           expect(SuperSettings::Setting.value_type("foo")).to eq "string"
           expect(SuperSettings::Setting.value_type(:foo)).to eq "string"
@@ -215,6 +259,7 @@ describe SuperSettings::Setting do
           expect(SuperSettings::Setting.value_type(true)).to eq "boolean"
           expect(SuperSettings::Setting.value_type(false)).to eq "boolean"
           expect(SuperSettings::Setting.value_type(["foo"])).to eq "array"
+          expect(SuperSettings::Setting.value_type({"foo" => 1})).to eq "json"
           expect(SuperSettings::Setting.value_type(Time.now)).to eq "datetime"
           expect(SuperSettings::Setting.value_type(DateTime.now)).to eq "datetime"
           expect(SuperSettings::Setting.value_type(Date.today)).to eq "datetime"
@@ -588,6 +633,66 @@ describe SuperSettings::Setting do
           expect(success).to eq true
           expect(settings).to be_empty
         end
+
+        it "should update a setting if it has not changed since it was loaded" do
+          setting = SuperSettings::Setting.create!(key: "test", value: "foo")
+          success, _ = SuperSettings::Setting.bulk_update([
+            {
+              key: "test",
+              value: "bar",
+              updated_at_was: setting.as_json[:updated_at]
+            }
+          ])
+          expect(success).to eq true
+          expect(SuperSettings::Setting.find_by_key("test").value).to eq "bar"
+        end
+
+        it "should not update a setting if it has changed since it was loaded" do
+          setting = SuperSettings::Setting.create!(key: "test", value: "foo")
+          updated_at_was = setting.as_json[:updated_at]
+          setting.update!(value: "other", updated_at: Time.now + 1)
+          success, settings = SuperSettings::Setting.bulk_update([
+            {
+              key: "test",
+              value: "bar",
+              updated_at_was: updated_at_was
+            }
+          ])
+          expect(success).to eq false
+          expect(settings.first.errors).to eq({"setting" => ["setting has been changed by someone else"]})
+          expect(settings.first.conflict).to eq SuperSettings::Setting.find_by_key("test").as_json
+          expect(SuperSettings::Setting.find_by_key("test").value).to eq "other"
+        end
+
+        it "should not create a setting if it was created by someone else" do
+          SuperSettings::Setting.create!(key: "test", value: "foo")
+          success, settings = SuperSettings::Setting.bulk_update([
+            {
+              key: "test",
+              value: "bar",
+              updated_at_was: nil
+            }
+          ])
+          expect(success).to eq false
+          expect(settings.first.conflict[:value]).to eq "foo"
+          expect(SuperSettings::Setting.find_by_key("test").value).to eq "foo"
+        end
+
+        it "should not delete a setting if it has changed since it was loaded" do
+          setting = SuperSettings::Setting.create!(key: "test", value: "foo")
+          updated_at_was = setting.as_json[:updated_at]
+          setting.update!(value: "other", updated_at: Time.now + 1)
+          success, settings = SuperSettings::Setting.bulk_update([
+            {
+              key: "test",
+              deleted: true,
+              updated_at_was: updated_at_was
+            }
+          ])
+          expect(success).to eq false
+          expect(settings.first.conflict[:value]).to eq "other"
+          expect(SuperSettings::Setting.find_by_key("test").deleted?).to eq false
+        end
       end
 
       describe "set" do
@@ -609,4 +714,75 @@ describe SuperSettings::Setting do
       end
     end
   end
+
+  describe "constraints" do
+    after do
+      %w[number float text level list date].each { |key| SuperSettings::Setting.define_constraints(key) }
+    end
+
+    it "should validate the minimum and maximum values" do
+      SuperSettings::Setting.define_constraints("number", min: 1, max: 10)
+      expect(SuperSettings::Setting.new(key: "number", value: 5, value_type: :integer).valid?).to eq true
+      setting = SuperSettings::Setting.new(key: "number", value: 0, value_type: :integer)
+      expect(setting.valid?).to eq false
+      expect(setting.errors).to eq({"value" => ["value must be greater than or equal to 1"]})
+      setting = SuperSettings::Setting.new(key: "number", value: 11, value_type: :integer)
+      expect(setting.valid?).to eq false
+      expect(setting.errors).to eq({"value" => ["value must be less than or equal to 10"]})
+
+      SuperSettings::Setting.define_constraints("float", min: 0.5)
+      expect(SuperSettings::Setting.new(key: "float", value: 0.25, value_type: :float).valid?).to eq false
+      expect(SuperSettings::Setting.new(key: "float", value: 0.75, value_type: :float).valid?).to eq true
+    end
+
+    it "should validate a date range" do
+      SuperSettings::Setting.define_constraints("date", min: "2026-01-01T00:00:00Z", max: Time.utc(2026, 12, 31))
+      expect(SuperSettings::Setting.new(key: "date", value: "2026-06-01T00:00:00Z", value_type: :datetime).valid?).to eq true
+      setting = SuperSettings::Setting.new(key: "date", value: "2025-06-01T00:00:00Z", value_type: :datetime)
+      expect(setting.valid?).to eq false
+      expect(setting.errors).to eq({"value" => ["value must be greater than or equal to 2026-01-01T00:00:00Z"]})
+    end
+
+    it "should validate a pattern" do
+      SuperSettings::Setting.define_constraints("text", pattern: "^[a-z]+$")
+      expect(SuperSettings::Setting.new(key: "text", value: "abc", value_type: :string).valid?).to eq true
+      setting = SuperSettings::Setting.new(key: "text", value: "aBc", value_type: :string)
+      expect(setting.valid?).to eq false
+      expect(setting.errors).to eq({"value" => ["value must match /^[a-z]+$/"]})
+    end
+
+    it "should validate a list of choices" do
+      SuperSettings::Setting.define_constraints("level", choices: ["debug", "info"])
+      expect(SuperSettings::Setting.new(key: "level", value: "info", value_type: :string).valid?).to eq true
+      setting = SuperSettings::Setting.new(key: "level", value: "trace", value_type: :string)
+      expect(setting.valid?).to eq false
+      expect(setting.errors).to eq({"value" => ["value must be one of debug, info"]})
+    end
+
+    it "should validate the maximum number of items in an array" do
+      SuperSettings::Setting.define_constraints("list", max_items: 2)
+      expect(SuperSettings::Setting.new(key: "list", value: ["a", "b"], value_type: :array).valid?).to eq true
+      setting = SuperSettings::Setting.new(key: "list", value: ["a", "b", "c"], value_type: :array)
+      expect(setting.valid?).to eq false
+      expect(setting.errors).to eq({"value" => ["value must have at most 2 items"]})
+    end
+
+    it "should not validate constraints on blank values" do
+      SuperSettings::Setting.define_constraints("number", min: 1)
+      expect(SuperSettings::Setting.new(key: "number", value: nil, value_type: :integer).valid?).to eq true
+    end
+
+    it "should include the constraints in the JSON" do
+      SuperSettings::Setting.define_constraints("text", pattern: /^[a-z]+$/, choices: [:abc, :def])
+      setting = SuperSettings::Setting.new(key: "text", value: "abc", value_type: :string)
+      expect(setting.as_json[:constraints]).to eq({pattern: "^[a-z]+$", choices: ["abc", "def"]})
+      expect(SuperSettings::Setting.new(key: "other", value: "abc").as_json).to_not include(:constraints)
+    end
+
+    it "should remove constraints when none are given" do
+      SuperSettings::Setting.define_constraints("number", min: 1)
+      SuperSettings::Setting.define_constraints("number")
+      expect(SuperSettings::Setting.constraints("number")).to eq nil
+    end
+  end
 end
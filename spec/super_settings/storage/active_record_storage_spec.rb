@@ -193,5 +193,37 @@ if EXTENSIONS[:active_record]
         expect(SuperSettings::Storage::ActiveRecordStorage.last_updated_at).to eq nil
       end
     end
+
+    describe "pending changes" do
+      it "should save, load, and delete pending changes" do
+        change = {"id" => "change-1", "type" => "scheduled_change", "key" => "key", "value" => "1"}
+        SuperSettings::Storage::ActiveRecordStorage.save_pending_change(change)
+        SuperSettings::Storage::ActiveRecordStorage.save_pending_change(change.merge("value" => "2"))
+        expect(SuperSettings::Storage::ActiveRecordStorage.pending_changes).to eq [change.merge("value" => "2")]
+        expect(SuperSettings::Storage::ActiveRecordStorage.delete_pending_change("change-1")).to eq true
+        expect(SuperSettings::Storage::ActiveRecordStorage.delete_pending_change("change-1")).to eq false
+        expect(SuperSettings::Storage::ActiveRecordStorage.pending_changes).to eq []
+      end
+    end
+
+    describe "scheduled history" do
+      it "should record if a change was applied from a schedule" do
+        setting = SuperSettings::Storage::ActiveRecordStorage.new(key: "key", raw_value: "1")
+        setting.save!
+        SuperSettings::Storage::ActiveRecordStorage.create_history(key: "key", value: "1", changed_by: "me", created_at: Time.now - 20)
+        SuperSettings::Storage::ActiveRecordStorage.create_history(key: "key", value: "2", changed_by: "me", created_at: Time.now - 10, scheduled: true)
+        expect(setting.history.collect(&:scheduled?)).to eq [true, false]
+      end
+    end
+
+    describe "approved history" do
+      it "should record who approved a change" do
+        setting = SuperSettings::Storage::ActiveRecordStorage.new(key: "key", raw_value: "1")
+        setting.save!
+        SuperSettings::Storage::ActiveRecordStorage.create_history(key: "key", value: "1", changed_by: "me", created_at: Time.now - 20)
+        SuperSettings::Storage::ActiveRecordStorage.create_history(key: "key", value: "2", changed_by: "me", created_at: Time.now - 10, approved_by: "approver")
+        expect(setting.history.collect(&:approved_by)).to eq ["approver", nil]
+      end
+    end
   end
 end
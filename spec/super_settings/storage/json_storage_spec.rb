@@ -12,6 +12,7 @@ class TestJsonStorage < SuperSettings::Storage::JSONStorage
       ensure
         Thread.current[:test_json_storage_json] = nil
         Thread.current[:test_json_storage_history] = nil
+        Thread.current[:test_json_storage_pending_changes] = nil
       end
     end
 
@@ -29,6 +30,18 @@ class TestJsonStorage < SuperSettings::Storage::JSONStorage
       all_history = Thread.current[:test_json_storage_history] ||= {}
       all_history[key] = json
     end
+
+    def supports_pending_changes?
+      true
+    end
+
+    def pending_changes_json_payload
+      Thread.current[:test_json_storage_pending_changes]
+    end
+
+    def save_pending_changes_json(json)
+      Thread.current[:test_json_storage_pending_changes] = json
+    end
   end
 
   protected
@@ -168,4 +181,19 @@ describe SuperSettings::Storage::JSONStorage do
       end
     end
   end
+
+  describe "pending changes" do
+    it "should save, load, and delete pending changes" do
+      TestJsonStorage.current_json(json) do
+        change = {"id" => "change-1", "type" => "scheduled_change", "key" => "setting_1", "value" => "1"}
+        expect(TestJsonStorage.pending_changes).to eq []
+        TestJsonStorage.save_pending_change(change)
+        TestJsonStorage.save_pending_change(change.merge("value" => "2"))
+        expect(TestJsonStorage.pending_changes).to eq [change.merge("value" => "2")]
+        expect(TestJsonStorage.delete_pending_change("change-1")).to eq true
+        expect(TestJsonStorage.delete_pending_change("change-1")).to eq false
+        expect(TestJsonStorage.pending_changes).to eq []
+      end
+    end
+  end
 end
@@ -111,5 +111,17 @@ if EXTENSIONS[:mongodb]
         expect(setting.history.collect(&:deleted?)).to eq [false, true, false]
       end
     end
+
+    describe "pending changes" do
+      it "should save, load, and delete pending changes" do
+        change = {"id" => "change-1", "type" => "scheduled_change", "key" => "key", "value" => "1"}
+        SuperSettings::Storage::MongoDBStorage.save_pending_change(change)
+        SuperSettings::Storage::MongoDBStorage.save_pending_change(change.merge("value" => "2"))
+        expect(SuperSettings::Storage::MongoDBStorage.pending_changes).to eq [change.merge("value" => "2")]
+        expect(SuperSettings::Storage::MongoDBStorage.delete_pending_change("change-1")).to eq true
+        expect(SuperSettings::Storage::MongoDBStorage.delete_pending_change("change-1")).to eq false
+        expect(SuperSettings::Storage::MongoDBStorage.pending_changes).to eq []
+      end
+    end
   end
 end
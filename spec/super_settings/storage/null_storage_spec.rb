@@ -45,6 +45,14 @@ describe SuperSettings::Storage::NullStorage do
     end
   end
 
+  describe "pending changes" do
+    it "should not support pending changes" do
+      expect(SuperSettings::Storage::NullStorage.supports_pending_changes?).to eq false
+      expect(SuperSettings::Storage::NullStorage.pending_changes).to eq []
+      expect(SuperSettings::Storage::NullStorage.delete_pending_change("id")).to eq false
+    end
+  end
+
   describe "load_asynchronous" do
     it "should be false" do
       expect(SuperSettings::Storage::NullStorage.load_asynchronous?).to eq false
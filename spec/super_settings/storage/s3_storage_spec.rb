@@ -130,5 +130,17 @@ if EXTENSIONS[:s3]
         expect(setting.history.collect(&:changed_by)).to eq ["test2", "test"]
       end
     end
+
+    describe "pending changes" do
+      it "should save, load, and delete pending changes" do
+        change = {"id" => "change-1", "type" => "scheduled_change", "key" => "key", "value" => "1"}
+        SuperSettings::Storage::S3Storage.save_pending_change(change)
+        SuperSettings::Storage::S3Storage.save_pending_change(change.merge("value" => "2"))
+        expect(SuperSettings::Storage::S3Storage.pending_changes).to eq [change.merge("value" => "2")]
+        expect(SuperSettings::Storage::S3Storage.delete_pending_change("change-1")).to eq true
+        expect(SuperSettings::Storage::S3Storage.delete_pending_change("change-1")).to eq false
+        expect(SuperSettings::Storage::S3Storage.pending_changes).to eq []
+      end
+    end
   end
 end
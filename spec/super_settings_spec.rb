@@ -206,6 +206,32 @@ describe SuperSettings do
     end
   end
 
+  describe "json" do
+    it "should get a parsed JSON value" do
+      SuperSettings::Setting.create!(key: "key", value: {"foo" => [1, 2]}, value_type: :json)
+      SuperSettings.load_settings
+      expect(SuperSettings.json("key")).to eq({"foo" => [1, 2]})
+    end
+
+    it "should parse string values as JSON" do
+      SuperSettings::Setting.create!(key: "key", value: '["foo"]', value_type: :string)
+      SuperSettings.load_settings
+      expect(SuperSettings.json("key")).to eq ["foo"]
+    end
+
+    it "should return the default if a string value is not valid JSON" do
+      SuperSettings::Setting.create!(key: "key", value: "not json", value_type: :string)
+      SuperSettings.load_settings
+      expect(SuperSettings.json("key")).to eq nil
+      expect(SuperSettings.json("key", {"foo" => "bar"})).to eq({"foo" => "bar"})
+    end
+
+    it "should return a default if the key is not defined" do
+      expect(SuperSettings.json("key")).to eq nil
+      expect(SuperSettings.json("key", {"foo" => "bar"})).to eq({"foo" => "bar"})
+    end
+  end
+
   describe "rand" do
     it "should get a random value" do
       n = SuperSettings.rand